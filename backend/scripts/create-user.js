@@ -0,0 +1,83 @@
+/**
+ * Admin Script: Create a user account
+ *
+ * Used to bootstrap the first administrator (accounts with elevated roles
+ * can otherwise only be created by an admin through POST /api/auth/users).
+ * Optionally issues an API key for scripts and integrations.
+ *
+ * Usage:
+ *   node scripts/create-user.js --email admin@example.edu --name "Library Admin" --role admin
+ *   node scripts/create-user.js --email bot@example.edu --name "Importer" --role curator --api-key importer
+ *
+ * The password is read from the USER_PASSWORD environment variable, or a
+ * random one is generated and printed.
+ *
+ * Prerequisites:
+ * - MongoDB connection string in .env (MONGODB_URI)
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const authService = require('../src/services/authService');
+const { ROLES } = require('../src/models/User');
+const logger = require('../src/utils/logger');
+
+/**
+ * Read a `--name value` command line option
+ */
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+/**
+ * Main function
+ */
+async function createUser() {
+  try {
+    const email = option('email');
+    const name = option('name');
+    const role = option('role') || 'reader';
+    const apiKeyName = option('api-key');
+
+    if (!email || !name) {
+      logger.error('Usage: node scripts/create-user.js --email <email> --name <name> [--role <role>] [--api-key <key name>]');
+      process.exit(1);
+    }
+    if (!ROLES.includes(role)) {
+      logger.error(`Role must be one of: ${ROLES.join(', ')}`);
+      process.exit(1);
+    }
+
+    const generated = !process.env.USER_PASSWORD;
+    const password = process.env.USER_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+    logger.info('Connecting to MongoDB...');
+    await connectDB();
+    logger.info('✓ Connected to MongoDB');
+
+    const user = await authService.createUser({ email, name, password, role });
+    logger.info(`✓ Created ${user.role} account ${user.email} (${user._id})`);
+    if (generated) {
+      logger.info(`  Password: ${password}`);
+    }
+
+    if (apiKeyName) {
+      const { key } = await authService.createApiKey(user, { name: apiKeyName });
+      logger.info(`✓ API key "${apiKeyName}": ${key}`);
+      logger.info('  Store it now; it will not be shown again.');
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Failed to create user: ${error.message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run script
+createUser();
@@ -0,0 +1,149 @@
+/**
+ * Import Script: Bulk import theses from a catalog export
+ *
+ * Parses a CSV, JSON Lines, BibTeX or RIS file, reports rows that fail
+ * validation or repeat an earlier row, then embeds, tags and creates the
+ * rest through the job queue with progress reporting. Theses already in
+ * the repository (same DOI, handle, or title and year) are skipped, so
+ * running the script again after a failure resumes the import.
+ *
+ * Usage:
+ *   node scripts/import-theses.js --file catalog.csv --as curator@example.edu
+ *   node scripts/import-theses.js --file legacy.bib --as curator@example.edu --status published
+ *   node scripts/import-theses.js --file export.txt --format ris --as curator@example.edu --dry-run
+ *
+ * --as names the account recorded as submitter (curator or admin).
+ * --format defaults to the file extension (.csv, .jsonl, .bib, .ris).
+ * --status is draft (default), pending or published.
+ *
+ * Prerequisites:
+ * - MongoDB connection string in .env (MONGODB_URI)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const User = require('../src/models/User');
+const Job = require('../src/models/Job');
+const importService = require('../src/services/importService');
+const jobService = require('../src/services/jobService');
+const chunkService = require('../src/services/chunkService');
+const { IMPORT_FORMATS, detectFormat } = require('../src/utils/importFormats');
+const { sleep } = require('../src/utils/retry');
+const logger = require('../src/utils/logger');
+
+const PROGRESS_INTERVAL_MS = 5000;
+const MIN_WAIT_MS = 1000;
+const STATUSES = ['draft', 'pending', 'published'];
+
+/**
+ * Read a `--name value` command line option
+ */
+const option = (name) => {
+  const index = process.argv.indexOf(`--${name}`);
+  return index !== -1 ? process.argv[index + 1] : undefined;
+};
+
+/**
+ * Log the combined progress of the import jobs
+ */
+const logProgress = async (jobIds) => {
+  const jobs = await Job.find({ _id: { $in: jobIds } }).select('progress').lean();
+  const done = jobs.reduce((sum, job) => sum + job.progress.done, 0);
+  const total = jobs.reduce((sum, job) => sum + job.progress.total, 0);
+  logger.info(`Progress: ${done}/${total} records`);
+};
+
+/**
+ * Main function
+ */
+async function importTheses() {
+  try {
+    const file = option('file');
+    const email = option('as');
+    const format = option('format') || detectFormat(file);
+    const status = option('status') || 'draft';
+    const dryRun = process.argv.includes('--dry-run');
+
+    if (!file || !email) {
+      logger.error('Usage: node scripts/import-theses.js --file <path> --as <curator email> [--format <format>] [--status <status>] [--dry-run]');
+      process.exit(1);
+    }
+    if (!IMPORT_FORMATS.includes(format)) {
+      logger.error(`Format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+      process.exit(1);
+    }
+    if (!STATUSES.includes(status)) {
+      logger.error(`Status must be one of: ${STATUSES.join(', ')}`);
+      process.exit(1);
+    }
+
+    const { records, invalid, duplicates } = importService.parse(fs.readFileSync(file, 'utf8'), format);
+
+    invalid.forEach(({ row, errors }) => logger.warn(`Row ${row}: ${errors.join('; ')}`));
+    duplicates.forEach(({ row, duplicateOfRow }) => logger.warn(`Row ${row}: duplicate of row ${duplicateOfRow}, skipped`));
+    logger.info(`${records.length} valid records, ${invalid.length} invalid, ${duplicates.length} duplicates in the file`);
+
+    if (dryRun || records.length === 0) {
+      process.exit(invalid.length > 0 ? 1 : 0);
+    }
+
+    logger.info('Connecting to MongoDB...');
+    await connectDB();
+    logger.info('✓ Connected to MongoDB');
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user || !user.hasRole('curator')) {
+      throw new Error(`${email} is not a curator or admin account`);
+    }
+
+    const jobs = await importService.enqueue({ user }, records, { status, format, filename: path.basename(file) });
+    const jobIds = jobs.map((job) => job._id);
+
+    const progressTimer = setInterval(() => {
+      logProgress(jobIds).catch(() => {});
+    }, PROGRESS_INTERVAL_MS);
+
+    // Keep going until every job has finished, waiting out retry backoff
+    // (jobs may also be picked up by a running server)
+    for (;;) {
+      await jobService.drain();
+      const next = await Job.findOne({ _id: { $in: jobIds }, status: { $in: ['queued', 'running'] } })
+        .sort({ runAt: 1 })
+        .lean();
+      if (!next) break;
+      await sleep(Math.max(MIN_WAIT_MS, next.runAt.getTime() - Date.now()));
+    }
+    clearInterval(progressTimer);
+    await chunkService.idle();
+
+    // Summary
+    const finished = await Job.find({ _id: { $in: jobIds } }).lean();
+    const count = (key) => finished.reduce((sum, job) => sum + ((job.result && job.result[key]) || []).length, 0);
+    const failed = finished.filter((job) => job.status !== 'succeeded');
+
+    logger.info('\n' + '='.repeat(60));
+    logger.info(`✓ Created: ${count('theses')}`);
+    logger.info(`  Already in the repository: ${count('skipped')}`);
+    logger.info(`  Invalid rows: ${invalid.length}, duplicate rows: ${duplicates.length}`);
+    failed.forEach((job) => {
+      logger.error(`  Job ${job._id} ${job.status}: ${job.lastError}`);
+    });
+    if (failed.length > 0) {
+      logger.info('  Run the script again to retry the records that were not created.');
+    }
+    logger.info('='.repeat(60));
+
+    await mongoose.connection.close();
+    process.exit(failed.length > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error(`Import failed: ${error.message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run script
+importTheses();
@@ -0,0 +1,88 @@
+/**
+ * Migration Script: Build passage chunks for RAG retrieval
+ *
+ * Splits every thesis (full PDF text when available, otherwise the abstract)
+ * into overlapping, section-aware chunks and embeds each chunk with
+ * xenova/all-MiniLm-L6-v2 (384 dimensions).
+ *
+ * Usage:
+ *   node scripts/migrate-chunks.js          # only theses without chunks
+ *   node scripts/migrate-chunks.js --all    # rebuild chunks for every thesis
+ *
+ * Prerequisites:
+ * - MongoDB connection string in .env (MONGODB_URI)
+ * - Optional: vector search index "chunksearch" on the thesischunks
+ *   collection in MongoDB Atlas (path "embeddings", 384 dims, dotProduct)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Thesis = require('../src/models/Thesis');
+const ThesisChunk = require('../src/models/ThesisChunk');
+const chunkService = require('../src/services/chunkService');
+const logger = require('../src/utils/logger');
+
+/**
+ * Main migration function
+ */
+async function migrateChunks() {
+  try {
+    const rebuildAll = process.argv.includes('--all');
+
+    logger.info('='.repeat(60));
+    logger.info('Starting Chunk Migration');
+    logger.info(`Mode: ${rebuildAll ? 'rebuild all theses' : 'theses without chunks'}`);
+    logger.info('='.repeat(60));
+
+    // Connect to database
+    logger.info('Connecting to MongoDB...');
+    await connectDB();
+    logger.info('✓ Connected to MongoDB');
+
+    let thesisIds = await Thesis.distinct('_id');
+    if (!rebuildAll) {
+      const chunked = new Set((await ThesisChunk.distinct('thesis')).map((id) => id.toString()));
+      thesisIds = thesisIds.filter((id) => !chunked.has(id.toString()));
+    }
+
+    logger.info(`\nFound ${thesisIds.length} theses to chunk\n`);
+
+    let successCount = 0;
+    let chunkCount = 0;
+    const errors = [];
+
+    for (let i = 0; i < thesisIds.length; i++) {
+      const progress = `[${i + 1}/${thesisIds.length}]`;
+      try {
+        const count = await chunkService.indexThesis(thesisIds[i]);
+        successCount++;
+        chunkCount += count;
+        logger.info(`${progress} ✓ ${thesisIds[i]}: ${count} chunks`);
+      } catch (error) {
+        logger.error(`${progress} ✗ ${thesisIds[i]}: ${error.message}`);
+        errors.push({ thesisId: thesisIds[i], error: error.message });
+      }
+    }
+
+    // Print summary
+    logger.info('\n' + '='.repeat(60));
+    logger.info('Migration Summary');
+    logger.info('='.repeat(60));
+    logger.info(`Theses chunked: ${successCount}/${thesisIds.length}`);
+    logger.info(`Chunks created: ${chunkCount}`);
+    logger.info(`Failed: ${errors.length}`);
+    logger.info('='.repeat(60));
+
+    await mongoose.connection.close();
+    process.exit(errors.length > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error(`Fatal error during migration: ${error.message}`);
+    logger.error(error.stack);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrateChunks();
@@ -0,0 +1,66 @@
+/**
+ * Migration Script: Store duplicate-detection keys on existing theses
+ *
+ * Bulk imports skip theses already in the repository by looking up their
+ * normalized DOI, handle and title+year in the indexed `dedupeKeys` field.
+ * Theses saved before the field existed have no keys and would be imported
+ * again.
+ *
+ * Usage:
+ *   node scripts/migrate-dedupe-keys.js
+ *
+ * Prerequisites:
+ * - MongoDB connection string in .env (MONGODB_URI)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Thesis = require('../src/models/Thesis');
+const { dedupeKeys } = require('../src/models/Thesis');
+const logger = require('../src/utils/logger');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Main migration function
+ */
+async function migrateDedupeKeys() {
+  try {
+    logger.info('Connecting to MongoDB...');
+    await connectDB();
+    logger.info('✓ Connected to MongoDB');
+
+    const cursor = Thesis.find({ dedupeKeys: { $exists: false } })
+      .select('title defenseYear doi handle')
+      .lean()
+      .cursor();
+
+    let updated = 0;
+    let batch = [];
+    const write = async () => {
+      // Raw collection write: adding keys is not a modification harvesters should see
+      await Thesis.collection.bulkWrite(batch, { ordered: false });
+      updated += batch.length;
+      batch = [];
+    };
+
+    for await (const thesis of cursor) {
+      batch.push({ updateOne: { filter: { _id: thesis._id }, update: { $set: { dedupeKeys: dedupeKeys(thesis) } } } });
+      if (batch.length === BATCH_SIZE) await write();
+    }
+    if (batch.length > 0) await write();
+
+    logger.info(`✓ Stored dedupe keys on ${updated} theses`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Dedupe key migration failed: ${error.message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrateDedupeKeys();
@@ -63,7 +63,8 @@ async function migrateEmbeddings() {
         // Generate new embedding
         const newEmbedding = await embeddingService.generateEmbedding(
           thesis.title,
-          thesis.abstract
+          thesis.abstract,
+          thesis
         );
 
         // Validate embedding dimensions
@@ -0,0 +1,47 @@
+/**
+ * Migration Script: Publish theses created before the review workflow
+ *
+ * Theses without a `status` were public before statuses existed, so they are
+ * marked published (publishedAt = createdAt). Without this they would be
+ * hidden from listings, search and chat. The server also does this on
+ * startup, so the script is only needed to migrate without starting it.
+ *
+ * Usage:
+ *   node scripts/migrate-status.js
+ *
+ * Prerequisites:
+ * - MongoDB connection string in .env (MONGODB_URI)
+ * - If you use Atlas Vector Search, add `status` and `deletedAt` as filter fields to the
+ *   "semanticsearch" index definition (see README)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Thesis = require('../src/models/Thesis');
+const logger = require('../src/utils/logger');
+
+/**
+ * Main migration function
+ */
+async function migrateStatus() {
+  try {
+    logger.info('Connecting to MongoDB...');
+    await connectDB();
+    logger.info('✓ Connected to MongoDB');
+
+    const published = await Thesis.publishLegacy();
+
+    logger.info(`✓ Published ${published} existing theses`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Status migration failed: ${error.message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run migration
+migrateStatus();
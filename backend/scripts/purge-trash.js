@@ -0,0 +1,46 @@
+/**
+ * Maintenance Script: Purge expired theses from the trash
+ *
+ * Permanently deletes theses that have been in the trash longer than
+ * TRASH_RETENTION_DAYS, with their chunks and uploaded files. The server
+ * does this on a schedule; run this from a cron job on serverless hosts.
+ * Running servers drop the purged theses from their in-process vector
+ * indexes when they next reconcile at startup.
+ *
+ * Usage:
+ *   node scripts/purge-trash.js
+ *
+ * Prerequisites:
+ * - MongoDB connection string in .env (MONGODB_URI)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const trashService = require('../src/services/trashService');
+const logger = require('../src/utils/logger');
+
+/**
+ * Main function
+ */
+async function purgeTrash() {
+  try {
+    logger.info('Connecting to MongoDB...');
+    await connectDB();
+    logger.info('✓ Connected to MongoDB');
+
+    logger.info(`Purging theses trashed more than ${trashService.config.retentionDays} days ago`);
+    const purged = await trashService.purgeExpired();
+    logger.info(`✓ Purged ${purged} theses`);
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Trash purge failed: ${error.message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run script
+purgeTrash();
@@ -0,0 +1,54 @@
+/**
+ * Maintenance Script: Process queued background jobs
+ *
+ * Runs every job that is due (e.g. `?async=true` thesis creations) and
+ * exits when the queue is empty. The server does this continuously; on
+ * serverless hosts set JOBS_POLL_INTERVAL_MS=0 and run this from a cron
+ * job instead. Jobs waiting to be retried are left for a later run.
+ * Running servers add the new theses to their in-process vector indexes
+ * when they next reconcile at startup.
+ *
+ * Usage:
+ *   node scripts/run-jobs.js
+ *
+ * Prerequisites:
+ * - MongoDB connection string in .env (MONGODB_URI)
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const jobService = require('../src/services/jobService');
+const chunkService = require('../src/services/chunkService');
+const logger = require('../src/utils/logger');
+
+// Registers the job handlers
+require('../src/services/ingestService');
+
+/**
+ * Main function
+ */
+async function runJobs() {
+  try {
+    logger.info('Connecting to MongoDB...');
+    await connectDB();
+    logger.info('✓ Connected to MongoDB');
+
+    logger.info(`Processing queued jobs (${jobService.config.concurrency} at a time)`);
+    await jobService.drain();
+
+    // Finish chunking the new theses before exiting
+    await chunkService.idle();
+    logger.info('✓ No jobs left to run');
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Job processing failed: ${error.message}`);
+    await mongoose.connection.close();
+    process.exit(1);
+  }
+}
+
+// Run script
+runJobs();
@@ -8,9 +8,15 @@
  *   node scripts/test-chatbot.js
  *   node scripts/test-chatbot.js --interactive
  *   node scripts/test-chatbot.js --test-all
+ *   node scripts/test-chatbot.js --test-all --mock   (no LLM needed: uses the mock AI provider)
  */
 
 require('dotenv').config();
+
+// Must be set before the AI service is loaded
+if (process.argv.includes('--mock')) {
+  process.env.AI_PROVIDER = 'mock';
+}
 const mongoose = require('mongoose');
 const readline = require('readline');
 const connectDB = require('../src/config/database');
@@ -2,11 +2,31 @@ require('dotenv').config();
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
 const { ensureConnection } = require('./src/config/database');
+const Thesis = require('./src/models/Thesis');
 const aiService = require('./src/services/aiService');
+const vectorIndexService = require('./src/services/vectorIndexService');
+const chunkService = require('./src/services/chunkService');
+const trashService = require('./src/services/trashService');
+const jobService = require('./src/services/jobService');
 const logger = require('./src/utils/logger');
 
 const PORT = process.env.PORT || 5000;
 
+/**
+ * Publish theses stored before the review workflow, which would otherwise
+ * be hidden (logged, never thrown: the server starts either way)
+ */
+const publishLegacyTheses = async () => {
+  try {
+    const published = await Thesis.publishLegacy();
+    if (published > 0) {
+      logger.info(`✓ Published ${published} theses created before the review workflow`);
+    }
+  } catch (error) {
+    logger.warn(`Failed to publish theses without a status: ${error.message}`);
+  }
+};
+
 // Initialize database connection (for Vercel serverless)
 let dbConnectionPromise = null;
 
@@ -16,6 +36,7 @@ const initializeDB = async () => {
       try {
         await connectDB();
         logger.info('✓ Database connected successfully');
+        await publishLegacyTheses();
         return true;
       } catch (error) {
         logger.error(`Database connection error: ${error.message}`);
@@ -44,13 +65,25 @@ if (process.env.VERCEL) {
       // Connect to MongoDB
       await connectDB();
       logger.info('✓ Database connected successfully');
+      await publishLegacyTheses();
+
+      // Build/load the in-process vector indexes in the background
+      vectorIndexService.initialize();
+      chunkService.index.initialize();
+
+      // Purge theses that have been in the trash past the retention period
+      trashService.start();
+
+      // Process queued jobs (async thesis creation)
+      jobService.start();
 
       // Check AI service health
-      const aiHealthy = await aiService.checkHealth();
-      if (aiHealthy) {
+      const aiHealth = await aiService.checkHealth();
+      if (aiHealth.healthy) {
         logger.info('✓ AI service is healthy');
       } else {
-        logger.warn('⚠ AI service health check failed - proceeding anyway');
+        const unhealthy = Object.keys(aiHealth.providers).filter((name) => !aiHealth.providers[name].healthy);
+        logger.warn(`⚠ AI service health check failed (${unhealthy.join(', ')}) - proceeding anyway`);
       }
 
       // Start Express server
@@ -62,13 +95,21 @@ if (process.env.VERCEL) {
         logger.info('Available Endpoints:');
         logger.info('=================================');
         logger.info('POST   /api/theses              - Create thesis');
+        logger.info('POST   /api/theses/upload       - Create thesis from PDF');
+        logger.info('GET    /api/jobs/:id            - Get background job status');
         logger.info('GET    /api/theses              - Get all theses');
         logger.info('GET    /api/theses/:id          - Get thesis by ID');
         logger.info('GET    /api/theses/tag/:tag     - Get theses by tag');
+        logger.info('GET    /api/theses/:id/file     - Download thesis PDF');
         logger.info('GET    /api/theses/:id/similar  - Get similar theses');
+        logger.info('DELETE /api/theses/:id          - Move thesis to trash');
+        logger.info('POST   /api/theses/:id/restore  - Restore thesis from trash');
         logger.info('POST   /api/search/semantic     - Semantic search');
         logger.info('POST   /api/chat                - Chat with AI');
+        logger.info('POST   /api/chat/stream         - Chat with AI (streaming)');
         logger.info('GET    /api/chat/suggestions    - Get suggested questions');
+        logger.info('GET    /api/chat/models         - List AI provider models');
+        logger.info('GET    /oai?verb=Identify       - OAI-PMH harvesting');
         logger.info('GET    /health                  - Health check');
         logger.info('=================================\n');
       });
@@ -76,16 +117,24 @@ if (process.env.VERCEL) {
       // Handle graceful shutdown
       process.on('SIGTERM', () => {
         logger.info('SIGTERM signal received: closing HTTP server');
-        server.close(() => {
+        server.close(async () => {
           logger.info('HTTP server closed');
+          await chunkService.idle();
+          await Promise.all([vectorIndexService.flush(), chunkService.index.flush()]).catch((error) => {
+            logger.warn(`Failed to flush vector index: ${error.message}`);
+          });
           process.exit(0);
         });
       });
 
       process.on('SIGINT', () => {
         logger.info('\nSIGINT signal received: closing HTTP server');
-        server.close(() => {
+        server.close(async () => {
           logger.info('HTTP server closed');
+          await chunkService.idle();
+          await Promise.all([vectorIndexService.flush(), chunkService.index.flush()]).catch((error) => {
+            logger.warn(`Failed to flush vector index: ${error.message}`);
+          });
           process.exit(0);
         });
       });
@@ -1,13 +1,22 @@
 const express = require('express');
 const cors = require('cors');
 const errorHandler = require('./middleware/errorHandler');
+const requestId = require('./middleware/requestId');
 const logger = require('./utils/logger');
+const { authenticate } = require('./middleware/auth');
 const { ensureConnection, isConnected } = require('./config/database');
+const aiService = require('./services/aiService');
+const vectorIndexService = require('./services/vectorIndexService');
+const chunkService = require('./services/chunkService');
 
 // Import routes
 const thesisRoutes = require('./routes/thesisRoutes');
 const searchRoutes = require('./routes/searchRoutes');
 const chatRoutes = require('./routes/chatRoutes');
+const authRoutes = require('./routes/authRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const oaiRoutes = require('./routes/oaiRoutes');
 
 /**
  * Initialize Express App
@@ -56,30 +65,27 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key', 'X-Request-Id'],
+  exposedHeaders: ['X-Request-Id'],
 };
 
 // Middleware
+app.use(requestId); // Tag every request (and its audit events) with an ID
 app.use(cors(corsOptions)); // Enable CORS with specific origins
 app.use(express.json()); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Request logging middleware
 app.use((req, res, next) => {
-  logger.info(`${req.method} ${req.path}`);
+  logger.info(`${req.method} ${req.path} [${req.id}]`);
   next();
 });
 
 // Database connection middleware (for serverless)
-// Ensures DB is connected before handling API requests
-app.use('/api', async (req, res, next) => {
+// Ensures DB is connected before handling API and OAI-PMH requests
+const requireDatabase = async (req, res, next) => {
   try {
-    // Skip health check endpoint
-    if (req.path === '/health' || req.path === '/') {
-      return next();
-    }
-    
-    // Ensure database connection before processing API requests
+    // Ensure database connection before processing the request
     if (!isConnected()) {
       logger.info('Database not connected, attempting connection...');
       await ensureConnection();
@@ -94,14 +100,33 @@ app.use('/api', async (req, res, next) => {
       error: process.env.NODE_ENV === 'development' ? error.message : undefined,
     });
   }
+};
+
+app.use('/api', (req, res, next) => {
+  // Skip health check endpoint
+  if (req.path === '/health' || req.path === '/') {
+    return next();
+  }
+  return requireDatabase(req, res, next);
 });
+app.use('/oai', requireDatabase);
+
+// Identify the caller (session token or API key); routes decide what needs a role
+app.use('/api', authenticate);
+
+// Health check endpoint (?deep=true also probes the AI providers)
+app.get('/health', async (req, res) => {
+  const ai = aiService.getStatus();
+  if (req.query.deep === 'true') {
+    ai.health = await aiService.checkHealth();
+  }
 
-// Health check endpoint
-app.get('/health', (req, res) => {
   res.status(200).json({
     success: true,
     message: 'Server is running',
     timestamp: new Date().toISOString(),
+    ai,
+    vectorIndexes: [vectorIndexService.getStats(), chunkService.index.getStats()],
   });
 });
 
@@ -109,6 +134,10 @@ app.get('/health', (req, res) => {
 app.use('/api/theses', thesisRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/oai', oaiRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -120,6 +149,10 @@ app.get('/', (req, res) => {
       theses: '/api/theses',
       search: '/api/search',
       chat: '/api/chat',
+      auth: '/api/auth',
+      audit: '/api/audit',
+      jobs: '/api/jobs',
+      oai: '/oai',
       health: '/health',
     },
   });
@@ -2,37 +2,119 @@ const logger = require('../utils/logger');
 
 /**
  * AI Configuration
- * Switches between Ollama (development) and Groq (production)
+ * Selects the LLM provider explicitly (AI_PROVIDER) and optionally routes
+ * individual tasks to a different provider and/or model.
  */
 
+// Tasks that can be routed to their own provider/model
+const AI_TASKS = ['tagging', 'queryRewrite', 'answer', 'summarize'];
+
+// Provider implied by NODE_ENV when AI_PROVIDER is not set (pre-registry behaviour)
+const LEGACY_PROVIDERS = {
+  development: 'ollama',
+  production: 'groq',
+};
+
 const AI_CONFIG = {
-  development: {
-    provider: 'ollama',
-    // Use 127.0.0.1 instead of localhost to avoid IPv6 issues on Windows
-    baseUrl: process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434',
-    model: process.env.OLLAMA_MODEL || 'llama3.2',
-    embeddingModel: process.env.OLLAMA_MODEL || 'llama3.2',
+  provider: process.env.AI_PROVIDER,
+  providers: {
+    ollama: {
+      // Use 127.0.0.1 instead of localhost to avoid IPv6 issues on Windows
+      baseUrl: process.env.OLLAMA_BASE_URL || 'http://127.0.0.1:11434',
+      model: process.env.OLLAMA_MODEL || 'llama3.2',
+      timeoutMs: 300000, // 5 minutes timeout for model generation
+    },
+    groq: {
+      apiKey: process.env.GROQ_API_KEY,
+      model: process.env.GROQ_MODEL || 'llama-3.1-70b-versatile',
+    },
+    // Any server exposing the OpenAI chat completions API (llama.cpp server, vLLM, ...)
+    openai: {
+      baseUrl: process.env.OPENAI_BASE_URL || 'http://127.0.0.1:8080/v1',
+      apiKey: process.env.OPENAI_API_KEY,
+      model: process.env.OPENAI_MODEL || 'default',
+      timeoutMs: 300000,
+    },
+    // Deterministic offline completions for tests (no model required)
+    mock: {
+      model: 'mock',
+      fixturesPath: process.env.AI_MOCK_FIXTURES,
+      latencyMs: parseInt(process.env.AI_MOCK_LATENCY_MS || '0', 10),
+      streamDelayMs: parseInt(process.env.AI_MOCK_STREAM_DELAY_MS || '0', 10),
+    },
+  },
+  // Providers tried in order after the task's provider fails (comma-separated names)
+  fallbackProviders: (process.env.AI_FALLBACK_PROVIDERS || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean),
+  retry: {
+    retries: parseInt(process.env.AI_RETRIES || '2', 10),
+    baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS || '500', 10),
+    maxDelayMs: parseInt(process.env.AI_RETRY_MAX_DELAY_MS || '8000', 10),
+  },
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.AI_CIRCUIT_FAILURE_THRESHOLD || '5', 10),
+    resetTimeoutMs: parseInt(process.env.AI_CIRCUIT_RESET_MS || '30000', 10),
   },
-  production: {
-    provider: 'groq',
-    apiKey: process.env.GROQ_API_KEY,
-    model: process.env.GROQ_MODEL || 'llama-3.1-70b-versatile',
-    // Note: Groq doesn't have native embedding endpoints, 
-    // we'll use text generation to simulate embeddings
+  // Fall back to deterministic keyword tags when no provider can tag
+  offlineTagger: process.env.AI_OFFLINE_TAGGER !== 'false',
+  // Per-task overrides; unset values fall back to the default provider and its model
+  tasks: {
+    tagging: {
+      provider: process.env.AI_TAGGING_PROVIDER,
+      model: process.env.AI_TAGGING_MODEL,
+    },
+    queryRewrite: {
+      provider: process.env.AI_QUERY_REWRITE_PROVIDER,
+      model: process.env.AI_QUERY_REWRITE_MODEL,
+    },
+    answer: {
+      provider: process.env.AI_ANSWER_PROVIDER,
+      model: process.env.AI_ANSWER_MODEL,
+    },
+    summarize: {
+      provider: process.env.AI_SUMMARIZE_PROVIDER,
+      model: process.env.AI_SUMMARIZE_MODEL,
+    },
   },
 };
 
 const getAIConfig = () => {
-  const env = process.env.NODE_ENV || 'development';
-  const config = AI_CONFIG[env];
-  
-  logger.info(`Using AI provider: ${config.provider} (${env})`);
-  
-  return config;
+  let provider = AI_CONFIG.provider;
+
+  if (!provider) {
+    const env = process.env.NODE_ENV || 'development';
+    provider = LEGACY_PROVIDERS[env] || LEGACY_PROVIDERS.development;
+    logger.warn(
+      `AI_PROVIDER is not set; selecting "${provider}" from NODE_ENV=${env}. This fallback is deprecated, set AI_PROVIDER explicitly.`
+    );
+  }
+
+  const tasks = {};
+  AI_TASKS.forEach((task) => {
+    const route = AI_CONFIG.tasks[task] || {};
+    tasks[task] = {
+      provider: route.provider || provider,
+      model: route.model || null,
+    };
+  });
+
+  logger.info(`Using AI provider: ${provider}`);
+
+  return {
+    provider,
+    providers: AI_CONFIG.providers,
+    fallbackProviders: AI_CONFIG.fallbackProviders,
+    retry: AI_CONFIG.retry,
+    circuitBreaker: AI_CONFIG.circuitBreaker,
+    offlineTagger: AI_CONFIG.offlineTagger,
+    tasks,
+  };
 };
 
 module.exports = {
   AI_CONFIG,
+  AI_TASKS,
   getAIConfig,
 };
-
@@ -0,0 +1,38 @@
+const logger = require('../utils/logger');
+
+/**
+ * Authentication Configuration
+ * JWT sessions for people, long-lived API keys for scripts and integrations
+ */
+
+// Only used outside production when JWT_SECRET is not set
+const DEVELOPMENT_JWT_SECRET = 'development-only-jwt-secret';
+
+const AUTH_CONFIG = {
+  jwtSecret: process.env.JWT_SECRET,
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '7d',
+  bcryptRounds: parseInt(process.env.BCRYPT_ROUNDS || '10', 10),
+  // Allow anyone to create a reader account through POST /api/auth/register
+  openRegistration: process.env.AUTH_OPEN_REGISTRATION === 'true',
+  // Shown at the start of every API key so leaked keys are easy to recognise
+  apiKeyPrefix: 'thr_',
+};
+
+const getAuthConfig = () => {
+  let { jwtSecret } = AUTH_CONFIG;
+
+  if (!jwtSecret) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set in production');
+    }
+    logger.warn('JWT_SECRET is not set; using an insecure development secret');
+    jwtSecret = DEVELOPMENT_JWT_SECRET;
+  }
+
+  return { ...AUTH_CONFIG, jwtSecret };
+};
+
+module.exports = {
+  AUTH_CONFIG,
+  getAuthConfig,
+};
@@ -0,0 +1,19 @@
+/**
+ * Import Configuration
+ * Bulk imports from CSV, JSON Lines, BibTeX and RIS exports
+ */
+
+const IMPORT_CONFIG = {
+  // Largest file accepted by POST /api/theses/import (the CLI has no limit)
+  maxUploadBytes: parseInt(process.env.IMPORT_MAX_MB || '10', 10) * 1024 * 1024,
+  // Records per background job; each job is retried and reports progress on
+  // its own, so small jobs keep a failed attempt (and its retry) short
+  recordsPerJob: parseInt(process.env.IMPORT_RECORDS_PER_JOB || '50', 10),
+};
+
+const getImportConfig = () => IMPORT_CONFIG;
+
+module.exports = {
+  IMPORT_CONFIG,
+  getImportConfig,
+};
@@ -0,0 +1,33 @@
+/**
+ * Job Queue Configuration
+ * Background jobs (e.g. asynchronous thesis creation) are stored in MongoDB
+ * and processed by workers in the server process or `npm run jobs:work`
+ */
+
+const JOBS_CONFIG = {
+  // How often the in-process worker looks for queued jobs (0 disables it,
+  // e.g. on serverless hosts where `npm run jobs:work` runs from a cron job instead)
+  pollIntervalMs: parseInt(process.env.JOBS_POLL_INTERVAL_MS || '2000', 10),
+  // Jobs a worker runs at once
+  concurrency: parseInt(process.env.JOB_CONCURRENCY || '2', 10),
+  // Theses of one job embedded and tagged at once
+  itemConcurrency: parseInt(process.env.JOB_ITEM_CONCURRENCY || '4', 10),
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '3', 10),
+  // Delay before the first retry, doubled for each further attempt
+  retryBaseDelayMs: parseInt(process.env.JOB_RETRY_BASE_DELAY_MS || '5000', 10),
+  // A running job not finished after this long is assumed abandoned and run again
+  lockTimeoutMs: parseInt(process.env.JOB_LOCK_TIMEOUT_MS || String(10 * 60 * 1000), 10),
+  // Whether anything runs queued jobs: serverless hosts (Vercel) have no
+  // in-process worker, so jobs are refused there unless JOBS_WORKER=external
+  // says `npm run jobs:work` runs from a scheduled job
+  workerAvailable: !process.env.VERCEL || process.env.JOBS_WORKER === 'external',
+  // Finished jobs are deleted after this many days
+  retentionDays: parseInt(process.env.JOB_RETENTION_DAYS || '7', 10),
+};
+
+const getJobsConfig = () => JOBS_CONFIG;
+
+module.exports = {
+  JOBS_CONFIG,
+  getJobsConfig,
+};
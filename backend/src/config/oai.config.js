@@ -0,0 +1,24 @@
+/**
+ * OAI-PMH Configuration
+ * How the repository describes itself to harvesters (GET /oai?verb=Identify)
+ */
+
+const OAI_CONFIG = {
+  repositoryName: process.env.OAI_REPOSITORY_NAME || 'AI-Powered Thesis Repository',
+  // Domain-style name used in record identifiers (oai:<repositoryIdentifier>:<thesis id>)
+  repositoryIdentifier: process.env.OAI_REPOSITORY_IDENTIFIER || 'thesis-repository.example.edu',
+  adminEmail: process.env.OAI_ADMIN_EMAIL || 'admin@example.edu',
+  // Public URL of the endpoint; derived from the request when unset
+  baseUrl: process.env.OAI_BASE_URL,
+  // Records (or headers) per ListRecords/ListIdentifiers response before a resumption token
+  pageSize: parseInt(process.env.OAI_PAGE_SIZE || '100', 10),
+  // Thesis pages of the frontend are listed as record identifiers when set
+  frontendUrl: process.env.FRONTEND_URL,
+};
+
+const getOaiConfig = () => OAI_CONFIG;
+
+module.exports = {
+  OAI_CONFIG,
+  getOaiConfig,
+};
@@ -0,0 +1,24 @@
+/**
+ * Rerank Configuration
+ * Optional cross-encoder stage that rescores the top search results
+ */
+
+const RERANK_CONFIG = {
+  enabled: process.env.RERANK_ENABLED !== 'false',
+  // Any sequence-classification cross-encoder in ONNX format
+  model: process.env.RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2',
+  // Candidates rescored when a request does not set rerankTopN
+  defaultTopN: parseInt(process.env.RERANK_TOP_N || '20', 10),
+  maxTopN: 100,
+  // Query-document pairs per forward pass
+  batchSize: parseInt(process.env.RERANK_BATCH_SIZE || '16', 10),
+  // Document text is cut to this many characters before tokenization
+  maxDocumentChars: 2000,
+};
+
+const getRerankConfig = () => RERANK_CONFIG;
+
+module.exports = {
+  RERANK_CONFIG,
+  getRerankConfig,
+};
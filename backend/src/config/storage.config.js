@@ -0,0 +1,21 @@
+const path = require('path');
+
+/**
+ * File Storage Configuration
+ * Uploaded PDFs are kept on local disk or in MongoDB GridFS
+ */
+
+const STORAGE_CONFIG = {
+  // 'local' or 'gridfs' (use gridfs on serverless hosts without a persistent disk)
+  driver: process.env.FILE_STORAGE || 'local',
+  uploadDir: process.env.UPLOAD_DIR || path.join(__dirname, '../../uploads'),
+  gridfsBucket: process.env.GRIDFS_BUCKET || 'thesisFiles',
+  maxUploadBytes: parseInt(process.env.MAX_UPLOAD_MB || '25', 10) * 1024 * 1024,
+};
+
+const getStorageConfig = () => STORAGE_CONFIG;
+
+module.exports = {
+  STORAGE_CONFIG,
+  getStorageConfig,
+};
@@ -0,0 +1,18 @@
+/**
+ * Trash Configuration
+ * Deleted theses are kept in the trash for a retention period, then purged
+ */
+
+const TRASH_CONFIG = {
+  retentionDays: parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10),
+  // How often the server purges expired theses (0 disables the in-process schedule,
+  // e.g. on serverless hosts where `npm run purge:trash` runs from a cron job instead)
+  purgeIntervalMs: parseInt(process.env.TRASH_PURGE_INTERVAL_MS || String(6 * 60 * 60 * 1000), 10),
+};
+
+const getTrashConfig = () => TRASH_CONFIG;
+
+module.exports = {
+  TRASH_CONFIG,
+  getTrashConfig,
+};
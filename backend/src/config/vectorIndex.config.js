@@ -0,0 +1,29 @@
+const path = require('path');
+
+/**
+ * Vector Index Configuration
+ * In-process HNSW index used when Atlas Vector Search is unavailable
+ */
+
+const VECTOR_INDEX_CONFIG = {
+  enabled: process.env.VECTOR_INDEX_ENABLED !== 'false',
+  // Directory for index snapshots (use /tmp on read-only serverless filesystems)
+  snapshotDir: process.env.VECTOR_INDEX_DIR || path.join(__dirname, '../../data/vector-index'),
+  // Delay before writing a snapshot after the index changes
+  snapshotDebounceMs: parseInt(process.env.VECTOR_INDEX_SNAPSHOT_DEBOUNCE_MS || '5000', 10),
+  dimensions: 384,
+  // Graph degree: higher improves recall at the cost of memory and build time
+  m: parseInt(process.env.HNSW_M || '16', 10),
+  efConstruction: parseInt(process.env.HNSW_EF_CONSTRUCTION || '100', 10),
+  // Default search beam width: the recall/latency knob (overridable per request)
+  efSearch: parseInt(process.env.HNSW_EF_SEARCH || '100', 10),
+  // Rebuild the graph once this share of nodes are deleted
+  maxTombstoneRatio: parseFloat(process.env.HNSW_MAX_TOMBSTONE_RATIO || '0.2'),
+};
+
+const getVectorIndexConfig = () => VECTOR_INDEX_CONFIG;
+
+module.exports = {
+  VECTOR_INDEX_CONFIG,
+  getVectorIndexConfig,
+};
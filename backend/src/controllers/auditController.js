@@ -0,0 +1,38 @@
+const auditService = require('../services/auditService');
+const logger = require('../utils/logger');
+
+/**
+ * Audit Controller - Read access to the audit log
+ */
+
+/**
+ * List audit events, most recent first
+ * Filters: action, thesis, actor, requestId, from, to
+ * @route GET /api/audit
+ */
+exports.getAuditEvents = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const { action, thesis, actor, requestId, from, to } = req.query;
+
+    const { events, total } = await auditService.list(
+      { action, thesis, actor, requestId, from, to },
+      { page, limit }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: events,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error fetching audit events: ${error.message}`);
+    next(error);
+  }
+};
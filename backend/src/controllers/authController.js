@@ -0,0 +1,219 @@
+const authService = require('../services/authService');
+const logger = require('../utils/logger');
+
+/**
+ * Auth Controller - Accounts, sessions and API keys
+ */
+
+/**
+ * Register a reader account (when open registration is enabled)
+ * @route POST /api/auth/register
+ */
+exports.register = async (req, res, next) => {
+  try {
+    if (!authService.config.openRegistration) {
+      return res.status(403).json({
+        success: false,
+        message: 'Registration is closed; ask an administrator for an account',
+      });
+    }
+
+    const { email, name, password } = req.body;
+
+    logger.info(`Registering account: ${email}`);
+
+    // Self-registered accounts always start as readers
+    const user = await authService.createUser({ email, name, password, role: 'reader' });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: {
+        user: user.toCleanJSON(),
+        token: authService.issueToken(user),
+      },
+    });
+  } catch (error) {
+    logger.error(`Error registering account: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Log in with email and password
+ * @route POST /api/auth/login
+ */
+exports.login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+
+    logger.info(`Login attempt: ${email}`);
+
+    const { user, token } = await authService.login(email, password);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        user: user.toCleanJSON(),
+        token,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error logging in: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Get the authenticated user
+ * @route GET /api/auth/me
+ */
+exports.getMe = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: req.user.toCleanJSON(),
+    });
+  } catch (error) {
+    logger.error(`Error fetching current user: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List the authenticated user's API keys
+ * @route GET /api/auth/api-keys
+ */
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const apiKeys = await authService.listApiKeys(req.user);
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys,
+      count: apiKeys.length,
+    });
+  } catch (error) {
+    logger.error(`Error listing API keys: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create an API key for the authenticated user
+ * The full key is only returned in this response.
+ * @route POST /api/auth/api-keys
+ */
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const { name, role, expiresAt } = req.body;
+
+    const { apiKey, key } = await authService.createApiKey(req.user, {
+      name,
+      role,
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created; store it now, it will not be shown again',
+      data: {
+        ...apiKey.toObject(),
+        keyHash: undefined,
+        key,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error creating API key: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Revoke an API key
+ * @route DELETE /api/auth/api-keys/:id
+ */
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await authService.revokeApiKey(req.user, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'API key revoked',
+      data: apiKey,
+    });
+  } catch (error) {
+    logger.error(`Error revoking API key: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * List all accounts
+ * @route GET /api/auth/users
+ */
+exports.getUsers = async (req, res, next) => {
+  try {
+    const users = await authService.listUsers();
+
+    res.status(200).json({
+      success: true,
+      data: users.map((user) => user.toCleanJSON()),
+      count: users.length,
+    });
+  } catch (error) {
+    logger.error(`Error listing users: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create an account with any role
+ * @route POST /api/auth/users
+ */
+exports.createUser = async (req, res, next) => {
+  try {
+    const { email, name, password, role } = req.body;
+
+    const user = await authService.createUser({ email, name, password, role });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: user.toCleanJSON(),
+    });
+  } catch (error) {
+    logger.error(`Error creating account: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Change an account's role, name or active flag
+ * @route PATCH /api/auth/users/:id
+ */
+exports.updateUser = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { role, active, name } = req.body;
+
+    // Keep at least one way back in: admins can't demote or disable themselves
+    if (String(req.user._id) === id && ((role && role !== req.user.role) || active === false)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot change your own role or deactivate your own account',
+      });
+    }
+
+    const user = await authService.updateUser(id, { role, active, name });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account updated successfully',
+      data: user.toCleanJSON(),
+    });
+  } catch (error) {
+    logger.error(`Error updating account: ${error.message}`);
+    next(error);
+  }
+};
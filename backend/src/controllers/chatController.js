@@ -1,4 +1,6 @@
 const chatService = require('../services/chatService');
+const aiService = require('../services/aiService');
+const { getProviderNames } = require('../services/providers');
 const logger = require('../utils/logger');
 
 /**
@@ -11,7 +13,7 @@ const logger = require('../utils/logger');
  */
 exports.chat = async (req, res, next) => {
   try {
-    const { message, conversationHistory = [], topK = 3 } = req.body;
+    const { message, conversationHistory = [], topK = 3, mmr = false, mmrLambda } = req.body;
 
     // Validate input
     if (!message || typeof message !== 'string') {
@@ -26,6 +28,8 @@ exports.chat = async (req, res, next) => {
     const response = await chatService.processMessage(message, {
       conversationHistory,
       topK: parseInt(topK),
+      mmr: Boolean(mmr),
+      mmrLambda,
     });
 
     res.status(200).json({
@@ -38,6 +42,73 @@ exports.chat = async (req, res, next) => {
   }
 };
 
+// Comment lines keep idle proxies from closing the event stream
+const SSE_HEARTBEAT_MS = 15000;
+
+/**
+ * Write a Server-Sent Event to the response
+ * @param {object} res - Express response
+ * @param {string} event - Event name
+ * @param {object} data - JSON payload
+ */
+const writeEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Process a chat message, streaming the answer as Server-Sent Events
+ * Events: query, sources, token (repeated), done — or error on failure.
+ * @route POST /api/chat/stream
+ */
+exports.chatStream = async (req, res) => {
+  const { message, conversationHistory = [], topK = 3, mmr = false, mmrLambda } = req.body;
+
+  logger.info(`Chat stream request: "${message.substring(0, 50)}..."`);
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  // Stop generating as soon as the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+  try {
+    const events = chatService.streamMessage(message, {
+      conversationHistory,
+      topK: parseInt(topK, 10),
+      mmr: Boolean(mmr),
+      mmrLambda,
+      signal: controller.signal,
+    });
+
+    for await (const { event, data } of events) {
+      if (controller.signal.aborted) break;
+      writeEvent(res, event, data);
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info('Chat stream closed by client');
+    } else {
+      logger.error(`Error streaming chat: ${error.message}`);
+      writeEvent(res, 'error', { message: error.message });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+};
+
 /**
  * Get suggested questions
  * @route GET /api/chat/suggestions
@@ -58,6 +129,39 @@ exports.getSuggestions = async (req, res, next) => {
   }
 };
 
+/**
+ * List the models available from an AI provider
+ * @route GET /api/chat/models
+ */
+exports.getModels = async (req, res, next) => {
+  try {
+    const provider = req.query.provider || aiService.config.provider;
+
+    if (!getProviderNames().includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown AI provider: ${provider}`,
+      });
+    }
+
+    logger.info(`Listing models for AI provider: ${provider}`);
+
+    const models = await aiService.listModels(provider);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        provider,
+        models,
+        routing: aiService.getRouting(),
+      },
+    });
+  } catch (error) {
+    logger.error(`Error listing models: ${error.message}`);
+    next(error);
+  }
+};
+
 /**
  * Get AI summary of a specific thesis
  * @route GET /api/chat/summarize/:id
@@ -0,0 +1,33 @@
+const Job = require('../models/Job');
+const logger = require('../utils/logger');
+
+/**
+ * Job Controller - Status of background jobs
+ */
+
+/**
+ * Get the status, progress and result of a job
+ * Visible to the user who queued it and to curators.
+ * @route GET /api/jobs/:id
+ */
+exports.getJob = async (req, res, next) => {
+  try {
+    const job = await Job.findById(req.params.id);
+
+    const isOwner = job && job.createdBy && job.createdBy.equals(req.user._id);
+    if (!job || !(isOwner || req.user.hasRole('curator'))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: job.toStatusJSON(),
+    });
+  } catch (error) {
+    logger.error(`Error fetching job: ${error.message}`);
+    next(error);
+  }
+};
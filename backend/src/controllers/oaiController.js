@@ -0,0 +1,28 @@
+const oaiService = require('../services/oaiService');
+const logger = require('../utils/logger');
+
+/**
+ * OAI-PMH Controller - Harvesting endpoint for aggregators
+ */
+
+/**
+ * Answer an OAI-PMH request (arguments in the query string, or a form body for POST)
+ * Protocol errors are XML responses with status 200, as OAI-PMH requires.
+ * @route GET /oai, POST /oai
+ */
+exports.handleRequest = async (req, res, next) => {
+  try {
+    const params = req.method === 'POST' ? req.body || {} : req.query;
+    const baseUrl = oaiService.config.baseUrl || `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+
+    logger.info(`OAI-PMH request: ${params.verb}`);
+
+    const xml = await oaiService.handle(params, { baseUrl });
+
+    res.set('Content-Type', 'text/xml; charset=utf-8');
+    res.status(200).send(xml);
+  } catch (error) {
+    logger.error(`Error in OAI-PMH request: ${error.message}`);
+    next(error);
+  }
+};
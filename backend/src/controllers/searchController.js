@@ -1,17 +1,115 @@
+const mongoose = require('mongoose');
 const searchService = require('../services/searchService');
+const snippetService = require('../services/snippetService');
+const exportService = require('../services/exportService');
+const { searchKey, encodeCursor, readCursor } = require('../utils/searchCursor');
 const logger = require('../utils/logger');
 
 /**
  * Search Controller - Handles search operations
+ * Every search is paginated: pass the `nextCursor` of a response as
+ * `cursor` (with the same search parameters) to get the next page.
  */
 
+/**
+ * Fetch one page of a ranked (query) search
+ * Each result carries a `highlight` snippet explaining the match.
+ * @param {string} query - Search query text
+ * @param {object} options - facetedSearch options (limit, threshold, mode, filters, ...)
+ * @param {string} cursor - Cursor from the previous page, if any
+ * @returns {Promise<{results: Array, facets: object, rerank: object, mmr: object, pagination: object}>}
+ */
+const rankedPage = async (query, options, cursor) => {
+  const key = searchKey({
+    query,
+    mode: options.mode,
+    threshold: options.threshold,
+    filters: options.filters,
+    rerank: options.rerank ? options.rerankTopN || true : false,
+    mmr: options.mmr ? (options.mmrLambda !== undefined ? options.mmrLambda : true) : false,
+  });
+  const position = readCursor(
+    cursor,
+    key,
+    ({ offset }) => Number.isInteger(offset) && offset > 0 && offset < searchService.MAX_RANKED_RESULTS
+  );
+  const offset = position ? position.offset : 0;
+
+  const { results, facets, total, estimated, hasMore, rerank, mmr } = await searchService.facetedSearch(query, {
+    ...options,
+    offset,
+  });
+
+  return {
+    results: await snippetService.highlight(query, results, { semantic: options.mode !== 'keyword' }),
+    facets,
+    rerank,
+    mmr,
+    pagination: {
+      limit: options.limit,
+      offset,
+      total,
+      estimated,
+      nextCursor: hasMore ? encodeCursor({ key, offset: offset + results.length }) : null,
+    },
+  };
+};
+
+/**
+ * Fetch one page of a filter-only search (newest first)
+ * @param {object} filters - Search filters
+ * @param {number} limit - Page size
+ * @param {string} cursor - Cursor from the previous page, if any
+ * @returns {Promise<{results: Array, facets: object, pagination: object}>}
+ */
+const filterPage = async (filters, limit, cursor) => {
+  const key = searchKey({ filters });
+  const position = readCursor(
+    cursor,
+    key,
+    ({ id, createdAt }) => mongoose.isValidObjectId(id) && !isNaN(Date.parse(createdAt))
+  );
+  const after = position
+    ? { createdAt: new Date(position.createdAt), _id: new mongoose.Types.ObjectId(position.id) }
+    : undefined;
+
+  const { results, facets, total, hasMore } = await searchService.filterTheses(filters, { limit, after });
+  const last = results[results.length - 1];
+
+  return {
+    results,
+    facets,
+    pagination: {
+      limit,
+      total,
+      estimated: false,
+      nextCursor: hasMore ? encodeCursor({ key, createdAt: last.createdAt, id: String(last._id) }) : null,
+    },
+  };
+};
+
 /**
  * Perform semantic search
+ * `filters` narrow retrieval; facet counts describe the top results.
+ * `rerank` rescores the top `rerankTopN` results with the cross-encoder;
+ * `mmr` diversifies them (`mmrLambda`: 1 = relevance only, 0 = novelty only).
  * @route POST /api/search/semantic
  */
 exports.semanticSearch = async (req, res, next) => {
   try {
-    const { query, limit = 10, threshold = 0.5 } = req.body;
+    const {
+      query,
+      limit = 10,
+      threshold = 0.5,
+      mode = 'semantic',
+      efSearch,
+      filters = {},
+      rerank = false,
+      rerankTopN,
+      mmr = false,
+      mmrLambda,
+      cursor,
+    } = req.body;
 
     // Validate input
     if (!query || typeof query !== 'string') {
@@ -21,18 +119,35 @@ exports.semanticSearch = async (req, res, next) => {
       });
     }
 
-    logger.info(`Semantic search request: "${query}"`);
+    logger.info(`Semantic search request (${mode}): "${query}"`);
 
-    const results = await searchService.semanticSearch(query, {
-      limit: parseInt(limit),
-      threshold: parseFloat(threshold),
-    });
+    const page = await rankedPage(
+      query,
+      {
+        limit: parseInt(limit, 10),
+        threshold: parseFloat(threshold),
+        mode,
+        efSearch: efSearch !== undefined ? parseInt(efSearch, 10) : undefined,
+        filters,
+        rerank: Boolean(rerank),
+        rerankTopN: rerankTopN !== undefined ? parseInt(rerankTopN, 10) : undefined,
+        mmr: Boolean(mmr),
+        mmrLambda: mmrLambda !== undefined ? parseFloat(mmrLambda) : undefined,
+      },
+      cursor
+    );
 
     res.status(200).json({
       success: true,
       query,
-      data: results,
-      count: results.length,
+      mode,
+      filters,
+      data: page.results,
+      count: page.results.length,
+      facets: page.facets,
+      rerank: page.rerank,
+      mmr: page.mmr,
+      pagination: page.pagination,
     });
   } catch (error) {
     logger.error(`Error in semantic search: ${error.message}`);
@@ -41,12 +156,12 @@ exports.semanticSearch = async (req, res, next) => {
 };
 
 /**
- * Search by multiple tags (AND/OR logic)
+ * Search by multiple tags (AND/OR logic), optionally with other filters
  * @route POST /api/search/tags
  */
 exports.searchByTags = async (req, res, next) => {
   try {
-    const { tags, operator = 'OR', limit = 10 } = req.body;
+    const { tags, operator = 'OR', limit = 10, filters = {}, cursor } = req.body;
 
     if (!tags || !Array.isArray(tags) || tags.length === 0) {
       return res.status(400).json({
@@ -57,26 +172,18 @@ exports.searchByTags = async (req, res, next) => {
 
     logger.info(`Tag search request: ${tags.join(', ')} (${operator})`);
 
-    const Thesis = require('../models/Thesis');
-
-    let query;
-    if (operator === 'AND') {
-      // All tags must be present
-      query = { tags: { $all: tags } };
-    } else {
-      // Any tag can be present
-      query = { tags: { $in: tags } };
-    }
-
-    const results = await Thesis.find(query)
-      .select('-embeddings')
-      .limit(parseInt(limit))
-      .sort({ createdAt: -1 });
+    const { results, facets, pagination } = await filterPage(
+      { ...filters, tags, tagOperator: operator },
+      parseInt(limit, 10),
+      cursor
+    );
 
     res.status(200).json({
       success: true,
       data: results,
       count: results.length,
+      facets,
+      pagination,
       searchParams: { tags, operator },
     });
   } catch (error) {
@@ -87,11 +194,24 @@ exports.searchByTags = async (req, res, next) => {
 
 /**
  * Combined search (text + tags)
+ * Tags are a retrieval filter, so every match is found however far down
+ * the semantic ranking it would otherwise be.
  * @route POST /api/search/combined
  */
 exports.combinedSearch = async (req, res, next) => {
   try {
-    const { query, tags, limit = 10 } = req.body;
+    const {
+      query,
+      tags,
+      operator = 'OR',
+      limit = 10,
+      filters = {},
+      rerank = false,
+      rerankTopN,
+      mmr = false,
+      mmrLambda,
+      cursor,
+    } = req.body;
 
     if (!query && (!tags || tags.length === 0)) {
       return res.status(400).json({
@@ -102,29 +222,31 @@ exports.combinedSearch = async (req, res, next) => {
 
     logger.info('Combined search request');
 
-    let results;
-
-    if (query && tags && tags.length > 0) {
-      // Semantic search first
-      const semanticResults = await searchService.semanticSearch(query, { limit: 50 });
-      
-      // Filter by tags
-      results = semanticResults
-        .filter((thesis) => tags.some((tag) => thesis.tags.includes(tag)))
-        .slice(0, limit);
-    } else if (query) {
-      results = await searchService.semanticSearch(query, { limit });
-    } else {
-      const Thesis = require('../models/Thesis');
-      results = await Thesis.find({ tags: { $in: tags } })
-        .select('-embeddings')
-        .limit(limit);
-    }
+    const criteria = tags && tags.length > 0 ? { ...filters, tags, tagOperator: operator } : filters;
+
+    const page = query
+      ? await rankedPage(
+          query,
+          {
+            limit: parseInt(limit, 10),
+            filters: criteria,
+            rerank: Boolean(rerank),
+            rerankTopN: rerankTopN !== undefined ? parseInt(rerankTopN, 10) : undefined,
+            mmr: Boolean(mmr),
+            mmrLambda: mmrLambda !== undefined ? parseFloat(mmrLambda) : undefined,
+          },
+          cursor
+        )
+      : await filterPage(criteria, parseInt(limit, 10), cursor);
 
     res.status(200).json({
       success: true,
-      data: results,
-      count: results.length,
+      data: page.results,
+      count: page.results.length,
+      facets: page.facets,
+      rerank: page.rerank || null,
+      mmr: page.mmr || null,
+      pagination: page.pagination,
     });
   } catch (error) {
     logger.error(`Error in combined search: ${error.message}`);
@@ -132,3 +254,35 @@ exports.combinedSearch = async (req, res, next) => {
   }
 };
 
+/**
+ * Export the results of a search or tag query
+ * Same criteria as the combined search; without a query or tags every
+ * thesis matching the filters is exported, up to the export limit.
+ * @route POST /api/search/export
+ */
+exports.exportSearch = async (req, res, next) => {
+  try {
+    const { format, query, mode, threshold, tags, operator = 'OR', filters = {}, limit, embeddings } = req.body;
+
+    logger.info(`Search export request (${format})`);
+
+    const criteria = tags && tags.length > 0 ? { ...filters, tags, tagOperator: operator } : filters;
+    const options = { embeddings: String(embeddings) === 'true' };
+
+    const theses = await exportService.searchTheses(
+      {
+        query: query && query.trim() ? query : undefined,
+        mode,
+        threshold: threshold !== undefined ? parseFloat(threshold) : undefined,
+        filters: criteria,
+        limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+      },
+      options
+    );
+
+    exportService.send(res, exportService.render(theses, format, { ...options, filename: 'theses' }));
+  } catch (error) {
+    logger.error(`Error in search export: ${error.message}`);
+    next(error);
+  }
+};
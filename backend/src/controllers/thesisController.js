@@ -1,13 +1,127 @@
 const Thesis = require('../models/Thesis');
+const { STATUS_ACTIONS } = require('../models/Thesis');
 const embeddingService = require('../services/embeddingService');
 const tagService = require('../services/tagService');
 const searchService = require('../services/searchService');
+const vectorIndexService = require('../services/vectorIndexService');
+const chunkService = require('../services/chunkService');
+const pdfService = require('../services/pdfService');
+const storageService = require('../services/storageService');
+const trashService = require('../services/trashService');
+const auditService = require('../services/auditService');
+const ingestService = require('../services/ingestService');
+const jobService = require('../services/jobService');
+const importService = require('../services/importService');
+const exportService = require('../services/exportService');
+const citationService = require('../services/citationService');
+const { EMBEDDED_FIELDS } = require('../services/embeddingService');
+const { pickMetadata, pickMetadataUpdate } = require('../utils/thesisMetadata');
+const { detectFormat } = require('../utils/importFormats');
 const logger = require('../utils/logger');
 
 /**
  * Thesis Controller - Handles CRUD operations for theses
  */
 
+/**
+ * Resolve the status a new thesis starts in
+ * Theses start as drafts; anyone may submit straight for review, and
+ * curators may publish immediately (e.g. when importing a catalogue).
+ * @param {object} user - Authenticated user
+ * @param {string} requested - Requested status, if any
+ * @returns {string|null} Status, or null if the user may not use it
+ */
+const initialStatus = (user, requested = 'draft') => {
+  if (requested === 'published' && !user.hasRole('curator')) {
+    return null;
+  }
+  return requested;
+};
+
+/**
+ * Whether a user takes part in reviewing a thesis (its submitter or a curator)
+ * @param {object} user - Authenticated user (or undefined)
+ * @param {Thesis} thesis - Thesis
+ * @returns {boolean}
+ */
+const isReviewer = (user, thesis) => thesis.isOwnedBy(user) || Boolean(user && user.hasRole('curator'));
+
+/**
+ * Build a Content-Disposition header value for a file name
+ * Gives an ASCII `filename` for old clients and the exact UTF-8 name in
+ * `filename*` (RFC 5987).
+ * @param {string} type - Disposition type (inline or attachment)
+ * @param {string} filename - File name
+ * @returns {string} Header value
+ */
+const contentDisposition = (type, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '');
+  const encoded = encodeURIComponent(filename).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+};
+
+/**
+ * Build the listing filter for the caller
+ * The public sees published theses. `mine=true` lists the caller's own
+ * theses in every state; curators may list any `status` (e.g. the pending
+ * review queue).
+ * @param {object} req - Express request
+ * @returns {object} MongoDB filter
+ */
+const listFilter = (req) => {
+  const { status, mine } = req.query;
+  const filter = { deletedAt: null };
+
+  if (mine === 'true' && req.user) {
+    filter.submittedBy = req.user._id;
+  }
+
+  if (status && (filter.submittedBy || (req.user && req.user.hasRole('curator')))) {
+    filter.status = status;
+  } else if (!filter.submittedBy) {
+    Object.assign(filter, Thesis.publicFilter());
+  }
+
+  return filter;
+};
+
+const PUBLISH_FORBIDDEN = {
+  success: false,
+  message: 'Only curators can publish theses directly',
+};
+
+const JOBS_UNAVAILABLE = {
+  success: false,
+  message: 'Background jobs are not available on this deployment; send the request without async=true',
+};
+
+/**
+ * Reference to a queued job for API responses
+ * @param {Job} job - Queued job
+ * @returns {{jobId: ObjectId, status: string, statusUrl: string}}
+ */
+const jobReference = (job) => ({
+  jobId: job._id,
+  status: job.status,
+  statusUrl: `/api/jobs/${job._id}`,
+});
+
+/**
+ * Respond 202 Accepted for a queued job
+ * @param {object} res - Express response
+ * @param {Job} job - Queued job
+ * @param {string} message - Response message
+ */
+const sendAccepted = (res, job, message) => {
+  const data = jobReference(job);
+
+  res.status(202).location(data.statusUrl).json({
+    success: true,
+    message,
+    data,
+  });
+};
+
 /**
  * Create a new thesis
  * @route POST /api/theses
@@ -24,32 +138,269 @@ exports.createThesis = async (req, res, next) => {
       });
     }
 
+    const metadata = pickMetadata(req.body);
+
+    const status = initialStatus(req.user, req.body.status);
+    if (!status) {
+      return res.status(403).json(PUBLISH_FORBIDDEN);
+    }
+
+    // Embed and tag in the background; the client polls the job
+    if (req.query.async === 'true') {
+      if (!jobService.isAvailable()) {
+        return res.status(503).json(JOBS_UNAVAILABLE);
+      }
+      const job = await ingestService.enqueue(req, [{ document: { title, abstract, ...metadata }, status }]);
+      return sendAccepted(res, job, 'Thesis creation queued');
+    }
+
     logger.info(`Creating new thesis: "${title}"`);
 
-    // Generate embeddings and tags in parallel
+    const thesis = await ingestService.createThesis(
+      { title, abstract, ...metadata },
+      { submittedBy: req.user._id, status, req }
+    );
+
+    logger.info(`Thesis created successfully with ID: ${thesis._id} (${status})`);
+
+    // Return response without embeddings (too large)
+    res.status(201).json({
+      success: true,
+      message: 'Thesis created successfully',
+      data: thesis.toCleanJSON(),
+    });
+  } catch (error) {
+    logger.error(`Error creating thesis: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Create a thesis from an uploaded PDF
+ * Title and abstract are extracted from the PDF when not provided.
+ * @route POST /api/theses/upload
+ */
+exports.uploadThesis = async (req, res, next) => {
+  let storedFile = null;
+
+  try {
+    const { originalname, mimetype, buffer } = req.file;
+
+    logger.info(`Processing uploaded PDF: "${originalname}"`);
+
+    const extraction = await pdfService.extract(buffer);
+    const title = (req.body.title || '').trim() || pdfService.guessTitle(extraction);
+    const abstract = (req.body.abstract || '').trim() || pdfService.guessAbstract(extraction);
+
+    if (!title || !abstract) {
+      return res.status(422).json({
+        success: false,
+        message: 'Could not extract a title and abstract from the PDF; please provide them',
+      });
+    }
+
+    const metadata = pickMetadata(req.body);
+
+    const status = initialStatus(req.user, req.body.status);
+    if (!status) {
+      return res.status(403).json(PUBLISH_FORBIDDEN);
+    }
+
+    storedFile = await storageService.save(buffer, {
+      filename: originalname,
+      contentType: mimetype,
+    });
+
     const [embeddings, tags] = await Promise.all([
-      embeddingService.generateEmbedding(title, abstract),
+      embeddingService.generateEmbedding(title, abstract, metadata),
       tagService.generateTags(title, abstract),
     ]);
 
-    // Create thesis document
     const thesis = await Thesis.create({
       title,
       abstract,
+      ...metadata,
       embeddings,
       tags,
+      fullText: extraction.text,
+      pages: extraction.pages,
+      file: { ...storedFile, pageCount: extraction.pageCount },
+      submittedBy: req.user._id,
+      status,
+      publishedAt: status === 'published' ? new Date() : undefined,
     });
 
-    logger.info(`Thesis created successfully with ID: ${thesis._id}`);
+    vectorIndexService.upsert(thesis._id, thesis.embeddings, thesis.updatedAt);
+    chunkService.scheduleIndexing(thesis._id);
+    await auditService.recordCreated(req, [thesis], { upload: thesis.file.filename });
+
+    logger.info(`Thesis created from PDF with ID: ${thesis._id}`);
 
-    // Return response without embeddings (too large)
     res.status(201).json({
       success: true,
       message: 'Thesis created successfully',
       data: thesis.toCleanJSON(),
     });
   } catch (error) {
-    logger.error(`Error creating thesis: ${error.message}`);
+    logger.error(`Error uploading thesis: ${error.message}`);
+    // Don't leave an orphaned file behind if the thesis wasn't saved
+    if (storedFile) {
+      storageService.remove(storedFile).catch(() => {});
+    }
+    next(error);
+  }
+};
+
+/**
+ * Bulk import theses from a CSV, JSONL, BibTeX or RIS file
+ * Rows are validated immediately; valid ones are created by background
+ * jobs that skip theses already in the repository. `dryRun=true` only
+ * reports what would be imported.
+ * @route POST /api/theses/import
+ */
+exports.importTheses = async (req, res, next) => {
+  try {
+    const { originalname, buffer } = req.file;
+    const format = req.body.format || detectFormat(originalname);
+
+    const status = initialStatus(req.user, req.body.status);
+    if (!status) {
+      return res.status(403).json(PUBLISH_FORBIDDEN);
+    }
+
+    logger.info(`Importing theses from "${originalname}" (${format})`);
+
+    const { records, invalid, duplicates } = importService.parse(buffer.toString('utf8'), format);
+    const report = {
+      format,
+      rows: records.length + invalid.length + duplicates.length,
+      valid: records.length,
+      invalid,
+      duplicates,
+    };
+
+    if (req.body.dryRun === 'true' || records.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: records.length === 0 ? 'No valid records to import' : `${records.length} theses ready to import`,
+        data: report,
+      });
+    }
+
+    if (!jobService.isAvailable()) {
+      return res.status(503).json({
+        success: false,
+        message: 'Imports run as background jobs, which are not available on this deployment; use `npm run import`',
+        data: report,
+      });
+    }
+
+    const jobs = await importService.enqueue(req, records, { status, format, filename: originalname });
+
+    res.status(202).location(jobReference(jobs[0]).statusUrl).json({
+      success: true,
+      message: `Import of ${records.length} theses queued`,
+      data: { ...report, jobs: jobs.map(jobReference) },
+    });
+  } catch (error) {
+    logger.error(`Error importing theses: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Download the PDF attached to a thesis
+ * @route GET /api/theses/:id/file
+ */
+exports.getThesisFile = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const thesis = await Thesis.findById(id).select('file status submittedBy deletedAt');
+
+    if (!thesis || !thesis.file || !thesis.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found',
+      });
+    }
+
+    const { file } = thesis;
+
+    res.set({
+      'Content-Type': file.contentType || 'application/pdf',
+      'Content-Length': file.size,
+      'Content-Disposition': contentDisposition('inline', file.filename || `${id}.pdf`),
+    });
+
+    const stream = storageService.openReadStream(file);
+    stream.on('error', (error) => {
+      logger.error(`Error streaming file for thesis ${id}: ${error.message}`);
+      if (!res.headersSent) {
+        next(error);
+      } else {
+        res.destroy(error);
+      }
+    });
+    stream.pipe(res);
+  } catch (error) {
+    logger.error(`Error fetching thesis file: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Export a thesis as a citation or data file
+ * @route GET /api/theses/:id/export?format=bibtex|ris|csl-json|csv|jsonl&embeddings=true
+ */
+exports.exportThesis = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { format } = req.query;
+    const embeddings = req.query.embeddings === 'true';
+
+    const thesis = await Thesis.findById(id).select(embeddings ? '' : '-embeddings');
+
+    if (!thesis || !thesis.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thesis not found',
+      });
+    }
+
+    logger.info(`Exporting thesis ${id} as ${format}`);
+
+    exportService.send(res, exportService.render([thesis.toObject()], format, { embeddings }));
+  } catch (error) {
+    logger.error(`Error exporting thesis: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Format a citation of a thesis
+ * @route GET /api/theses/:id/cite?style=apa|mla|ieee|chicago|harvard
+ */
+exports.citeThesis = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { style } = req.query;
+
+    const thesis = await Thesis.findById(id).select('-embeddings');
+
+    if (!thesis || !thesis.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thesis not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: style ? citationService.format(thesis, style) : citationService.formatAll(thesis),
+    });
+  } catch (error) {
+    logger.error(`Error formatting citation: ${error.message}`);
     next(error);
   }
 };
@@ -82,23 +433,54 @@ exports.createBatchTheses = async (req, res, next) => {
 
     logger.info(`Creating ${theses.length} theses in batch...`);
 
+    const documents = theses.map((thesis) => ({
+      title: thesis.title,
+      abstract: thesis.abstract,
+      ...pickMetadata(thesis),
+    }));
+    const statuses = theses.map((thesis) => initialStatus(req.user, thesis.status));
+
+    if (statuses.includes(null)) {
+      return res.status(403).json(PUBLISH_FORBIDDEN);
+    }
+
+    // Embed and tag in the background; the client polls the job
+    if (req.query.async === 'true') {
+      if (!jobService.isAvailable()) {
+        return res.status(503).json(JOBS_UNAVAILABLE);
+      }
+      const job = await ingestService.enqueue(
+        req,
+        documents.map((document, index) => ({ document, status: statuses[index] }))
+      );
+      return sendAccepted(res, job, `Creation of ${documents.length} theses queued`);
+    }
+
     // Generate embeddings and tags for all theses in parallel
     const [embeddingsArray, tagsArray] = await Promise.all([
-      embeddingService.batchGenerateEmbeddings(theses),
-      tagService.batchGenerateTags(theses),
+      embeddingService.batchGenerateEmbeddings(documents),
+      tagService.batchGenerateTags(documents),
     ]);
 
     // Prepare thesis documents
-    const thesisDocuments = theses.map((thesis, index) => ({
-      title: thesis.title,
-      abstract: thesis.abstract,
+    const thesisDocuments = documents.map((document, index) => ({
+      ...document,
       embeddings: embeddingsArray[index],
       tags: tagsArray[index],
+      submittedBy: req.user._id,
+      status: statuses[index],
+      publishedAt: statuses[index] === 'published' ? new Date() : undefined,
     }));
 
     // Insert all theses at once
     const createdTheses = await Thesis.insertMany(thesisDocuments);
 
+    createdTheses.forEach((thesis) => {
+      vectorIndexService.upsert(thesis._id, thesis.embeddings, thesis.updatedAt);
+      chunkService.scheduleIndexing(thesis._id);
+    });
+    await auditService.recordCreated(req, createdTheses, { batch: createdTheses.length });
+
     logger.info(`Successfully created ${createdTheses.length} theses`);
 
     // Return response without embeddings
@@ -127,15 +509,17 @@ exports.getAllTheses = async (req, res, next) => {
     const skip = (page - 1) * limit;
     const sortOrder = order === 'asc' ? 1 : -1;
 
+    const filter = listFilter(req);
+
     logger.info(`Fetching theses: page ${page}, limit ${limit}`);
 
     const [theses, total] = await Promise.all([
-      Thesis.find()
+      Thesis.find(filter)
         .select('-embeddings') // Exclude embeddings
         .limit(parseInt(limit))
         .skip(skip)
         .sort({ [sortBy]: sortOrder }),
-      Thesis.countDocuments(),
+      Thesis.countDocuments(filter),
     ]);
 
     res.status(200).json({
@@ -166,16 +550,22 @@ exports.getThesisById = async (req, res, next) => {
 
     const thesis = await Thesis.findById(id).select('-embeddings');
 
-    if (!thesis) {
+    // Unpublished theses look missing to everyone but their reviewers
+    if (!thesis || !thesis.isVisibleTo(req.user)) {
       return res.status(404).json({
         success: false,
         message: 'Thesis not found',
       });
     }
 
+    const data = thesis.toObject();
+    if (!isReviewer(req.user, thesis)) {
+      delete data.reviewNotes;
+    }
+
     res.status(200).json({
       success: true,
-      data: thesis,
+      data,
     });
   } catch (error) {
     logger.error(`Error fetching thesis: ${error.message}`);
@@ -221,6 +611,14 @@ exports.getSimilarTheses = async (req, res, next) => {
 
     logger.info(`Fetching similar theses for: ${id}`);
 
+    const reference = await Thesis.findById(id).select('status submittedBy deletedAt');
+    if (!reference || !reference.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thesis not found',
+      });
+    }
+
     const similarTheses = await searchService.findSimilarTheses(id, parseInt(limit));
 
     res.status(200).json({
@@ -263,7 +661,7 @@ exports.getStats = async (req, res, next) => {
     logger.info('Fetching repository statistics');
 
     const [totalTheses, allTags] = await Promise.all([
-      Thesis.countDocuments(),
+      Thesis.countDocuments(Thesis.publicFilter()),
       searchService.getAllTags(),
     ]);
 
@@ -284,16 +682,237 @@ exports.getStats = async (req, res, next) => {
 };
 
 /**
- * Delete a thesis (optional - for admin use)
+ * Update part of a thesis
+ * Embeddings are regenerated only when a field that goes into them changes
+ * (title, abstract or the embedded metadata); passages are re-chunked when
+ * the title or abstract changes. Tags are kept unless `tagMode` is
+ * "replace" (use the `tags` sent) or "regenerate" (ask the AI tagger).
+ * Submitters may only edit their own theses.
+ * @route PATCH /api/theses/:id
+ */
+exports.updateThesis = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { tags, tagMode = tags !== undefined ? 'replace' : 'keep' } = req.body;
+
+    const thesis = await Thesis.findById(id);
+
+    if (!thesis || !thesis.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thesis not found',
+      });
+    }
+
+    if (!req.user.hasRole('curator')) {
+      if (!thesis.isOwnedBy(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only edit theses you submitted',
+        });
+      }
+      // Curators review what they see; withdraw a pending thesis before editing it
+      if (!['draft', 'rejected'].includes(thesis.status)) {
+        return res.status(409).json({
+          success: false,
+          message: `A ${thesis.status} thesis can only be edited by a curator`,
+        });
+      }
+    }
+
+    logger.info(`Updating thesis: ${id}`);
+
+    const before = auditService.snapshot(thesis);
+
+    ['title', 'abstract'].forEach((field) => {
+      if (req.body[field] !== undefined) {
+        thesis.set(field, req.body[field].trim());
+      }
+    });
+
+    const { set, unset } = pickMetadataUpdate(req.body);
+    thesis.set(set);
+    unset.forEach((field) => thesis.set(field, undefined));
+
+    // Mongoose only marks paths whose value actually changed
+    const reembed = EMBEDDED_FIELDS.some((field) => thesis.isModified(field));
+    const rechunk = thesis.isModified('title') || thesis.isModified('abstract');
+
+    if (reembed) {
+      thesis.embeddings = await embeddingService.generateEmbedding(
+        thesis.title,
+        thesis.abstract,
+        pickMetadata(thesis.toObject())
+      );
+    }
+
+    if (tagMode === 'replace') {
+      thesis.tags = tagService.normalizeTags(tags);
+    } else if (tagMode === 'regenerate') {
+      thesis.tags = await tagService.generateTags(thesis.title, thesis.abstract);
+    }
+
+    const changedFields = thesis.modifiedPaths().filter((path) => path !== 'embeddings' && !path.includes('.'));
+
+    // save() leaves updatedAt alone when nothing changed
+    await thesis.save();
+
+    if (reembed) {
+      vectorIndexService.upsert(thesis._id, thesis.embeddings, thesis.updatedAt);
+    }
+    if (rechunk) {
+      chunkService.scheduleIndexing(thesis._id);
+    }
+    if (changedFields.length > 0) {
+      await auditService.record(req, 'update', thesis, {
+        changes: auditService.diff(before, auditService.snapshot(thesis)),
+        details: { tagMode, reembedded: reembed },
+      });
+    }
+
+    logger.info(
+      `Thesis ${id} updated (${changedFields.join(', ') || 'no changes'}${reembed ? ', re-embedded' : ''})`
+    );
+
+    res.status(200).json({
+      success: true,
+      message: changedFields.length > 0 ? 'Thesis updated successfully' : 'No changes',
+      data: thesis.toCleanJSON(),
+      changes: {
+        fields: changedFields,
+        reembedded: reembed,
+        tagMode,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error updating thesis: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Move a thesis through the review workflow
+ * Actions: submit, withdraw (submitter or curator), publish, reject and
+ * unpublish (curator). Each step is recorded in `reviewNotes`.
+ * @param {string} action - Key of STATUS_ACTIONS
+ * @returns {Function} Route handler
+ * @route POST /api/theses/:id/:action
+ */
+exports.changeStatus = (action) => async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { note } = req.body;
+    const transition = STATUS_ACTIONS[action];
+
+    const thesis = await Thesis.findById(id);
+
+    if (!thesis || !thesis.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thesis not found',
+      });
+    }
+
+    if (!isReviewer(req.user, thesis)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only change the status of theses you submitted',
+      });
+    }
+
+    if (!transition.from.includes(thesis.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot ${action} a ${thesis.status} thesis`,
+      });
+    }
+
+    logger.info(`Thesis ${id}: ${action} (${thesis.status} → ${transition.to})`);
+
+    const before = auditService.snapshot(thesis);
+    thesis.reviewNotes.push({
+      action,
+      from: thesis.status,
+      to: transition.to,
+      note,
+      by: req.user._id,
+    });
+    thesis.status = transition.to;
+    if (transition.to === 'published') {
+      thesis.publishedAt = new Date();
+    }
+
+    await thesis.save();
+    await auditService.record(req, action, thesis, {
+      changes: auditService.diff(before, auditService.snapshot(thesis)),
+      details: note ? { note } : undefined,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Thesis is now ${thesis.status}`,
+      data: thesis.toCleanJSON(),
+    });
+  } catch (error) {
+    logger.error(`Error changing thesis status: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Regenerate a thesis's tags with the AI tagger
+ * @route POST /api/theses/:id/retag
+ */
+exports.retagThesis = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const thesis = await Thesis.findById(id);
+
+    if (!thesis || thesis.deletedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thesis not found',
+      });
+    }
+
+    logger.info(`Regenerating tags for thesis: ${id}`);
+
+    const previousTags = thesis.tags;
+    const before = auditService.snapshot(thesis);
+    thesis.tags = await tagService.generateTags(thesis.title, thesis.abstract);
+    await thesis.save();
+    await auditService.record(req, 'retag', thesis, {
+      changes: auditService.diff(before, auditService.snapshot(thesis)),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Tags regenerated successfully',
+      data: {
+        ...thesis.toCleanJSON(),
+        previousTags,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error regenerating tags: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Move a thesis to the trash
+ * It disappears from listings, search and chat, and is purged after the
+ * trash retention period unless restored.
  * @route DELETE /api/theses/:id
  */
 exports.deleteThesis = async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    logger.info(`Deleting thesis: ${id}`);
+    logger.info(`Moving thesis to trash: ${id}`);
 
-    const thesis = await Thesis.findByIdAndDelete(id);
+    const thesis = await trashService.find(id, false);
 
     if (!thesis) {
       return res.status(404).json({
@@ -302,9 +921,20 @@ exports.deleteThesis = async (req, res, next) => {
       });
     }
 
+    const before = auditService.snapshot(thesis);
+    await trashService.trash(thesis, req.user);
+    await auditService.record(req, 'delete', thesis, {
+      changes: auditService.diff(before, auditService.snapshot(thesis)),
+    });
+
     res.status(200).json({
       success: true,
-      message: 'Thesis deleted successfully',
+      message: 'Thesis moved to trash',
+      data: {
+        _id: thesis._id,
+        deletedAt: thesis.deletedAt,
+        purgeAfter: trashService.purgeDate(thesis.deletedAt),
+      },
     });
   } catch (error) {
     logger.error(`Error deleting thesis: ${error.message}`);
@@ -312,3 +942,67 @@ exports.deleteThesis = async (req, res, next) => {
   }
 };
 
+/**
+ * List theses in the trash
+ * @route GET /api/theses/trash
+ */
+exports.getTrash = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+
+    const { theses, total } = await trashService.list({ page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: theses,
+      retentionDays: trashService.config.retentionDays,
+      pagination: {
+        current: page,
+        pages: Math.ceil(total / limit),
+        total,
+        limit,
+      },
+    });
+  } catch (error) {
+    logger.error(`Error fetching trash: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * Restore a thesis from the trash
+ * @route POST /api/theses/:id/restore
+ */
+exports.restoreThesis = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    logger.info(`Restoring thesis from trash: ${id}`);
+
+    const thesis = await trashService.find(id, true);
+
+    if (!thesis) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thesis not found in trash',
+      });
+    }
+
+    const before = auditService.snapshot(thesis);
+    await trashService.restore(thesis);
+    await auditService.record(req, 'restore', thesis, {
+      changes: auditService.diff(before, auditService.snapshot(thesis)),
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Thesis restored',
+      data: thesis,
+    });
+  } catch (error) {
+    logger.error(`Error restoring thesis: ${error.message}`);
+    next(error);
+  }
+};
+
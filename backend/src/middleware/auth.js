@@ -0,0 +1,82 @@
+const authService = require('../services/authService');
+const logger = require('../utils/logger');
+
+/**
+ * Authentication and role-based access control middleware
+ *
+ * Credentials are either a session token (`Authorization: Bearer <jwt>`) or
+ * an API key (`X-API-Key: <key>`, or `Authorization: Bearer <key>`).
+ * Requests without credentials continue anonymously; routes that need a
+ * user add requireRole().
+ */
+
+/**
+ * Extract credentials from the request headers
+ * @param {object} req - Express request
+ * @returns {{type: string, value: string}|null}
+ */
+const readCredentials = (req) => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    return { type: 'apiKey', value: apiKey.trim() };
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  if (!match) {
+    return null;
+  }
+  return {
+    type: match[1].startsWith(authService.config.apiKeyPrefix) ? 'apiKey' : 'token',
+    value: match[1],
+  };
+};
+
+/**
+ * Attach the authenticated user (if any) to req.user
+ * Invalid credentials are rejected rather than treated as anonymous.
+ */
+exports.authenticate = async (req, res, next) => {
+  const credentials = readCredentials(req);
+  if (!credentials) {
+    return next();
+  }
+
+  try {
+    req.user = credentials.type === 'apiKey'
+      ? await authService.verifyApiKey(credentials.value)
+      : await authService.verifyToken(credentials.value);
+    next();
+  } catch (error) {
+    if (!error.statusCode) {
+      return next(error);
+    }
+    logger.warn(`Rejected credentials for ${req.method} ${req.path}: ${error.message}`);
+    res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+};
+
+/**
+ * Require an authenticated user with at least the given role
+ * @param {string} role - Minimum role (reader, submitter, curator, admin)
+ * @returns {Function} Express middleware
+ */
+exports.requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authentication required',
+    });
+  }
+
+  if (!req.user.hasRole(role)) {
+    return res.status(403).json({
+      success: false,
+      message: `This action requires the ${role} role`,
+    });
+  }
+
+  next();
+};
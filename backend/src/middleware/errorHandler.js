@@ -26,6 +26,14 @@ const errorHandler = (err, req, res, next) => {
     });
   }
 
+  // Multer upload errors (file too large, unexpected field, ...)
+  if (err.name === 'MulterError') {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      message: err.code === 'LIMIT_FILE_SIZE' ? 'Uploaded file is too large' : err.message,
+    });
+  }
+
   // Mongoose validation error
   if (err.name === 'ValidationError') {
     const message = Object.values(err.errors)
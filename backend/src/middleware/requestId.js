@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+/**
+ * Request ID middleware
+ * Reuses a well-formed incoming `X-Request-Id` (e.g. from a proxy) or
+ * generates one, exposes it as req.id and echoes it in the response so
+ * audit events and logs can be traced back to a request.
+ */
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
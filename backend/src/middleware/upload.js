@@ -0,0 +1,59 @@
+const multer = require('multer');
+const { getStorageConfig } = require('../config/storage.config');
+const { getImportConfig } = require('../config/import.config');
+
+/**
+ * File upload middleware (multipart/form-data)
+ * Files are buffered in memory; storageService decides where they live.
+ */
+
+const { maxUploadBytes } = getStorageConfig();
+
+/**
+ * Run a multer middleware and restore the UTF-8 name of the uploaded file
+ * Multer reads the multipart filename as latin1, garbling non-ASCII names.
+ * @param {Function} middleware - Multer middleware
+ * @returns {Function} Express middleware
+ */
+const withUtf8Filename = (middleware) => (req, res, next) => {
+  middleware(req, res, (error) => {
+    if (!error && req.file) {
+      req.file.originalname = Buffer.from(req.file.originalname, 'latin1').toString('utf8');
+    }
+    next(error);
+  });
+};
+
+const pdfUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: maxUploadBytes,
+    files: 1,
+  },
+  fileFilter: (req, file, callback) => {
+    if (file.mimetype !== 'application/pdf') {
+      const error = new Error('Only PDF files are allowed');
+      error.statusCode = 400;
+      return callback(error);
+    }
+    callback(null, true);
+  },
+});
+
+/**
+ * Accept a single PDF in the `file` field
+ */
+exports.uploadPdf = withUtf8Filename(pdfUpload.single('file'));
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: getImportConfig().maxUploadBytes,
+    files: 1,
+  },
+});
+
+/**
+ * Accept a single import file (CSV, JSONL, BibTeX or RIS) in the `file` field
+ */
+exports.uploadImportFile = withUtf8Filename(importUpload.single('file'));
@@ -2,12 +2,152 @@
  * Request validation middleware
  */
 
+const { DEGREE_LEVELS, METADATA_FIELDS, STATUSES } = require('../models/Thesis');
+const { ROLES } = require('../models/User');
+const { AUDIT_ACTIONS } = require('../models/AuditEvent');
+const { parseFormFields } = require('../utils/thesisMetadata');
+const { TAG_OPERATORS, SEARCH_FILTER_FIELDS } = require('../utils/searchFilters');
+const { decodeCursor } = require('../utils/searchCursor');
+const { IMPORT_FORMATS, detectFormat } = require('../utils/importFormats');
+const { EXPORT_FORMATS, DATA_FORMATS, MAX_EXPORT_RESULTS } = require('../utils/exportFormats');
+const { CITATION_STYLES } = require('../services/citationService');
+const { RERANK_CONFIG } = require('../config/rerank.config');
+
+const SEARCH_MODES = ['semantic', 'keyword', 'hybrid'];
+const TAG_MODES = ['keep', 'replace', 'regenerate'];
+// Statuses a thesis can be created in (rejected is only reached by review)
+const INITIAL_STATUSES = ['draft', 'pending', 'published'];
+const MAX_REVIEW_NOTE_LENGTH = 2000;
+
+// Fields a PATCH may change (embeddings, file and timestamps are managed by the server)
+const UPDATABLE_FIELDS = ['title', 'abstract', 'tags', 'tagMode', ...METADATA_FIELDS];
+
+const ORCID_PATTERN = /^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/;
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+const HANDLE_PATTERN = /^\d+(\.\d+)*\/\S+$/;
+const LANGUAGE_PATTERN = /^[a-z]{2,3}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+const MIN_PASSWORD_LENGTH = 8;
+
 /**
- * Validate thesis creation request
+ * Check an optional string field
  */
-exports.validateThesisCreation = (req, res, next) => {
-  const { title, abstract } = req.body;
+const checkOptionalString = (errors, value, label, maxLength) => {
+  if (value === undefined || value === null || value === '') return;
+  if (typeof value !== 'string') {
+    errors.push(`${label} must be a string`);
+  } else if (value.length > maxLength) {
+    errors.push(`${label} cannot exceed ${maxLength} characters`);
+  }
+};
+
+/**
+ * Check an optional list of people (names or { name, orcid } objects)
+ */
+const checkPeople = (errors, people, label) => {
+  if (people === undefined || people === null) return;
+  if (!Array.isArray(people)) {
+    errors.push(`${label} must be an array`);
+    return;
+  }
+  if (people.length > 20) {
+    errors.push(`${label} cannot have more than 20 entries`);
+  }
+  people.forEach((person, index) => {
+    const name = typeof person === 'string' ? person : person && person.name;
+    if (!name || typeof name !== 'string' || name.trim().length === 0) {
+      errors.push(`${label}[${index}] must have a non-empty name`);
+    } else if (name.length > 200) {
+      errors.push(`${label}[${index}] name cannot exceed 200 characters`);
+    }
+    if (person && typeof person === 'object' && person.orcid && !ORCID_PATTERN.test(person.orcid)) {
+      errors.push(`${label}[${index}] ORCID must look like 0000-0002-1825-0097`);
+    }
+  });
+};
+
+/**
+ * Collect validation errors for bibliographic metadata
+ * @param {object} thesis - Thesis input
+ * @returns {Array<string>} Error messages
+ */
+const collectMetadataErrors = (thesis) => {
+  const errors = [];
+
+  checkPeople(errors, thesis.authors, 'Authors');
+  checkPeople(errors, thesis.advisors, 'Advisors');
+
+  if (thesis.degreeLevel && !DEGREE_LEVELS.includes(thesis.degreeLevel)) {
+    errors.push(`Degree level must be one of: ${DEGREE_LEVELS.join(', ')}`);
+  }
+
+  checkOptionalString(errors, thesis.department, 'Department', 200);
+  checkOptionalString(errors, thesis.institution, 'Institution', 200);
+  checkOptionalString(errors, thesis.license, 'License', 100);
 
+  if (thesis.defenseYear !== undefined && thesis.defenseYear !== null && thesis.defenseYear !== '') {
+    const year = Number(thesis.defenseYear);
+    if (!Number.isInteger(year) || year < 1800 || year > new Date().getFullYear() + 1) {
+      errors.push('Year of defense must be a valid year');
+    }
+  }
+
+  if (thesis.language && (typeof thesis.language !== 'string' || !LANGUAGE_PATTERN.test(thesis.language))) {
+    errors.push('Language must be an ISO 639 code (e.g. en, fil)');
+  }
+
+  if (thesis.keywords !== undefined && thesis.keywords !== null) {
+    if (!Array.isArray(thesis.keywords) || thesis.keywords.some((k) => typeof k !== 'string')) {
+      errors.push('Keywords must be an array of strings');
+    } else if (thesis.keywords.length > 20) {
+      errors.push('Cannot have more than 20 keywords');
+    } else if (thesis.keywords.some((k) => k.length > 100)) {
+      errors.push('Keywords cannot exceed 100 characters');
+    }
+  }
+
+  if (thesis.doi && (typeof thesis.doi !== 'string' || !DOI_PATTERN.test(thesis.doi))) {
+    errors.push('DOI must look like 10.1234/abc');
+  }
+
+  if (thesis.handle && (typeof thesis.handle !== 'string' || !HANDLE_PATTERN.test(thesis.handle))) {
+    errors.push('Handle must look like 12345/678');
+  }
+
+  return errors;
+};
+
+/**
+ * Check an optional initial status
+ * @param {Array<string>} errors - Error list to append to
+ * @param {*} status - Requested status
+ */
+const checkInitialStatus = (errors, status) => {
+  if (status !== undefined && !INITIAL_STATUSES.includes(status)) {
+    errors.push(`Status must be one of: ${INITIAL_STATUSES.join(', ')}`);
+  }
+};
+
+/**
+ * Check the optional `async` query flag of the create endpoints
+ * @param {Array<string>} errors - Error list to append to
+ * @param {*} value - req.query.async
+ */
+const checkAsyncFlag = (errors, value) => {
+  if (value !== undefined && value !== 'true' && value !== 'false') {
+    errors.push('async must be true or false');
+  }
+};
+
+/**
+ * Collect validation errors for a full thesis (title, abstract and metadata)
+ * @param {object} thesis - Thesis input
+ * @returns {Array<string>} Error messages
+ */
+const collectThesisErrors = (thesis) => {
+  const { title, abstract } = thesis;
   const errors = [];
 
   if (!title || typeof title !== 'string' || title.trim().length === 0) {
@@ -22,6 +162,298 @@ exports.validateThesisCreation = (req, res, next) => {
     errors.push('Abstract cannot exceed 5000 characters');
   }
 
+  checkInitialStatus(errors, thesis.status);
+
+  return errors.concat(collectMetadataErrors(thesis));
+};
+
+exports.collectThesisErrors = collectThesisErrors;
+
+/**
+ * Validate thesis creation request
+ */
+exports.validateThesisCreation = (req, res, next) => {
+  const errors = collectThesisErrors(req.body);
+  checkAsyncFlag(errors, req.query.async);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate partial thesis update request
+ * Only the fields present are checked; null or '' clears a metadata field.
+ */
+exports.validateThesisUpdate = (req, res, next) => {
+  const { title, abstract, tags, tagMode } = req.body;
+  const fields = Object.keys(req.body);
+
+  const errors = [];
+
+  const unknown = fields.filter((field) => !UPDATABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    errors.push(`Fields cannot be updated: ${unknown.join(', ')}`);
+  } else if (fields.filter((field) => field !== 'tagMode').length === 0 && (!tagMode || tagMode === 'keep')) {
+    errors.push(`Provide at least one of: ${UPDATABLE_FIELDS.filter((field) => field !== 'tagMode').join(', ')}`);
+  }
+
+  if (title !== undefined) {
+    if (typeof title !== 'string' || title.trim().length === 0) {
+      errors.push('Title must be a non-empty string');
+    } else if (title.length > 500) {
+      errors.push('Title cannot exceed 500 characters');
+    }
+  }
+
+  if (abstract !== undefined) {
+    if (typeof abstract !== 'string' || abstract.trim().length === 0) {
+      errors.push('Abstract must be a non-empty string');
+    } else if (abstract.length > 5000) {
+      errors.push('Abstract cannot exceed 5000 characters');
+    }
+  }
+
+  if (tagMode !== undefined && !TAG_MODES.includes(tagMode)) {
+    errors.push(`Tag mode must be one of: ${TAG_MODES.join(', ')}`);
+  }
+
+  if (tags !== undefined) {
+    if (tagMode !== undefined && tagMode !== 'replace') {
+      errors.push('Tags can only be sent with tagMode "replace"');
+    } else if (
+      !Array.isArray(tags) ||
+      tags.some((tag) => typeof tag !== 'string' || tag.trim().length === 0 || tag.length > 50)
+    ) {
+      errors.push('Tags must be an array of non-empty strings (at most 50 characters each)');
+    } else if (tags.length < 3 || tags.length > 5) {
+      errors.push('Must have between 3 and 5 tags');
+    }
+  } else if (tagMode === 'replace') {
+    errors.push('Tags are required with tagMode "replace"');
+  }
+
+  errors.push(...collectMetadataErrors(req.body));
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate thesis PDF upload request
+ * Runs after the multipart parser; title and abstract are optional here
+ * because they can be extracted from the PDF.
+ */
+exports.validateThesisUpload = (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'A PDF file is required in the "file" field',
+    });
+  }
+
+  req.body = parseFormFields(req.body);
+  const { title, abstract } = req.body;
+  const errors = collectMetadataErrors(req.body);
+
+  if (title !== undefined && (typeof title !== 'string' || title.length > 500)) {
+    errors.push('Title cannot exceed 500 characters');
+  }
+
+  if (abstract !== undefined && (typeof abstract !== 'string' || abstract.length > 5000)) {
+    errors.push('Abstract cannot exceed 5000 characters');
+  }
+
+  checkInitialStatus(errors, req.body.status);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate bulk import request (multipart/form-data)
+ * The format defaults to the one implied by the file extension.
+ */
+exports.validateImportRequest = (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'An import file is required in the "file" field',
+    });
+  }
+
+  const { format, status, dryRun } = req.body;
+  const errors = [];
+
+  if (!IMPORT_FORMATS.includes(format || detectFormat(req.file.originalname))) {
+    errors.push(`Format must be one of: ${IMPORT_FORMATS.join(', ')} (or use a .csv, .jsonl, .bib or .ris file)`);
+  }
+
+  checkInitialStatus(errors, status);
+
+  if (dryRun !== undefined && dryRun !== 'true' && dryRun !== 'false') {
+    errors.push('dryRun must be true or false');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Collect validation errors for search filters
+ * @param {object} filters - { tags, tagOperator, yearFrom, yearTo, department, degreeLevel, language }
+ * @returns {Array<string>} Error messages
+ */
+const collectFilterErrors = (filters) => {
+  if (filters === undefined) return [];
+  if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+    return ['Filters must be an object'];
+  }
+
+  const { tags, tagOperator, yearFrom, yearTo, department, degreeLevel, language } = filters;
+  const errors = [];
+
+  const unknown = Object.keys(filters).filter((field) => !SEARCH_FILTER_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    errors.push(`Unknown filters: ${unknown.join(', ')}`);
+  }
+
+  if (
+    tags !== undefined &&
+    (!Array.isArray(tags) || tags.length > 20 || tags.some((tag) => typeof tag !== 'string' || tag.trim().length === 0))
+  ) {
+    errors.push('Tag filter must be an array of at most 20 non-empty strings');
+  }
+
+  if (tagOperator !== undefined && !TAG_OPERATORS.includes(tagOperator)) {
+    errors.push(`Tag operator must be one of: ${TAG_OPERATORS.join(', ')}`);
+  }
+
+  [['yearFrom', yearFrom], ['yearTo', yearTo]].forEach(([label, value]) => {
+    if (value !== undefined && (!Number.isInteger(Number(value)) || value < 1800 || value > 2100)) {
+      errors.push(`${label} must be a year between 1800 and 2100`);
+    }
+  });
+  if (yearFrom !== undefined && yearTo !== undefined && Number(yearFrom) > Number(yearTo)) {
+    errors.push('yearFrom cannot be after yearTo');
+  }
+
+  checkOptionalString(errors, department, 'Department', 200);
+
+  if (degreeLevel !== undefined && !DEGREE_LEVELS.includes(degreeLevel)) {
+    errors.push(`Degree level must be one of: ${DEGREE_LEVELS.join(', ')}`);
+  }
+
+  if (language !== undefined && (typeof language !== 'string' || !LANGUAGE_PATTERN.test(language))) {
+    errors.push('Language must be an ISO 639 code (e.g. en, fil)');
+  }
+
+  return errors;
+};
+
+/**
+ * Collect validation errors for the page size and cursor of a search
+ * @param {object} params - { limit, cursor }
+ * @returns {Array<string>} Error messages
+ */
+const collectPageErrors = ({ limit, cursor }) => {
+  const errors = [];
+
+  if (limit !== undefined && (!Number.isInteger(Number(limit)) || limit < 1 || limit > 100)) {
+    errors.push('Limit must be between 1 and 100');
+  }
+
+  if (cursor !== undefined && cursor !== null && decodeCursor(cursor) === null) {
+    errors.push('Cursor must be the nextCursor of a previous response');
+  }
+
+  return errors;
+};
+
+/**
+ * Collect validation errors for the cross-encoder rerank options
+ * @param {object} params - { rerank, rerankTopN }
+ * @returns {Array<string>} Error messages
+ */
+const collectRerankErrors = ({ rerank, rerankTopN }) => {
+  const errors = [];
+
+  if (rerank !== undefined && typeof rerank !== 'boolean') {
+    errors.push('Rerank must be a boolean');
+  }
+
+  if (
+    rerankTopN !== undefined &&
+    (!Number.isInteger(Number(rerankTopN)) || rerankTopN < 2 || rerankTopN > RERANK_CONFIG.maxTopN)
+  ) {
+    errors.push(`rerankTopN must be between 2 and ${RERANK_CONFIG.maxTopN}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Collect validation errors for the MMR diversification options
+ * @param {object} params - { mmr, mmrLambda }
+ * @returns {Array<string>} Error messages
+ */
+const collectMmrErrors = ({ mmr, mmrLambda }) => {
+  const errors = [];
+
+  if (mmr !== undefined && typeof mmr !== 'boolean') {
+    errors.push('MMR must be a boolean');
+  }
+
+  if (mmrLambda !== undefined && (typeof mmrLambda !== 'number' || mmrLambda < 0 || mmrLambda > 1)) {
+    errors.push('mmrLambda must be a number between 0 and 1');
+  }
+
+  return errors;
+};
+
+/**
+ * Validate search filters (and the tag list/operator of tag searches)
+ */
+exports.validateSearchFilters = (req, res, next) => {
+  const { filters, tags, operator } = req.body;
+
+  const errors = [
+    ...collectFilterErrors(filters),
+    ...collectPageErrors(req.body),
+    ...collectRerankErrors(req.body),
+    ...collectMmrErrors(req.body),
+  ];
+  if (tags !== undefined) {
+    errors.push(...collectFilterErrors({ tags, tagOperator: operator }));
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -37,7 +469,7 @@ exports.validateThesisCreation = (req, res, next) => {
  * Validate search request
  */
 exports.validateSearchRequest = (req, res, next) => {
-  const { query } = req.body;
+  const { query, mode, efSearch, filters } = req.body;
 
   if (!query || typeof query !== 'string' || query.trim().length === 0) {
     return res.status(400).json({
@@ -53,6 +485,125 @@ exports.validateSearchRequest = (req, res, next) => {
     });
   }
 
+  if (mode !== undefined && !SEARCH_MODES.includes(mode)) {
+    return res.status(400).json({
+      success: false,
+      message: `Mode must be one of: ${SEARCH_MODES.join(', ')}`,
+    });
+  }
+
+  if (efSearch !== undefined && (isNaN(efSearch) || efSearch < 1 || efSearch > 1000)) {
+    return res.status(400).json({
+      success: false,
+      message: 'efSearch must be between 1 and 1000',
+    });
+  }
+
+  const errors = [
+    ...collectFilterErrors(filters),
+    ...collectPageErrors(req.body),
+    ...collectRerankErrors(req.body),
+    ...collectMmrErrors(req.body),
+  ];
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Collect validation errors for an export format and embeddings flag
+ * @param {object} params - { format, embeddings } (embeddings as boolean or 'true'/'false')
+ * @returns {Array<string>} Error messages
+ */
+const collectExportErrors = ({ format, embeddings }) => {
+  const errors = [];
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    errors.push(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  if (embeddings !== undefined && ![true, false, 'true', 'false'].includes(embeddings)) {
+    errors.push('embeddings must be true or false');
+  } else if (String(embeddings) === 'true' && EXPORT_FORMATS.includes(format) && !DATA_FORMATS.includes(format)) {
+    errors.push(`Embeddings can only be exported as ${DATA_FORMATS.join(' or ')}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a single-thesis export (query string)
+ */
+exports.validateExportQuery = (req, res, next) => {
+  const errors = collectExportErrors(req.query);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a citation request (style is optional: without it every style is returned)
+ */
+exports.validateCiteQuery = (req, res, next) => {
+  const { style } = req.query;
+  const styles = Object.keys(CITATION_STYLES);
+
+  if (style !== undefined && !styles.includes(style)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors: [`Style must be one of: ${styles.join(', ')}`],
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate a search export request
+ */
+exports.validateExportRequest = (req, res, next) => {
+  const { query, mode, tags, operator, filters, limit } = req.body;
+
+  const errors = [...collectExportErrors(req.body), ...collectFilterErrors(filters)];
+
+  if (query !== undefined && (typeof query !== 'string' || query.length > 500)) {
+    errors.push('Query must be a string of at most 500 characters');
+  }
+
+  if (mode !== undefined && !SEARCH_MODES.includes(mode)) {
+    errors.push(`Mode must be one of: ${SEARCH_MODES.join(', ')}`);
+  }
+
+  if (tags !== undefined) {
+    errors.push(...collectFilterErrors({ tags, tagOperator: operator }));
+  }
+
+  if (limit !== undefined && (!Number.isInteger(Number(limit)) || limit < 1 || limit > MAX_EXPORT_RESULTS)) {
+    errors.push(`Limit must be between 1 and ${MAX_EXPORT_RESULTS}`);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
   next();
 };
 
@@ -74,6 +625,8 @@ exports.validateChatRequest = (req, res, next) => {
     errors.push('Conversation history must be an array');
   }
 
+  errors.push(...collectMmrErrors(req.body));
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -89,7 +642,7 @@ exports.validateChatRequest = (req, res, next) => {
  * Validate pagination parameters
  */
 exports.validatePagination = (req, res, next) => {
-  const { page, limit } = req.query;
+  const { page, limit, status } = req.query;
 
   if (page && (isNaN(page) || page < 1)) {
     return res.status(400).json({
@@ -105,6 +658,13 @@ exports.validatePagination = (req, res, next) => {
     });
   }
 
+  if (status && !STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Status must be one of: ${STATUSES.join(', ')}`,
+    });
+  }
+
   next();
 };
 
@@ -139,19 +699,210 @@ exports.validateBatchThesisCreation = (req, res, next) => {
 
   // Validate each thesis
   theses.forEach((thesis, index) => {
-    if (!thesis.title || typeof thesis.title !== 'string' || thesis.title.trim().length === 0) {
-      errors.push(`Thesis at index ${index}: Title is required and must be a non-empty string`);
-    } else if (thesis.title.length > 500) {
-      errors.push(`Thesis at index ${index}: Title cannot exceed 500 characters`);
-    }
+    collectThesisErrors(thesis || {}).forEach((error) => {
+      errors.push(`Thesis at index ${index}: ${error}`);
+    });
+  });
+
+  checkAsyncFlag(errors, req.query.async);
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+
+/**
+ * Validate account registration / creation request
+ */
+exports.validateRegistration = (req, res, next) => {
+  const { email, name, password, role } = req.body;
+
+  const errors = [];
+
+  if (!email || typeof email !== 'string' || !EMAIL_PATTERN.test(email)) {
+    errors.push('A valid email is required');
+  }
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push('Name is required and must be a non-empty string');
+  } else if (name.length > 200) {
+    errors.push('Name cannot exceed 200 characters');
+  }
 
-    if (!thesis.abstract || typeof thesis.abstract !== 'string' || thesis.abstract.trim().length === 0) {
-      errors.push(`Thesis at index ${index}: Abstract is required and must be a non-empty string`);
-    } else if (thesis.abstract.length > 5000) {
-      errors.push(`Thesis at index ${index}: Abstract cannot exceed 5000 characters`);
+  if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    errors.push(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  } else if (password.length > 72) {
+    // bcrypt ignores everything after 72 bytes
+    errors.push('Password cannot exceed 72 characters');
+  }
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    errors.push(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate login request
+ */
+exports.validateLogin = (req, res, next) => {
+  const { email, password } = req.body;
+
+  if (!email || typeof email !== 'string' || !password || typeof password !== 'string') {
+    return res.status(400).json({
+      success: false,
+      message: 'Email and password are required',
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate API key creation request
+ */
+exports.validateApiKeyCreation = (req, res, next) => {
+  const { name, role, expiresAt } = req.body;
+
+  const errors = [];
+
+  if (!name || typeof name !== 'string' || name.trim().length === 0) {
+    errors.push('Name is required and must be a non-empty string');
+  } else if (name.length > 100) {
+    errors.push('Name cannot exceed 100 characters');
+  }
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    errors.push(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  if (expiresAt !== undefined && (isNaN(Date.parse(expiresAt)) || Date.parse(expiresAt) <= Date.now())) {
+    errors.push('Expiry must be a date in the future');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate user update request (admin)
+ */
+exports.validateUserUpdate = (req, res, next) => {
+  const { role, active, name } = req.body;
+
+  const errors = [];
+
+  if (role === undefined && active === undefined && name === undefined) {
+    errors.push('Provide at least one of: role, active, name');
+  }
+
+  if (role !== undefined && !ROLES.includes(role)) {
+    errors.push(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+
+  if (active !== undefined && typeof active !== 'boolean') {
+    errors.push('Active must be a boolean');
+  }
+
+  if (name !== undefined && (typeof name !== 'string' || name.trim().length === 0 || name.length > 200)) {
+    errors.push('Name must be a non-empty string of at most 200 characters');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate the reviewer note sent with a status change
+ * @param {boolean} required - Whether the action needs a note (e.g. reject)
+ * @returns {Function} Middleware
+ */
+exports.validateReviewNote = (required = false) => (req, res, next) => {
+  const { note } = req.body || {};
+
+  const errors = [];
+
+  if (note !== undefined && (typeof note !== 'string' || note.length > MAX_REVIEW_NOTE_LENGTH)) {
+    errors.push(`Note must be a string of at most ${MAX_REVIEW_NOTE_LENGTH} characters`);
+  } else if (required && (!note || note.trim().length === 0)) {
+    errors.push('A note explaining the decision is required');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      errors,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Validate audit log filters
+ */
+exports.validateAuditQuery = (req, res, next) => {
+  const { action, thesis, actor, from, to, page, limit } = req.query;
+
+  const errors = [];
+
+  if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+    errors.push(`Action must be one of: ${AUDIT_ACTIONS.join(', ')}`);
+  }
+
+  if (thesis !== undefined && !OBJECT_ID_PATTERN.test(thesis)) {
+    errors.push('Thesis must be a valid ID');
+  }
+
+  if (actor !== undefined && !OBJECT_ID_PATTERN.test(actor)) {
+    errors.push('Actor must be a valid ID');
+  }
+
+  [['from', from], ['to', to]].forEach(([label, value]) => {
+    if (value !== undefined && isNaN(Date.parse(value))) {
+      errors.push(`"${label}" must be a date`);
     }
   });
 
+  if (page !== undefined && (isNaN(page) || page < 1)) {
+    errors.push('Page must be a positive number');
+  }
+
+  if (limit !== undefined && (isNaN(limit) || limit < 1 || limit > 100)) {
+    errors.push('Limit must be between 1 and 100');
+  }
+
   if (errors.length > 0) {
     return res.status(400).json({
       success: false,
@@ -162,4 +913,3 @@ exports.validateBatchThesisCreation = (req, res, next) => {
 
   next();
 };
-
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('./User');
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'API key name is required'],
+      trim: true,
+      maxlength: [100, 'API key name cannot exceed 100 characters'],
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Keys act with this role, capped at the owner's current role
+    role: {
+      type: String,
+      enum: ROLES,
+      required: true,
+    },
+    // First characters of the key, to identify it in listings
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // sha256 of the full key; the key itself is only shown once
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    lastUsedAt: Date,
+    expiresAt: Date,
+    revokedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+/**
+ * Whether the key can still be used
+ * @returns {boolean}
+ */
+apiKeySchema.methods.isUsable = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
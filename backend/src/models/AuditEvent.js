@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { STATUS_ACTIONS } = require('./Thesis');
+
+// Thesis mutations that are recorded (status actions come from the review workflow)
+const AUDIT_ACTIONS = ['create', 'update', 'retag', 'delete', 'restore', 'purge', ...Object.keys(STATUS_ACTIONS)];
+
+// One changed field; values are stored as they were in the thesis
+const auditChangeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+  },
+  { _id: false }
+);
+
+const auditEventSchema = new mongoose.Schema(
+  {
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+    thesis: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Thesis',
+      required: true,
+    },
+    // Title at the time of the event, so history survives a purge
+    thesisTitle: String,
+    // Absent for system actions (e.g. the scheduled trash purge)
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Role the actor acted with (narrowed for API keys)
+    actorRole: String,
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+    },
+    requestId: String,
+    changes: {
+      type: [auditChangeSchema],
+      default: [],
+    },
+    // Action-specific details (review note, batch size, upload filename, ...)
+    details: mongoose.Schema.Types.Mixed,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditEventSchema.index({ thesis: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ requestId: 1 });
+
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Job types with a registered handler (see jobService.register)
+const JOB_TYPES = ['createTheses', 'importTheses'];
+
+// queued -> running -> succeeded | failed (or back to queued to retry)
+const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+const jobSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: JOB_TYPES,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'queued',
+    },
+    // Handler input (hidden from the status endpoint)
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      select: false,
+    },
+    // Handler output, filled in as the job progresses
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    progress: {
+      done: { type: Number, default: 0 },
+      total: { type: Number, default: 0 },
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 3,
+    },
+    // Not picked up before this time (retry backoff)
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    lastError: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    requestId: String,
+    finishedAt: Date,
+    // Finished jobs are removed by a TTL index
+    expiresAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ createdBy: 1, createdAt: -1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Status of the job as shown to API clients
+ * @returns {object} Job without payload or lock details
+ */
+jobSchema.methods.toStatusJSON = function () {
+  return {
+    _id: this._id,
+    type: this.type,
+    status: this.status,
+    progress: { done: this.progress.done, total: this.progress.total },
+    attempts: this.attempts,
+    maxAttempts: this.maxAttempts,
+    result: this.result,
+    error: this.lastError || null,
+    createdAt: this.createdAt,
+    updatedAt: this.updatedAt,
+    finishedAt: this.finishedAt || null,
+  };
+};
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
+module.exports.JOB_TYPES = JOB_TYPES;
+module.exports.JOB_STATUSES = JOB_STATUSES;
@@ -1,5 +1,102 @@
 const mongoose = require('mongoose');
 
+const DEGREE_LEVELS = ['bachelor', 'master', 'doctoral', 'other'];
+
+// Review lifecycle; only published theses are visible to the public
+const STATUSES = ['draft', 'pending', 'published', 'rejected'];
+
+// Review workflow actions: allowed source states, target state and minimum role.
+// Submitter actions are limited to the thesis owner unless the user is a curator.
+const STATUS_ACTIONS = {
+  submit: { from: ['draft', 'rejected'], to: 'pending', role: 'submitter' },
+  withdraw: { from: ['pending'], to: 'draft', role: 'submitter' },
+  publish: { from: ['pending'], to: 'published', role: 'curator' },
+  reject: { from: ['pending'], to: 'rejected', role: 'curator' },
+  unpublish: { from: ['published'], to: 'draft', role: 'curator' },
+};
+
+// Bibliographic fields accepted on create and included in embeddings
+const METADATA_FIELDS = [
+  'authors',
+  'advisors',
+  'degreeLevel',
+  'department',
+  'institution',
+  'defenseYear',
+  'language',
+  'keywords',
+  'doi',
+  'handle',
+  'license',
+];
+
+/**
+ * Keys under which two theses count as the same work (bulk import dedupe)
+ * DOI and handle ignore case; titles also ignore spacing and are paired with the year.
+ * @param {object} thesis - Thesis or document with title, defenseYear, doi and handle
+ * @returns {Array<string>} Normalized keys
+ */
+const dedupeKeys = ({ title, defenseYear, doi, handle }) => {
+  const keys = [];
+  if (title) {
+    const normalized = title.normalize('NFKC').trim().toLowerCase().replace(/\s+/g, ' ');
+    keys.push(`title:${normalized}:${defenseYear || ''}`);
+  }
+  if (doi) keys.push(`doi:${doi.trim().toLowerCase()}`);
+  if (handle) keys.push(`handle:${handle.trim().toLowerCase()}`);
+  return keys;
+};
+
+// Author or advisor
+const personSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Person name is required'],
+      trim: true,
+      maxlength: [200, 'Person name cannot exceed 200 characters'],
+    },
+    orcid: {
+      type: String,
+      trim: true,
+      match: [/^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/, 'ORCID must look like 0000-0002-1825-0097'],
+    },
+  },
+  { _id: false }
+);
+
+// Stored source file (see storageService)
+const fileSchema = new mongoose.Schema(
+  {
+    storage: { type: String, enum: ['local', 'gridfs'], required: true },
+    key: { type: String, required: true },
+    filename: String,
+    contentType: String,
+    size: Number,
+    checksum: String,
+    pageCount: Number,
+    uploadedAt: Date,
+  },
+  { _id: false }
+);
+
+// One step in the review history
+const reviewNoteSchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: Object.keys(STATUS_ACTIONS), required: true },
+    from: { type: String, enum: STATUSES },
+    to: { type: String, enum: STATUSES, required: true },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [2000, 'Review note cannot exceed 2000 characters'],
+    },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const thesisSchema = new mongoose.Schema(
   {
     title: {
@@ -34,6 +131,114 @@ const thesisSchema = new mongoose.Schema(
         message: 'Must have between 3 and 5 tags',
       },
     },
+    authors: {
+      type: [personSchema],
+      default: [],
+    },
+    advisors: {
+      type: [personSchema],
+      default: [],
+    },
+    degreeLevel: {
+      type: String,
+      enum: {
+        values: DEGREE_LEVELS,
+        message: `Degree level must be one of: ${DEGREE_LEVELS.join(', ')}`,
+      },
+    },
+    department: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Department cannot exceed 200 characters'],
+    },
+    institution: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Institution cannot exceed 200 characters'],
+    },
+    defenseYear: {
+      type: Number,
+      min: [1800, 'Year of defense must be 1800 or later'],
+      max: [2100, 'Year of defense must be 2100 or earlier'],
+    },
+    language: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      default: 'en',
+      match: [/^[a-z]{2,3}$/, 'Language must be an ISO 639 code (e.g. en, fil)'],
+    },
+    keywords: {
+      type: [String],
+      default: [],
+    },
+    doi: {
+      type: String,
+      trim: true,
+      match: [/^10\.\d{4,9}\/\S+$/, 'DOI must look like 10.1234/abc'],
+    },
+    handle: {
+      type: String,
+      trim: true,
+      match: [/^\d+(\.\d+)*\/\S+$/, 'Handle must look like 12345/678'],
+    },
+    license: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'License cannot exceed 100 characters'],
+    },
+    file: {
+      type: fileSchema,
+    },
+    // Account that created the thesis (absent for theses created before accounts existed)
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    status: {
+      type: String,
+      enum: {
+        values: STATUSES,
+        message: `Status must be one of: ${STATUSES.join(', ')}`,
+      },
+      default: 'draft',
+    },
+    reviewNotes: {
+      type: [reviewNoteSchema],
+      default: [],
+    },
+    publishedAt: Date,
+    // Set when the thesis is moved to the trash; purged after the retention period
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // Normalized DOI, handle and title+year (see dedupeKeys); kept in sync on save
+    dedupeKeys: {
+      type: [String],
+      default: undefined,
+      select: false,
+    },
+    // Full extracted text; excluded from queries unless explicitly selected
+    fullText: {
+      type: String,
+      select: false,
+    },
+    // Character offsets of each PDF page within fullText
+    pages: {
+      type: [
+        new mongoose.Schema(
+          { number: Number, start: Number, end: Number },
+          { _id: false }
+        ),
+      ],
+      default: undefined,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -44,21 +249,93 @@ const thesisSchema = new mongoose.Schema(
 thesisSchema.index({ tags: 1 });
 thesisSchema.index({ title: 'text', abstract: 'text' });
 thesisSchema.index({ createdAt: -1 });
+thesisSchema.index({ 'authors.name': 1 });
+thesisSchema.index({ 'advisors.name': 1 });
+thesisSchema.index({ keywords: 1 });
+thesisSchema.index({ department: 1, defenseYear: -1 });
+thesisSchema.index({ institution: 1 });
+thesisSchema.index({ degreeLevel: 1 });
+thesisSchema.index({ language: 1 });
+thesisSchema.index({ defenseYear: -1 });
+thesisSchema.index({ doi: 1 }, { unique: true, sparse: true });
+thesisSchema.index({ handle: 1 }, { unique: true, sparse: true });
+thesisSchema.index({ submittedBy: 1 });
+thesisSchema.index({ status: 1, createdAt: -1 });
+thesisSchema.index({ status: 1, updatedAt: 1, _id: 1 }); // OAI-PMH harvests by modification date
+thesisSchema.index({ deletedAt: 1 }, { partialFilterExpression: { deletedAt: { $type: 'date' } } });
+thesisSchema.index({ dedupeKeys: 1 });
+
+// Validation also runs for insertMany, so every write path refreshes the keys
+thesisSchema.pre('validate', function (next) {
+  this.dedupeKeys = dedupeKeys(this);
+  next();
+});
 
 // Virtual for formatted date
 thesisSchema.virtual('formattedDate').get(function () {
   return this.createdAt.toLocaleDateString();
 });
 
+/**
+ * Query filter for theses the public may see (listings, search, chat)
+ * @returns {object} MongoDB filter
+ */
+thesisSchema.statics.publicFilter = function () {
+  return { status: 'published', deletedAt: null };
+};
+
+/**
+ * Publish theses created before the review workflow (they have no status)
+ * Runs on server startup and from `npm run migrate:status`; once every
+ * thesis has a status this matches nothing.
+ * @returns {Promise<number>} Number of theses published
+ */
+thesisSchema.statics.publishLegacy = async function () {
+  // Raw collection update: the pipeline copies createdAt into publishedAt
+  const result = await this.collection.updateMany({ status: { $exists: false } }, [
+    { $set: { status: 'published', publishedAt: '$createdAt' } },
+  ]);
+  return result.modifiedCount;
+};
+
+/**
+ * Whether a user submitted this thesis
+ * @param {object} user - Authenticated user (or undefined)
+ * @returns {boolean}
+ */
+thesisSchema.methods.isOwnedBy = function (user) {
+  return Boolean(user && this.submittedBy && String(this.submittedBy) === String(user._id));
+};
+
+/**
+ * Whether a user may see this thesis (published, or their own, or a curator)
+ * @param {object} user - Authenticated user (or undefined)
+ * @returns {boolean}
+ */
+thesisSchema.methods.isVisibleTo = function (user) {
+  if (this.deletedAt) {
+    return false; // Trashed theses are only listed in the trash
+  }
+  return this.status === 'published' || this.isOwnedBy(user) || Boolean(user && user.hasRole('curator'));
+};
+
 // Method to get thesis without embeddings (for cleaner responses)
 thesisSchema.methods.toCleanJSON = function () {
   const obj = this.toObject();
   obj.embeddingDimensions = obj.embeddings.length;
   delete obj.embeddings; // Remove large embedding array from response
+  delete obj.fullText;
+  delete obj.pages;
+  delete obj.dedupeKeys;
   return obj;
 };
 
 const Thesis = mongoose.model('Thesis', thesisSchema);
 
 module.exports = Thesis;
+module.exports.DEGREE_LEVELS = DEGREE_LEVELS;
+module.exports.METADATA_FIELDS = METADATA_FIELDS;
+module.exports.STATUSES = STATUSES;
+module.exports.STATUS_ACTIONS = STATUS_ACTIONS;
+module.exports.dedupeKeys = dedupeKeys;
 
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * A passage of a thesis with its own embedding, used for RAG retrieval
+ */
+const thesisChunkSchema = new mongoose.Schema(
+  {
+    thesis: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Thesis',
+      required: true,
+    },
+    // Position of the chunk within the thesis
+    index: {
+      type: Number,
+      required: true,
+    },
+    // Where the text came from: the extracted PDF text or the abstract
+    source: {
+      type: String,
+      enum: ['fullText', 'abstract'],
+      required: true,
+    },
+    section: {
+      type: String,
+      trim: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    // Character offsets within the source text
+    startOffset: Number,
+    endOffset: Number,
+    // PDF page range (null for abstract chunks)
+    pageStart: Number,
+    pageEnd: Number,
+    tokenCount: Number,
+    embeddings: {
+      type: [Number],
+      required: true,
+      validate: {
+        validator: function (v) {
+          return Array.isArray(v) && v.length > 0;
+        },
+        message: 'Embeddings must be a non-empty array',
+      },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+thesisChunkSchema.index({ thesis: 1, index: 1 }, { unique: true });
+
+const ThesisChunk = mongoose.model('ThesisChunk', thesisChunkSchema);
+
+module.exports = ThesisChunk;
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Ordered from least to most privileged; each role can do everything the previous ones can
+const ROLES = ['reader', 'submitter', 'curator', 'admin'];
+
+const userSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, 'Email is required'],
+      unique: true,
+      trim: true,
+      lowercase: true,
+      maxlength: [254, 'Email cannot exceed 254 characters'],
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Email must be a valid address'],
+    },
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [200, 'Name cannot exceed 200 characters'],
+    },
+    // bcrypt hash; excluded from queries unless explicitly selected
+    passwordHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    role: {
+      type: String,
+      enum: {
+        values: ROLES,
+        message: `Role must be one of: ${ROLES.join(', ')}`,
+      },
+      default: 'reader',
+    },
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    lastLoginAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+/**
+ * Whether the user's role is at least the given role
+ * @param {string} role - Minimum role
+ * @returns {boolean}
+ */
+userSchema.methods.hasRole = function (role) {
+  return ROLES.indexOf(this.role) >= ROLES.indexOf(role);
+};
+
+// Method to get user without credentials (for responses)
+userSchema.methods.toCleanJSON = function () {
+  const obj = this.toObject();
+  delete obj.passwordHash;
+  delete obj.__v;
+  return obj;
+};
+
+const User = mongoose.model('User', userSchema);
+
+module.exports = User;
+module.exports.ROLES = ROLES;
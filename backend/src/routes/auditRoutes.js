@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { requireRole } = require('../middleware/auth');
+const { validateAuditQuery } = require('../middleware/validator');
+
+/**
+ * Audit Routes
+ * The audit log is readable by curators and admins.
+ */
+
+// List audit events (filter by action, thesis, actor, requestId, from, to)
+router.get('/', requireRole('curator'), validateAuditQuery, auditController.getAuditEvents);
+
+module.exports = router;
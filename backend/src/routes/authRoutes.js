@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { requireRole } = require('../middleware/auth');
+const {
+  validateRegistration,
+  validateLogin,
+  validateApiKeyCreation,
+  validateUserUpdate,
+} = require('../middleware/validator');
+
+/**
+ * Auth Routes
+ */
+
+// Register a reader account (AUTH_OPEN_REGISTRATION=true)
+router.post('/register', validateRegistration, authController.register);
+
+// Log in and get a session token
+router.post('/login', validateLogin, authController.login);
+
+// Get the current user
+router.get('/me', requireRole('reader'), authController.getMe);
+
+// List, create and revoke your API keys
+router.get('/api-keys', requireRole('reader'), authController.getApiKeys);
+router.post('/api-keys', requireRole('reader'), validateApiKeyCreation, authController.createApiKey);
+router.delete('/api-keys/:id', requireRole('reader'), authController.revokeApiKey);
+
+// Manage accounts (admin only)
+router.get('/users', requireRole('admin'), authController.getUsers);
+router.post('/users', requireRole('admin'), validateRegistration, authController.createUser);
+router.patch('/users/:id', requireRole('admin'), validateUserUpdate, authController.updateUser);
+
+module.exports = router;
@@ -10,9 +10,15 @@ const { validateChatRequest } = require('../middleware/validator');
 // Process chat message
 router.post('/', validateChatRequest, chatController.chat);
 
+// Process chat message, streaming the answer (Server-Sent Events)
+router.post('/stream', validateChatRequest, chatController.chatStream);
+
 // Get suggested questions
 router.get('/suggestions', chatController.getSuggestions);
 
+// List models available from the AI provider
+router.get('/models', chatController.getModels);
+
 // Summarize a specific thesis
 router.get('/summarize/:id', chatController.summarizeThesis);
 
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const jobController = require('../controllers/jobController');
+const { requireRole } = require('../middleware/auth');
+
+/**
+ * Job Routes
+ * Users see the jobs they queued; curators see every job.
+ */
+
+// Get job status, progress and result
+router.get('/:id', requireRole('reader'), jobController.getJob);
+
+module.exports = router;
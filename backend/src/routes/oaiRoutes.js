@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const oaiController = require('../controllers/oaiController');
+
+/**
+ * OAI-PMH Routes
+ * Public: only published theses are harvestable.
+ */
+
+// OAI-PMH 2.0 request (verb and arguments in the query string)
+router.get('/', oaiController.handleRequest);
+
+// OAI-PMH 2.0 request (arguments as application/x-www-form-urlencoded)
+router.post('/', oaiController.handleRequest);
+
+module.exports = router;
@@ -1,20 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const searchController = require('../controllers/searchController');
-const { validateSearchRequest } = require('../middleware/validator');
+const { validateSearchRequest, validateSearchFilters, validateExportRequest } = require('../middleware/validator');
 
 /**
  * Search Routes
  */
 
-// Semantic search
+// Semantic search (with optional filters and facet counts)
 router.post('/semantic', validateSearchRequest, searchController.semanticSearch);
 
 // Search by tags
-router.post('/tags', searchController.searchByTags);
+router.post('/tags', validateSearchFilters, searchController.searchByTags);
 
 // Combined search (text + tags)
-router.post('/combined', searchController.combinedSearch);
+router.post('/combined', validateSearchFilters, searchController.combinedSearch);
+
+// Export the results of a search or tag query
+router.post('/export', validateExportRequest, searchController.exportSearch);
 
 module.exports = router;
 
@@ -1,17 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const thesisController = require('../controllers/thesisController');
-const { validateThesisCreation, validatePagination, validateBatchThesisCreation } = require('../middleware/validator');
+const {
+  validateThesisCreation,
+  validatePagination,
+  validateBatchThesisCreation,
+  validateThesisUpload,
+  validateThesisUpdate,
+  validateReviewNote,
+  validateImportRequest,
+  validateExportQuery,
+  validateCiteQuery,
+} = require('../middleware/validator');
+const { STATUS_ACTIONS } = require('../models/Thesis');
+const { uploadPdf, uploadImportFile } = require('../middleware/upload');
+const { requireRole } = require('../middleware/auth');
 
 /**
  * Thesis Routes
+ * Reads are public; changes need a submitter, curator or admin account.
  */
 
 // Create new thesis
-router.post('/', validateThesisCreation, thesisController.createThesis);
+router.post('/', requireRole('submitter'), validateThesisCreation, thesisController.createThesis);
+
+// Create thesis from an uploaded PDF (multipart/form-data)
+router.post('/upload', requireRole('submitter'), uploadPdf, validateThesisUpload, thesisController.uploadThesis);
 
 // Create multiple theses in batch
-router.post('/batch', validateBatchThesisCreation, thesisController.createBatchTheses);
+router.post('/batch', requireRole('curator'), validateBatchThesisCreation, thesisController.createBatchTheses);
+
+// Bulk import from a CSV, JSONL, BibTeX or RIS file (multipart/form-data)
+router.post('/import', requireRole('curator'), uploadImportFile, validateImportRequest, thesisController.importTheses);
 
 // Get all theses
 router.get('/', validatePagination, thesisController.getAllTheses);
@@ -19,6 +39,9 @@ router.get('/', validatePagination, thesisController.getAllTheses);
 // Get statistics
 router.get('/stats', thesisController.getStats);
 
+// List theses in the trash
+router.get('/trash', requireRole('admin'), validatePagination, thesisController.getTrash);
+
 // Get all unique tags
 router.get('/tags/all', thesisController.getAllTags);
 
@@ -28,11 +51,39 @@ router.get('/tag/:tag', thesisController.getThesesByTag);
 // Get thesis by ID
 router.get('/:id', thesisController.getThesisById);
 
+// Download the thesis PDF
+router.get('/:id/file', thesisController.getThesisFile);
+
+// Export a thesis (BibTeX, RIS, CSL-JSON, CSV or JSON Lines)
+router.get('/:id/export', validateExportQuery, thesisController.exportThesis);
+
+// Format a citation (APA, MLA, IEEE, Chicago or Harvard; all styles without ?style=)
+router.get('/:id/cite', validateCiteQuery, thesisController.citeThesis);
+
 // Get similar theses
 router.get('/:id/similar', thesisController.getSimilarTheses);
 
-// Delete thesis (for admin use)
-router.delete('/:id', thesisController.deleteThesis);
+// Update part of a thesis (submitters: own theses only)
+router.patch('/:id', requireRole('submitter'), validateThesisUpdate, thesisController.updateThesis);
+
+// Review workflow: submit, withdraw, publish, reject, unpublish
+Object.entries(STATUS_ACTIONS).forEach(([action, transition]) => {
+  router.post(
+    `/:id/${action}`,
+    requireRole(transition.role),
+    validateReviewNote(action === 'reject'),
+    thesisController.changeStatus(action)
+  );
+});
+
+// Regenerate AI tags
+router.post('/:id/retag', requireRole('curator'), thesisController.retagThesis);
+
+// Move thesis to the trash
+router.delete('/:id', requireRole('admin'), thesisController.deleteThesis);
+
+// Restore thesis from the trash
+router.post('/:id/restore', requireRole('admin'), thesisController.restoreThesis);
 
 module.exports = router;
 
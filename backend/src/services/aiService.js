@@ -1,99 +1,313 @@
-const axios = require('axios');
-const Groq = require('groq-sdk');
 const { getAIConfig } = require('../config/ai.config');
+const { createProvider } = require('./providers');
+const CircuitBreaker = require('../utils/circuitBreaker');
+const { withRetry, isRetryableError, isAbortError, retryDelay, sleep } = require('../utils/retry');
 const logger = require('../utils/logger');
 
 /**
  * AI Service - Handles communication with LLAMA models
- * Switches between Ollama (dev) and Groq (prod)
+ * Delegates to provider adapters (Ollama, Groq, OpenAI-compatible) selected
+ * by configuration, optionally with a different provider/model per task.
+ * Requests are retried with backoff, guarded by per-provider circuit breakers
+ * and fall back through AI_FALLBACK_PROVIDERS in order.
  */
 
 class AIService {
-  constructor() {
-    this.config = getAIConfig();
-    this.client = null;
-    this.initializeClient();
+  constructor(config = getAIConfig()) {
+    this.config = config;
+    this.providers = new Map();
+    this.breakers = new Map();
+
+    // Create the default provider eagerly so misconfiguration fails at startup
+    this.getProvider(this.config.provider);
+  }
+
+  /**
+   * Get (creating on first use) a provider instance
+   * @param {string} name - Provider name (defaults to the configured provider)
+   * @returns {BaseProvider} Provider
+   */
+  getProvider(name = this.config.provider) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, createProvider(name, this.config.providers[name]));
+    }
+    return this.providers.get(name);
   }
 
-  initializeClient() {
-    if (this.config.provider === 'ollama') {
-      // Normalize baseUrl to use IPv4 (127.0.0.1) instead of localhost to avoid IPv6 issues
-      let baseURL = this.config.baseUrl;
-      if (baseURL.includes('localhost')) {
-        baseURL = baseURL.replace('localhost', '127.0.0.1');
+  /**
+   * Get the circuit breaker guarding a provider
+   * @param {string} name - Provider name
+   * @returns {CircuitBreaker} Breaker
+   */
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker({ name, ...this.config.circuitBreaker }));
+    }
+    return this.breakers.get(name);
+  }
+
+  /**
+   * Resolve the ordered providers to try for a task
+   * The task's provider comes first (with the task's model), followed by
+   * the configured fallback providers (with their own default models).
+   * @param {string} task - Task name (tagging, queryRewrite, answer, summarize)
+   * @param {string} model - Explicit model override for the first provider
+   * @returns {Array<{name: string, model: string|undefined}>}
+   */
+  chainFor(task, model) {
+    const route = (task && this.config.tasks[task]) || {};
+    const primary = route.provider || this.config.provider;
+
+    const chain = [{ name: primary, model: model || route.model || undefined }];
+    this.config.fallbackProviders.forEach((name) => {
+      if (!chain.some((link) => link.name === name)) {
+        chain.push({ name, model: undefined });
       }
-      
-      // Use axios for direct HTTP requests to Ollama API
-      this.client = axios.create({
-        baseURL: baseURL,
-        timeout: 300000, // 5 minutes timeout for model generation
-      });
-      logger.info(`Initialized Ollama client at ${baseURL}`);
-    } else if (this.config.provider === 'groq') {
-      if (!this.config.apiKey) {
-        logger.error('GROQ_API_KEY is not set');
-        throw new Error('GROQ_API_KEY is required for production');
+    });
+    return chain;
+  }
+
+  /**
+   * Run a request against the task's provider chain
+   * Each provider is retried on transient errors, skipped while its circuit
+   * is open, and the next provider is tried when it fails.
+   * @param {object} options - Request options (task, model, temperature, maxTokens, signal)
+   * @param {Function} call - (provider, providerOptions) => Promise
+   * @returns {Promise<*>} Result of the first provider that succeeds
+   */
+  async runWithFallback(options, call) {
+    const { task, model, ...rest } = options;
+    const failures = [];
+
+    for (const [position, link] of this.chainFor(task, model).entries()) {
+      const breaker = this.getBreaker(link.name);
+      if (!breaker.tryAcquire()) {
+        failures.push(`${link.name}: circuit open`);
+        continue;
+      }
+
+      try {
+        const provider = this.getProvider(link.name);
+        const result = await withRetry(() => call(provider, { ...rest, task, model: link.model }), {
+          ...this.config.retry,
+          onRetry: (error, attempt, delayMs) =>
+            logger.warn(`Retrying ${link.name} (attempt ${attempt}) in ${delayMs}ms: ${error.message}`),
+        });
+
+        breaker.recordSuccess();
+        if (position > 0) {
+          logger.warn(`AI request for ${task || 'default'} task served by fallback provider ${link.name}`);
+        }
+        return result;
+      } catch (error) {
+        if (isAbortError(error)) {
+          breaker.release();
+          throw error;
+        }
+        breaker.recordFailure(error);
+        failures.push(`${link.name}: ${error.message}`);
+        logger.warn(`AI provider ${link.name} failed: ${error.message}`);
       }
-      this.client = new Groq({ apiKey: this.config.apiKey });
-      logger.info('Initialized Groq client');
     }
+
+    throw new Error(failures.join('; '));
   }
 
   /**
    * Generate text completion from LLAMA
    * @param {string} prompt - The prompt to send
    * @param {object} options - Additional options
+   * @param {string} options.task - Task used to pick the provider/model
    * @returns {Promise<string>} Generated text
    */
   async generateText(prompt, options = {}) {
     try {
       const { temperature = 0.7, maxTokens = 1000 } = options;
 
-      if (this.config.provider === 'ollama') {
-        // Use direct HTTP POST to Ollama API
-        const response = await this.client.post('/api/generate', {
-          model: this.config.model,
-          prompt,
-          stream: false,
-          options: {
-            temperature,
-            num_predict: maxTokens,
-          },
-        });
-        return response.data.response;
-      } else if (this.config.provider === 'groq') {
-        const response = await this.client.chat.completions.create({
-          model: this.config.model,
-          messages: [{ role: 'user', content: prompt }],
-          temperature,
-          max_tokens: maxTokens,
-        });
-        return response.choices[0].message.content;
-      }
+      return await this.runWithFallback({ ...options, temperature, maxTokens }, (provider, providerOptions) =>
+        provider.generate(prompt, providerOptions)
+      );
     } catch (error) {
       logger.error(`Error generating text: ${error.message}`);
       throw new Error(`AI text generation failed: ${error.message}`);
     }
   }
 
+  /**
+   * Generate a reply to a list of chat messages
+   * @param {Array<{role: string, content: string}>} messages - Conversation (system/user/assistant)
+   * @param {object} options - Additional options (see generateText)
+   * @returns {Promise<string>} Generated text
+   */
+  async chat(messages, options = {}) {
+    try {
+      const { temperature = 0.7, maxTokens = 1000 } = options;
+
+      return await this.runWithFallback({ ...options, temperature, maxTokens }, (provider, providerOptions) =>
+        provider.chat(messages, providerOptions)
+      );
+    } catch (error) {
+      logger.error(`Error generating chat reply: ${error.message}`);
+      throw new Error(`AI chat failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stream a text completion from LLAMA, token by token
+   * Retries and fallbacks only happen before the first token; once text has
+   * been yielded a failure ends the stream.
+   * @param {string} prompt - The prompt to send
+   * @param {object} options - Additional options (see generateText)
+   * @param {AbortSignal} options.signal - Cancels the upstream request
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *streamText(prompt, options = {}) {
+    const { task, model, temperature = 0.7, maxTokens = 1000, ...rest } = options;
+    const failures = [];
+
+    for (const link of this.chainFor(task, model)) {
+      const breaker = this.getBreaker(link.name);
+      if (!breaker.tryAcquire()) {
+        failures.push(`${link.name}: circuit open`);
+        continue;
+      }
+
+      let started = false;
+      let settled = false;
+      try {
+        const provider = this.getProvider(link.name);
+        const providerOptions = { ...rest, task, temperature, maxTokens, model: link.model };
+
+        for (let attempt = 0; ; attempt++) {
+          try {
+            for await (const delta of provider.stream(prompt, providerOptions)) {
+              started = true;
+              yield delta;
+            }
+            break;
+          } catch (error) {
+            if (started || attempt >= this.config.retry.retries || !isRetryableError(error)) {
+              throw error;
+            }
+            const delayMs = retryDelay(error, attempt + 1, this.config.retry);
+            logger.warn(`Retrying ${link.name} stream (attempt ${attempt + 1}) in ${delayMs}ms: ${error.message}`);
+            await sleep(delayMs);
+          }
+        }
+
+        breaker.recordSuccess();
+        settled = true;
+        return;
+      } catch (error) {
+        settled = true;
+        if (isAbortError(error)) {
+          breaker.release();
+          throw error;
+        }
+        breaker.recordFailure(error);
+        logger.error(`Error streaming text from ${link.name}: ${error.message}`);
+        if (started) {
+          throw new Error(`AI text streaming failed: ${error.message}`);
+        }
+        failures.push(`${link.name}: ${error.message}`);
+      } finally {
+        // The consumer stopped early (e.g. the client disconnected)
+        if (!settled) {
+          breaker.release();
+        }
+      }
+    }
+
+    throw new Error(`AI text streaming failed: ${failures.join('; ')}`);
+  }
+
+  /**
+   * List the models available from a provider
+   * @param {string} name - Provider name (defaults to the configured provider)
+   * @returns {Promise<Array<string>>} Model names
+   */
+  async listModels(name = this.config.provider) {
+    return this.getProvider(name).listModels();
+  }
+
+  /**
+   * Describe the configured provider routing
+   * @returns {object} Default provider and per-task provider/model
+   */
+  getRouting() {
+    const tasks = {};
+    Object.entries(this.config.tasks).forEach(([task, route]) => {
+      const provider = route.provider || this.config.provider;
+      tasks[task] = {
+        provider,
+        model: route.model || (this.config.providers[provider] || {}).model || null,
+      };
+    });
+    return { provider: this.config.provider, tasks };
+  }
+
+  /**
+   * Get provider routing and circuit breaker states (no network calls)
+   * @returns {object} Routing plus the circuit state of each provider in use
+   */
+  getStatus() {
+    const routing = this.getRouting();
+    const circuits = {};
+    this.providerNames().forEach((name) => {
+      circuits[name] = this.getBreaker(name).getStatus();
+    });
+
+    return {
+      ...routing,
+      fallbackProviders: this.config.fallbackProviders,
+      circuits,
+    };
+  }
+
+  /**
+   * Names of every provider a task can be routed to, including fallbacks
+   * @returns {Array<string>} Provider names
+   */
+  providerNames() {
+    return Array.from(
+      new Set([
+        this.config.provider,
+        ...Object.values(this.getRouting().tasks).map((route) => route.provider),
+        ...this.config.fallbackProviders,
+      ])
+    );
+  }
+
   /**
    * Check if the AI service is available
-   * @returns {Promise<boolean>} Service availability
+   * Probes every provider in use; the service is healthy when each task has
+   * at least one healthy provider in its chain.
+   * @returns {Promise<object>} { healthy, providers: { name: { healthy, circuit, error } } }
    */
   async checkHealth() {
-    try {
-      if (this.config.provider === 'ollama') {
-        const response = await this.client.get('/api/tags');
-        return response.data !== null;
-      } else if (this.config.provider === 'groq') {
-        // Try a simple completion
-        await this.generateText('Hello', { maxTokens: 5 });
-        return true;
+    const providers = {};
+
+    for (const name of this.providerNames()) {
+      let healthy = false;
+      let error = null;
+      try {
+        healthy = Boolean(await this.getProvider(name).checkHealth());
+      } catch (err) {
+        error = err.message;
+        logger.error(`AI service health check failed (${name}): ${err.message}`);
       }
-    } catch (error) {
-      logger.error(`AI service health check failed: ${error.message}`);
-      return false;
+      providers[name] = {
+        healthy,
+        circuit: this.getBreaker(name).getStatus(),
+        error,
+      };
     }
+
+    const healthy = Object.keys(this.config.tasks).every((task) =>
+      this.chainFor(task).some((link) => providers[link.name].healthy)
+    );
+
+    return { healthy, providers };
   }
 }
 
@@ -101,4 +315,4 @@ class AIService {
 const aiService = new AIService();
 
 module.exports = aiService;
-
+module.exports.AIService = AIService;
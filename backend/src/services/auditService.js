@@ -0,0 +1,155 @@
+const AuditEvent = require('../models/AuditEvent');
+const { METADATA_FIELDS } = require('../models/Thesis');
+const logger = require('../utils/logger');
+
+/**
+ * Audit Service - Records who changed which thesis, when and how
+ * Events store the actor, the request ID and a field-level before/after
+ * diff. Recording never fails the request: errors are logged instead.
+ */
+
+// Thesis fields compared when building diffs
+const AUDITED_FIELDS = ['title', 'abstract', 'tags', 'status', ...METADATA_FIELDS, 'file', 'deletedAt'];
+
+/**
+ * Comparable form of a field value (dates, ObjectIds and subdocuments via JSON)
+ * Missing values, null and empty arrays are all "unset".
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+const fingerprint = (value) =>
+  JSON.stringify(value === undefined || (Array.isArray(value) && value.length === 0) ? null : value);
+
+class AuditService {
+  /**
+   * Copy the audited fields of a thesis
+   * @param {Thesis|object} thesis - Thesis document or plain object
+   * @returns {object} Plain values of the audited fields
+   */
+  snapshot(thesis) {
+    const source = typeof thesis.toObject === 'function' ? thesis.toObject({ depopulate: true }) : thesis;
+    const snapshot = {};
+    AUDITED_FIELDS.forEach((field) => {
+      if (source[field] !== undefined) {
+        // Detach from the document so later edits don't change the snapshot
+        snapshot[field] = JSON.parse(JSON.stringify(source[field]));
+      }
+    });
+    return snapshot;
+  }
+
+  /**
+   * Field-level differences between two snapshots
+   * @param {object} before - Snapshot before the change ({} for a new thesis)
+   * @param {object} after - Snapshot after the change
+   * @returns {Array<{field: string, before: *, after: *}>} Changed fields
+   */
+  diff(before, after) {
+    return AUDITED_FIELDS.filter((field) => fingerprint(before[field]) !== fingerprint(after[field])).map(
+      (field) => ({ field, before: before[field], after: after[field] })
+    );
+  }
+
+  /**
+   * Who made the request (empty for system actions)
+   * Work done later on behalf of a request (background jobs) passes
+   * `{ auditContext }` with the context saved when the request came in.
+   * @param {object} req - Express request, `{ auditContext }`, or null
+   * @returns {object} { actor, actorRole, apiKey, requestId }
+   */
+  context(req) {
+    if (!req) return {};
+    if (req.auditContext) return req.auditContext;
+    return {
+      actor: req.user && req.user._id,
+      actorRole: req.user && req.user.role,
+      apiKey: req.user && req.user.apiKey,
+      requestId: req.id,
+    };
+  }
+
+  /**
+   * Record an event for one thesis
+   * @param {object} req - Express request, or null for system actions
+   * @param {string} action - One of AUDIT_ACTIONS
+   * @param {Thesis|object} thesis - Thesis (needs _id and title)
+   * @param {object} options - { changes, details }
+   * @returns {Promise<AuditEvent|null>} Stored event, or null if recording failed
+   */
+  async record(req, action, thesis, { changes = [], details } = {}) {
+    try {
+      return await AuditEvent.create({
+        action,
+        thesis: thesis._id,
+        thesisTitle: thesis.title,
+        ...this.context(req),
+        changes,
+        details,
+      });
+    } catch (error) {
+      logger.error(`Failed to record ${action} audit event for thesis ${thesis._id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Record the creation of one or more theses
+   * @param {object} req - Express request
+   * @param {Array<Thesis>} theses - Created theses
+   * @param {object} details - Shared details (e.g. { batch: 3 })
+   * @returns {Promise<void>}
+   */
+  async recordCreated(req, theses, details) {
+    try {
+      await AuditEvent.insertMany(
+        theses.map((thesis) => ({
+          action: 'create',
+          thesis: thesis._id,
+          thesisTitle: thesis.title,
+          ...this.context(req),
+          changes: this.diff({}, this.snapshot(thesis)),
+          details,
+        }))
+      );
+    } catch (error) {
+      logger.error(`Failed to record create audit events: ${error.message}`);
+    }
+  }
+
+  /**
+   * List events, most recent first
+   * @param {object} filters - { action, thesis, actor, requestId, from, to }
+   * @param {object} options - { page, limit }
+   * @returns {Promise<{events: Array, total: number}>}
+   */
+  async list(filters = {}, { page = 1, limit = 20 } = {}) {
+    const query = {};
+    ['action', 'thesis', 'actor', 'requestId'].forEach((field) => {
+      if (filters[field]) query[field] = filters[field];
+    });
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) query.createdAt.$gte = new Date(filters.from);
+      if (filters.to) query.createdAt.$lte = new Date(filters.to);
+    }
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(query)
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditEvent.countDocuments(query),
+    ]);
+
+    return { events, total };
+  }
+}
+
+// Singleton instance
+const auditService = new AuditService();
+
+module.exports = auditService;
+module.exports.AuditService = AuditService;
+module.exports.AUDITED_FIELDS = AUDITED_FIELDS;
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { ROLES } = require('../models/User');
+const { getAuthConfig } = require('../config/auth.config');
+const logger = require('../utils/logger');
+
+/**
+ * Auth Service - User accounts, JWT sessions and API keys
+ */
+
+const API_KEY_BYTES = 24;
+const API_KEY_PREFIX_LENGTH = 12;
+
+/**
+ * Create an error carrying an HTTP status for the error handler
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+const httpError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Full API key
+ * @returns {string} sha256 hex digest
+ */
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+class AuthService {
+  constructor() {
+    this.config = getAuthConfig();
+  }
+
+  /**
+   * Create a user account
+   * @param {object} input - { email, name, password, role }
+   * @returns {Promise<User>} Created user
+   */
+  async createUser({ email, name, password, role = 'reader' }) {
+    const existing = await User.exists({ email: String(email).toLowerCase().trim() });
+    if (existing) {
+      throw httpError(409, 'An account with this email already exists');
+    }
+
+    const passwordHash = await bcrypt.hash(password, this.config.bcryptRounds);
+    const user = await User.create({ email, name, passwordHash, role });
+
+    logger.info(`Created ${role} account for ${user.email}`);
+    return user;
+  }
+
+  /**
+   * Check an email and password
+   * @param {string} email - Account email
+   * @param {string} password - Plain text password
+   * @returns {Promise<{user: User, token: string}>} User and session token
+   */
+  async login(email, password) {
+    const user = await User.findOne({ email: String(email).toLowerCase().trim() }).select('+passwordHash');
+
+    // Same message for unknown email and wrong password
+    const valid = user && user.active && (await bcrypt.compare(password, user.passwordHash));
+    if (!valid) {
+      throw httpError(401, 'Invalid email or password');
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    return { user, token: this.issueToken(user) };
+  }
+
+  /**
+   * Sign a session token for a user
+   * @param {User} user - User
+   * @returns {string} JWT
+   */
+  issueToken(user) {
+    return jwt.sign({ role: user.role }, this.config.jwtSecret, {
+      subject: String(user._id),
+      expiresIn: this.config.jwtExpiresIn,
+    });
+  }
+
+  /**
+   * Resolve the user behind a session token
+   * The role is re-read from the database so demotions apply immediately.
+   * @param {string} token - JWT
+   * @returns {Promise<User>} Active user
+   */
+  async verifyToken(token) {
+    let payload;
+    try {
+      payload = jwt.verify(token, this.config.jwtSecret);
+    } catch (error) {
+      throw httpError(401, error.name === 'TokenExpiredError' ? 'Session expired' : 'Invalid token');
+    }
+
+    const user = await User.findById(payload.sub);
+    if (!user || !user.active) {
+      throw httpError(401, 'Invalid token');
+    }
+    return user;
+  }
+
+  /**
+   * Create an API key for a user
+   * @param {User} user - Key owner
+   * @param {object} options - { name, role, expiresAt }
+   * @returns {Promise<{apiKey: ApiKey, key: string}>} Stored key and the secret (shown once)
+   */
+  async createApiKey(user, { name, role = user.role, expiresAt } = {}) {
+    if (!user.hasRole(role)) {
+      throw httpError(403, 'API keys cannot have a higher role than their owner');
+    }
+
+    const key = `${this.config.apiKeyPrefix}${crypto.randomBytes(API_KEY_BYTES).toString('base64url')}`;
+    const apiKey = await ApiKey.create({
+      name,
+      user: user._id,
+      role,
+      prefix: key.slice(0, API_KEY_PREFIX_LENGTH),
+      keyHash: hashApiKey(key),
+      expiresAt,
+    });
+
+    logger.info(`Created API key "${name}" (${apiKey.prefix}…) for ${user.email}`);
+    return { apiKey, key };
+  }
+
+  /**
+   * List a user's API keys (without secrets)
+   * @param {User} user - Key owner
+   * @returns {Promise<Array<ApiKey>>} Keys, newest first
+   */
+  async listApiKeys(user) {
+    return ApiKey.find({ user: user._id }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Revoke an API key
+   * @param {User} user - Acting user (admins may revoke any key)
+   * @param {string} keyId - API key ID
+   * @returns {Promise<ApiKey>} Revoked key
+   */
+  async revokeApiKey(user, keyId) {
+    const filter = user.hasRole('admin') ? { _id: keyId } : { _id: keyId, user: user._id };
+    const apiKey = await ApiKey.findOne(filter);
+    if (!apiKey) {
+      throw httpError(404, 'API key not found');
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+      logger.info(`Revoked API key ${apiKey.prefix}…`);
+    }
+    return apiKey;
+  }
+
+  /**
+   * Resolve the user behind an API key
+   * @param {string} key - Full API key
+   * @returns {Promise<User>} Owner, with `role` narrowed to the key's role
+   */
+  async verifyApiKey(key) {
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(key) }).populate('user');
+    if (!apiKey || !apiKey.isUsable() || !apiKey.user || !apiKey.user.active) {
+      throw httpError(401, 'Invalid API key');
+    }
+
+    // Don't block the request on bookkeeping
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(() => {});
+
+    const user = apiKey.user;
+    if (ROLES.indexOf(apiKey.role) < ROLES.indexOf(user.role)) {
+      user.role = apiKey.role;
+    }
+    user.apiKey = apiKey._id;
+    return user;
+  }
+
+  /**
+   * Update a user's role or active flag (admin only)
+   * @param {string} userId - User ID
+   * @param {object} changes - { role, active, name }
+   * @returns {Promise<User>} Updated user
+   */
+  async updateUser(userId, changes) {
+    const user = await User.findById(userId);
+    if (!user) {
+      throw httpError(404, 'User not found');
+    }
+
+    ['role', 'active', 'name'].forEach((field) => {
+      if (changes[field] !== undefined) {
+        user[field] = changes[field];
+      }
+    });
+    await user.save();
+
+    logger.info(`Updated account ${user.email} (role: ${user.role}, active: ${user.active})`);
+    return user;
+  }
+
+  /**
+   * List all user accounts
+   * @returns {Promise<Array<User>>} Users, oldest first
+   */
+  async listUsers() {
+    return User.find().sort({ createdAt: 1 });
+  }
+}
+
+// Singleton instance
+const authService = new AuthService();
+
+module.exports = authService;
+module.exports.httpError = httpError;
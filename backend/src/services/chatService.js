@@ -1,12 +1,49 @@
 const aiService = require('./aiService');
 const searchService = require('./searchService');
+const { formatPeople } = require('../utils/thesisMetadata');
+const { estimateTokens } = require('../utils/textUtils');
 const logger = require('../utils/logger');
 
 /**
  * Chat Service - RAG-based chatbot with Query Rewriting
- * Uses Llama 3.2 with semantic search and query optimization
+ * Uses Llama 3.2 with passage retrieval and query optimization
  */
 
+// Prompt budget for retrieved passages
+const DEFAULT_CONTEXT_TOKENS = 1500;
+// Passages allowed from any single thesis
+const PASSAGES_PER_THESIS = 2;
+
+const RAG_GENERATION_OPTIONS = {
+  task: 'answer',
+  temperature: 0.7,
+  maxTokens: 500,
+};
+
+const NO_RESULTS_ANSWER =
+  "I couldn't find any relevant theses in the repository to answer your question. Please try rephrasing your query or asking about different topics.";
+
+/**
+ * Merge two ranked lists by score, keeping the order within each list
+ * (so MMR orderings survive the merge)
+ * @param {Array} a - Ranked results with a score
+ * @param {Array} b - Ranked results with a score
+ * @returns {Array} Merged results
+ */
+const mergeByScore = (a, b) => {
+  const merged = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (j >= b.length || (i < a.length && a[i].score >= b[j].score)) {
+      merged.push(a[i++]);
+    } else {
+      merged.push(b[j++]);
+    }
+  }
+  return merged;
+};
+
 class ChatService {
   /**
    * Process a chat message using RAG with query rewriting
@@ -16,42 +53,24 @@ class ChatService {
    */
   async processMessage(message, options = {}) {
     try {
-      const { conversationHistory = [], topK = 3 } = options;
+      const { conversationHistory = [] } = options;
 
       logger.info(`Processing chat message: "${message}"`);
 
-      // Step 1: Rewrite/optimize the query for better semantic search
-      const optimizedQuery = await this.rewriteQuery(message, conversationHistory);
-      logger.info(`Original query: "${message}" → Optimized: "${optimizedQuery}"`);
-
-      // Step 2: Retrieve relevant theses using semantic search
-      const relevantTheses = await searchService.semanticSearch(optimizedQuery, {
-        limit: topK,
-        threshold: 0.3, // Lower threshold for broader context
-      });
+      // Steps 1-3: Rewrite the query, retrieve passages and build the context
+      const { context, sources } = await this.prepareContext(message, options);
 
-      if (relevantTheses.length === 0) {
+      if (sources.length === 0) {
         return {
-          answer: "I couldn't find any relevant theses in the repository to answer your question. Please try rephrasing your query or asking about different topics.",
+          answer: NO_RESULTS_ANSWER,
           sources: [],
           conversationHistory: [...conversationHistory, { role: 'user', content: message }],
         };
       }
 
-      // Step 3: Build context from retrieved theses
-      const context = this.buildContext(relevantTheses);
-
       // Step 4: Generate response using LLAMA with RAG
       const answer = await this.generateRAGResponse(message, context, conversationHistory);
 
-      // Step 5: Format sources
-      const sources = relevantTheses.map((thesis) => ({
-        id: thesis._id,
-        title: thesis.title,
-        tags: thesis.tags,
-        relevanceScore: thesis.score,
-      }));
-
       logger.info('Chat response generated successfully');
 
       return {
@@ -69,6 +88,179 @@ class ChatService {
     }
   }
 
+  /**
+   * Process a chat message, streaming progress as events
+   * Yields, in order: `query` (rewritten query), `sources`, any number of
+   * `token` deltas, then `done` with the full answer and history.
+   * @param {string} message - User's chat message
+   * @param {object} options - Chat options (plus `signal` to abort generation)
+   * @returns {AsyncGenerator<{event: string, data: object}>} Chat events
+   */
+  async *streamMessage(message, options = {}) {
+    const { conversationHistory = [], signal } = options;
+
+    logger.info(`Streaming chat message: "${message}"`);
+
+    const { optimizedQuery, context, sources } = await this.prepareContext(message, options);
+    yield { event: 'query', data: { original: message, optimized: optimizedQuery } };
+    yield { event: 'sources', data: sources };
+
+    let answer = '';
+
+    if (sources.length === 0) {
+      answer = NO_RESULTS_ANSWER;
+      yield { event: 'token', data: { text: answer } };
+    } else {
+      const prompt = this.buildRAGPrompt(message, context, conversationHistory);
+      for await (const text of aiService.streamText(prompt, { ...RAG_GENERATION_OPTIONS, signal })) {
+        answer += text;
+        yield { event: 'token', data: { text } };
+      }
+      answer = answer.trim();
+    }
+
+    logger.info('Chat response streamed successfully');
+
+    yield {
+      event: 'done',
+      data: {
+        answer,
+        conversationHistory: [
+          ...conversationHistory,
+          { role: 'user', content: message },
+          ...(sources.length > 0 ? [{ role: 'assistant', content: answer }] : []),
+        ],
+      },
+    };
+  }
+
+  /**
+   * Rewrite the query, retrieve passages and build the prompt context
+   * @param {string} message - User's chat message
+   * @param {object} options - Chat options (conversationHistory, topK,
+   *   maxContextTokens, and mmr/mmrLambda to diversify the retrieved theses)
+   * @returns {Promise<{optimizedQuery: string, context: string, sources: Array}>}
+   */
+  async prepareContext(message, options = {}) {
+    const {
+      conversationHistory = [],
+      topK = 3,
+      maxContextTokens = DEFAULT_CONTEXT_TOKENS,
+      mmr = false,
+      mmrLambda,
+    } = options;
+
+    // Step 1: Rewrite/optimize the query for better semantic search
+    const optimizedQuery = await this.rewriteQuery(message, conversationHistory);
+    logger.info(`Original query: "${message}" → Optimized: "${optimizedQuery}"`);
+
+    // Step 2: Retrieve the best passages, at most topK theses within the token budget
+    const passages = await this.retrievePassages(optimizedQuery, topK, { mmr, mmrLambda });
+    const selectedPassages = this.selectPassages(passages, { topK, maxContextTokens });
+
+    // Step 3: Build context and sources from retrieved passages
+    return {
+      optimizedQuery,
+      context: selectedPassages.length > 0 ? this.buildContext(selectedPassages) : '',
+      sources: this.formatSources(selectedPassages),
+    };
+  }
+
+  /**
+   * Retrieve candidate passages for a query
+   * Whole abstracts stand in for theses without a matching passage (e.g.
+   * theses not chunked yet), merged with the passages by score.
+   * With MMR, near-duplicate passages and abstracts make way for others.
+   * @param {string} query - Optimized search query
+   * @param {number} topK - Number of theses wanted in the context
+   * @param {object} options - { mmr, mmrLambda }
+   * @returns {Promise<Array>} Passages sorted by score (or in MMR order)
+   */
+  async retrievePassages(query, topK, options = {}) {
+    const { mmr = false, mmrLambda } = options;
+    const searchOptions = {
+      limit: topK * 5, // Several passages per thesis before deduplication
+      threshold: 0.3, // Lower threshold for broader context
+      mmr,
+      mmrLambda,
+    };
+
+    const [passages, theses] = await Promise.all([
+      searchService.searchPassages(query, searchOptions),
+      searchService.semanticSearch(query, searchOptions),
+    ]);
+
+    const withPassages = new Set(passages.map((passage) => passage.thesis._id.toString()));
+    const abstracts = theses
+      .filter((thesis) => !withPassages.has(thesis._id.toString()))
+      .map((thesis) => ({
+        _id: thesis._id,
+        thesis,
+        text: thesis.abstract,
+        section: 'Abstract',
+        source: 'abstract',
+        pageStart: null,
+        pageEnd: null,
+        startOffset: 0,
+        endOffset: thesis.abstract.length,
+        score: thesis.score,
+      }));
+
+    return mergeByScore(passages, abstracts);
+  }
+
+  /**
+   * Pick the passages that go into the prompt
+   * Keeps at most `topK` theses and `passagesPerThesis` non-overlapping
+   * passages per thesis, in score order, until the token budget is spent.
+   * @param {Array} passages - Candidate passages sorted by score
+   * @param {object} options - Selection options
+   * @returns {Array} Selected passages
+   */
+  selectPassages(passages, options = {}) {
+    const {
+      topK = 3,
+      maxContextTokens = DEFAULT_CONTEXT_TOKENS,
+      passagesPerThesis = PASSAGES_PER_THESIS,
+    } = options;
+
+    const selected = [];
+    const byThesis = new Map();
+    let usedTokens = 0;
+
+    for (const passage of passages) {
+      const thesisId = passage.thesis._id.toString();
+      const taken = byThesis.get(thesisId) || [];
+
+      if (taken.length === 0 && byThesis.size >= topK) continue;
+      if (taken.length >= passagesPerThesis) continue;
+
+      // Neighbouring chunks share their overlap; keep only the better one
+      const overlaps = taken.some(
+        (other) =>
+          other.source === passage.source &&
+          other.startOffset < passage.endOffset &&
+          passage.startOffset < other.endOffset
+      );
+      if (overlaps) continue;
+
+      let text = passage.text;
+      const tokens = estimateTokens(text);
+      if (usedTokens + tokens > maxContextTokens) {
+        if (selected.length > 0) continue;
+        // Always include the best passage, trimmed to the budget
+        text = text.slice(0, maxContextTokens * 4);
+      }
+
+      const chosen = { ...passage, text };
+      selected.push(chosen);
+      byThesis.set(thesisId, [...taken, chosen]);
+      usedTokens += estimateTokens(text);
+    }
+
+    return selected;
+  }
+
   /**
    * Rewrite/optimize user query for better semantic search
    * @param {string} userQuery - Original user query
@@ -102,6 +294,7 @@ User question: ${userQuery}
 Optimized search query:`;
 
       const optimizedQuery = await aiService.generateText(prompt, {
+        task: 'queryRewrite',
         temperature: 0.3, // Lower temperature for more consistent, focused queries
         maxTokens: 100,
       });
@@ -127,26 +320,94 @@ Optimized search query:`;
   }
 
   /**
-   * Build context string from relevant theses
-   * @param {Array} theses - Array of relevant theses
+   * Group selected passages by thesis, preserving first-appearance order
+   * @param {Array} passages - Selected passages
+   * @returns {Array<{thesis: object, passages: Array}>} Groups
+   */
+  groupByThesis(passages) {
+    const groups = new Map();
+    passages.forEach((passage) => {
+      const thesisId = passage.thesis._id.toString();
+      if (!groups.has(thesisId)) {
+        groups.set(thesisId, { thesis: passage.thesis, passages: [] });
+      }
+      groups.get(thesisId).passages.push(passage);
+    });
+    return Array.from(groups.values());
+  }
+
+  /**
+   * Describe where a passage comes from (section and pages)
+   * @param {object} passage - Passage
+   * @returns {string} Location label
+   */
+  describeLocation(passage) {
+    const parts = [];
+    if (passage.section) {
+      parts.push(passage.section);
+    }
+    if (passage.pageStart) {
+      parts.push(
+        passage.pageEnd && passage.pageEnd !== passage.pageStart
+          ? `pp. ${passage.pageStart}-${passage.pageEnd}`
+          : `p. ${passage.pageStart}`
+      );
+    }
+    return parts.join(', ');
+  }
+
+  /**
+   * Build context string from selected passages
+   * @param {Array} passages - Selected passages
    * @returns {string} Formatted context string
    */
-  buildContext(theses) {
-    let context = 'Here are some relevant theses from the repository:\n\n';
+  buildContext(passages) {
+    let context = 'Here are relevant passages from theses in the repository:\n\n';
 
-    theses.forEach((thesis, index) => {
+    this.groupByThesis(passages).forEach(({ thesis, passages: thesisPassages }, index) => {
       context += `Thesis ${index + 1}:\n`;
       context += `Title: ${thesis.title}\n`;
-      context += `Abstract: ${thesis.abstract}\n`;
+      if (thesis.authors && thesis.authors.length > 0) {
+        context += `Authors: ${formatPeople(thesis.authors)}\n`;
+      }
+      if (thesis.defenseYear) {
+        context += `Year: ${thesis.defenseYear}\n`;
+      }
       if (thesis.tags && thesis.tags.length > 0) {
         context += `Tags: ${thesis.tags.join(', ')}\n`;
       }
+      thesisPassages.forEach((passage) => {
+        const location = this.describeLocation(passage);
+        context += `Passage${location ? ` (${location})` : ''}: ${passage.text}\n`;
+      });
       context += '\n';
     });
 
     return context;
   }
 
+  /**
+   * Format selected passages as per-thesis sources
+   * @param {Array} passages - Selected passages
+   * @returns {Array<object>} Sources
+   */
+  formatSources(passages) {
+    return this.groupByThesis(passages).map(({ thesis, passages: thesisPassages }) => ({
+      id: thesis._id,
+      title: thesis.title,
+      authors: thesis.authors,
+      defenseYear: thesis.defenseYear,
+      tags: thesis.tags,
+      relevanceScore: Math.max(...thesisPassages.map((passage) => passage.score)),
+      passages: thesisPassages.map((passage) => ({
+        section: passage.section,
+        pageStart: passage.pageStart,
+        pageEnd: passage.pageEnd,
+        score: passage.score,
+      })),
+    }));
+  }
+
   /**
    * Generate RAG response using LLAMA with context from theses
    * @param {string} userMessage - User's question
@@ -156,24 +417,42 @@ Optimized search query:`;
    */
   async generateRAGResponse(userMessage, context, conversationHistory) {
     try {
-      // Build the prompt with context and conversation history
-      let prompt = `You are an AI assistant helping users explore an academic thesis repository. Your role is to answer questions about theses based on the provided context.
+      const prompt = this.buildRAGPrompt(userMessage, context, conversationHistory);
+
+      const answer = await aiService.generateText(prompt, RAG_GENERATION_OPTIONS);
+
+      return answer.trim();
+    } catch (error) {
+      logger.error(`Error generating RAG response: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the RAG prompt with context and conversation history
+   * @param {string} userMessage - User's question
+   * @param {string} context - Context from retrieved passages
+   * @param {Array} conversationHistory - Previous conversation turns
+   * @returns {string} Prompt
+   */
+  buildRAGPrompt(userMessage, context, conversationHistory) {
+    let prompt = `You are an AI assistant helping users explore an academic thesis repository. Your role is to answer questions about theses based on the provided context.
 
 Context from the thesis repository:
 ${context}
 
 `;
 
-      // Add conversation history if available
-      if (conversationHistory.length > 0) {
-        prompt += 'Previous conversation:\n';
-        conversationHistory.forEach((turn) => {
-          prompt += `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}\n`;
-        });
-        prompt += '\n';
-      }
+    // Add conversation history if available
+    if (conversationHistory.length > 0) {
+      prompt += 'Previous conversation:\n';
+      conversationHistory.forEach((turn) => {
+        prompt += `${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.content}\n`;
+      });
+      prompt += '\n';
+    }
 
-      prompt += `User question: ${userMessage}
+    prompt += `User question: ${userMessage}
 
 Instructions:
 - Answer based on the provided thesis context
@@ -185,16 +464,7 @@ Instructions:
 
 Answer:`;
 
-      const answer = await aiService.generateText(prompt, {
-        temperature: 0.7,
-        maxTokens: 500,
-      });
-
-      return answer.trim();
-    } catch (error) {
-      logger.error(`Error generating RAG response: ${error.message}`);
-      throw error;
-    }
+    return prompt;
   }
 
   /**
@@ -237,7 +507,7 @@ Answer:`;
   async summarizeThesis(thesisId) {
     try {
       const Thesis = require('../models/Thesis');
-      const thesis = await Thesis.findById(thesisId);
+      const thesis = await Thesis.findOne({ _id: thesisId, ...Thesis.publicFilter() });
 
       if (!thesis) {
         throw new Error('Thesis not found');
@@ -251,6 +521,7 @@ Abstract: ${thesis.abstract}
 Summary:`;
 
       const summary = await aiService.generateText(prompt, {
+        task: 'summarize',
         temperature: 0.5,
         maxTokens: 150,
       });
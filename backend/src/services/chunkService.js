@@ -0,0 +1,139 @@
+const Thesis = require('../models/Thesis');
+const ThesisChunk = require('../models/ThesisChunk');
+const embeddingService = require('./embeddingService');
+const { VectorIndexService } = require('./vectorIndexService');
+const { chunkText } = require('../utils/textChunker');
+const logger = require('../utils/logger');
+
+/**
+ * Chunk Service - Splits theses into embedded passages for RAG retrieval
+ * Uses the full PDF text when available, otherwise the abstract.
+ */
+
+class ChunkService {
+  constructor() {
+    // In-process ANN index over chunk embeddings (see vectorIndexService)
+    this.index = new VectorIndexService({ name: 'chunks', model: ThesisChunk });
+    this.inFlight = new Set();
+    // Theses being indexed in the background -> { rerun: updated again meanwhile }
+    this.scheduled = new Map();
+  }
+
+  /**
+   * Build chunk records (without embeddings) for a thesis
+   * @param {object} thesis - Thesis with optional fullText and pages
+   * @returns {Array<object>} Chunks
+   */
+  buildChunks(thesis) {
+    if (thesis.fullText && thesis.fullText.trim().length > 0) {
+      return chunkText(thesis.fullText, {
+        pages: thesis.pages,
+        defaultSection: 'Front matter',
+      }).map((chunk) => ({ ...chunk, source: 'fullText' }));
+    }
+
+    return chunkText(thesis.abstract, { defaultSection: 'Abstract' }).map((chunk) => ({
+      ...chunk,
+      source: 'abstract',
+      pageStart: null,
+      pageEnd: null,
+    }));
+  }
+
+  /**
+   * (Re)build the embedded chunks of a thesis
+   * @param {string|object} thesisOrId - Thesis document or ID
+   * @returns {Promise<number>} Number of chunks stored
+   */
+  async indexThesis(thesisOrId) {
+    try {
+      const thesisId = thesisOrId._id || thesisOrId;
+      const thesis = await Thesis.findById(thesisId).select('title abstract +fullText +pages').lean();
+      if (!thesis) {
+        throw new Error('Thesis not found');
+      }
+
+      const chunks = this.buildChunks(thesis);
+      logger.info(`Embedding ${chunks.length} chunks for thesis ${thesisId}...`);
+
+      // Sequential on purpose: the embedding model runs on the same thread
+      const documents = [];
+      for (let i = 0; i < chunks.length; i++) {
+        const chunk = chunks[i];
+        // Prefix with title and section so short passages keep their context
+        const embeddings = await embeddingService.generateEmbeddingFromText(
+          `${thesis.title}\n${chunk.section || ''}\n${chunk.text}`
+        );
+        documents.push({ ...chunk, thesis: thesis._id, index: i, embeddings });
+      }
+
+      await this.removeThesis(thesis._id);
+      const created = await ThesisChunk.insertMany(documents);
+      created.forEach((chunk) => this.index.upsert(chunk._id, chunk.embeddings, chunk.updatedAt));
+
+      logger.info(`Stored ${created.length} chunks for thesis ${thesisId}`);
+      return created.length;
+    } catch (error) {
+      logger.error(`Error chunking thesis: ${error.message}`);
+      throw new Error(`Failed to chunk thesis: ${error.message}`);
+    }
+  }
+
+  /**
+   * Chunk a thesis in the background (errors are logged, not thrown)
+   * One run per thesis at a time: updates made while it runs are coalesced
+   * into a single rerun, which reads the latest version of the thesis.
+   * @param {string|object} thesisOrId - Thesis document or ID
+   */
+  scheduleIndexing(thesisOrId) {
+    const thesisId = String(thesisOrId._id || thesisOrId);
+    const scheduled = this.scheduled.get(thesisId);
+    if (scheduled) {
+      scheduled.rerun = true;
+      return;
+    }
+
+    const state = { rerun: false };
+    this.scheduled.set(thesisId, state);
+
+    const task = (async () => {
+      do {
+        state.rerun = false;
+        await this.indexThesis(thesisId).catch(() => {
+          // Already logged; the chunk migration script can backfill
+        });
+      } while (state.rerun);
+    })().finally(() => {
+      this.scheduled.delete(thesisId);
+      this.inFlight.delete(task);
+    });
+    this.inFlight.add(task);
+  }
+
+  /**
+   * Wait for scheduled indexing to finish (e.g. before shutdown)
+   * @returns {Promise<void>}
+   */
+  async idle() {
+    while (this.inFlight.size > 0) {
+      await Promise.all(Array.from(this.inFlight));
+    }
+  }
+
+  /**
+   * Delete all chunks of a thesis
+   * @param {string} thesisId - Thesis ID
+   * @returns {Promise<void>}
+   */
+  async removeThesis(thesisId) {
+    const existing = await ThesisChunk.find({ thesis: thesisId }).select('_id').lean();
+    if (existing.length === 0) return;
+
+    await ThesisChunk.deleteMany({ thesis: thesisId });
+    existing.forEach((chunk) => this.index.remove(chunk._id));
+  }
+}
+
+const chunkService = new ChunkService();
+
+module.exports = chunkService;
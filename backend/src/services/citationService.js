@@ -0,0 +1,249 @@
+const { splitName, thesisType } = require('../utils/thesisMetadata');
+
+/**
+ * Citation Service - Formats reference-list entries for theses
+ * Each style builds its entry from segments (plain, italic or link) that
+ * are rendered both as plain text and as HTML, so the two never drift.
+ */
+
+const CITATION_STYLES = {
+  apa: 'APA (7th edition)',
+  mla: 'MLA (9th edition)',
+  ieee: 'IEEE',
+  chicago: 'Chicago (17th edition)',
+  harvard: 'Harvard',
+};
+
+// How each style names the degree of a thesis (falls back to thesisType)
+const DEGREE_LABELS = {
+  apa: { doctoral: 'Doctoral dissertation' },
+  mla: { doctoral: 'PhD dissertation' },
+  ieee: { doctoral: 'Ph.D. dissertation', master: 'M.S. thesis', bachelor: 'B.S. thesis' },
+  chicago: { doctoral: 'PhD diss.' },
+  harvard: { doctoral: 'PhD thesis' },
+};
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
+
+/**
+ * Punctuation that closes a title or name: nothing if it already ends a sentence
+ */
+const closing = (text) => (/[.?!]$/.test(text) ? '' : '.');
+
+/**
+ * End a piece of text with a period unless it already ends a sentence
+ */
+const period = (text) => `${text}${closing(text)}`;
+
+/**
+ * Initials of given names ("Jean-Paul Marie" -> "J.-P. M.")
+ */
+const initials = (given) =>
+  given
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((name) =>
+      name
+        .split('-')
+        .map((part) => `${part.charAt(0).toUpperCase()}.`)
+        .join('-')
+    )
+    .join(' ');
+
+/**
+ * Join names as a list ("A, B, and C"); `and` is the word before the last name
+ */
+const joinNames = (names, { and = 'and', serialComma = true } = {}) => {
+  if (names.length <= 2) return names.join(` ${and} `);
+  return `${names.slice(0, -1).join(', ')}${serialComma ? ',' : ''} ${and} ${names[names.length - 1]}`;
+};
+
+/**
+ * Name parts of the authors of a thesis
+ */
+const authorNames = (thesis) => (thesis.authors || []).map((person) => splitName(person.name));
+
+/**
+ * "Family, G. I." (or just the family name for single names)
+ */
+const familyInitials = ({ given, family }) => (given ? `${family}, ${initials(given)}` : family);
+
+/**
+ * Where the thesis can be found: its DOI, otherwise its handle
+ */
+const locator = (thesis) => {
+  if (thesis.doi) return `https://doi.org/${thesis.doi}`;
+  if (thesis.handle) return `https://hdl.handle.net/${thesis.handle}`;
+  return null;
+};
+
+const degreeLabel = (style, thesis) => DEGREE_LABELS[style][thesis.degreeLevel] || thesisType(thesis.degreeLevel);
+
+const text = (value) => ({ text: value });
+const italic = (value) => ({ text: value, italic: true });
+const link = (url) => ({ text: url, href: url });
+
+/**
+ * APA: Santos, M., & Roe, J. (2023). *Title* [Bachelor's thesis, University]. https://doi.org/...
+ */
+const apa = (thesis) => {
+  const names = authorNames(thesis).map(familyInitials);
+  const year = `(${thesis.defenseYear || 'n.d.'}).`;
+  const description = `[${[degreeLabel('apa', thesis), thesis.institution].filter(Boolean).join(', ')}]`;
+  const url = locator(thesis);
+
+  // Up to 20 authors are listed; longer lists end "..., Last"
+  let byline = names[0];
+  if (names.length > 20) {
+    byline = `${names.slice(0, 19).join(', ')}, . . . ${names[names.length - 1]}`;
+  } else if (names.length > 1) {
+    byline = `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`;
+  }
+
+  return [
+    // Without authors the title takes their place
+    ...(byline
+      ? [text(`${byline} ${year} `), italic(thesis.title), text(` ${description}.`)]
+      : [italic(thesis.title), text(` ${description}. ${year}`)]),
+    ...(url ? [text(' '), link(url)] : []),
+  ];
+};
+
+/**
+ * Family name first for the first author, "Given Family" for the rest
+ */
+const invertedFirst = (names) =>
+  names.map(({ given, family }, index) => {
+    if (!given) return family;
+    return index === 0 ? `${family}, ${given}` : `${given} ${family}`;
+  });
+
+/**
+ * Join names whose first is inverted ("Santos, Maria, and John Roe")
+ */
+const joinInverted = (names) => (names.length === 2 ? `${names[0]}, and ${names[1]}` : joinNames(names));
+
+/**
+ * MLA: Santos, Maria, and John Roe. *Title*. 2023. University, Bachelor's thesis. https://doi.org/....
+ */
+const mla = (thesis) => {
+  const names = invertedFirst(authorNames(thesis));
+  const byline = names.length > 2 ? `${names[0]}, et al.` : joinInverted(names);
+  const details = [thesis.institution, degreeLabel('mla', thesis)].filter(Boolean).join(', ');
+  const url = locator(thesis);
+
+  return [
+    ...(byline ? [text(`${period(byline)} `)] : []),
+    italic(thesis.title),
+    text(`${closing(thesis.title)} ${thesis.defenseYear ? `${thesis.defenseYear}. ` : ''}${details}.`),
+    ...(url ? [text(' '), link(url), text('.')] : []),
+  ];
+};
+
+/**
+ * IEEE: M. Santos and J. Roe, "Title," B.S. thesis, Dept., University, 2023, doi: 10...
+ */
+const ieee = (thesis) => {
+  const names = authorNames(thesis).map(({ given, family }) => (given ? `${initials(given)} ${family}` : family));
+  const byline = names.length > 6 ? `${names[0]} et al.` : joinNames(names);
+  const details = [degreeLabel('ieee', thesis), thesis.department, thesis.institution, thesis.defenseYear].filter(
+    Boolean
+  );
+
+  let tail = null;
+  if (thesis.doi) {
+    tail = [text(`, doi: ${thesis.doi}.`)];
+  } else if (thesis.handle) {
+    tail = [text('. [Online]. Available: '), link(locator(thesis))];
+  }
+
+  return [
+    text(`${byline ? `${byline}, ` : ''}"${thesis.title.replace(/[.,]$/, '')}," ${details.join(', ')}`),
+    ...(tail || [text('.')]),
+  ];
+};
+
+/**
+ * Chicago (bibliography): Santos, Maria, and John Roe. "Title." Bachelor's thesis, University, 2023. https://doi.org/....
+ */
+const chicago = (thesis) => {
+  const names = invertedFirst(authorNames(thesis));
+  // More than ten authors: the first seven, then et al.
+  const byline = names.length > 10 ? `${names.slice(0, 7).join(', ')}, et al.` : joinInverted(names);
+  const details = [degreeLabel('chicago', thesis), thesis.institution, thesis.defenseYear].filter(Boolean);
+  const url = locator(thesis);
+
+  return [
+    text(`${byline ? `${period(byline)} ` : ''}"${period(thesis.title)}" ${period(details.join(', '))}`),
+    ...(url ? [text(' '), link(url), text('.')] : []),
+  ];
+};
+
+/**
+ * Harvard: Santos, M. and Roe, J. (2023) *Title*. Bachelor's thesis. University. Available at: https://doi.org/...
+ */
+const harvard = (thesis) => {
+  const names = authorNames(thesis).map(familyInitials);
+  const byline = names.length > 3 ? `${names[0]} et al.` : joinNames(names, { serialComma: false });
+  const year = `(${thesis.defenseYear || 'no date'})`;
+  const details = [degreeLabel('harvard', thesis), thesis.institution].filter(Boolean).map(period).join(' ');
+  const url = locator(thesis);
+
+  return [
+    ...(byline
+      ? [text(`${byline} ${year} `), italic(thesis.title), text(`${closing(thesis.title)} ${details}`)]
+      : [italic(thesis.title), text(` ${year}. ${details}`)]),
+    ...(url ? [text(' Available at: '), link(url)] : []),
+  ];
+};
+
+const FORMATTERS = { apa, mla, ieee, chicago, harvard };
+
+class CitationService {
+  /**
+   * Format a thesis in a citation style
+   * @param {object} thesis - Thesis (document or plain object)
+   * @param {string} style - One of the CITATION_STYLES keys
+   * @returns {{style: string, label: string, text: string, html: string}} Citation as plain text and HTML
+   */
+  format(thesis, style) {
+    const formatter = FORMATTERS[style];
+    if (!formatter) {
+      throw new Error(`Unsupported citation style "${style}"`);
+    }
+
+    const segments = formatter(thesis);
+
+    return {
+      style,
+      label: CITATION_STYLES[style],
+      text: segments.map((segment) => segment.text).join(''),
+      html: segments
+        .map((segment) => {
+          const escaped = escapeHtml(segment.text);
+          if (segment.italic) return `<i>${escaped}</i>`;
+          if (segment.href) return `<a href="${escapeHtml(segment.href)}">${escaped}</a>`;
+          return escaped;
+        })
+        .join(''),
+    };
+  }
+
+  /**
+   * Format a thesis in every citation style
+   * @param {object} thesis - Thesis
+   * @returns {Array<{style: string, label: string, text: string, html: string}>} One citation per style
+   */
+  formatAll(thesis) {
+    return Object.keys(CITATION_STYLES).map((style) => this.format(thesis, style));
+  }
+}
+
+// Singleton instance
+const citationService = new CitationService();
+
+module.exports = citationService;
+module.exports.CitationService = CitationService;
+module.exports.CITATION_STYLES = CITATION_STYLES;
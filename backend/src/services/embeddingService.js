@@ -1,4 +1,5 @@
 const { pipeline } = require('@xenova/transformers');
+const { formatPeople } = require('../utils/thesisMetadata');
 const logger = require('../utils/logger');
 
 /**
@@ -6,6 +7,18 @@ const logger = require('../utils/logger');
  * This model produces 384-dimensional embeddings
  */
 
+// Thesis fields that go into buildEmbeddingText; changing any of them means re-embedding
+const EMBEDDED_FIELDS = [
+  'title',
+  'abstract',
+  'authors',
+  'advisors',
+  'keywords',
+  'degreeLevel',
+  'department',
+  'institution',
+];
+
 class EmbeddingService {
   constructor() {
     this.model = null;
@@ -92,17 +105,51 @@ class EmbeddingService {
   }
 
   /**
-   * Generate embeddings from title and abstract
+   * Build the text that represents a thesis in embedding space
+   * Title comes first (more weight), followed by the bibliographic
+   * fields that carry topical signal, then the abstract.
+   * @param {string} title - Thesis title
+   * @param {string} abstract - Thesis abstract
+   * @param {object} metadata - Optional bibliographic metadata
+   * @returns {string} Text to embed
+   */
+  buildEmbeddingText(title, abstract, metadata = {}) {
+    const lines = [`Title: ${title}`];
+
+    if (metadata.authors && metadata.authors.length > 0) {
+      lines.push(`Authors: ${formatPeople(metadata.authors)}`);
+    }
+    if (metadata.advisors && metadata.advisors.length > 0) {
+      lines.push(`Advisors: ${formatPeople(metadata.advisors)}`);
+    }
+    if (metadata.keywords && metadata.keywords.length > 0) {
+      lines.push(`Keywords: ${metadata.keywords.join(', ')}`);
+    }
+    if (metadata.degreeLevel) {
+      lines.push(`Degree: ${metadata.degreeLevel}`);
+    }
+    if (metadata.department) {
+      lines.push(`Department: ${metadata.department}`);
+    }
+    if (metadata.institution) {
+      lines.push(`Institution: ${metadata.institution}`);
+    }
+
+    return `${lines.join('\n')}\n\nAbstract: ${abstract}`;
+  }
+
+  /**
+   * Generate embeddings from title, abstract and metadata
    * @param {string} title - Thesis title
    * @param {string} abstract - Thesis abstract
+   * @param {object} metadata - Optional bibliographic metadata
    * @returns {Promise<Array<number>>} Embedding vector (384 dimensions)
    */
-  async generateEmbedding(title, abstract) {
+  async generateEmbedding(title, abstract, metadata = {}) {
     try {
       logger.info('Generating embeddings for thesis...');
       
-      // Combine title and abstract with more weight to title
-      const text = `Title: ${title}\n\nAbstract: ${abstract}`;
+      const text = this.buildEmbeddingText(title, abstract, metadata);
       
       const embeddings = await this.generateEmbeddingFromText(text);
       
@@ -132,7 +179,7 @@ class EmbeddingService {
 
   /**
    * Batch generate embeddings for multiple texts
-   * @param {Array<{title: string, abstract: string}>} documents
+   * @param {Array<{title: string, abstract: string}>} documents - Documents (metadata fields optional)
    * @returns {Promise<Array<Array<number>>>} Array of embedding vectors (384 dimensions each)
    */
   async batchGenerateEmbeddings(documents) {
@@ -143,7 +190,7 @@ class EmbeddingService {
       await this.initializeModel();
       
       const embeddings = await Promise.all(
-        documents.map(doc => this.generateEmbedding(doc.title, doc.abstract))
+        documents.map(doc => this.generateEmbedding(doc.title, doc.abstract, doc))
       );
       
       logger.info('Batch embedding generation complete');
@@ -158,3 +205,4 @@ class EmbeddingService {
 const embeddingService = new EmbeddingService();
 
 module.exports = embeddingService;
+module.exports.EMBEDDED_FIELDS = EMBEDDED_FIELDS;
@@ -0,0 +1,74 @@
+const Thesis = require('../models/Thesis');
+const searchService = require('./searchService');
+const { formatExport, citationKey, MAX_EXPORT_RESULTS } = require('../utils/exportFormats');
+
+/**
+ * Export Service - Writes theses and search results as export files
+ */
+
+class ExportService {
+  /**
+   * Load public theses in the given order
+   * @param {Array<ObjectId|string>} ids - Thesis IDs
+   * @param {object} options - { embeddings: include the embedding vectors }
+   * @returns {Promise<Array<object>>} Theses (plain objects)
+   */
+  async findTheses(ids, { embeddings = false } = {}) {
+    const theses = await Thesis.find({ _id: { $in: ids }, ...Thesis.publicFilter() })
+      .select(embeddings ? '' : '-embeddings')
+      .lean();
+
+    const byId = new Map(theses.map((thesis) => [String(thesis._id), thesis]));
+    return ids.map((id) => byId.get(String(id))).filter(Boolean);
+  }
+
+  /**
+   * Run a search and load the matching theses for export
+   * With a query the results keep their ranking; without one every thesis
+   * matching the filters is exported, newest first.
+   * @param {object} search - { query, mode, threshold, filters, limit }
+   * @param {object} options - { embeddings }
+   * @returns {Promise<Array<object>>} Theses in result order
+   */
+  async searchTheses({ query, mode, threshold, filters = {}, limit = MAX_EXPORT_RESULTS }, options = {}) {
+    const size = Math.min(limit, MAX_EXPORT_RESULTS);
+    const { results } = query
+      ? await searchService.facetedSearch(query, { mode, threshold, filters, limit: size })
+      : await searchService.filterTheses(filters, { limit: size });
+
+    return this.findTheses(results.map((result) => result._id), options);
+  }
+
+  /**
+   * Write theses as an export file
+   * @param {Array<object>} theses - Theses
+   * @param {string} format - One of EXPORT_FORMATS
+   * @param {object} options - { embeddings, filename: base name (default: the citation key of a single thesis) }
+   * @returns {{body: string, contentType: string, filename: string}}
+   */
+  render(theses, format, { embeddings = false, filename } = {}) {
+    const { body, contentType, extension } = formatExport(theses, format, { embeddings });
+    const base = filename || (theses.length === 1 ? citationKey(theses[0]) : 'theses');
+
+    return { body, contentType, filename: `${base}.${extension}` };
+  }
+
+  /**
+   * Send an export file as a download
+   * @param {object} res - Express response
+   * @param {{body: string, contentType: string, filename: string}} file - File from render()
+   */
+  send(res, { body, contentType, filename }) {
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    });
+    res.status(200).send(body);
+  }
+}
+
+// Singleton instance
+const exportService = new ExportService();
+
+module.exports = exportService;
+module.exports.ExportService = ExportService;
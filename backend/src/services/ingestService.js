@@ -0,0 +1,158 @@
+const Thesis = require('../models/Thesis');
+const { dedupeKeys } = require('../models/Thesis');
+const embeddingService = require('./embeddingService');
+const tagService = require('./tagService');
+const vectorIndexService = require('./vectorIndexService');
+const chunkService = require('./chunkService');
+const auditService = require('./auditService');
+const jobService = require('./jobService');
+const { JobLockLostError } = require('./jobService');
+const { getJobsConfig } = require('../config/jobs.config');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+/**
+ * Ingest Service - Creates theses with their embeddings and tags
+ * Used directly by the create endpoint and, for `?async=true` requests and
+ * bulk imports, by the `createTheses` and `importTheses` background jobs.
+ */
+
+class IngestService {
+  constructor(config = getJobsConfig()) {
+    this.config = config;
+  }
+
+  /**
+   * Embed, tag and store one thesis
+   * @param {object} document - Title, abstract and metadata
+   * @param {object} options - { submittedBy, status, req: request (or `{ auditContext }`) for the audit event, details }
+   * @returns {Promise<Thesis>} Created thesis
+   */
+  async createThesis(document, { submittedBy, status, req, details } = {}) {
+    const { title, abstract } = document;
+
+    // Generate embeddings and tags in parallel
+    const [embeddings, tags] = await Promise.all([
+      embeddingService.generateEmbedding(title, abstract, document),
+      tagService.generateTags(title, abstract),
+    ]);
+
+    const thesis = await Thesis.create({
+      ...document,
+      embeddings,
+      tags,
+      submittedBy,
+      status,
+      publishedAt: status === 'published' ? new Date() : undefined,
+    });
+
+    vectorIndexService.upsert(thesis._id, thesis.embeddings, thesis.updatedAt);
+    chunkService.scheduleIndexing(thesis._id);
+    await auditService.recordCreated(req, [thesis], details);
+
+    return thesis;
+  }
+
+  /**
+   * Find an existing thesis (trashed or not) that a document duplicates
+   * Same DOI or handle, or the same title and year (compared by dedupeKeys).
+   * @param {object} document - Title, abstract and metadata
+   * @returns {Promise<{_id: ObjectId}|null>} Duplicate, if any
+   */
+  async findDuplicate(document) {
+    return Thesis.findOne({ dedupeKeys: { $in: dedupeKeys(document) } })
+      .select('_id')
+      .lean();
+  }
+
+  /**
+   * Queue the creation of theses
+   * @param {object} req - Express request (its user becomes the submitter)
+   * @param {Array<{document: object, status: string, row?: number}>} items - Theses to create
+   * @param {object} options - { type: job type, skipDuplicates, source: { format, filename } of an import }
+   * @returns {Promise<Job>} Queued job
+   */
+  async enqueue(req, items, { type = 'createTheses', ...options } = {}) {
+    return jobService.enqueue(
+      type,
+      {
+        submittedBy: req.user._id,
+        auditContext: auditService.context(req),
+        batch: items.length > 1,
+        items,
+        ...options,
+      },
+      { req, total: items.length }
+    );
+  }
+
+  /**
+   * `createTheses` and `importTheses` job handler
+   * Items finished by an earlier attempt are skipped, so a retry only
+   * redoes the ones that failed. Progress is saved, and the job's lock
+   * renewed, after every thesis; with `skipDuplicates`, theses already in
+   * the repository are recorded under `result.skipped` instead of being
+   * created again.
+   * @param {Job} job - Claimed job
+   * @returns {Promise<void>}
+   * @throws {Error} If any thesis could not be created (the job is retried)
+   */
+  async runJob(job) {
+    const { submittedBy, auditContext, batch, items, skipDuplicates, source } = job.payload;
+    const result = job.result || {};
+    const finished = new Set([...(result.theses || []), ...(result.skipped || [])].map((entry) => entry.index));
+    const pending = items.map((item, index) => ({ ...item, index })).filter((item) => !finished.has(item.index));
+    const errors = [];
+
+    await mapWithConcurrency(pending, this.config.itemConcurrency, async ({ document, status, index, row }) => {
+      const position = { index, ...(row !== undefined && { row }) };
+
+      try {
+        const duplicate = skipDuplicates && (await this.findDuplicate(document));
+        if (duplicate) {
+          await jobService.progress(job, {
+            $push: { 'result.skipped': { ...position, duplicateOf: duplicate._id } },
+            $inc: { 'progress.done': 1 },
+          });
+          return;
+        }
+
+        const thesis = await this.createThesis(document, {
+          submittedBy,
+          status,
+          req: { auditContext },
+          details: {
+            job: String(job._id),
+            ...(source ? { import: source.filename } : batch && { batch: items.length }),
+          },
+        });
+
+        await jobService.progress(job, {
+          $push: { 'result.theses': { ...position, thesis: thesis._id } },
+          $inc: { 'progress.done': 1 },
+        });
+      } catch (error) {
+        // Another worker has the job now: stop instead of creating more theses
+        if (error instanceof JobLockLostError) throw error;
+
+        logger.warn(`Job ${job._id}: thesis at index ${index} failed: ${error.message}`);
+        errors.push({ ...position, message: error.message });
+      }
+    });
+
+    await jobService.progress(job, { $set: { 'result.errors': errors } });
+
+    if (errors.length > 0) {
+      throw new Error(`${errors.length} of ${items.length} theses could not be created: ${errors[0].message}`);
+    }
+  }
+}
+
+// Singleton instance
+const ingestService = new IngestService();
+
+jobService.register('createTheses', (job) => ingestService.runJob(job));
+jobService.register('importTheses', (job) => ingestService.runJob(job));
+
+module.exports = ingestService;
+module.exports.IngestService = IngestService;
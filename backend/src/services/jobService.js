@@ -0,0 +1,264 @@
+const os = require('os');
+const Job = require('../models/Job');
+const { getJobsConfig } = require('../config/jobs.config');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Job Service - MongoDB-backed queue for work done outside the request
+ * Jobs are claimed atomically, so several server processes (or the
+ * `jobs:work` script) can share the queue. Failed jobs are retried with
+ * exponential backoff; a job whose worker died is picked up again once its
+ * lock times out. Handlers renew the lock with every progress update.
+ */
+
+class JobLockLostError extends Error {
+  constructor(job) {
+    super(`Lock on job ${job._id} was lost to another worker`);
+    this.name = 'JobLockLostError';
+  }
+}
+
+class JobService {
+  constructor(config = getJobsConfig()) {
+    this.config = config;
+    this.handlers = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollTimer = null;
+    this.polling = false;
+    this.running = new Set();
+  }
+
+  /**
+   * Register the handler for a job type
+   * The handler receives the claimed job (with its payload) and may return
+   * a value to store as the job's `result`. Throwing fails the attempt.
+   * @param {string} type - One of JOB_TYPES
+   * @param {Function} handler - async (job) => result
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Whether queued jobs will be run (see JOBS_CONFIG.workerAvailable)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return this.config.workerAvailable;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} type - Registered job type
+   * @param {object} payload - Handler input
+   * @param {object} options - { req: Express request that asked for the job, total: items to process }
+   * @returns {Promise<Job>} Queued job
+   */
+  async enqueue(type, payload, { req, total = 0 } = {}) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const job = await Job.create({
+      type,
+      payload,
+      progress: { done: 0, total },
+      maxAttempts: this.config.maxAttempts,
+      createdBy: req && req.user && req.user._id,
+      requestId: req && req.id,
+    });
+
+    logger.info(`Queued ${type} job ${job._id}`);
+
+    // Start right away instead of waiting for the next poll
+    if (this.pollTimer) {
+      this.tick();
+    }
+    return job;
+  }
+
+  /**
+   * Delay before retrying a failed attempt
+   * @param {number} attempts - Attempts made so far
+   * @returns {number} Milliseconds
+   */
+  retryDelay(attempts) {
+    return this.config.retryBaseDelayMs * 2 ** Math.max(0, attempts - 1);
+  }
+
+  /**
+   * Atomically take the next due job (or one abandoned by its worker)
+   * @param {Date} now - Reference time
+   * @returns {Promise<Job|null>} Claimed job with its payload, or null
+   */
+  async claim(now = new Date()) {
+    return Job.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', runAt: { $lte: now } },
+          { status: 'running', lockedAt: { $lte: new Date(now.getTime() - this.config.lockTimeoutMs) } },
+        ],
+      },
+      {
+        $set: { status: 'running', lockedAt: now, lockedBy: this.workerId },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    ).select('+payload');
+  }
+
+  /**
+   * Save progress of a running job and renew its lock
+   * The update only applies while this worker still holds the lock, so a
+   * job reclaimed after its lock timed out is not written to by both workers.
+   * @param {Job} job - Job being run (its lockedAt is advanced)
+   * @param {object} update - MongoDB update operators
+   * @returns {Promise<void>}
+   * @throws {JobLockLostError} If another worker has taken the job over
+   */
+  async progress(job, update = {}) {
+    const lockedAt = new Date();
+    const { matchedCount } = await Job.updateOne(
+      { _id: job._id, lockedAt: job.lockedAt },
+      { ...update, $set: { ...update.$set, lockedAt } }
+    );
+
+    if (matchedCount === 0) {
+      throw new JobLockLostError(job);
+    }
+    job.lockedAt = lockedAt;
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * Failed attempts are requeued with backoff until maxAttempts is reached.
+   * A run that lost its lock stops without recording anything.
+   * @param {Job} job - Job returned by claim()
+   * @returns {Promise<void>}
+   */
+  async run(job) {
+    // Only the worker still holding the lock may record the outcome
+    // (read when the run ends, as progress() renews it)
+    const lock = () => ({ _id: job._id, lockedAt: job.lockedAt });
+    const finished = () => ({
+      finishedAt: new Date(),
+      expiresAt: new Date(Date.now() + this.config.retentionDays * DAY_MS),
+    });
+
+    try {
+      const handler = this.handlers.get(job.type);
+      if (!handler) {
+        throw new Error(`No handler registered for job type "${job.type}"`);
+      }
+      if (job.attempts > job.maxAttempts) {
+        throw new Error('Job was abandoned by its worker');
+      }
+
+      const result = await handler(job);
+
+      await Job.updateOne(lock(), {
+        $set: { status: 'succeeded', ...finished(), ...(result !== undefined && { result }) },
+        $unset: { lockedAt: 1, lockedBy: 1, lastError: 1 },
+      });
+      logger.info(`Job ${job._id} (${job.type}) succeeded`);
+    } catch (error) {
+      if (error instanceof JobLockLostError) {
+        logger.warn(`Job ${job._id} (${job.type}) stopped: ${error.message}`);
+        return;
+      }
+
+      const final = job.attempts >= job.maxAttempts;
+
+      await Job.updateOne(lock(), {
+        $set: final
+          ? { status: 'failed', lastError: error.message, ...finished() }
+          : { status: 'queued', lastError: error.message, runAt: new Date(Date.now() + this.retryDelay(job.attempts)) },
+        $unset: { lockedAt: 1, lockedBy: 1 },
+      });
+
+      if (final) {
+        logger.error(`Job ${job._id} (${job.type}) failed after ${job.attempts} attempts: ${error.message}`);
+      } else {
+        logger.warn(`Job ${job._id} (${job.type}) attempt ${job.attempts} failed, retrying: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Claim and start due jobs until the concurrency limit is reached
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.running.size < this.config.concurrency) {
+        const job = await this.claim();
+        if (!job) break;
+
+        const running = this.run(job).finally(() => {
+          this.running.delete(running);
+          // A slot is free: pick up whatever is waiting
+          if (this.pollTimer) this.tick();
+        });
+        this.running.add(running);
+      }
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Poll, logging instead of throwing (timer callback)
+   */
+  tick() {
+    this.poll().catch((error) => {
+      logger.warn(`Job polling failed: ${error.message}`);
+    });
+  }
+
+  /**
+   * Run jobs until none is due (scheduled workers and tests)
+   * @returns {Promise<void>}
+   */
+  async drain() {
+    for (;;) {
+      await this.poll();
+      if (this.running.size === 0) return;
+      await Promise.race(this.running);
+    }
+  }
+
+  /**
+   * Process the queue in this process (no-op if the poll interval is 0)
+   */
+  start() {
+    if (this.pollTimer || this.config.pollIntervalMs <= 0) return;
+
+    this.pollTimer = setInterval(() => this.tick(), this.config.pollIntervalMs);
+
+    // Don't keep the process alive just to poll for jobs
+    this.pollTimer.unref();
+    this.tick();
+  }
+
+  /**
+   * Stop polling (running jobs finish; unfinished ones are retried after their lock times out)
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+}
+
+// Singleton instance
+const jobService = new JobService();
+
+module.exports = jobService;
+module.exports.JobService = JobService;
+module.exports.JobLockLostError = JobLockLostError;
@@ -0,0 +1,517 @@
+const mongoose = require('mongoose');
+const Thesis = require('../models/Thesis');
+const { getOaiConfig } = require('../config/oai.config');
+const { splitName, thesisType } = require('../utils/thesisMetadata');
+const { encodeCursor, decodeCursor } = require('../utils/searchCursor');
+const { element, textElement } = require('../utils/xml');
+
+/**
+ * OAI-PMH Service - Lets aggregators harvest the repository (OAI-PMH 2.0)
+ * Published theses are exposed as oai_dc records with one set per tag.
+ * Theses moved to the trash are reported as deleted until they are purged
+ * (deletedRecord "transient"). Resumption tokens are stateless: each one
+ * holds the harvest arguments and the last (updatedAt, _id) returned.
+ */
+
+const OAI_NAMESPACE = 'http://www.openarchives.org/OAI/2.0/';
+const XSI_NAMESPACE = 'http://www.w3.org/2001/XMLSchema-instance';
+
+const METADATA_FORMATS = {
+  oai_dc: {
+    schema: 'http://www.openarchives.org/OAI/2.0/oai_dc.xsd',
+    metadataNamespace: 'http://www.openarchives.org/OAI/2.0/oai_dc/',
+  },
+};
+
+// Arguments of each verb; an exclusive argument must be the only one given
+const VERBS = {
+  Identify: { required: [], optional: [] },
+  ListMetadataFormats: { required: [], optional: ['identifier'] },
+  ListSets: { required: [], optional: [], exclusive: 'resumptionToken' },
+  ListIdentifiers: { required: ['metadataPrefix'], optional: ['from', 'until', 'set'], exclusive: 'resumptionToken' },
+  ListRecords: { required: ['metadataPrefix'], optional: ['from', 'until', 'set'], exclusive: 'resumptionToken' },
+  GetRecord: { required: ['identifier', 'metadataPrefix'], optional: [] },
+};
+
+// info:eu-repo publication types (OpenAIRE/DRIVER guidelines)
+const EU_REPO_TYPES = {
+  doctoral: 'info:eu-repo/semantics/doctoralThesis',
+  master: 'info:eu-repo/semantics/masterThesis',
+  bachelor: 'info:eu-repo/semantics/bachelorThesis',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a protocol error (reported in the response, with HTTP 200)
+ * @param {string} code - OAI-PMH error code (e.g. badArgument)
+ * @param {string} message - Explanation for the harvester
+ * @returns {Error}
+ */
+const oaiError = (code, message) => Object.assign(new Error(message), { oaiCode: code });
+
+/**
+ * Format a date at the repository granularity (YYYY-MM-DDThh:mm:ssZ)
+ */
+const datestamp = (date) => new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+/**
+ * Set spec of a tag ("Deep Learning" -> "deep-learning")
+ * @param {string} tag - Tag
+ * @returns {string} Set spec (letters, digits and hyphens)
+ */
+const setSpec = (tag) =>
+  tag
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+/**
+ * Parse a from/until argument (YYYY-MM-DD or YYYY-MM-DDThh:mm:ssZ)
+ * @param {string} value - Argument value
+ * @returns {{date: Date, granularity: string}|null} Date, or null if malformed
+ */
+const parseDate = (value) => {
+  const day = /^\d{4}-\d{2}-\d{2}$/.test(value);
+  if (!day && !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/.test(value)) {
+    return null;
+  }
+
+  const date = new Date(day ? `${value}T00:00:00Z` : value);
+  // Reject dates JavaScript rolls over (e.g. 2023-02-30)
+  if (isNaN(date.getTime()) || datestamp(date).slice(0, value.length) !== value) {
+    return null;
+  }
+  return { date, granularity: day ? 'day' : 'seconds' };
+};
+
+class OaiService {
+  constructor(config = getOaiConfig()) {
+    this.config = config;
+  }
+
+  /**
+   * OAI identifier of a thesis
+   * @param {ObjectId|string} id - Thesis ID
+   * @returns {string} oai:<repositoryIdentifier>:<id>
+   */
+  identifier(id) {
+    return `oai:${this.config.repositoryIdentifier}:${id}`;
+  }
+
+  /**
+   * Thesis ID of an OAI identifier
+   * @param {string} identifier - OAI identifier
+   * @returns {string|null} Thesis ID, or null if the identifier is not one of ours
+   */
+  thesisId(identifier) {
+    const prefix = `oai:${this.config.repositoryIdentifier}:`;
+    if (!identifier.startsWith(prefix)) return null;
+
+    const id = identifier.slice(prefix.length);
+    return /^[a-f\d]{24}$/i.test(id) ? id : null;
+  }
+
+  /**
+   * Answer an OAI-PMH request
+   * Protocol errors are part of the response; other errors are thrown.
+   * @param {object} params - Request arguments (query string or form body)
+   * @param {object} options - { baseUrl: URL of the endpoint }
+   * @returns {Promise<string>} OAI-PMH XML document
+   */
+  async handle(params, { baseUrl }) {
+    const requestElement = (attributes) => textElement('request', baseUrl, attributes);
+
+    let body;
+    let request;
+    try {
+      const verb = this.checkArguments(params);
+      request = requestElement(params);
+      body = element(verb, {}, await this[`verb${verb}`](params, baseUrl));
+    } catch (error) {
+      if (!error.oaiCode) throw error;
+
+      // Arguments of a malformed request are not echoed back
+      const malformed = ['badVerb', 'badArgument'].includes(error.oaiCode);
+      request = requestElement(malformed ? {} : params);
+      body = textElement('error', error.message, { code: error.oaiCode });
+    }
+
+    return (
+      '<?xml version="1.0" encoding="UTF-8"?>\n' +
+      element(
+        'OAI-PMH',
+        {
+          xmlns: OAI_NAMESPACE,
+          'xmlns:xsi': XSI_NAMESPACE,
+          'xsi:schemaLocation': `${OAI_NAMESPACE} http://www.openarchives.org/OAI/2.0/OAI-PMH.xsd`,
+        },
+        [textElement('responseDate', datestamp(new Date())), request, body]
+      )
+    );
+  }
+
+  /**
+   * Check the verb and its arguments
+   * @param {object} params - Request arguments
+   * @returns {string} Verb
+   * @throws {Error} badVerb or badArgument
+   */
+  checkArguments(params) {
+    const { verb } = params;
+    if (typeof verb !== 'string' || !Object.prototype.hasOwnProperty.call(VERBS, verb)) {
+      throw oaiError('badVerb', verb === undefined ? 'Missing verb argument' : 'Illegal OAI verb');
+    }
+
+    const { required, optional, exclusive } = VERBS[verb];
+    const names = Object.keys(params).filter((name) => name !== 'verb');
+
+    const repeated = Object.keys(params).find((name) => typeof params[name] !== 'string');
+    if (repeated) {
+      throw oaiError('badArgument', `Argument "${repeated}" is repeated or malformed`);
+    }
+
+    const illegal = names.find((name) => ![...required, ...optional, exclusive].includes(name));
+    if (illegal) {
+      throw oaiError('badArgument', `Illegal argument "${illegal}" for ${verb}`);
+    }
+
+    if (exclusive && names.includes(exclusive)) {
+      if (names.length > 1) {
+        throw oaiError('badArgument', `${exclusive} is an exclusive argument`);
+      }
+      return verb;
+    }
+
+    const missing = required.find((name) => !names.includes(name));
+    if (missing) {
+      throw oaiError('badArgument', `Missing required argument "${missing}" for ${verb}`);
+    }
+    return verb;
+  }
+
+  /**
+   * Check that a metadata format is supported
+   * @throws {Error} cannotDisseminateFormat
+   */
+  checkMetadataPrefix(metadataPrefix) {
+    if (!Object.prototype.hasOwnProperty.call(METADATA_FORMATS, metadataPrefix)) {
+      throw oaiError('cannotDisseminateFormat', `Metadata format "${metadataPrefix}" is not supported`);
+    }
+  }
+
+  /**
+   * Load a harvestable thesis by OAI identifier (published, or published and trashed)
+   * @throws {Error} idDoesNotExist
+   */
+  async findRecord(identifier) {
+    const id = this.thesisId(identifier);
+    const thesis = id && (await Thesis.findOne({ _id: id, status: 'published' }).select('-embeddings').lean());
+    if (!thesis) {
+      throw oaiError('idDoesNotExist', `No record with identifier "${identifier}"`);
+    }
+    return thesis;
+  }
+
+  /**
+   * Identify: describe the repository
+   */
+  async verbIdentify(params, baseUrl) {
+    const earliest = await Thesis.findOne({ status: 'published' }).sort({ updatedAt: 1 }).select('updatedAt').lean();
+    const { repositoryIdentifier } = this.config;
+
+    return [
+      textElement('repositoryName', this.config.repositoryName),
+      textElement('baseURL', baseUrl),
+      textElement('protocolVersion', '2.0'),
+      textElement('adminEmail', this.config.adminEmail),
+      textElement('earliestDatestamp', datestamp(earliest ? earliest.updatedAt : 0)),
+      textElement('deletedRecord', 'transient'),
+      textElement('granularity', 'YYYY-MM-DDThh:mm:ssZ'),
+      element(
+        'description',
+        {},
+        element(
+          'oai-identifier',
+          {
+            xmlns: 'http://www.openarchives.org/OAI/2.0/oai-identifier',
+            'xmlns:xsi': XSI_NAMESPACE,
+            'xsi:schemaLocation':
+              'http://www.openarchives.org/OAI/2.0/oai-identifier http://www.openarchives.org/OAI/2.0/oai-identifier.xsd',
+          },
+          [
+            textElement('scheme', 'oai'),
+            textElement('repositoryIdentifier', repositoryIdentifier),
+            textElement('delimiter', ':'),
+            textElement('sampleIdentifier', this.identifier('64b7f0c2a1b2c3d4e5f60718')),
+          ]
+        )
+      ),
+    ];
+  }
+
+  /**
+   * ListMetadataFormats: the formats of the repository (or of one record)
+   */
+  async verbListMetadataFormats({ identifier }) {
+    if (identifier) {
+      await this.findRecord(identifier);
+    }
+
+    return Object.entries(METADATA_FORMATS).map(([prefix, format]) =>
+      element('metadataFormat', {}, [
+        textElement('metadataPrefix', prefix),
+        textElement('schema', format.schema),
+        textElement('metadataNamespace', format.metadataNamespace),
+      ])
+    );
+  }
+
+  /**
+   * ListSets: one set per tag of the published theses (in one response)
+   */
+  async verbListSets({ resumptionToken }) {
+    if (resumptionToken) {
+      throw oaiError('badResumptionToken', 'ListSets is answered in a single response');
+    }
+
+    const specs = new Map();
+    (await Thesis.distinct('tags', Thesis.publicFilter())).forEach((tag) => {
+      const spec = setSpec(tag);
+      if (spec && !specs.has(spec)) specs.set(spec, tag);
+    });
+    if (specs.size === 0) {
+      throw oaiError('noSetHierarchy', 'The repository has no sets yet');
+    }
+
+    return [...specs.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([spec, tag]) => element('set', {}, [textElement('setSpec', spec), textElement('setName', tag)]));
+  }
+
+  /**
+   * GetRecord: one record
+   */
+  async verbGetRecord({ identifier, metadataPrefix }) {
+    this.checkMetadataPrefix(metadataPrefix);
+    return this.record(await this.findRecord(identifier));
+  }
+
+  /**
+   * ListIdentifiers: headers of the records matching the harvest arguments
+   */
+  async verbListIdentifiers(params) {
+    const page = await this.listPage(params);
+    return [...page.theses.map((thesis) => this.header(thesis)), page.resumptionToken];
+  }
+
+  /**
+   * ListRecords: records matching the harvest arguments
+   */
+  async verbListRecords(params) {
+    const page = await this.listPage(params);
+    return [...page.theses.map((thesis) => this.record(thesis)), page.resumptionToken];
+  }
+
+  /**
+   * Read the harvest arguments, from the request or its resumption token
+   * @param {object} params - Request arguments
+   * @returns {object} { metadataPrefix, from, until, set, after, cursor }
+   * @throws {Error} badResumptionToken, badArgument or cannotDisseminateFormat
+   */
+  harvestArguments(params) {
+    if (params.resumptionToken) {
+      const state = decodeCursor(params.resumptionToken);
+      const valid =
+        state &&
+        typeof state.metadataPrefix === 'string' &&
+        Number.isInteger(state.cursor) &&
+        state.after &&
+        !isNaN(new Date(state.after.updatedAt).getTime()) &&
+        mongoose.Types.ObjectId.isValid(state.after._id) &&
+        [state.from, state.until].every((value) => value === undefined || parseDate(value)) &&
+        (state.set === undefined || typeof state.set === 'string');
+      if (!valid) {
+        throw oaiError('badResumptionToken', 'The resumption token is invalid or has expired');
+      }
+      this.checkMetadataPrefix(state.metadataPrefix);
+      return state;
+    }
+
+    const { metadataPrefix, from, until, set } = params;
+    const dates = {};
+    [['from', from], ['until', until]].forEach(([name, value]) => {
+      if (value === undefined) return;
+      dates[name] = parseDate(value);
+      if (!dates[name]) {
+        throw oaiError('badArgument', `${name} must be a date as YYYY-MM-DD or YYYY-MM-DDThh:mm:ssZ`);
+      }
+    });
+    if (dates.from && dates.until) {
+      if (dates.from.granularity !== dates.until.granularity) {
+        throw oaiError('badArgument', 'from and until must have the same granularity');
+      }
+      if (dates.from.date > dates.until.date) {
+        throw oaiError('badArgument', 'from must not be later than until');
+      }
+    }
+
+    this.checkMetadataPrefix(metadataPrefix);
+    return { metadataPrefix, from, until, set, cursor: 0 };
+  }
+
+  /**
+   * Load a page of records for ListIdentifiers/ListRecords
+   * Records are ordered by (updatedAt, _id), so a harvest resumes where
+   * the previous page stopped even while theses are being added.
+   * @param {object} params - Request arguments
+   * @returns {Promise<{theses: Array, resumptionToken: string}>} Theses and resumptionToken markup ('' if none)
+   * @throws {Error} noRecordsMatch when nothing matches
+   */
+  async listPage(params) {
+    const state = this.harvestArguments(params);
+    const match = { status: 'published' };
+
+    if (state.from || state.until) {
+      match.updatedAt = {};
+      if (state.from) match.updatedAt.$gte = parseDate(state.from).date;
+      if (state.until) {
+        // until is inclusive at its granularity
+        const until = parseDate(state.until);
+        match.updatedAt.$lt = new Date(until.date.getTime() + (until.granularity === 'day' ? DAY_MS : 1000));
+      }
+    }
+
+    if (state.set) {
+      const tags = (await Thesis.distinct('tags', { status: 'published' })).filter((tag) => setSpec(tag) === state.set);
+      if (tags.length === 0) {
+        throw oaiError('noRecordsMatch', `No records in set "${state.set}"`);
+      }
+      match.tags = { $in: tags };
+    }
+
+    let page = match;
+    if (state.after) {
+      const updatedAt = new Date(state.after.updatedAt);
+      const _id = new mongoose.Types.ObjectId(state.after._id);
+      page = { $and: [match, { $or: [{ updatedAt: { $gt: updatedAt } }, { updatedAt, _id: { $gt: _id } }] }] };
+    }
+
+    const { pageSize } = this.config;
+    const [theses, total] = await Promise.all([
+      Thesis.find(page).select('-embeddings').sort({ updatedAt: 1, _id: 1 }).limit(pageSize + 1).lean(),
+      Thesis.countDocuments(match),
+    ]);
+
+    if (theses.length === 0) {
+      throw oaiError('noRecordsMatch', 'No records match the request');
+    }
+
+    const results = theses.slice(0, pageSize);
+    const attributes = { completeListSize: total, cursor: state.cursor };
+    let resumptionToken = '';
+
+    if (theses.length > pageSize) {
+      const last = results[results.length - 1];
+      const token = encodeCursor({
+        metadataPrefix: state.metadataPrefix,
+        from: state.from,
+        until: state.until,
+        set: state.set,
+        after: { updatedAt: last.updatedAt, _id: String(last._id) },
+        cursor: state.cursor + results.length,
+      });
+      resumptionToken = textElement('resumptionToken', token, attributes);
+    } else if (state.after) {
+      // The last page of a resumed list ends with an empty token
+      resumptionToken = element('resumptionToken', attributes);
+    }
+
+    return { theses: results, resumptionToken };
+  }
+
+  /**
+   * Record header (status="deleted" for theses in the trash)
+   * @param {object} thesis - Thesis
+   * @returns {string} header markup
+   */
+  header(thesis) {
+    const specs = [...new Set((thesis.tags || []).map(setSpec).filter(Boolean))];
+
+    return element('header', thesis.deletedAt ? { status: 'deleted' } : {}, [
+      textElement('identifier', this.identifier(thesis._id)),
+      textElement('datestamp', datestamp(thesis.updatedAt)),
+      ...specs.map((spec) => textElement('setSpec', spec)),
+    ]);
+  }
+
+  /**
+   * Record: header and oai_dc metadata (header only for deleted theses)
+   * @param {object} thesis - Thesis
+   * @returns {string} record markup
+   */
+  record(thesis) {
+    if (thesis.deletedAt) {
+      return element('record', {}, this.header(thesis));
+    }
+    return element('record', {}, [this.header(thesis), element('metadata', {}, this.dublinCore(thesis))]);
+  }
+
+  /**
+   * Simple Dublin Core (oai_dc) description of a thesis
+   * @param {object} thesis - Thesis
+   * @returns {string} oai_dc:dc markup
+   */
+  dublinCore(thesis) {
+    const dc = (name, values) =>
+      []
+        .concat(values)
+        .filter((value) => value !== undefined && value !== null && value !== '')
+        .map((value) => textElement(`dc:${name}`, value));
+    const people = (list) =>
+      (list || []).map((person) => {
+        const { given, family } = splitName(person.name);
+        return given ? `${family}, ${given}` : family;
+      });
+
+    const identifiers = [
+      thesis.doi && `https://doi.org/${thesis.doi}`,
+      thesis.handle && `https://hdl.handle.net/${thesis.handle}`,
+      this.config.frontendUrl && `${this.config.frontendUrl.replace(/\/$/, '')}/document/${thesis._id}`,
+    ];
+
+    return element(
+      'oai_dc:dc',
+      {
+        'xmlns:oai_dc': METADATA_FORMATS.oai_dc.metadataNamespace,
+        'xmlns:dc': 'http://purl.org/dc/elements/1.1/',
+        'xmlns:xsi': XSI_NAMESPACE,
+        'xsi:schemaLocation': `${METADATA_FORMATS.oai_dc.metadataNamespace} ${METADATA_FORMATS.oai_dc.schema}`,
+      },
+      [
+        ...dc('title', thesis.title),
+        ...dc('creator', people(thesis.authors)),
+        ...dc('contributor', people(thesis.advisors)),
+        ...dc('subject', [...new Set([...(thesis.keywords || []), ...(thesis.tags || [])])]),
+        ...dc('description', thesis.abstract),
+        ...dc('publisher', [thesis.institution, thesis.department].filter(Boolean).join(', ')),
+        ...dc('date', thesis.defenseYear),
+        ...dc('type', ['Text', thesisType(thesis.degreeLevel), EU_REPO_TYPES[thesis.degreeLevel]]),
+        ...dc('format', thesis.file && (thesis.file.contentType || 'application/pdf')),
+        ...dc('identifier', identifiers),
+        ...dc('language', thesis.language),
+        ...dc('rights', thesis.license),
+      ]
+    );
+  }
+}
+
+// Singleton instance
+const oaiService = new OaiService();
+
+module.exports = oaiService;
+module.exports.OaiService = OaiService;
+module.exports.setSpec = setSpec;
+module.exports.parseDate = parseDate;
@@ -0,0 +1,173 @@
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const logger = require('../utils/logger');
+
+/**
+ * PDF Service - Extracts text and a page map from PDF files
+ * Uses pdf-parse (pure JavaScript, bundles Mozilla pdf.js)
+ */
+
+// Headings that usually follow the abstract in a thesis
+const ABSTRACT_END_PATTERN =
+  /\n\s*(?:key\s*words?|index terms|table of contents|contents|acknowledge?ments?|dedication|introduction|chapter\s+(?:1|i|one)\b|1\.?\s+introduction)/i;
+
+// Cover-page lines that are not part of the title
+const COVER_NOISE_PATTERN = /\b(university|college|school|institute|department|faculty|campus)\b/i;
+const COVER_END_PATTERN =
+  /\b(a thesis|a dissertation|thesis presented|dissertation presented|presented to|submitted to|in partial fulfil+ment|by\s*$)/i;
+
+const MAX_TITLE_LENGTH = 500;
+const MAX_ABSTRACT_LENGTH = 5000;
+
+class PdfService {
+  /**
+   * Extract text from a PDF
+   * @param {Buffer} buffer - PDF file contents
+   * @returns {Promise<object>} { text, pages: [{ number, start, end }], pageCount, info }
+   *   where start/end are character offsets of each page within `text`
+   */
+  async extract(buffer) {
+    try {
+      const pageTexts = [];
+
+      // Copy into a standalone array: small Buffers are views into a shared
+      // pool and pdf.js ignores their byteOffset
+      const result = await pdfParse(new Uint8Array(buffer), {
+        // pdf-parse renders pages sequentially, so push order is page order
+        pagerender: async (pageData) => {
+          const textContent = await pageData.getTextContent({
+            normalizeWhitespace: false,
+            disableCombineTextItems: false,
+          });
+
+          let lastY;
+          let text = '';
+          for (const item of textContent.items) {
+            if (lastY === item.transform[5] || lastY === undefined) {
+              text += item.str;
+            } else {
+              text += `\n${item.str}`;
+            }
+            lastY = item.transform[5];
+          }
+
+          pageTexts.push(text);
+          return text;
+        },
+      });
+
+      const separator = '\n\n';
+      const pages = [];
+      let offset = 0;
+      pageTexts.forEach((pageText, index) => {
+        pages.push({ number: index + 1, start: offset, end: offset + pageText.length });
+        offset += pageText.length + separator.length;
+      });
+
+      const text = pageTexts.join(separator);
+      logger.info(`Extracted ${text.length} characters from ${result.numpages} PDF pages`);
+
+      return {
+        text,
+        pages,
+        pageCount: result.numpages,
+        info: result.info || {},
+      };
+    } catch (error) {
+      logger.error(`Error extracting PDF text: ${error.message}`);
+      // Damaged or mislabeled uploads are the client's to fix
+      const extractError = new Error(`Failed to extract PDF text: ${error.message}`);
+      extractError.statusCode = 422;
+      throw extractError;
+    }
+  }
+
+  /**
+   * Guess a thesis title from PDF metadata or the cover page
+   * @param {object} extraction - Result of extract()
+   * @returns {string} Title, or an empty string if none was found
+   */
+  guessTitle(extraction) {
+    const metadataTitle = (extraction.info.Title || '').trim();
+    if (
+      metadataTitle.length > 5 &&
+      !/^microsoft word|\.(docx?|pdf|tex)$/i.test(metadataTitle)
+    ) {
+      return metadataTitle.slice(0, MAX_TITLE_LENGTH);
+    }
+
+    const firstPage = extraction.pages.length > 0
+      ? extraction.text.slice(extraction.pages[0].start, extraction.pages[0].end)
+      : extraction.text;
+    const lines = firstPage
+      .split('\n')
+      .map((line) => line.trim())
+      .filter((line) => line.length > 3)
+      .slice(0, 15);
+
+    const titleLines = [];
+    for (const line of lines) {
+      if (COVER_END_PATTERN.test(line)) break;
+      if (line.includes('@')) continue;
+      if (COVER_NOISE_PATTERN.test(line)) {
+        // Institution header above the title; start over below it
+        if (titleLines.length > 0) break;
+        continue;
+      }
+      titleLines.push(line);
+      if (titleLines.length === 3) break;
+    }
+
+    const title = (titleLines.length > 0 ? titleLines : lines.slice(0, 1)).join(' ');
+    return title.replace(/\s+/g, ' ').slice(0, MAX_TITLE_LENGTH);
+  }
+
+  /**
+   * Guess the abstract from the extracted text
+   * Looks for an "Abstract" heading and reads until the next front-matter
+   * heading; otherwise falls back to the opening text after the cover page.
+   * @param {object} extraction - Result of extract()
+   * @returns {string} Abstract, or an empty string if none was found
+   */
+  guessAbstract(extraction) {
+    const { text, pages } = extraction;
+    let abstract = '';
+
+    const heading = /(^|\n)\s*abstract\s*[:.\-—]?\s*/i.exec(text);
+    if (heading) {
+      const rest = text.slice(heading.index + heading[0].length);
+      const end = ABSTRACT_END_PATTERN.exec(rest);
+      abstract = end ? rest.slice(0, end.index) : rest.slice(0, MAX_ABSTRACT_LENGTH);
+    } else if (pages.length > 1) {
+      abstract = text.slice(pages[1].start, pages[1].start + 1500);
+    } else {
+      abstract = text.slice(0, 1500);
+    }
+
+    return this.truncateAtSentence(this.cleanText(abstract), MAX_ABSTRACT_LENGTH);
+  }
+
+  /**
+   * Join hyphenated line breaks and collapse whitespace
+   * @param {string} text - Raw extracted text
+   * @returns {string} Cleaned text
+   */
+  cleanText(text) {
+    return text
+      .replace(/(\w)-\n(\w)/g, '$1$2')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  truncateAtSentence(text, maxLength) {
+    if (text.length <= maxLength) {
+      return text;
+    }
+    const truncated = text.slice(0, maxLength);
+    const lastStop = truncated.lastIndexOf('. ');
+    return lastStop > maxLength / 2 ? truncated.slice(0, lastStop + 1) : truncated;
+  }
+}
+
+const pdfService = new PdfService();
+
+module.exports = pdfService;
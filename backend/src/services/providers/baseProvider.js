@@ -0,0 +1,76 @@
+/**
+ * Base AI Provider - Interface implemented by every LLM provider adapter
+ *
+ * Adapters implement chat(), stream(), checkHealth() and listModels();
+ * generate() defaults to a single-turn chat. Every method accepts
+ * `options.model` to override the provider's configured model.
+ */
+
+class BaseProvider {
+  /**
+   * @param {string} name - Provider name (registry key)
+   * @param {object} config - Provider configuration
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+  }
+
+  /**
+   * Resolve the model for a request
+   * @param {object} options - Request options
+   * @returns {string} Model name
+   */
+  modelFor(options = {}) {
+    return options.model || this.config.model;
+  }
+
+  /**
+   * Generate a completion for a single prompt
+   * @param {string} prompt - The prompt to send
+   * @param {object} options - { model, temperature, maxTokens, signal }
+   * @returns {Promise<string>} Generated text
+   */
+  async generate(prompt, options = {}) {
+    return this.chat([{ role: 'user', content: prompt }], options);
+  }
+
+  /**
+   * Generate a reply to a list of chat messages
+   * @param {Array<{role: string, content: string}>} messages - Conversation (system/user/assistant)
+   * @param {object} options - { model, temperature, maxTokens, signal }
+   * @returns {Promise<string>} Generated text
+   */
+  async chat(messages, options = {}) {
+    throw new Error(`${this.name} provider does not implement chat()`);
+  }
+
+  /**
+   * Stream a completion for a single prompt
+   * @param {string} prompt - The prompt to send
+   * @param {object} options - { model, temperature, maxTokens, signal }
+   * @returns {AsyncGenerator<string>} Text deltas
+   */
+  async *stream(prompt, options = {}) {
+    throw new Error(`${this.name} provider does not implement stream()`);
+  }
+
+  /**
+   * Check whether the provider is reachable
+   * @returns {Promise<boolean>} Provider availability
+   */
+  async checkHealth() {
+    await this.listModels();
+    return true;
+  }
+
+  /**
+   * List the models the provider can serve
+   * @returns {Promise<Array<string>>} Model names
+   */
+  async listModels() {
+    throw new Error(`${this.name} provider does not implement listModels()`);
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,64 @@
+const Groq = require('groq-sdk');
+const BaseProvider = require('./baseProvider');
+const logger = require('../../utils/logger');
+
+/**
+ * Groq Provider - Hosted models via the Groq SDK
+ */
+
+class GroqProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('groq', config);
+
+    if (!config.apiKey) {
+      logger.error('GROQ_API_KEY is not set');
+      throw new Error('GROQ_API_KEY is required for the groq provider');
+    }
+    this.client = new Groq({ apiKey: config.apiKey });
+    logger.info('Initialized Groq client');
+  }
+
+  async chat(messages, options = {}) {
+    const { temperature = 0.7, maxTokens = 1000, signal } = options;
+
+    const response = await this.client.chat.completions.create(
+      {
+        model: this.modelFor(options),
+        messages,
+        temperature,
+        max_tokens: maxTokens,
+      },
+      { signal }
+    );
+    return response.choices[0].message.content;
+  }
+
+  async *stream(prompt, options = {}) {
+    const { temperature = 0.7, maxTokens = 1000, signal } = options;
+
+    const stream = await this.client.chat.completions.create(
+      {
+        model: this.modelFor(options),
+        messages: [{ role: 'user', content: prompt }],
+        temperature,
+        max_tokens: maxTokens,
+        stream: true,
+      },
+      { signal }
+    );
+
+    for await (const chunk of stream) {
+      const delta = chunk.choices[0] && chunk.choices[0].delta.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+
+  async listModels() {
+    const response = await this.client.models.list();
+    return response.data.map((model) => model.id);
+  }
+}
+
+module.exports = GroqProvider;
@@ -0,0 +1,54 @@
+const OllamaProvider = require('./ollamaProvider');
+const GroqProvider = require('./groqProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const MockProvider = require('./mockProvider');
+
+/**
+ * AI Provider Registry - Maps provider names (as used in AI_PROVIDER and
+ * the per-task overrides) to adapter classes
+ */
+
+const registry = new Map([
+  ['ollama', OllamaProvider],
+  ['groq', GroqProvider],
+  ['openai', OpenAICompatibleProvider],
+  ['mock', MockProvider],
+]);
+
+/**
+ * Register an additional provider adapter
+ * @param {string} name - Provider name
+ * @param {Function} ProviderClass - Class extending BaseProvider, constructed with its config
+ */
+const registerProvider = (name, ProviderClass) => {
+  registry.set(name, ProviderClass);
+};
+
+/**
+ * Create a provider instance
+ * @param {string} name - Provider name
+ * @param {object} config - Provider configuration
+ * @returns {BaseProvider} Provider
+ */
+const createProvider = (name, config = {}) => {
+  const ProviderClass = registry.get(name);
+  if (!ProviderClass) {
+    throw new Error(
+      `Unknown AI provider "${name}" (available: ${getProviderNames().join(', ')})`
+    );
+  }
+  return new ProviderClass(config);
+};
+
+/**
+ * Get the names of all registered providers
+ * @returns {Array<string>} Provider names
+ */
+const getProviderNames = () => Array.from(registry.keys());
+
+module.exports = {
+  registerProvider,
+  createProvider,
+  getProviderNames,
+  BaseProvider: require('./baseProvider'),
+};
@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const BaseProvider = require('./baseProvider');
+const logger = require('../../utils/logger');
+
+/**
+ * Mock Provider - Deterministic completions for tests and offline use
+ *
+ * Responses come from the first matching fixture, otherwise from built-in
+ * rules that understand the repository's own prompts (tagging, query
+ * rewriting, RAG answers, summaries). Every call is recorded.
+ *
+ * Fixture format (AI_MOCK_FIXTURES points to a JSON array of these):
+ *   {
+ *     "hash": "<sha256 of the prompt, or a prefix of at least 8 chars>",
+ *     "match": "<regular expression tested against the prompt>",
+ *     "task": "<only match requests for this task>",
+ *     "response": "<completion text>",
+ *     "error": { "message": "...", "status": 429, "code": "..." },
+ *     "latencyMs": 0,
+ *     "times": 1   // optional: stop matching after this many uses
+ *   }
+ */
+
+const MIN_HASH_PREFIX = 8;
+
+const TAG_STOPWORDS = new Set(['with', 'from', 'this', 'that', 'these', 'their', 'into', 'using', 'based', 'study']);
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(abortError());
+      return;
+    }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+
+const abortError = () => {
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+};
+
+class MockProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('mock', config);
+    this.latencyMs = config.latencyMs || 0;
+    this.streamDelayMs = config.streamDelayMs || 0;
+    this.healthy = true;
+    this.calls = [];
+    this.fixtures = [];
+    this.failures = [];
+
+    if (config.fixturesPath) {
+      this.loadFixtures(config.fixturesPath);
+    }
+    logger.info(`Initialized mock AI provider (${this.fixtures.length} fixtures)`);
+  }
+
+  /**
+   * Hash a prompt the way fixtures reference it
+   * @param {string} prompt - Prompt text
+   * @returns {string} sha256 hex digest
+   */
+  static hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex');
+  }
+
+  /**
+   * Load fixtures from a JSON file (appended to existing fixtures)
+   * @param {string} filePath - Path to a JSON array of fixtures
+   */
+  loadFixtures(filePath) {
+    const fixtures = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (!Array.isArray(fixtures)) {
+      throw new Error(`Mock AI fixtures in ${filePath} must be a JSON array`);
+    }
+    fixtures.forEach((fixture) => this.addFixture(fixture));
+  }
+
+  /**
+   * Add a fixture (checked in insertion order)
+   * @param {object} fixture - See the format above; `match` may also be a RegExp
+   * @returns {MockProvider} this, for chaining
+   */
+  addFixture(fixture) {
+    if (fixture.hash && fixture.hash.length < MIN_HASH_PREFIX) {
+      throw new Error(`Mock AI fixture hash must be at least ${MIN_HASH_PREFIX} characters`);
+    }
+    this.fixtures.push({
+      ...fixture,
+      match: typeof fixture.match === 'string' ? new RegExp(fixture.match, 'i') : fixture.match,
+      uses: 0,
+    });
+    return this;
+  }
+
+  /**
+   * Make the next calls fail, whatever the prompt
+   * @param {object} error - { message, status, code }
+   * @param {number} times - Number of calls to fail
+   * @returns {MockProvider} this, for chaining
+   */
+  failNext(error = {}, times = 1) {
+    for (let i = 0; i < times; i++) {
+      this.failures.push(error);
+    }
+    return this;
+  }
+
+  /**
+   * Forget fixtures, queued failures and recorded calls
+   */
+  reset() {
+    this.fixtures = [];
+    this.failures = [];
+    this.calls = [];
+    this.healthy = true;
+  }
+
+  /**
+   * Recorded calls, optionally filtered by task
+   * @param {string} task - Task name
+   * @returns {Array<object>} { method, prompt, messages, options, response, error, at }
+   */
+  getCalls(task) {
+    return task ? this.calls.filter((call) => call.options.task === task) : this.calls;
+  }
+
+  findFixture(prompt, task) {
+    const hash = MockProvider.hashPrompt(prompt);
+    return this.fixtures.find((fixture) => {
+      if (fixture.times !== undefined && fixture.uses >= fixture.times) return false;
+      if (fixture.task && fixture.task !== task) return false;
+      if (fixture.hash && !hash.startsWith(fixture.hash)) return false;
+      if (fixture.match && !fixture.match.test(prompt)) return false;
+      return Boolean(fixture.hash || fixture.match || fixture.task);
+    });
+  }
+
+  /**
+   * Resolve a completion (fixture, queued failure or built-in rule)
+   * @returns {Promise<string>} Completion text
+   */
+  async respond(method, prompt, options, extra = {}) {
+    const call = { method, prompt, ...extra, options, response: null, error: null, at: new Date() };
+    this.calls.push(call);
+
+    const fixture = this.findFixture(prompt, options.task);
+    if (fixture) fixture.uses++;
+
+    await sleep(fixture && fixture.latencyMs !== undefined ? fixture.latencyMs : this.latencyMs, options.signal);
+
+    const failure = this.failures.length > 0 ? this.failures.shift() : fixture && fixture.error;
+    if (failure) {
+      const error = new Error(failure.message || 'Mock AI provider error');
+      if (failure.status) error.status = failure.status;
+      if (failure.code) error.code = failure.code;
+      call.error = error.message;
+      throw error;
+    }
+
+    call.response = fixture && fixture.response !== undefined
+      ? fixture.response
+      : this.ruleResponse(prompt, options.task);
+    return call.response;
+  }
+
+  /**
+   * Built-in rule-based completions for the repository's prompts
+   * @param {string} prompt - Prompt text
+   * @param {string} task - Task name, if known
+   * @returns {string} Completion text
+   */
+  ruleResponse(prompt, task) {
+    const field = (label) => {
+      const match = new RegExp(`^${label}:[ \\t]*(.*)$`, 'im').exec(prompt);
+      return match ? match[1].trim() : '';
+    };
+
+    if (task === 'tagging' || /descriptive tags/i.test(prompt)) {
+      const words = `${field('Title')} ${field('Abstract')}`
+        .toLowerCase()
+        .match(/[a-z][a-z-]{3,}/g) || [];
+      const tags = Array.from(new Set(words.filter((word) => !TAG_STOPWORDS.has(word)))).slice(0, 5);
+      return (tags.length >= 3 ? tags : ['research', 'academic', 'study']).join(', ');
+    }
+
+    if (task === 'queryRewrite' || /Optimized search query:\s*$/.test(prompt)) {
+      return field('User question');
+    }
+
+    if (task === 'summarize' || /Summary:\s*$/.test(prompt)) {
+      const abstract = field('Abstract');
+      const firstSentence = (abstract.match(/^.*?[.!?](\s|$)/) || [abstract])[0].trim();
+      return `${field('Title')}: ${firstSentence}`.trim();
+    }
+
+    if (task === 'answer' || /Answer:\s*$/.test(prompt)) {
+      // The first thesis in the RAG context
+      const title = field('Title');
+      return title
+        ? `Based on the repository, the most relevant work is "${title}".`
+        : 'The repository does not contain information about that.';
+    }
+
+    return `Mock response to: ${prompt.slice(0, 80)}`;
+  }
+
+  async generate(prompt, options = {}) {
+    return this.respond('generate', prompt, options);
+  }
+
+  async chat(messages, options = {}) {
+    const prompt = messages.map((message) => `${message.role}: ${message.content}`).join('\n');
+    return this.respond('chat', prompt, options, { messages });
+  }
+
+  async *stream(prompt, options = {}) {
+    const text = await this.respond('stream', prompt, options);
+
+    // Word-sized deltas, keeping the whitespace so they join back exactly
+    const deltas = text.match(/\S+\s*|\s+/g) || [];
+    for (const delta of deltas) {
+      if (this.streamDelayMs > 0) {
+        await sleep(this.streamDelayMs, options.signal);
+      } else if (options.signal && options.signal.aborted) {
+        throw abortError();
+      }
+      yield delta;
+    }
+  }
+
+  async checkHealth() {
+    return this.healthy;
+  }
+
+  async listModels() {
+    return [this.config.model || 'mock'];
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,101 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const { readLines } = require('../../utils/streamUtils');
+const logger = require('../../utils/logger');
+
+/**
+ * Ollama Provider - Local models served by Ollama's HTTP API
+ */
+
+class OllamaProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('ollama', config);
+
+    // Normalize baseUrl to use IPv4 (127.0.0.1) instead of localhost to avoid IPv6 issues
+    let baseURL = config.baseUrl;
+    if (baseURL.includes('localhost')) {
+      baseURL = baseURL.replace('localhost', '127.0.0.1');
+    }
+
+    // Use axios for direct HTTP requests to Ollama API
+    this.client = axios.create({
+      baseURL,
+      timeout: config.timeoutMs,
+    });
+    logger.info(`Initialized Ollama client at ${baseURL}`);
+  }
+
+  buildOptions({ temperature = 0.7, maxTokens = 1000 }) {
+    return {
+      temperature,
+      num_predict: maxTokens,
+    };
+  }
+
+  async generate(prompt, options = {}) {
+    const response = await this.client.post(
+      '/api/generate',
+      {
+        model: this.modelFor(options),
+        prompt,
+        stream: false,
+        options: this.buildOptions(options),
+      },
+      { signal: options.signal }
+    );
+    return response.data.response;
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.client.post(
+      '/api/chat',
+      {
+        model: this.modelFor(options),
+        messages,
+        stream: false,
+        options: this.buildOptions(options),
+      },
+      { signal: options.signal }
+    );
+    return response.data.message.content;
+  }
+
+  async *stream(prompt, options = {}) {
+    // Ollama streams newline-delimited JSON objects
+    const response = await this.client.post(
+      '/api/generate',
+      {
+        model: this.modelFor(options),
+        prompt,
+        stream: true,
+        options: this.buildOptions(options),
+      },
+      { responseType: 'stream', signal: options.signal }
+    );
+
+    for await (const line of readLines(response.data)) {
+      const data = JSON.parse(line);
+      if (data.error) {
+        throw new Error(data.error);
+      }
+      if (data.response) {
+        yield data.response;
+      }
+      if (data.done) {
+        return;
+      }
+    }
+  }
+
+  async checkHealth() {
+    const response = await this.client.get('/api/tags');
+    return response.data !== null;
+  }
+
+  async listModels() {
+    const response = await this.client.get('/api/tags');
+    return (response.data.models || []).map((model) => model.name);
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,77 @@
+const axios = require('axios');
+const BaseProvider = require('./baseProvider');
+const { readEventData } = require('../../utils/streamUtils');
+const logger = require('../../utils/logger');
+
+/**
+ * OpenAI-compatible Provider - Any server implementing the OpenAI
+ * chat completions API (llama.cpp server, vLLM, LM Studio, OpenAI itself)
+ * `baseUrl` includes the API prefix, e.g. http://127.0.0.1:8080/v1
+ */
+
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(config = {}) {
+    super('openai', config);
+
+    const headers = {};
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    this.client = axios.create({
+      baseURL: config.baseUrl.replace(/\/+$/, ''),
+      timeout: config.timeoutMs,
+      headers,
+    });
+    logger.info(`Initialized OpenAI-compatible client at ${config.baseUrl}`);
+  }
+
+  buildRequest(messages, options, stream) {
+    const { temperature = 0.7, maxTokens = 1000 } = options;
+    return {
+      model: this.modelFor(options),
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      stream,
+    };
+  }
+
+  async chat(messages, options = {}) {
+    const response = await this.client.post(
+      '/chat/completions',
+      this.buildRequest(messages, options, false),
+      { signal: options.signal }
+    );
+    return response.data.choices[0].message.content;
+  }
+
+  async *stream(prompt, options = {}) {
+    const response = await this.client.post(
+      '/chat/completions',
+      this.buildRequest([{ role: 'user', content: prompt }], options, true),
+      { responseType: 'stream', signal: options.signal }
+    );
+
+    for await (const data of readEventData(response.data)) {
+      if (data === '[DONE]') {
+        return;
+      }
+      const chunk = JSON.parse(data);
+      if (chunk.error) {
+        throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+      }
+      const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta.content;
+      if (delta) {
+        yield delta;
+      }
+    }
+  }
+
+  async listModels() {
+    const response = await this.client.get('/models');
+    return (response.data.data || []).map((model) => model.id);
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,114 @@
+const { AutoTokenizer, AutoModelForSequenceClassification } = require('@xenova/transformers');
+const { getRerankConfig } = require('../config/rerank.config');
+const logger = require('../utils/logger');
+
+/**
+ * Rerank Service - Rescores search candidates with a local cross-encoder
+ * Unlike the bi-encoder embeddings, a cross-encoder reads the query and the
+ * document together, which is slower but ranks the top results better.
+ */
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+
+class RerankService {
+  constructor(config = getRerankConfig()) {
+    this.config = config;
+    this.tokenizer = null;
+    this.model = null;
+    this.loading = null;
+  }
+
+  /**
+   * Load the tokenizer and model (lazy, shared by concurrent callers)
+   * @returns {Promise<void>}
+   */
+  async initializeModel() {
+    if (this.model) {
+      return;
+    }
+
+    if (!this.loading) {
+      logger.info(`Loading rerank model: ${this.config.model}...`);
+      this.loading = Promise.all([
+        AutoTokenizer.from_pretrained(this.config.model),
+        AutoModelForSequenceClassification.from_pretrained(this.config.model),
+      ])
+        .then(([tokenizer, model]) => {
+          this.tokenizer = tokenizer;
+          this.model = model;
+          logger.info('Rerank model loaded successfully');
+        })
+        .catch((error) => {
+          throw new Error(`Failed to load rerank model: ${error.message}`);
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    await this.loading;
+  }
+
+  /**
+   * Text of a thesis as the cross-encoder sees it
+   * @param {object} thesis - Search result
+   * @returns {string} Title and abstract
+   */
+  documentText(thesis) {
+    return `${thesis.title || ''}\n\n${thesis.abstract || ''}`.slice(0, this.config.maxDocumentChars);
+  }
+
+  /**
+   * Score query-document pairs
+   * @param {string} query - Search query text
+   * @param {Array<string>} documents - Document texts
+   * @returns {Promise<Array<number>>} Relevance between 0 and 1, one per document
+   */
+  async scorePairs(query, documents) {
+    await this.initializeModel();
+
+    const scores = [];
+    for (let start = 0; start < documents.length; start += this.config.batchSize) {
+      const batch = documents.slice(start, start + this.config.batchSize);
+      const inputs = this.tokenizer(new Array(batch.length).fill(query), {
+        text_pair: batch,
+        padding: true,
+        truncation: true,
+      });
+      const { logits } = await this.model(inputs);
+
+      // One logit per pair for relevance models; otherwise the last label is "relevant"
+      const width = logits.dims && logits.dims.length > 1 ? logits.dims[1] : 1;
+      batch.forEach((_, index) => scores.push(sigmoid(logits.data[index * width + width - 1])));
+    }
+    return scores;
+  }
+
+  /**
+   * Rerank the top N results by cross-encoder score
+   * The rescored results come first, ordered by `rerankScore` (ties keep
+   * their retrieval order); the rest follow in retrieval order. The
+   * retrieval `score` is kept on every result.
+   * @param {string} query - Search query text
+   * @param {Array} results - Results in retrieval order
+   * @param {object} options - { topN }
+   * @returns {Promise<Array>} Reranked results
+   */
+  async rerank(query, results, options = {}) {
+    const topN = Math.min(options.topN || this.config.defaultTopN, this.config.maxTopN);
+    const head = results.slice(0, topN);
+
+    const scores = await this.scorePairs(query, head.map((thesis) => this.documentText(thesis)));
+    const reranked = head
+      .map((thesis, index) => ({ ...thesis, retrievalRank: index + 1, rerankScore: scores[index] }))
+      .sort((a, b) => b.rerankScore - a.rerankScore || a.retrievalRank - b.retrievalRank);
+
+    logger.info(`Reranked the top ${head.length} of ${results.length} results`);
+    return [...reranked, ...results.slice(topN)];
+  }
+}
+
+const rerankService = new RerankService();
+
+module.exports = rerankService;
+module.exports.RerankService = RerankService;
@@ -1,58 +1,182 @@
+const mongoose = require('mongoose');
 const Thesis = require('../models/Thesis');
+const ThesisChunk = require('../models/ThesisChunk');
 const embeddingService = require('./embeddingService');
+const vectorIndexService = require('./vectorIndexService');
+const chunkService = require('./chunkService');
+const rerankService = require('./rerankService');
 const { dotProduct } = require('../utils/vectorUtils');
+const {
+  reciprocalRankFusion,
+  maximalMarginalRelevance,
+  DEFAULT_RRF_K,
+  DEFAULT_MMR_LAMBDA,
+} = require('../utils/rankUtils');
+const { buildFilterQuery, isEmptyFilter } = require('../utils/searchFilters');
 const logger = require('../utils/logger');
 
 /**
- * Search Service - Handles semantic search operations
+ * Search Service - Handles semantic, keyword and hybrid search operations
+ * Only published theses (Thesis.publicFilter) are ever returned.
+ * `options.filters` (see utils/searchFilters) narrow every retrieval path.
  */
 
+// Ranked results over which facet counts are computed
+const FACET_POOL_SIZE = 100;
+const FACET_TAG_LIMIT = 20;
+
+// Deepest position a ranked search can be paged to
+const MAX_RANKED_RESULTS = 500;
+
+// MMR picks from a deeper candidate list than it returns
+const MMR_CANDIDATE_FACTOR = 4;
+const MMR_MIN_CANDIDATES = 20;
+
+// Score order with the ID as tie-breaker, so equal scores always rank the same way
+const byScore = (a, b) => b.score - a.score || String(a._id).localeCompare(String(b._id));
+
 class SearchService {
   /**
-   * Perform semantic search using MongoDB Atlas Vector Search
-   * Falls back to manual dot product search if Atlas search is unavailable
+   * Search theses by meaning, by keywords, or by both
+   * Dispatches on `options.mode`:
+   * - semantic: dense vector retrieval (default)
+   * - keyword: MongoDB text search over title and abstract
+   * - hybrid: both lists fused with Reciprocal Rank Fusion
+   * With `options.mmr`, the results are picked from a deeper candidate list
+   * by Maximal Marginal Relevance, trading relevance for variety.
    * @param {string} query - Search query text
    * @param {object} options - Search options
+   * @param {boolean} options.mmr - Diversify the results
+   * @param {number} options.mmrLambda - Relevance/novelty trade-off (0-1)
    * @returns {Promise<Array>} Array of relevant theses with similarity scores
    */
   async semanticSearch(query, options = {}) {
     try {
-      const { limit = 10, threshold = 0.5 } = options;
+      const { mode = 'semantic' } = options;
 
-      logger.info(`Performing semantic search for: "${query}"`);
+      if (options.mmr) {
+        const { limit = 10 } = options;
+        const candidates = await this.semanticSearch(query, {
+          ...options,
+          mmr: false,
+          limit: Math.max(limit * MMR_CANDIDATE_FACTOR, MMR_MIN_CANDIDATES),
+        });
+        const diversified = await this.diversify(candidates.sort(byScore), { lambda: options.mmrLambda, limit });
+        return diversified.slice(0, limit);
+      }
 
-      // Generate embedding for the search query
-      const queryEmbedding = await embeddingService.generateQueryEmbedding(query);
+      logger.info(`Performing ${mode} search for: "${query}"`);
 
-      // Try MongoDB Atlas Vector Search first
-      try {
-        const results = await this.atlasVectorSearch(queryEmbedding, limit, threshold);
-        if (results && results.length > 0) {
-          logger.info(`Found ${results.length} results using Atlas Vector Search`);
-          return results;
-        }
-      } catch (atlasError) {
-        logger.warn('Atlas Vector Search not available, falling back to manual search');
+      if (mode === 'keyword') {
+        return await this.keywordSearch(query, options);
       }
 
-      // Fallback to manual dot product search
-      const results = await this.manualVectorSearch(queryEmbedding, limit, threshold);
-      logger.info(`Found ${results.length} results using manual search`);
-      return results;
+      if (mode === 'hybrid') {
+        return await this.hybridSearch(query, options);
+      }
+
+      return await this.vectorSearch(query, options);
     } catch (error) {
       logger.error(`Error in semantic search: ${error.message}`);
       throw new Error(`Semantic search failed: ${error.message}`);
     }
   }
 
+  /**
+   * Dense retrieval using MongoDB Atlas Vector Search
+   * Falls back to manual dot product search if Atlas search is unavailable
+   * @param {string} query - Search query text
+   * @param {object} options - Search options
+   * @returns {Promise<Array>} Array of relevant theses with similarity scores
+   */
+  async vectorSearch(query, options = {}) {
+    const { limit = 10, threshold = 0.5, efSearch } = options;
+    const filterQuery = buildFilterQuery(options.filters);
+
+    // Generate embedding for the search query
+    const queryEmbedding = await embeddingService.generateQueryEmbedding(query);
+
+    // Try MongoDB Atlas Vector Search first
+    try {
+      const results = await this.atlasVectorSearch(queryEmbedding, limit, threshold, filterQuery);
+      if (results && results.length > 0) {
+        logger.info(`Found ${results.length} results using Atlas Vector Search`);
+        return results;
+      }
+    } catch (atlasError) {
+      logger.warn('Atlas Vector Search not available, falling back to manual search');
+    }
+
+    // Fallback to manual dot product search
+    const results = await this.manualVectorSearch(queryEmbedding, limit, threshold, { efSearch, filterQuery });
+    logger.info(`Found ${results.length} results using manual search`);
+    return results;
+  }
+
+  /**
+   * Lexical retrieval using the title/abstract text index
+   * MongoDB's textScore is a BM25-style term weighting, so exact terms
+   * (acronyms, chemical names, surnames) rank highly here.
+   * @param {string} query - Search query text
+   * @param {object} options - Search options
+   * @returns {Promise<Array>} Matching theses with text scores
+   */
+  async keywordSearch(query, options = {}) {
+    const { limit = 10 } = options;
+
+    const results = await Thesis.find(
+      { $text: { $search: query }, ...buildFilterQuery(options.filters), ...Thesis.publicFilter() },
+      { score: { $meta: 'textScore' } }
+    )
+      .select('-embeddings')
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(limit)
+      .lean();
+
+    logger.info(`Found ${results.length} results using keyword search`);
+    return results;
+  }
+
+  /**
+   * Hybrid retrieval: run vector and keyword search, then fuse the two
+   * ranked lists with Reciprocal Rank Fusion.
+   * Each result carries the fused `score` plus a `ranking` breakdown with
+   * the rank and original score it had in each list (null if absent).
+   * @param {string} query - Search query text
+   * @param {object} options - Search options
+   * @returns {Promise<Array>} Fused results
+   */
+  async hybridSearch(query, options = {}) {
+    const { limit = 10, threshold = 0.5, rrfK = DEFAULT_RRF_K } = options;
+
+    // Retrieve a deeper pool from each list so fusion has room to reorder
+    const candidateLimit = options.candidateLimit || Math.max(limit * 3, 30);
+
+    const [semanticResults, keywordResults] = await Promise.all([
+      this.vectorSearch(query, { limit: candidateLimit, threshold, efSearch: options.efSearch, filters: options.filters }),
+      this.keywordSearch(query, { limit: candidateLimit, filters: options.filters }),
+    ]);
+
+    const results = reciprocalRankFusion(
+      { semantic: semanticResults, keyword: keywordResults },
+      { k: rrfK }
+    ).slice(0, limit);
+
+    logger.info(
+      `Fused ${semanticResults.length} semantic and ${keywordResults.length} keyword results into ${results.length}`
+    );
+    return results;
+  }
+
   /**
    * MongoDB Atlas Vector Search
    * @param {Array<number>} queryEmbedding - Query embedding vector
    * @param {number} limit - Maximum number of results
    * @param {number} threshold - Minimum similarity threshold
+   * @param {object} filterQuery - Pre-filter from buildFilterQuery
    * @returns {Promise<Array>} Search results
    */
-  async atlasVectorSearch(queryEmbedding, limit, threshold) {
+  async atlasVectorSearch(queryEmbedding, limit, threshold, filterQuery = {}) {
     try {
       // MongoDB Atlas Vector Search aggregation pipeline
       const pipeline = [
@@ -61,8 +185,10 @@ class SearchService {
             index: 'semanticsearch', // Vector search index name
             path: 'embeddings',
             queryVector: queryEmbedding,
-            numCandidates: 100,
+            numCandidates: Math.max(limit * 10, 100),
             limit: limit,
+            // Every filtered path must be declared as a filter field in the index definition
+            filter: { ...filterQuery, ...Thesis.publicFilter() },
           },
         },
         {
@@ -77,11 +203,7 @@ class SearchService {
         },
         {
           $project: {
-            title: 1,
-            abstract: 1,
-            tags: 1,
-            createdAt: 1,
-            score: 1,
+            embeddings: 0,
           },
         },
       ];
@@ -96,16 +218,32 @@ class SearchService {
 
   /**
    * Manual vector search using dot product
-   * Uses dot product to match MongoDB Atlas Vector Search similarity metric
+   * Uses the in-process HNSW index when it is ready, otherwise scans the
+   * whole collection (and kicks off index initialization for next time)
    * @param {Array<number>} queryEmbedding - Query embedding vector (normalized)
    * @param {number} limit - Maximum number of results
    * @param {number} threshold - Minimum similarity threshold
+   * @param {object} options - Search options
+   * @param {number} options.efSearch - HNSW beam width (recall/latency trade-off)
+   * @param {object} options.filterQuery - Pre-filter from buildFilterQuery
    * @returns {Promise<Array>} Search results with similarity scores
    */
-  async manualVectorSearch(queryEmbedding, limit, threshold) {
+  async manualVectorSearch(queryEmbedding, limit, threshold, options = {}) {
+    const { filterQuery = {} } = options;
+
     try {
-      // Get all theses with embeddings
-      const allTheses = await Thesis.find({}).lean();
+      if (vectorIndexService.isReady()) {
+        const filter = await this.indexFilter(filterQuery);
+        const hits = vectorIndexService
+          .search(queryEmbedding, limit, { efSearch: options.efSearch, filter })
+          .filter((hit) => hit.score >= threshold);
+        return await this.hydrateHits(hits);
+      }
+
+      vectorIndexService.initialize();
+
+      // Get all matching public theses with embeddings
+      const allTheses = await Thesis.find({ ...filterQuery, ...Thesis.publicFilter() }).lean();
 
       // Calculate dot product similarity for each thesis
       // Since embeddings are normalized, dot product = cosine similarity
@@ -132,6 +270,218 @@ class SearchService {
     }
   }
 
+  /**
+   * IDs of theses the public may not see (drafts, pending and rejected)
+   * Used to filter the in-process indexes, which only know document IDs.
+   * This set is normally small compared to the published collection.
+   * @returns {Promise<Set<string>>} Thesis IDs
+   */
+  async hiddenThesisIds() {
+    const ids = await Thesis.distinct('_id', { $nor: [Thesis.publicFilter()] });
+    return new Set(ids.map((id) => id.toString()));
+  }
+
+  /**
+   * Build the in-process index predicate for a search
+   * Without filters the (small) hidden set is excluded; with filters the
+   * matching public theses are allowed instead.
+   * @param {object} filterQuery - Pre-filter from buildFilterQuery
+   * @returns {Promise<Function>} Predicate on thesis ID strings
+   */
+  async indexFilter(filterQuery = {}) {
+    if (isEmptyFilter(filterQuery)) {
+      const hidden = await this.hiddenThesisIds();
+      return (id) => !hidden.has(id);
+    }
+
+    const ids = await Thesis.distinct('_id', { ...filterQuery, ...Thesis.publicFilter() });
+    const allowed = new Set(ids.map((id) => id.toString()));
+    return (id) => allowed.has(id);
+  }
+
+  /**
+   * One page of a ranked search, plus facet counts over the top results
+   * The ranked list is retrieved up to the end of the requested page (at
+   * least FACET_POOL_SIZE, at most MAX_RANKED_RESULTS) and ordered by score
+   * with the thesis ID as tie-breaker, so consecutive pages do not overlap.
+   * Facets are counted over the first FACET_POOL_SIZE results, so they
+   * describe what the query matches and stay the same from page to page.
+   * With `rerank`, the top `rerankTopN` of the ranking are reordered by the
+   * cross-encoder; if it cannot run, the retrieval order is kept. With `mmr`,
+   * the ranking up to the end of the page is then diversified.
+   * @param {string} query - Search query text
+   * @param {object} options - semanticSearch options, including filters
+   * @param {number} options.offset - Results to skip (from the page cursor)
+   * @param {boolean} options.rerank - Rerank the top results with the cross-encoder
+   * @param {number} options.rerankTopN - Number of results to rerank
+   * @param {boolean} options.mmr - Diversify the ranking
+   * @param {number} options.mmrLambda - Relevance/novelty trade-off (0-1)
+   * @returns {Promise<{results: Array, facets: object, total: number, estimated: boolean, hasMore: boolean, rerank: object, mmr: object}>}
+   *   `estimated` means the ranking was cut off, so `total` is a lower bound;
+   *   `rerank` and `mmr` are null unless requested
+   */
+  async facetedSearch(query, options = {}) {
+    const { limit = 10, offset = 0 } = options;
+    const poolSize = Math.min(Math.max(offset + limit + 1, FACET_POOL_SIZE), MAX_RANKED_RESULTS);
+
+    let pool = (await this.semanticSearch(query, { ...options, mmr: false, limit: poolSize })).sort(byScore);
+
+    let rerank = null;
+    if (options.rerank) {
+      rerank = { applied: false, topN: Math.min(options.rerankTopN || rerankService.config.defaultTopN, pool.length) };
+      if (rerankService.config.enabled) {
+        try {
+          pool = await rerankService.rerank(query, pool, { topN: options.rerankTopN });
+          rerank.applied = true;
+        } catch (error) {
+          logger.warn(`Reranking failed, keeping the retrieval order: ${error.message}`);
+        }
+      }
+    }
+
+    let mmr = null;
+    if (options.mmr) {
+      mmr = { lambda: options.mmrLambda !== undefined ? options.mmrLambda : DEFAULT_MMR_LAMBDA };
+      pool = await this.diversify(pool, { lambda: mmr.lambda, limit: offset + limit });
+    }
+    const facets = await this.facetCounts({
+      _id: {
+        $in: pool.slice(0, FACET_POOL_SIZE).map((thesis) => new mongoose.Types.ObjectId(String(thesis._id))),
+      },
+    });
+
+    return {
+      results: pool.slice(offset, offset + limit),
+      facets,
+      total: pool.length,
+      estimated: pool.length >= poolSize,
+      hasMore: pool.length > offset + limit,
+      rerank,
+      mmr,
+    };
+  }
+
+  /**
+   * Find public theses matching filters only (no query), newest first
+   * Pages are keyed on (createdAt, _id), so theses added while a client
+   * pages through the list neither repeat nor shift results.
+   * @param {object} filters - Search filters
+   * @param {object} options - { limit, after: { createdAt, _id } of the last result seen }
+   * @returns {Promise<{results: Array, facets: object, total: number, hasMore: boolean}>}
+   */
+  async filterTheses(filters, options = {}) {
+    const { limit = 10, after } = options;
+    const match = { ...buildFilterQuery(filters), ...Thesis.publicFilter() };
+    const page = after
+      ? {
+          $and: [
+            match,
+            {
+              $or: [
+                { createdAt: { $lt: after.createdAt } },
+                { createdAt: after.createdAt, _id: { $lt: after._id } },
+              ],
+            },
+          ],
+        }
+      : match;
+
+    const [theses, total, facets] = await Promise.all([
+      Thesis.find(page).select('-embeddings').sort({ createdAt: -1, _id: -1 }).limit(limit + 1).lean(),
+      Thesis.countDocuments(match),
+      this.facetCounts(match),
+    ]);
+
+    return { results: theses.slice(0, limit), facets, total, hasMore: theses.length > limit };
+  }
+
+  /**
+   * Reorder ranked results by Maximal Marginal Relevance
+   * Uses the stored embeddings of the results (theses or chunks) to measure
+   * redundancy, and the rerank score, when present, as relevance.
+   * @param {Array} results - Results in relevance order
+   * @param {object} options - { lambda, limit, model }
+   * @returns {Promise<Array>} Results, the first `limit` diversified
+   */
+  async diversify(results, options = {}) {
+    const { lambda = DEFAULT_MMR_LAMBDA, limit = results.length, model = Thesis } = options;
+    if (results.length < 2) {
+      return results;
+    }
+
+    const docs = await model.find({ _id: { $in: results.map((result) => result._id) } })
+      .select('embeddings')
+      .lean();
+    const embeddings = new Map(docs.map((doc) => [doc._id.toString(), doc.embeddings]));
+
+    return maximalMarginalRelevance(results, {
+      lambda,
+      limit,
+      getEmbedding: (result) => embeddings.get(String(result._id)),
+      getRelevance: (result) => (result.rerankScore !== undefined ? result.rerankScore : result.score),
+    });
+  }
+
+  /**
+   * Count tags, defense years and departments among matching theses
+   * @param {object} match - MongoDB filter (aggregation: IDs must be ObjectIds)
+   * @returns {Promise<object>} { tags, years, departments } as [{ value, count }]
+   */
+  async facetCounts(match) {
+    const [facets] = await Thesis.aggregate([
+      { $match: match },
+      {
+        $facet: {
+          tags: [
+            { $unwind: '$tags' },
+            { $group: { _id: '$tags', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            { $limit: FACET_TAG_LIMIT },
+          ],
+          years: [
+            { $match: { defenseYear: { $ne: null } } },
+            { $group: { _id: '$defenseYear', count: { $sum: 1 } } },
+            { $sort: { _id: -1 } },
+          ],
+          departments: [
+            { $match: { department: { $nin: [null, ''] } } },
+            { $group: { _id: '$department', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+          ],
+        },
+      },
+    ]);
+
+    const toBuckets = (buckets) => buckets.map(({ _id, count }) => ({ value: _id, count }));
+    return {
+      tags: toBuckets(facets.tags),
+      years: toBuckets(facets.years),
+      departments: toBuckets(facets.departments),
+    };
+  }
+
+  /**
+   * Load the documents behind vector index hits, preserving hit order
+   * Hits whose document no longer exists are dropped.
+   * @param {Array<{id: string, score: number}>} hits - Index hits
+   * @param {mongoose.Model} model - Model the hits belong to
+   * @returns {Promise<Array>} Documents with similarity scores
+   */
+  async hydrateHits(hits, model = Thesis) {
+    if (hits.length === 0) {
+      return [];
+    }
+
+    const docs = await model.find({ _id: { $in: hits.map((hit) => hit.id) } })
+      .select('-embeddings')
+      .lean();
+    const docsById = new Map(docs.map((doc) => [doc._id.toString(), doc]));
+
+    return hits
+      .filter((hit) => docsById.has(hit.id))
+      .map((hit) => ({ ...docsById.get(hit.id), score: hit.score }));
+  }
+
   /**
    * Search theses by tag
    * @param {string} tag - Tag to search for
@@ -146,6 +496,7 @@ class SearchService {
 
       const theses = await Thesis.find({
         tags: { $regex: new RegExp(tag, 'i') }, // Case-insensitive match
+        ...Thesis.publicFilter(),
       })
         .select('-embeddings') // Exclude embeddings from response
         .limit(limit)
@@ -175,27 +526,39 @@ class SearchService {
         throw new Error('Thesis not found');
       }
 
-      // Get all other theses
-      const allTheses = await Thesis.find({ _id: { $ne: thesisId } }).lean();
+      let similarTheses;
 
-      // Calculate similarity scores using dot product
-      // Since embeddings are normalized, dot product = cosine similarity
-      const resultsWithScores = allTheses.map((thesis) => {
-        const score = dotProduct(
-          referenceThesis.embeddings,
-          thesis.embeddings
-        );
-        return {
-          ...thesis,
-          score,
-          embeddings: undefined,
-        };
-      });
+      if (vectorIndexService.isReady()) {
+        const hidden = await this.hiddenThesisIds();
+        const hits = vectorIndexService.search(referenceThesis.embeddings, limit, {
+          filter: (id) => id !== referenceThesis._id.toString() && !hidden.has(id),
+        });
+        similarTheses = await this.hydrateHits(hits);
+      } else {
+        vectorIndexService.initialize();
 
-      // Sort by score and return top results
-      const similarTheses = resultsWithScores
-        .sort((a, b) => b.score - a.score)
-        .slice(0, limit);
+        // Get all other public theses
+        const allTheses = await Thesis.find({ _id: { $ne: thesisId }, ...Thesis.publicFilter() }).lean();
+
+        // Calculate similarity scores using dot product
+        // Since embeddings are normalized, dot product = cosine similarity
+        const resultsWithScores = allTheses.map((thesis) => {
+          const score = dotProduct(
+            referenceThesis.embeddings,
+            thesis.embeddings
+          );
+          return {
+            ...thesis,
+            score,
+            embeddings: undefined,
+          };
+        });
+
+        // Sort by score and return top results
+        similarTheses = resultsWithScores
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit);
+      }
 
       logger.info(`Found ${similarTheses.length} similar theses`);
       return similarTheses;
@@ -206,12 +569,153 @@ class SearchService {
   }
 
   /**
-   * Get all unique tags from the database
+   * Passage-level semantic search over thesis chunks
+   * Uses Atlas Vector Search on the chunk collection (index "chunksearch"),
+   * falling back to the in-process chunk index or a full scan.
+   * With `options.mmr`, passages are picked by Maximal Marginal Relevance so
+   * near-identical passages do not crowd out the others.
+   * @param {string} query - Search query text
+   * @param {object} options - Search options (limit, threshold, efSearch, mmr, mmrLambda)
+   * @returns {Promise<Array>} Passages with text, location, thesis info and score
+   */
+  async searchPassages(query, options = {}) {
+    try {
+      const { limit = 10, threshold = 0.3, efSearch, mmr = false } = options;
+      const candidateLimit = mmr ? Math.max(limit * MMR_CANDIDATE_FACTOR, MMR_MIN_CANDIDATES) : limit;
+
+      logger.info(`Performing passage search for: "${query}"`);
+
+      const queryEmbedding = await embeddingService.generateQueryEmbedding(query);
+
+      let chunks = [];
+      try {
+        chunks = await this.atlasPassageSearch(queryEmbedding, candidateLimit, threshold);
+      } catch (atlasError) {
+        logger.warn('Atlas Vector Search not available for chunks, falling back to manual search');
+      }
+
+      if (chunks.length === 0) {
+        chunks = await this.manualPassageSearch(queryEmbedding, candidateLimit, threshold, { efSearch });
+      }
+
+      if (mmr) {
+        chunks = (
+          await this.diversify(chunks.sort(byScore), { lambda: options.mmrLambda, limit, model: ThesisChunk })
+        ).slice(0, limit);
+      }
+
+      const passages = await this.attachThesisInfo(chunks);
+      logger.info(`Found ${passages.length} passages`);
+      return passages;
+    } catch (error) {
+      logger.error(`Error in passage search: ${error.message}`);
+      throw new Error(`Passage search failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * MongoDB Atlas Vector Search over thesis chunks
+   * @param {Array<number>} queryEmbedding - Query embedding vector
+   * @param {number} limit - Maximum number of results
+   * @param {number} threshold - Minimum similarity threshold
+   * @returns {Promise<Array>} Chunks with scores
+   */
+  async atlasPassageSearch(queryEmbedding, limit, threshold) {
+    try {
+      return await ThesisChunk.aggregate([
+        {
+          $vectorSearch: {
+            index: 'chunksearch',
+            path: 'embeddings',
+            queryVector: queryEmbedding,
+            numCandidates: Math.max(limit * 10, 100),
+            limit,
+          },
+        },
+        { $addFields: { score: { $meta: 'vectorSearchScore' } } },
+        { $match: { score: { $gte: threshold } } },
+        { $project: { embeddings: 0 } },
+      ]);
+    } catch (error) {
+      throw new Error('Atlas Vector Search not configured');
+    }
+  }
+
+  /**
+   * Chunk search using the in-process index, or a full scan while it builds
+   * @param {Array<number>} queryEmbedding - Query embedding vector (normalized)
+   * @param {number} limit - Maximum number of results
+   * @param {number} threshold - Minimum similarity threshold
+   * @param {object} options - Search options
+   * @returns {Promise<Array>} Chunks with scores
+   */
+  async manualPassageSearch(queryEmbedding, limit, threshold, options = {}) {
+    const hiddenTheses = [...(await this.hiddenThesisIds())];
+
+    if (chunkService.index.isReady()) {
+      const hiddenChunks = new Set(
+        (await ThesisChunk.distinct('_id', { thesis: { $in: hiddenTheses } })).map((id) => id.toString())
+      );
+      const hits = chunkService.index
+        .search(queryEmbedding, limit, { efSearch: options.efSearch, filter: (id) => !hiddenChunks.has(id) })
+        .filter((hit) => hit.score >= threshold);
+      return this.hydrateHits(hits, ThesisChunk);
+    }
+
+    chunkService.index.initialize();
+
+    const allChunks = await ThesisChunk.find({ thesis: { $nin: hiddenTheses } }).lean();
+    return allChunks
+      .map((chunk) => ({
+        ...chunk,
+        score: dotProduct(queryEmbedding, chunk.embeddings),
+        embeddings: undefined,
+      }))
+      .filter((chunk) => chunk.score >= threshold)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Attach basic thesis details to chunks, dropping orphaned chunks and
+   * chunks of theses that are not public
+   * @param {Array} chunks - Chunks with scores
+   * @returns {Promise<Array>} Passages
+   */
+  async attachThesisInfo(chunks) {
+    if (chunks.length === 0) {
+      return [];
+    }
+
+    const thesisIds = [...new Set(chunks.map((chunk) => chunk.thesis.toString()))];
+    const theses = await Thesis.find({ _id: { $in: thesisIds }, ...Thesis.publicFilter() })
+      .select('title authors defenseYear tags')
+      .lean();
+    const thesesById = new Map(theses.map((thesis) => [thesis._id.toString(), thesis]));
+
+    return chunks
+      .filter((chunk) => thesesById.has(chunk.thesis.toString()))
+      .map((chunk) => ({
+        _id: chunk._id,
+        thesis: thesesById.get(chunk.thesis.toString()),
+        text: chunk.text,
+        section: chunk.section,
+        source: chunk.source,
+        pageStart: chunk.pageStart,
+        pageEnd: chunk.pageEnd,
+        startOffset: chunk.startOffset,
+        endOffset: chunk.endOffset,
+        score: chunk.score,
+      }));
+  }
+
+  /**
+   * Get all unique tags of public theses
    * @returns {Promise<Array<string>>} Array of unique tags
    */
   async getAllTags() {
     try {
-      const tags = await Thesis.distinct('tags');
+      const tags = await Thesis.distinct('tags', Thesis.publicFilter());
       logger.info(`Retrieved ${tags.length} unique tags`);
       return tags.sort();
     } catch (error) {
@@ -224,4 +728,5 @@ class SearchService {
 const searchService = new SearchService();
 
 module.exports = searchService;
+module.exports.MAX_RANKED_RESULTS = MAX_RANKED_RESULTS;
 
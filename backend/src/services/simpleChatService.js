@@ -66,6 +66,7 @@ class SimpleChatService {
 Assistant:`;
 
       const answer = await aiService.generateText(prompt, {
+        task: 'answer',
         temperature: 0.7,
         maxTokens: 1000,
       });
@@ -86,6 +87,7 @@ Assistant:`;
       const prompt = `You are a friendly AI assistant. Generate a brief, welcoming greeting message (1-2 sentences) for a user starting a conversation.`;
 
       const greeting = await aiService.generateText(prompt, {
+        task: 'answer',
         temperature: 0.8,
         maxTokens: 50,
       });
@@ -0,0 +1,128 @@
+const embeddingService = require('./embeddingService');
+const { dotProduct } = require('../utils/vectorUtils');
+const { splitSentences } = require('../utils/textUtils');
+const { queryTerms, findMatches, buildSnippet, DEFAULT_SNIPPET_LENGTH } = require('../utils/highlight');
+const logger = require('../utils/logger');
+
+/**
+ * Snippet Service - Explains why a search result matched
+ * Each hit gets a short excerpt of its abstract with the query terms marked
+ * and, for semantic hits, the abstract sentence closest to the query.
+ */
+
+// Theses whose sentence embeddings are kept in memory
+const SENTENCE_CACHE_SIZE = 1000;
+
+class SnippetService {
+  constructor(options = {}) {
+    this.cacheSize = options.cacheSize || SENTENCE_CACHE_SIZE;
+    this.maxLength = options.maxLength || DEFAULT_SNIPPET_LENGTH;
+    this.sentenceCache = new Map();
+  }
+
+  /**
+   * Split an abstract into sentences with their embeddings
+   * Cached per thesis version, least recently used first out.
+   * @param {object} thesis - Search result (needs _id and abstract)
+   * @returns {Promise<Array<{text: string, start: number, end: number, embedding: Array<number>}>>}
+   */
+  async sentenceEmbeddings(thesis) {
+    const key = `${thesis._id}:${thesis.updatedAt ? new Date(thesis.updatedAt).getTime() : ''}`;
+
+    if (this.sentenceCache.has(key)) {
+      const cached = this.sentenceCache.get(key);
+      this.sentenceCache.delete(key);
+      this.sentenceCache.set(key, cached);
+      return cached;
+    }
+
+    const sentences = splitSentences(thesis.abstract || '');
+    const embeddings = await Promise.all(
+      sentences.map((sentence) => embeddingService.generateEmbeddingFromText(sentence.text))
+    );
+    const entry = sentences.map((sentence, index) => ({ ...sentence, embedding: embeddings[index] }));
+
+    this.sentenceCache.set(key, entry);
+    if (this.sentenceCache.size > this.cacheSize) {
+      this.sentenceCache.delete(this.sentenceCache.keys().next().value);
+    }
+    return entry;
+  }
+
+  /**
+   * Find the abstract sentence most similar to the query
+   * @param {Array<number>} queryEmbedding - Query embedding (normalized)
+   * @param {object} thesis - Search result
+   * @returns {Promise<{start: number, end: number, score: number}|null>} Sentence range and similarity
+   */
+  async bestSentence(queryEmbedding, thesis) {
+    const sentences = await this.sentenceEmbeddings(thesis);
+
+    let best = null;
+    sentences.forEach(({ start, end, embedding }) => {
+      const score = dotProduct(queryEmbedding, embedding);
+      if (!best || score > best.score) {
+        best = { start, end, score };
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Add a `highlight` snippet to each search result
+   * Snippets center on the best sentence for semantic hits, otherwise on
+   * the densest run of matched terms. A failure to embed sentences only
+   * drops the sentence, never the results.
+   * @param {string} query - Search query text
+   * @param {Array} results - Search results
+   * @param {object} options - { semantic: find the most query-similar sentence }
+   * @returns {Promise<Array>} Results with `highlight: { text, matches, sentence }`
+   */
+  async highlight(query, results, options = {}) {
+    const { semantic = true } = options;
+    const terms = queryTerms(query);
+
+    let queryEmbedding = null;
+    if (semantic && results.length > 0) {
+      try {
+        queryEmbedding = await embeddingService.generateQueryEmbedding(query);
+      } catch (error) {
+        logger.warn(`Snippet sentences unavailable: ${error.message}`);
+      }
+    }
+
+    return Promise.all(
+      results.map(async (result) => {
+        const abstract = result.abstract || '';
+        let sentence = null;
+
+        if (queryEmbedding) {
+          try {
+            sentence = await this.bestSentence(queryEmbedding, result);
+          } catch (error) {
+            logger.warn(`Could not rank the sentences of ${result._id}: ${error.message}`);
+          }
+        }
+
+        const snippet = buildSnippet(abstract, {
+          matches: findMatches(abstract, terms),
+          focus: sentence,
+          maxLength: this.maxLength,
+        });
+
+        return {
+          ...result,
+          highlight: {
+            ...snippet,
+            sentence: snippet.sentence && { ...snippet.sentence, score: sentence.score },
+          },
+        };
+      })
+    );
+  }
+}
+
+const snippetService = new SnippetService();
+
+module.exports = snippetService;
+module.exports.SnippetService = SnippetService;
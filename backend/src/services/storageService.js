@@ -0,0 +1,114 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { getStorageConfig } = require('../config/storage.config');
+const logger = require('../utils/logger');
+
+/**
+ * Storage Service - Persists uploaded files on local disk or in GridFS
+ * Callers keep the returned file descriptor ({ storage, key, ... }) on the
+ * owning document and hand it back to read or remove the file.
+ */
+
+class StorageService {
+  constructor() {
+    this.config = getStorageConfig();
+  }
+
+  getBucket() {
+    return new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+      bucketName: this.config.gridfsBucket,
+    });
+  }
+
+  /**
+   * Store a file
+   * @param {Buffer} buffer - File contents
+   * @param {object} options - File options
+   * @param {string} options.filename - Original filename
+   * @param {string} options.contentType - MIME type
+   * @returns {Promise<object>} File descriptor
+   */
+  async save(buffer, { filename, contentType }) {
+    try {
+      const checksum = crypto.createHash('sha256').update(buffer).digest('hex');
+      const descriptor = {
+        storage: this.config.driver,
+        filename,
+        contentType,
+        size: buffer.length,
+        checksum,
+        uploadedAt: new Date(),
+      };
+
+      if (this.config.driver === 'gridfs') {
+        const bucket = this.getBucket();
+        const uploadStream = bucket.openUploadStream(filename, {
+          contentType,
+          metadata: { checksum },
+        });
+        await new Promise((resolve, reject) => {
+          uploadStream.once('finish', resolve);
+          uploadStream.once('error', reject);
+          uploadStream.end(buffer);
+        });
+        descriptor.key = uploadStream.id.toString();
+      } else {
+        const extension = path.extname(filename || '').toLowerCase() || '.bin';
+        descriptor.key = `${crypto.randomUUID()}${extension}`;
+        await fsp.mkdir(this.config.uploadDir, { recursive: true });
+        await fsp.writeFile(this.resolveLocalPath(descriptor.key), buffer);
+      }
+
+      logger.info(`Stored file "${filename}" (${buffer.length} bytes) in ${descriptor.storage}`);
+      return descriptor;
+    } catch (error) {
+      logger.error(`Error storing file: ${error.message}`);
+      throw new Error(`Failed to store file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Open a readable stream for a stored file
+   * @param {object} file - File descriptor returned by save()
+   * @returns {stream.Readable} File contents
+   */
+  openReadStream(file) {
+    if (file.storage === 'gridfs') {
+      return this.getBucket().openDownloadStream(new mongoose.Types.ObjectId(file.key));
+    }
+    return fs.createReadStream(this.resolveLocalPath(file.key));
+  }
+
+  /**
+   * Remove a stored file (missing files are ignored)
+   * @param {object} file - File descriptor returned by save()
+   * @returns {Promise<void>}
+   */
+  async remove(file) {
+    try {
+      if (file.storage === 'gridfs') {
+        await this.getBucket().delete(new mongoose.Types.ObjectId(file.key));
+      } else {
+        await fsp.unlink(this.resolveLocalPath(file.key));
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT' || /FileNotFound/i.test(error.message)) {
+        return;
+      }
+      logger.error(`Error removing file ${file.key}: ${error.message}`);
+      throw new Error(`Failed to remove file: ${error.message}`);
+    }
+  }
+
+  resolveLocalPath(key) {
+    // Keys are generated by us, but never let one escape the upload directory
+    return path.join(this.config.uploadDir, path.basename(key));
+  }
+}
+
+const storageService = new StorageService();
+
+module.exports = storageService;
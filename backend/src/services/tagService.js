@@ -1,10 +1,29 @@
 const aiService = require('./aiService');
+const { getJobsConfig } = require('../config/jobs.config');
+const { mapWithConcurrency } = require('../utils/concurrency');
 const logger = require('../utils/logger');
 
 /**
  * Tag Service - Generates AI-powered tags for thesis documents
  */
 
+// Offline tagger weights
+const TITLE_WEIGHT = 3;
+const BIGRAM_WEIGHT = 1.5;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'these', 'those', 'are', 'was', 'were',
+  'has', 'have', 'had', 'been', 'being', 'its', 'their', 'they', 'them', 'our', 'which', 'who',
+  'whom', 'what', 'when', 'where', 'while', 'how', 'into', 'onto', 'upon', 'over', 'under',
+  'between', 'among', 'through', 'during', 'about', 'using', 'used', 'use', 'based', 'also',
+  'such', 'than', 'then', 'there', 'thus', 'both', 'each', 'other', 'more', 'most', 'can',
+  'could', 'may', 'might', 'will', 'would', 'should', 'not', 'but', 'all', 'any', 'per',
+  'study', 'research', 'thesis', 'paper', 'results', 'result', 'proposed', 'propose',
+  'approach', 'method', 'methods', 'findings', 'show', 'shows', 'showed', 'shown', 'found',
+  'present', 'presents', 'presented', 'towards', 'toward', 'via', 'within', 'without',
+  'new', 'one', 'two', 'three', 'well', 'however', 'further', 'various', 'different',
+]);
+
 class TagService {
   /**
    * Generate 3-5 descriptive tags for a thesis
@@ -35,6 +54,7 @@ Example format: machine learning, neural networks, computer vision, image classi
 Tags:`;
 
       const response = await aiService.generateText(prompt, {
+        task: 'tagging',
         temperature: 0.3, // Lower temperature for more consistent output
         maxTokens: 100,
       });
@@ -50,11 +70,86 @@ Tags:`;
       logger.info(`Generated ${tags.length} tags: ${tags.join(', ')}`);
       return tags;
     } catch (error) {
+      if (aiService.config.offlineTagger) {
+        // Last link of the fallback chain: don't fail thesis creation over tags
+        logger.warn(`AI tagging unavailable, using offline tagger: ${error.message}`);
+        return this.generateOfflineTags(title, abstract);
+      }
       logger.error(`Error generating tags: ${error.message}`);
       throw new Error(`Failed to generate tags: ${error.message}`);
     }
   }
 
+  /**
+   * Generate 3-5 tags without an LLM
+   * Deterministic keyphrase extraction: scores one- and two-word phrases by
+   * frequency (title occurrences weigh more) after removing stopwords.
+   * @param {string} title - Thesis title
+   * @param {string} abstract - Thesis abstract
+   * @returns {Array<string>} Array of 3-5 tags
+   */
+  generateOfflineTags(title, abstract) {
+    const scores = new Map();
+    const addScore = (phrase, weight) => scores.set(phrase, (scores.get(phrase) || 0) + weight);
+
+    [[title, TITLE_WEIGHT], [abstract, 1]].forEach(([text, weight]) => {
+      // Phrases never span punctuation or stopwords
+      (text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9\s-]+/)
+        .forEach((fragment) => {
+          let run = [];
+          const flush = () => {
+            run.forEach((word, i) => {
+              addScore(word, weight);
+              if (i > 0) addScore(`${run[i - 1]} ${word}`, weight * BIGRAM_WEIGHT);
+            });
+            run = [];
+          };
+
+          fragment.split(/\s+/).forEach((rawWord) => {
+            const word = rawWord.replace(/^-+|-+$/g, '');
+            if (word.length < 3 || STOPWORDS.has(word) || /^\d+$/.test(word)) {
+              flush();
+            } else {
+              run.push(word);
+            }
+          });
+          flush();
+        });
+    });
+
+    const ranked = Array.from(scores.entries())
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([phrase]) => phrase);
+
+    // Skip words already covered by a chosen phrase (and vice versa)
+    const tags = [];
+    for (const phrase of ranked) {
+      if (tags.length === 5) break;
+      const words = phrase.split(' ');
+      const overlaps = tags.some((tag) => {
+        const tagWords = tag.split(' ');
+        return words.some((word) => tagWords.includes(word));
+      });
+      if (!overlaps) {
+        tags.push(phrase);
+      }
+    }
+
+    logger.info(`Generated ${tags.length} offline tags: ${tags.join(', ')}`);
+    return this.adjustTagCount(tags);
+  }
+
+  /**
+   * Normalize tags chosen by a person (lowercase, trimmed, no duplicates)
+   * @param {Array<string>} tags - Raw tags
+   * @returns {Array<string>} Normalized tags
+   */
+  normalizeTags(tags) {
+    return [...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+  }
+
   /**
    * Parse tags from AI response
    * @param {string} response - AI response text
@@ -114,6 +209,7 @@ Tags:`;
 
   /**
    * Batch generate tags for multiple documents
+   * At most JOB_ITEM_CONCURRENCY LLM calls run at once.
    * @param {Array<{title: string, abstract: string}>} documents
    * @returns {Promise<Array<Array<string>>>} Array of tag arrays
    */
@@ -121,8 +217,8 @@ Tags:`;
     try {
       logger.info(`Generating tags for ${documents.length} documents...`);
       
-      const tagArrays = await Promise.all(
-        documents.map(doc => this.generateTags(doc.title, doc.abstract))
+      const tagArrays = await mapWithConcurrency(documents, getJobsConfig().itemConcurrency, (doc) =>
+        this.generateTags(doc.title, doc.abstract)
       );
       
       logger.info('Batch tag generation complete');
@@ -0,0 +1,167 @@
+const Thesis = require('../models/Thesis');
+const vectorIndexService = require('./vectorIndexService');
+const chunkService = require('./chunkService');
+const storageService = require('./storageService');
+const auditService = require('./auditService');
+const { getTrashConfig } = require('../config/trash.config');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Trash Service - Soft deletes theses and purges them after the retention period
+ * Trashed theses keep their embeddings, chunks and file so they can be
+ * restored; the public filter hides them from listings, search and chat.
+ */
+
+class TrashService {
+  constructor(config = getTrashConfig()) {
+    this.config = config;
+    this.purgeTimer = null;
+  }
+
+  /**
+   * When a trashed thesis becomes eligible for purging
+   * @param {Date} deletedAt - When the thesis was trashed
+   * @returns {Date} Purge date
+   */
+  purgeDate(deletedAt) {
+    return new Date(deletedAt.getTime() + this.config.retentionDays * DAY_MS);
+  }
+
+  /**
+   * Find a thesis that is (or is not) in the trash
+   * @param {string} thesisId - Thesis ID
+   * @param {boolean} trashed - Whether to look in the trash
+   * @returns {Promise<Thesis|null>} Thesis without embeddings
+   */
+  async find(thesisId, trashed) {
+    return Thesis.findOne({ _id: thesisId, deletedAt: trashed ? { $ne: null } : null }).select('-embeddings');
+  }
+
+  /**
+   * Move a thesis to the trash
+   * @param {Thesis} thesis - Thesis that is not in the trash
+   * @param {object} user - User deleting the thesis
+   * @returns {Promise<Thesis>} Trashed thesis
+   */
+  async trash(thesis, user) {
+    thesis.deletedAt = new Date();
+    thesis.deletedBy = user._id;
+    return thesis.save();
+  }
+
+  /**
+   * Restore a thesis from the trash (it keeps its review status)
+   * @param {Thesis} thesis - Thesis in the trash
+   * @returns {Promise<Thesis>} Restored thesis
+   */
+  async restore(thesis) {
+    thesis.deletedAt = null;
+    thesis.deletedBy = undefined;
+    return thesis.save();
+  }
+
+  /**
+   * List trashed theses, most recently deleted first
+   * @param {object} options - { page, limit }
+   * @returns {Promise<{theses: Array, total: number}>}
+   */
+  async list({ page = 1, limit = 10 } = {}) {
+    const filter = { deletedAt: { $ne: null } };
+
+    const [theses, total] = await Promise.all([
+      Thesis.find(filter)
+        .select('-embeddings')
+        .populate('deletedBy', 'name email')
+        .sort({ deletedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Thesis.countDocuments(filter),
+    ]);
+
+    return {
+      theses: theses.map((thesis) => ({ ...thesis, purgeAfter: this.purgeDate(thesis.deletedAt) })),
+      total,
+    };
+  }
+
+  /**
+   * Permanently delete a thesis with its vectors, chunks and file
+   * @param {Thesis} thesis - Thesis document (with `title`, `file` and `deletedAt` selected)
+   * @returns {Promise<void>}
+   */
+  async purge(thesis) {
+    await Thesis.deleteOne({ _id: thesis._id });
+    vectorIndexService.remove(thesis._id);
+    await chunkService.removeThesis(thesis._id);
+
+    if (thesis.file) {
+      await storageService.remove(thesis.file);
+    }
+
+    await auditService.record(null, 'purge', thesis, {
+      details: { deletedAt: thesis.deletedAt, retentionDays: this.config.retentionDays },
+    });
+  }
+
+  /**
+   * Purge every thesis trashed longer than the retention period
+   * @param {Date} now - Reference time
+   * @returns {Promise<number>} Number of theses purged
+   */
+  async purgeExpired(now = new Date()) {
+    const cutoff = new Date(now.getTime() - this.config.retentionDays * DAY_MS);
+    const expired = await Thesis.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('title file deletedAt');
+
+    let purged = 0;
+    for (const thesis of expired) {
+      try {
+        await this.purge(thesis);
+        purged++;
+      } catch (error) {
+        logger.error(`Failed to purge thesis ${thesis._id}: ${error.message}`);
+      }
+    }
+
+    if (purged > 0) {
+      logger.info(`Purged ${purged} theses from the trash`);
+    }
+    return purged;
+  }
+
+  /**
+   * Purge expired theses periodically (no-op if the interval is 0)
+   */
+  start() {
+    if (this.purgeTimer || this.config.purgeIntervalMs <= 0) return;
+
+    const run = () =>
+      this.purgeExpired().catch((error) => {
+        logger.warn(`Trash purge failed: ${error.message}`);
+      });
+
+    run();
+    this.purgeTimer = setInterval(run, this.config.purgeIntervalMs);
+
+    // Don't keep the process alive just to purge the trash
+    this.purgeTimer.unref();
+  }
+
+  /**
+   * Stop the periodic purge
+   */
+  stop() {
+    if (this.purgeTimer) {
+      clearInterval(this.purgeTimer);
+      this.purgeTimer = null;
+    }
+  }
+}
+
+// Singleton instance
+const trashService = new TrashService();
+
+module.exports = trashService;
+module.exports.TrashService = TrashService;
@@ -0,0 +1,334 @@
+const fs = require('fs/promises');
+const path = require('path');
+const Thesis = require('../models/Thesis');
+const HNSWIndex = require('../utils/hnswIndex');
+const { getVectorIndexConfig } = require('../config/vectorIndex.config');
+const logger = require('../utils/logger');
+
+/**
+ * Vector Index Service - In-process approximate nearest neighbour index
+ * Keeps an HNSW graph of document embeddings in memory, snapshots it to disk
+ * and reconciles it against MongoDB (by updatedAt) on startup.
+ */
+
+// Documents fetched per query while (re)building
+const FETCH_BATCH_SIZE = 200;
+// Inserts between event loop yields while building
+const INSERTS_PER_YIELD = 25;
+
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+class VectorIndexService {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Index name (used for the snapshot file)
+   * @param {mongoose.Model} options.model - Model whose `embeddings` field is indexed
+   * @param {object} options.config - Vector index configuration
+   */
+  constructor({ name, model, config = getVectorIndexConfig() }) {
+    this.name = name;
+    this.model = model;
+    this.config = config;
+    this.index = null;
+    this.versions = new Map(); // label -> updatedAt (ms) of the indexed embedding
+    this.initPromise = null;
+    this.pendingOps = null;
+    this.snapshotTimer = null;
+  }
+
+  get snapshotPath() {
+    return path.join(this.config.snapshotDir, `${this.name}.hnsw.json`);
+  }
+
+  /**
+   * Whether the index can serve searches
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.config.enabled && this.index !== null;
+  }
+
+  /**
+   * Load the snapshot (if any) and bring it up to date with the database.
+   * Safe to call repeatedly; concurrent callers share one initialization.
+   * @returns {Promise<boolean>} Whether the index is ready
+   */
+  async initialize() {
+    if (!this.config.enabled) {
+      return false;
+    }
+
+    if (!this.initPromise) {
+      this.initPromise = this.load().catch((error) => {
+        logger.error(`Failed to initialize ${this.name} vector index: ${error.message}`);
+        this.initPromise = null;
+        this.pendingOps = null;
+        return false;
+      });
+    }
+
+    return this.initPromise;
+  }
+
+  async load() {
+    const startedAt = Date.now();
+    this.pendingOps = [];
+
+    const snapshot = await this.readSnapshot();
+    let index;
+    let versions;
+
+    if (snapshot) {
+      index = HNSWIndex.fromJSON(snapshot.index);
+      versions = new Map(Object.entries(snapshot.versions));
+      logger.info(`Loaded ${this.name} vector index snapshot with ${index.size} vectors`);
+    } else {
+      index = new HNSWIndex({
+        dimensions: this.config.dimensions,
+        m: this.config.m,
+        efConstruction: this.config.efConstruction,
+        efSearch: this.config.efSearch,
+      });
+      versions = new Map();
+      logger.info(`Building ${this.name} vector index from database...`);
+    }
+
+    const changes = await this.reconcile(index, versions);
+
+    this.index = index;
+    this.versions = versions;
+
+    // Apply mutations that arrived while we were building
+    const pendingOps = this.pendingOps;
+    this.pendingOps = null;
+    pendingOps.forEach((op) => this.applyOp(op));
+
+    if (!snapshot || changes > 0 || pendingOps.length > 0) {
+      this.scheduleSnapshot();
+    }
+
+    logger.info(
+      `${this.name} vector index ready: ${index.size} vectors (${changes} changes applied in ${Date.now() - startedAt}ms)`
+    );
+    return true;
+  }
+
+  /**
+   * Sync an index with the collection: add new or re-embedded documents,
+   * drop documents that no longer exist
+   * @returns {Promise<number>} Number of changes applied
+   */
+  async reconcile(index, versions) {
+    const seen = new Set();
+    const stale = [];
+
+    const cursor = this.model.find({}, { updatedAt: 1 }).lean().cursor();
+    for await (const doc of cursor) {
+      const label = doc._id.toString();
+      seen.add(label);
+      if (!index.has(label) || versions.get(label) !== this.versionOf(doc)) {
+        stale.push(doc._id);
+      }
+    }
+
+    let removed = 0;
+    Array.from(versions.keys()).forEach((label) => {
+      if (!seen.has(label)) {
+        index.remove(label);
+        versions.delete(label);
+        removed++;
+      }
+    });
+
+    for (let i = 0; i < stale.length; i += FETCH_BATCH_SIZE) {
+      const docs = await this.model
+        .find({ _id: { $in: stale.slice(i, i + FETCH_BATCH_SIZE) } }, { embeddings: 1, updatedAt: 1 })
+        .lean();
+
+      for (let j = 0; j < docs.length; j++) {
+        this.insert(index, versions, docs[j]._id.toString(), docs[j].embeddings, this.versionOf(docs[j]));
+        if ((j + 1) % INSERTS_PER_YIELD === 0) {
+          await yieldToEventLoop();
+        }
+      }
+    }
+
+    return stale.length + removed;
+  }
+
+  versionOf(doc) {
+    return doc.updatedAt ? new Date(doc.updatedAt).getTime() : 0;
+  }
+
+  insert(index, versions, label, embeddings, version) {
+    if (!Array.isArray(embeddings) || embeddings.length !== this.config.dimensions) {
+      logger.warn(`Skipping ${label} in ${this.name} vector index: invalid embedding dimensions`);
+      return;
+    }
+    index.add(label, embeddings);
+    versions.set(label, version);
+  }
+
+  applyOp(op) {
+    if (op.type === 'upsert') {
+      this.insert(this.index, this.versions, op.label, op.embeddings, op.version);
+    } else if (op.type === 'remove') {
+      this.index.remove(op.label);
+      this.versions.delete(op.label);
+    }
+  }
+
+  enqueueOp(op) {
+    if (this.pendingOps) {
+      this.pendingOps.push(op);
+    } else if (this.index) {
+      this.applyOp(op);
+      this.scheduleSnapshot();
+    }
+    // Not initialized yet: the startup reconcile will pick the change up
+  }
+
+  /**
+   * Add or replace a document's embedding
+   * @param {string|ObjectId} id - Document ID
+   * @param {Array<number>} embeddings - Normalized embedding vector
+   * @param {Date} updatedAt - Document updatedAt timestamp
+   */
+  upsert(id, embeddings, updatedAt) {
+    if (!this.config.enabled) return;
+    this.enqueueOp({
+      type: 'upsert',
+      label: id.toString(),
+      embeddings,
+      version: updatedAt ? new Date(updatedAt).getTime() : 0,
+    });
+  }
+
+  /**
+   * Remove a document from the index
+   * @param {string|ObjectId} id - Document ID
+   */
+  remove(id) {
+    if (!this.config.enabled) return;
+    this.enqueueOp({ type: 'remove', label: id.toString() });
+  }
+
+  /**
+   * Approximate k-nearest-neighbour search
+   * @param {Array<number>} vector - Normalized query vector
+   * @param {number} k - Number of results
+   * @param {object} options - Search options
+   * @param {number} options.efSearch - Beam width (higher = better recall, slower)
+   * @param {Function} options.filter - Optional predicate on document ID strings
+   * @returns {Array<{id: string, score: number}>} Hits by descending similarity
+   */
+  search(vector, k, options = {}) {
+    if (!this.isReady()) {
+      throw new Error(`${this.name} vector index is not ready`);
+    }
+
+    const { efSearch = this.config.efSearch, filter } = options;
+
+    return this.index
+      .search(vector, k, { ef: efSearch, filter })
+      .map(({ label, score }) => ({ id: label, score }));
+  }
+
+  /**
+   * Write a snapshot shortly after the latest change
+   */
+  scheduleSnapshot() {
+    if (this.snapshotTimer) {
+      clearTimeout(this.snapshotTimer);
+    }
+
+    this.snapshotTimer = setTimeout(() => {
+      this.snapshotTimer = null;
+      this.saveSnapshot().catch((error) => {
+        logger.warn(`Failed to write ${this.name} vector index snapshot: ${error.message}`);
+      });
+    }, this.config.snapshotDebounceMs);
+
+    // Don't keep the process alive just to write a snapshot
+    this.snapshotTimer.unref();
+  }
+
+  /**
+   * Persist the index to disk (compacting it first if needed)
+   * @returns {Promise<void>}
+   */
+  async saveSnapshot() {
+    if (!this.index) return;
+
+    if (this.index.tombstoneRatio > this.config.maxTombstoneRatio) {
+      logger.info(`Compacting ${this.name} vector index (${this.index.deletedCount} tombstones)`);
+      this.index = this.index.compact();
+    }
+
+    const snapshot = {
+      name: this.name,
+      savedAt: new Date().toISOString(),
+      index: this.index.toJSON(),
+      versions: Object.fromEntries(this.versions),
+    };
+
+    await fs.mkdir(this.config.snapshotDir, { recursive: true });
+
+    // Write then rename so a crash never leaves a truncated snapshot
+    const tmpPath = `${this.snapshotPath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(snapshot));
+    await fs.rename(tmpPath, this.snapshotPath);
+
+    logger.info(`Saved ${this.name} vector index snapshot (${this.index.size} vectors)`);
+  }
+
+  /**
+   * Flush a pending snapshot immediately (e.g. on shutdown)
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (!this.snapshotTimer) return;
+    clearTimeout(this.snapshotTimer);
+    this.snapshotTimer = null;
+    await this.saveSnapshot();
+  }
+
+  async readSnapshot() {
+    try {
+      const snapshot = JSON.parse(await fs.readFile(this.snapshotPath, 'utf8'));
+      if (
+        snapshot.index.dimensions !== this.config.dimensions ||
+        snapshot.index.m !== this.config.m
+      ) {
+        logger.warn(`${this.name} vector index snapshot parameters changed, rebuilding`);
+        return null;
+      }
+      return snapshot;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable ${this.name} vector index snapshot: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Get index statistics for health reporting
+   * @returns {object} Index statistics
+   */
+  getStats() {
+    return {
+      name: this.name,
+      enabled: this.config.enabled,
+      ready: this.isReady(),
+      size: this.index ? this.index.size : 0,
+      tombstones: this.index ? this.index.deletedCount : 0,
+      efSearch: this.config.efSearch,
+    };
+  }
+}
+
+const vectorIndexService = new VectorIndexService({ name: 'theses', model: Thesis });
+
+module.exports = vectorIndexService;
+module.exports.VectorIndexService = VectorIndexService;
@@ -0,0 +1,151 @@
+/**
+ * Circuit breaker for calls to an unreliable dependency
+ *
+ * closed    - calls pass through; consecutive failures are counted
+ * open      - calls are rejected until resetTimeoutMs has passed
+ * half_open - a single trial call decides whether to close or re-open
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open',
+};
+
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit for ${name} is open until ${new Date(retryAt).toISOString()}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = retryAt;
+  }
+}
+
+class CircuitBreaker {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Dependency name (for errors and status)
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeoutMs - Time the circuit stays open before a trial call
+   */
+  constructor({ name, failureThreshold = 5, resetTimeoutMs = 30000 }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.lastError = null;
+  }
+
+  /**
+   * Current state, moving from open to half_open once the timeout has passed
+   * @returns {string} closed | open | half_open
+   */
+  getState() {
+    if (this.state === STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = STATES.HALF_OPEN;
+      this.trialInFlight = false;
+    }
+    return this.state;
+  }
+
+  /**
+   * Whether a call may be attempted now (claims the trial slot when half open)
+   * @returns {boolean}
+   */
+  tryAcquire() {
+    const state = this.getState();
+    if (state === STATES.CLOSED) return true;
+    if (state === STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Record a successful call (closes the circuit)
+   */
+  recordSuccess() {
+    this.state = STATES.CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed call (opens the circuit at the threshold, or after a failed trial)
+   * @param {Error} error - The failure
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error ? error.message : null;
+    this.trialInFlight = false;
+
+    if (this.state === STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Release a claimed call that neither succeeded nor failed (e.g. cancelled)
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} fn - Async function
+   * @param {object} options
+   * @param {Function} options.isFailure - Whether an error counts against the dependency
+   * @returns {Promise<*>} Result of fn
+   * @throws {CircuitOpenError} If the circuit is open
+   */
+  async exec(fn, { isFailure = () => true } = {}) {
+    if (!this.tryAcquire()) {
+      throw this.openError();
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (isFailure(error)) {
+        this.recordFailure(error);
+      } else {
+        this.release();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Build the error thrown for rejected calls
+   * @returns {CircuitOpenError}
+   */
+  openError() {
+    return new CircuitOpenError(this.name, (this.openedAt || Date.now()) + this.resetTimeoutMs);
+  }
+
+  /**
+   * Get breaker status for health reporting
+   * @returns {object} Breaker status
+   */
+  getStatus() {
+    const state = this.getState();
+    return {
+      state,
+      failures: this.failures,
+      lastError: this.lastError,
+      retryAt: state === STATES.OPEN ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+    };
+  }
+}
+
+module.exports = CircuitBreaker;
+module.exports.CircuitOpenError = CircuitOpenError;
+module.exports.STATES = STATES;
@@ -0,0 +1,41 @@
+/**
+ * Concurrency utility functions
+ */
+
+/**
+ * Map over items with at most `limit` calls in flight
+ * Results keep the order of the items; the first rejection rejects the
+ * whole map once the calls already started have settled.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - (item, index) => Promise
+ * @returns {Promise<Array>} Results in item order
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await fn(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+
+  if (failure) {
+    throw failure;
+  }
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency,
+};
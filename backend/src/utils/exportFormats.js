@@ -0,0 +1,345 @@
+const { splitName, formatPeople, thesisType } = require('./thesisMetadata');
+
+/**
+ * Export format writers
+ * Each writer turns theses (plain objects) into the text of an export
+ * file. BibTeX, RIS and CSL-JSON are for reference managers such as
+ * Zotero; CSV and JSON Lines carry the full record (and, on request, the
+ * embeddings) and can be imported again.
+ */
+
+const EXPORT_FORMATS = ['bibtex', 'ris', 'csl-json', 'csv', 'jsonl'];
+
+// Most theses a search export returns (the depth of a ranked search)
+const MAX_EXPORT_RESULTS = 500;
+
+// Formats whose records can carry embeddings
+const DATA_FORMATS = ['csv', 'jsonl'];
+
+const EXPORT_TYPES = {
+  bibtex: { contentType: 'application/x-bibtex', extension: 'bib' },
+  ris: { contentType: 'application/x-research-info-systems', extension: 'ris' },
+  'csl-json': { contentType: 'application/vnd.citationstyles.csl+json', extension: 'json' },
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  jsonl: { contentType: 'application/x-ndjson', extension: 'jsonl' },
+};
+
+// Fields of a thesis included in data exports
+const EXPORT_FIELDS = [
+  'title',
+  'abstract',
+  'authors',
+  'advisors',
+  'degreeLevel',
+  'department',
+  'institution',
+  'defenseYear',
+  'language',
+  'keywords',
+  'tags',
+  'doi',
+  'handle',
+  'license',
+  'publishedAt',
+  'createdAt',
+  'updatedAt',
+];
+
+// CSV columns (named so the importer maps them back) -> value
+const CSV_COLUMNS = {
+  id: (thesis) => String(thesis._id),
+  title: (thesis) => thesis.title,
+  abstract: (thesis) => thesis.abstract,
+  authors: (thesis) => formatPeople(thesis.authors),
+  advisors: (thesis) => formatPeople(thesis.advisors),
+  degree: (thesis) => thesis.degreeLevel,
+  department: (thesis) => thesis.department,
+  institution: (thesis) => thesis.institution,
+  year: (thesis) => thesis.defenseYear,
+  language: (thesis) => thesis.language,
+  keywords: (thesis) => (thesis.keywords || []).join(', '),
+  tags: (thesis) => (thesis.tags || []).join(', '),
+  doi: (thesis) => thesis.doi,
+  handle: (thesis) => thesis.handle,
+  license: (thesis) => thesis.license,
+};
+
+const BIBTEX_SPECIALS = {
+  '\\': '\\textbackslash{}',
+  '{': '\\{',
+  '}': '\\}',
+  '&': '\\&',
+  '%': '\\%',
+  $: '\\$',
+  '#': '\\#',
+  _: '\\_',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+};
+
+/**
+ * Resolvable link for a handle
+ */
+const handleUrl = (handle) => `https://hdl.handle.net/${handle}`;
+
+/**
+ * Keywords and AI tags without repeats (reference managers show both as tags)
+ */
+const subjects = (thesis) => {
+  const seen = new Set();
+  return [...(thesis.keywords || []), ...(thesis.tags || [])].filter((subject) => {
+    const key = subject.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Escape text for a BibTeX field value
+ * @param {*} value - Field value
+ * @returns {string} Escaped text
+ */
+const escapeBibtex = (value) => String(value).replace(/[\\{}&%$#_~^]/g, (char) => BIBTEX_SPECIALS[char]);
+
+/**
+ * Citation key: first author's family name, year and first title word
+ * @param {object} thesis - Thesis
+ * @returns {string} Key (ASCII letters and digits)
+ */
+const citationKey = (thesis) => {
+  const ascii = (text) =>
+    (text || '')
+      .normalize('NFD')
+      .replace(/[^A-Za-z0-9]/g, '')
+      .toLowerCase();
+  const author = thesis.authors && thesis.authors[0] ? splitName(thesis.authors[0].name).family : '';
+  const word = (thesis.title || '').split(/\s+/).map(ascii).find((token) => token.length > 3) || '';
+
+  return `${ascii(author) || 'thesis'}${thesis.defenseYear || ''}${word}`;
+};
+
+/**
+ * Write BibTeX entries
+ * Doctoral theses are @phdthesis; the others are @mastersthesis with a
+ * `type` naming the degree, as Zotero and BibTeX styles expect.
+ * @param {Array<object>} theses - Theses
+ * @returns {string} BibTeX text
+ */
+const toBibtex = (theses) => {
+  const used = new Map();
+
+  return theses
+    .map((thesis) => {
+      // Disambiguate repeated keys with a, b, c, ...
+      const base = citationKey(thesis);
+      const count = used.get(base) || 0;
+      used.set(base, count + 1);
+      const key = count === 0 ? base : `${base}${String.fromCharCode(96 + count)}`;
+
+      const names = (people) =>
+        people && people.length > 0
+          ? people
+              .map((person) => {
+                const { given, family } = splitName(person.name);
+                return given ? `${family}, ${given}` : family;
+              })
+              .join(' and ')
+          : undefined;
+
+      const fields = [
+        ['title', thesis.title],
+        ['author', names(thesis.authors)],
+        ['school', thesis.institution],
+        ['year', thesis.defenseYear],
+        ['type', thesis.degreeLevel === 'doctoral' ? undefined : thesisType(thesis.degreeLevel)],
+        ['abstract', thesis.abstract],
+        ['keywords', subjects(thesis).join(', ') || undefined],
+        ['doi', thesis.doi],
+        ['url', thesis.handle && handleUrl(thesis.handle)],
+        ['language', thesis.language],
+        ['advisor', names(thesis.advisors)],
+        ['department', thesis.department],
+      ].filter(([, value]) => value !== undefined && value !== null && value !== '');
+
+      const lines = fields.map(([name, value]) => `  ${name} = {${escapeBibtex(value)}}`);
+      const type = thesis.degreeLevel === 'doctoral' ? 'phdthesis' : 'mastersthesis';
+      return `@${type}{${key},\n${lines.join(',\n')}\n}\n`;
+    })
+    .join('\n');
+};
+
+/**
+ * Write RIS records (THES)
+ * @param {Array<object>} theses - Theses
+ * @returns {string} RIS text (CRLF line endings)
+ */
+const toRis = (theses) =>
+  theses
+    .map((thesis) => {
+      const lines = [['TY', 'THES']];
+      const add = (tag, value) => {
+        if (value !== undefined && value !== null && value !== '') {
+          lines.push([tag, String(value).replace(/\s*\r?\n\s*/g, ' ')]);
+        }
+      };
+      const name = (person) => {
+        const { given, family } = splitName(person.name);
+        return given ? `${family}, ${given}` : family;
+      };
+
+      add('TI', thesis.title);
+      (thesis.authors || []).forEach((person) => add('AU', name(person)));
+      (thesis.advisors || []).forEach((person) => add('A3', name(person)));
+      add('PY', thesis.defenseYear);
+      add('PB', thesis.institution);
+      add('M3', thesisType(thesis.degreeLevel));
+      add('AB', thesis.abstract);
+      subjects(thesis).forEach((subject) => add('KW', subject));
+      add('DO', thesis.doi);
+      add('LA', thesis.language);
+      add('UR', thesis.handle && handleUrl(thesis.handle));
+      lines.push(['ER', '']);
+
+      return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\r\n');
+    })
+    .join('\r\n\r\n')
+    .concat(theses.length > 0 ? '\r\n' : '');
+
+/**
+ * Convert a thesis to a CSL-JSON item
+ * @param {object} thesis - Thesis
+ * @returns {object} CSL-JSON item (type "thesis")
+ */
+const toCslItem = (thesis) => {
+  const people = (list) =>
+    (list || []).map((person) => {
+      const { given, family } = splitName(person.name);
+      return given ? { family, given } : { literal: family };
+    });
+
+  const item = {
+    id: String(thesis._id),
+    type: 'thesis',
+    title: thesis.title,
+    author: people(thesis.authors),
+    genre: thesisType(thesis.degreeLevel),
+    publisher: thesis.institution,
+    abstract: thesis.abstract,
+    keyword: subjects(thesis).join(', ') || undefined,
+    language: thesis.language,
+    DOI: thesis.doi,
+    URL: thesis.handle ? handleUrl(thesis.handle) : undefined,
+  };
+  if (thesis.defenseYear) {
+    item.issued = { 'date-parts': [[thesis.defenseYear]] };
+  }
+  if (thesis.advisors && thesis.advisors.length > 0) {
+    item.contributor = people(thesis.advisors);
+  }
+
+  return JSON.parse(JSON.stringify(item));
+};
+
+/**
+ * Write a CSL-JSON array
+ * @param {Array<object>} theses - Theses
+ * @returns {string} JSON text
+ */
+const toCslJson = (theses) => `${JSON.stringify(theses.map(toCslItem), null, 2)}\n`;
+
+/**
+ * Quote a CSV value when needed (RFC 4180)
+ */
+const csvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'string' ? value : typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write CSV with a header row
+ * @param {Array<object>} theses - Theses
+ * @param {object} options - { embeddings: add an `embeddings` column (JSON array) }
+ * @returns {string} CSV text (CRLF line endings)
+ */
+const toCsv = (theses, { embeddings = false } = {}) => {
+  const columns = Object.keys(CSV_COLUMNS).concat(embeddings ? ['embeddings'] : []);
+  const rows = theses.map((thesis) =>
+    columns
+      .map((column) => csvValue(column === 'embeddings' ? thesis.embeddings : CSV_COLUMNS[column](thesis)))
+      .join(',')
+  );
+  return [columns.join(','), ...rows].join('\r\n').concat('\r\n');
+};
+
+/**
+ * Plain record of a thesis for data exports
+ * @param {object} thesis - Thesis
+ * @param {object} options - { embeddings }
+ * @returns {object} Record with `_id`, EXPORT_FIELDS and optionally `embeddings`
+ */
+const toRecord = (thesis, { embeddings = false } = {}) => {
+  const record = { _id: String(thesis._id) };
+  EXPORT_FIELDS.forEach((field) => {
+    if (thesis[field] !== undefined && thesis[field] !== null) {
+      record[field] = thesis[field];
+    }
+  });
+  if (embeddings && thesis.embeddings) {
+    record.embeddings = thesis.embeddings;
+  }
+  return record;
+};
+
+/**
+ * Write JSON Lines (one thesis per line)
+ * @param {Array<object>} theses - Theses
+ * @param {object} options - { embeddings }
+ * @returns {string} JSONL text
+ */
+const toJsonl = (theses, options = {}) =>
+  theses.map((thesis) => `${JSON.stringify(toRecord(thesis, options))}\n`).join('');
+
+const WRITERS = {
+  bibtex: toBibtex,
+  ris: toRis,
+  'csl-json': toCslJson,
+  csv: toCsv,
+  jsonl: toJsonl,
+};
+
+/**
+ * Write theses in an export format
+ * @param {Array<object>} theses - Theses (plain objects)
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {object} options - { embeddings: include embeddings (CSV and JSONL only) }
+ * @returns {{body: string, contentType: string, extension: string}} File contents and type
+ */
+const formatExport = (theses, format, options = {}) => {
+  const writer = WRITERS[format];
+  if (!writer) {
+    throw new Error(`Unsupported export format "${format}"`);
+  }
+
+  return {
+    body: writer(theses, options),
+    contentType: `${EXPORT_TYPES[format].contentType}; charset=utf-8`,
+    extension: EXPORT_TYPES[format].extension,
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  DATA_FORMATS,
+  MAX_EXPORT_RESULTS,
+  citationKey,
+  escapeBibtex,
+  toBibtex,
+  toRis,
+  toCslItem,
+  toCslJson,
+  toCsv,
+  toJsonl,
+  formatExport,
+};
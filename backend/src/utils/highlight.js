@@ -0,0 +1,131 @@
+/**
+ * Highlight utility functions for search snippets
+ * Offsets are character positions; ranges are half-open ({ start, end }).
+ */
+
+// Words too common to be worth highlighting
+const HIGHLIGHT_STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'this', 'that', 'these', 'those', 'are', 'was', 'were', 'into',
+  'about', 'what', 'which', 'how', 'why', 'who', 'does', 'their', 'using', 'based', 'study', 'thesis',
+]);
+
+const DEFAULT_SNIPPET_LENGTH = 240;
+
+const ELLIPSIS = '…';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Extract the terms of a query worth highlighting
+ * @param {string} query - Search query text
+ * @returns {Array<string>} Unique lowercase terms of at least 3 characters
+ */
+const queryTerms = (query) => {
+  const words = (query || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+  return Array.from(new Set(words.filter((word) => !HIGHLIGHT_STOPWORDS.has(word))));
+};
+
+/**
+ * Find the words of a text that start with one of the terms
+ * Prefix matching catches simple inflections ("network" in "networks").
+ * @param {string} text - Text to search
+ * @param {Array<string>} terms - Terms from queryTerms
+ * @returns {Array<{start: number, end: number}>} Matched words in text order
+ */
+const findMatches = (text, terms) => {
+  if (!text || terms.length === 0) {
+    return [];
+  }
+
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`,
+    'giu'
+  );
+  return Array.from(text.matchAll(pattern), (match) => ({
+    start: match.index,
+    end: match.index + match[0].length,
+  }));
+};
+
+/**
+ * Find the match that starts the window holding the most matches
+ * @param {Array<{start: number, end: number}>} matches - Matches in text order
+ * @param {number} maxLength - Window length
+ * @returns {{start: number, end: number}|null} First match of the densest window
+ */
+const densestMatch = (matches, maxLength) => {
+  let best = null;
+  let bestCount = 0;
+
+  matches.forEach((match, index) => {
+    let count = 0;
+    for (let i = index; i < matches.length && matches[i].end - match.start <= maxLength; i++) {
+      count++;
+    }
+    if (count > bestCount) {
+      best = match;
+      bestCount = count;
+    }
+  });
+
+  return best;
+};
+
+/**
+ * Cut a snippet out of a text around a focus range or the densest matches
+ * The window is snapped to word boundaries and marked with ellipses where
+ * it cuts the text; match and sentence offsets are relative to the snippet.
+ * @param {string} text - Full text (e.g. an abstract)
+ * @param {object} options - Snippet options
+ * @param {Array<{start: number, end: number}>} options.matches - Term matches in the text
+ * @param {{start: number, end: number}} options.focus - Range to center on (e.g. the best sentence)
+ * @param {number} options.maxLength - Snippet length before ellipses
+ * @returns {{text: string, matches: Array, sentence: object|null}} Snippet
+ */
+const buildSnippet = (text, options = {}) => {
+  const { matches = [], focus = null, maxLength = DEFAULT_SNIPPET_LENGTH } = options;
+  const source = text || '';
+
+  let start = 0;
+  let end = source.length;
+
+  if (source.length > maxLength) {
+    const anchor = focus || densestMatch(matches, maxLength) || { start: 0, end: 0 };
+    const anchorLength = Math.min(anchor.end - anchor.start, maxLength);
+
+    // Anchors shorter than the window are centered; long ones start the window
+    start = Math.max(0, Math.min(anchor.start - Math.floor((maxLength - anchorLength) / 2), source.length - maxLength));
+    end = Math.min(source.length, start + maxLength);
+
+    if (start > 0) {
+      const space = source.indexOf(' ', start);
+      if (space !== -1 && space < anchor.start) start = space + 1;
+    }
+    if (end < source.length) {
+      const space = source.lastIndexOf(' ', end);
+      if (space > Math.max(start, anchor.end)) end = space;
+    }
+  }
+
+  const prefix = start > 0 ? ELLIPSIS : '';
+  const suffix = end < source.length ? ELLIPSIS : '';
+  const shift = prefix.length - start;
+
+  return {
+    text: `${prefix}${source.slice(start, end)}${suffix}`,
+    matches: matches
+      .filter((match) => match.start >= start && match.end <= end)
+      .map((match) => ({ start: match.start + shift, end: match.end + shift })),
+    sentence:
+      focus && focus.start < end && focus.end > start
+        ? { start: Math.max(focus.start, start) + shift, end: Math.min(focus.end, end) + shift }
+        : null,
+  };
+};
+
+module.exports = {
+  DEFAULT_SNIPPET_LENGTH,
+  queryTerms,
+  findMatches,
+  buildSnippet,
+};
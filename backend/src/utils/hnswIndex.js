@@ -0,0 +1,446 @@
+/**
+ * Hierarchical Navigable Small World (HNSW) graph for approximate
+ * nearest neighbour search (Malkov & Yashunin, 2016).
+ *
+ * Vectors are expected to be normalized, so similarity is the dot product
+ * and distance is 1 - dot product (matching the manual search metric).
+ * Deletions are tombstones: deleted nodes still route searches but are
+ * never returned, and `compact()` rebuilds the graph without them.
+ */
+
+/**
+ * Minimal binary heap ordered by a comparator
+ */
+class BinaryHeap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+const nearestFirst = (a, b) => a.distance - b.distance;
+const farthestFirst = (a, b) => b.distance - a.distance;
+
+class HNSWIndex {
+  /**
+   * @param {object} options - Index parameters
+   * @param {number} options.dimensions - Vector dimensions
+   * @param {number} options.m - Max neighbours per node on upper layers
+   * @param {number} options.efConstruction - Candidate list size while building
+   * @param {number} options.efSearch - Default candidate list size while searching
+   */
+  constructor({ dimensions, m = 16, efConstruction = 200, efSearch = 64 } = {}) {
+    this.dimensions = dimensions;
+    this.m = m;
+    this.maxM0 = m * 2;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(m);
+
+    this.labels = [];
+    this.vectors = [];
+    this.levels = [];
+    this.neighbors = [];
+    this.deleted = [];
+    this.labelToNode = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+  }
+
+  /**
+   * Number of live (non-deleted) vectors
+   */
+  get size() {
+    return this.labelToNode.size;
+  }
+
+  /**
+   * Share of graph nodes that are tombstones
+   */
+  get tombstoneRatio() {
+    return this.labels.length === 0 ? 0 : this.deletedCount / this.labels.length;
+  }
+
+  has(label) {
+    return this.labelToNode.has(label);
+  }
+
+  distance(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+      dot += a[i] * b[i];
+    }
+    return 1 - dot;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier);
+  }
+
+  /**
+   * Insert or replace the vector stored under a label
+   * @param {string} label - External identifier
+   * @param {Array<number>} vector - Normalized vector
+   */
+  add(label, vector) {
+    if (vector.length !== this.dimensions) {
+      throw new Error(`Expected ${this.dimensions} dimensions, got ${vector.length}`);
+    }
+
+    if (this.labelToNode.has(label)) {
+      this.remove(label);
+    }
+
+    const node = this.labels.length;
+    const level = this.randomLevel();
+    const vec = Float32Array.from(vector);
+
+    this.labels.push(label);
+    this.vectors.push(vec);
+    this.levels.push(level);
+    this.neighbors.push(Array.from({ length: level + 1 }, () => []));
+    this.deleted.push(false);
+    this.labelToNode.set(label, node);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = node;
+      this.maxLevel = level;
+      return;
+    }
+
+    // Greedy descent through layers above the new node's level
+    let current = this.entryPoint;
+    let currentDistance = this.distance(vec, this.vectors[current]);
+    for (let lc = this.maxLevel; lc > level; lc--) {
+      ({ node: current, distance: currentDistance } = this.greedyClosest(vec, current, currentDistance, lc));
+    }
+
+    // Connect on every layer the node lives on
+    let entryPoints = [{ node: current, distance: currentDistance }];
+    for (let lc = Math.min(level, this.maxLevel); lc >= 0; lc--) {
+      const candidates = this.searchLayer(vec, entryPoints, this.efConstruction, lc);
+      const maxConnections = lc === 0 ? this.maxM0 : this.m;
+      const selected = this.selectNeighbors(candidates, this.m);
+
+      this.neighbors[node][lc] = selected.map((c) => c.node);
+
+      selected.forEach(({ node: neighbor }) => {
+        const links = this.neighbors[neighbor][lc];
+        links.push(node);
+        if (links.length > maxConnections) {
+          this.shrinkConnections(neighbor, lc, maxConnections);
+        }
+      });
+
+      entryPoints = candidates;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = node;
+    }
+  }
+
+  /**
+   * Mark the vector stored under a label as deleted
+   * @param {string} label - External identifier
+   * @returns {boolean} Whether the label was present
+   */
+  remove(label) {
+    const node = this.labelToNode.get(label);
+    if (node === undefined) {
+      return false;
+    }
+
+    this.deleted[node] = true;
+    this.deletedCount++;
+    this.labelToNode.delete(label);
+    return true;
+  }
+
+  /**
+   * Find the k nearest live vectors to a query
+   * @param {Array<number>} query - Normalized query vector
+   * @param {number} k - Number of neighbours to return
+   * @param {object} options - Search options
+   * @param {number} options.ef - Candidate list size (higher = better recall, slower)
+   * @param {Function} options.filter - Optional predicate on labels
+   * @returns {Array<{label: string, score: number}>} Neighbours by descending similarity
+   */
+  search(query, k, options = {}) {
+    const { ef = this.efSearch, filter } = options;
+
+    if (this.entryPoint === -1 || this.size === 0) {
+      return [];
+    }
+
+    const vec = query instanceof Float32Array ? query : Float32Array.from(query);
+
+    let current = this.entryPoint;
+    let currentDistance = this.distance(vec, this.vectors[current]);
+    for (let lc = this.maxLevel; lc > 0; lc--) {
+      ({ node: current, distance: currentDistance } = this.greedyClosest(vec, current, currentDistance, lc));
+    }
+
+    const accept = (node) => !this.deleted[node] && (!filter || filter(this.labels[node]));
+    const results = this.searchLayer(
+      vec,
+      [{ node: current, distance: currentDistance }],
+      Math.max(ef, k),
+      0,
+      accept
+    );
+
+    return results.slice(0, k).map(({ node, distance }) => ({
+      label: this.labels[node],
+      score: 1 - distance,
+    }));
+  }
+
+  /**
+   * Get the stored vector for a label
+   * @param {string} label - External identifier
+   * @returns {Float32Array|null} Stored vector
+   */
+  getVector(label) {
+    const node = this.labelToNode.get(label);
+    return node === undefined ? null : this.vectors[node];
+  }
+
+  /**
+   * Walk a single layer greedily towards the query
+   */
+  greedyClosest(vec, start, startDistance, level) {
+    let current = start;
+    let currentDistance = startDistance;
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const neighbor of this.neighbors[current][level]) {
+        const d = this.distance(vec, this.vectors[neighbor]);
+        if (d < currentDistance) {
+          current = neighbor;
+          currentDistance = d;
+          improved = true;
+        }
+      }
+    }
+
+    return { node: current, distance: currentDistance };
+  }
+
+  /**
+   * Beam search on one layer (Algorithm 2 in the paper)
+   * @param {Float32Array} vec - Query vector
+   * @param {Array<{node, distance}>} entryPoints - Starting nodes
+   * @param {number} ef - Beam width
+   * @param {number} level - Layer to search
+   * @param {Function} accept - Predicate deciding which nodes may be returned
+   * @returns {Array<{node, distance}>} Accepted nodes sorted nearest first
+   */
+  searchLayer(vec, entryPoints, ef, level, accept = () => true) {
+    const visited = new Set();
+    const candidates = new BinaryHeap(nearestFirst);
+    const results = new BinaryHeap(farthestFirst);
+
+    entryPoints.forEach((entry) => {
+      visited.add(entry.node);
+      candidates.push(entry);
+      if (accept(entry.node)) {
+        results.push(entry);
+      }
+    });
+
+    while (candidates.size > 0) {
+      const closest = candidates.pop();
+      if (results.size >= ef && closest.distance > results.peek().distance) {
+        break;
+      }
+
+      for (const neighbor of this.neighbors[closest.node][level] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+
+        const distance = this.distance(vec, this.vectors[neighbor]);
+        if (results.size < ef || distance < results.peek().distance) {
+          candidates.push({ node: neighbor, distance });
+          if (accept(neighbor)) {
+            results.push({ node: neighbor, distance });
+            if (results.size > ef) {
+              results.pop();
+            }
+          }
+        }
+      }
+    }
+
+    return results.items.slice().sort(nearestFirst);
+  }
+
+  /**
+   * Neighbour selection heuristic (Algorithm 4) keeping diverse links,
+   * topped up with the closest pruned candidates
+   */
+  selectNeighbors(candidates, m) {
+    const sorted = candidates.slice().sort(nearestFirst);
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of sorted) {
+      if (selected.length >= m) break;
+      const candidateVec = this.vectors[candidate.node];
+      const dominated = selected.some(
+        (s) => this.distance(candidateVec, this.vectors[s.node]) < candidate.distance
+      );
+      if (dominated) {
+        pruned.push(candidate);
+      } else {
+        selected.push(candidate);
+      }
+    }
+
+    for (const candidate of pruned) {
+      if (selected.length >= m) break;
+      selected.push(candidate);
+    }
+
+    return selected;
+  }
+
+  shrinkConnections(node, level, maxConnections) {
+    const vec = this.vectors[node];
+    const candidates = this.neighbors[node][level].map((neighbor) => ({
+      node: neighbor,
+      distance: this.distance(vec, this.vectors[neighbor]),
+    }));
+    this.neighbors[node][level] = this.selectNeighbors(candidates, maxConnections).map((c) => c.node);
+  }
+
+  /**
+   * Rebuild the graph without tombstoned nodes
+   * @returns {HNSWIndex} A new, compacted index
+   */
+  compact() {
+    const rebuilt = new HNSWIndex({
+      dimensions: this.dimensions,
+      m: this.m,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+    });
+
+    this.labelToNode.forEach((node, label) => {
+      rebuilt.add(label, this.vectors[node]);
+    });
+
+    return rebuilt;
+  }
+
+  /**
+   * Serialize the index to a plain object (vectors packed as base64)
+   */
+  toJSON() {
+    const packed = new Float32Array(this.vectors.length * this.dimensions);
+    this.vectors.forEach((vec, node) => packed.set(vec, node * this.dimensions));
+
+    return {
+      version: 1,
+      dimensions: this.dimensions,
+      m: this.m,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      labels: this.labels,
+      levels: this.levels,
+      neighbors: this.neighbors,
+      deleted: this.deleted,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      vectors: Buffer.from(packed.buffer).toString('base64'),
+    };
+  }
+
+  /**
+   * Restore an index serialized with toJSON()
+   * @param {object} data - Serialized index
+   * @returns {HNSWIndex} Restored index
+   */
+  static fromJSON(data) {
+    if (data.version !== 1) {
+      throw new Error(`Unsupported HNSW snapshot version: ${data.version}`);
+    }
+
+    const index = new HNSWIndex({
+      dimensions: data.dimensions,
+      m: data.m,
+      efConstruction: data.efConstruction,
+      efSearch: data.efSearch,
+    });
+
+    const buffer = Buffer.from(data.vectors, 'base64');
+    const packed = new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+
+    index.labels = data.labels;
+    index.levels = data.levels;
+    index.neighbors = data.neighbors;
+    index.deleted = data.deleted;
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+    index.vectors = data.labels.map((_, node) =>
+      packed.slice(node * data.dimensions, (node + 1) * data.dimensions)
+    );
+
+    data.labels.forEach((label, node) => {
+      if (data.deleted[node]) {
+        index.deletedCount++;
+      } else {
+        index.labelToNode.set(label, node);
+      }
+    });
+
+    return index;
+  }
+}
+
+module.exports = HNSWIndex;
@@ -0,0 +1,566 @@
+const path = require('path');
+const { DEGREE_LEVELS } = require('../models/Thesis');
+const { parseFormFields } = require('./thesisMetadata');
+
+/**
+ * Import format parsers
+ * Each parser turns the text of an export file into records of thesis
+ * fields ({ row, fields }) or parse errors ({ row, error }); `row` is the
+ * line the record starts on. Field values are mapped onto the Thesis model
+ * but not validated.
+ */
+
+const IMPORT_FORMATS = ['csv', 'jsonl', 'bibtex', 'ris'];
+
+const FORMAT_EXTENSIONS = {
+  '.csv': 'csv',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.bib': 'bibtex',
+  '.bibtex': 'bibtex',
+  '.ris': 'ris',
+};
+
+// CSV column / JSON key (lowercase, letters and digits only) -> Thesis field
+const FIELD_ALIASES = {
+  title: 'title',
+  abstract: 'abstract',
+  summary: 'abstract',
+  author: 'authors',
+  authors: 'authors',
+  advisor: 'advisors',
+  advisors: 'advisors',
+  adviser: 'advisors',
+  advisers: 'advisors',
+  supervisor: 'advisors',
+  supervisors: 'advisors',
+  degree: 'degreeLevel',
+  degreelevel: 'degreeLevel',
+  department: 'department',
+  institution: 'institution',
+  school: 'institution',
+  university: 'institution',
+  year: 'defenseYear',
+  defenseyear: 'defenseYear',
+  language: 'language',
+  lang: 'language',
+  keywords: 'keywords',
+  keyword: 'keywords',
+  doi: 'doi',
+  handle: 'handle',
+  license: 'license',
+  rights: 'license',
+};
+
+// Language names found in catalog exports -> ISO 639 codes
+const LANGUAGE_CODES = {
+  english: 'en',
+  filipino: 'fil',
+  tagalog: 'tl',
+  spanish: 'es',
+  french: 'fr',
+  german: 'de',
+  italian: 'it',
+  portuguese: 'pt',
+  chinese: 'zh',
+  japanese: 'ja',
+  korean: 'ko',
+  indonesian: 'id',
+  malay: 'ms',
+  vietnamese: 'vi',
+  arabic: 'ar',
+};
+
+// LaTeX accent commands -> Unicode combining marks
+const LATEX_ACCENTS = {
+  '"': '\u0308',
+  "'": '\u0301',
+  '`': '\u0300',
+  '^': '\u0302',
+  '~': '\u0303',
+  c: '\u0327',
+};
+
+/**
+ * Guess the format of an import file from its name
+ * @param {string} filename - Original file name
+ * @returns {string|undefined} One of IMPORT_FORMATS
+ */
+const detectFormat = (filename = '') => FORMAT_EXTENSIONS[path.extname(filename).toLowerCase()];
+
+/**
+ * Line number (1-based) of a character offset
+ */
+const lineAt = (text, offset) => {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (text[i] === '\n') line++;
+  }
+  return line;
+};
+
+/**
+ * Degree level from a free-text degree or thesis type ("PhD thesis", "M.Sc.")
+ * @param {string} text - Degree description
+ * @returns {string|undefined} One of DEGREE_LEVELS, or the text if unrecognized
+ */
+const degreeLevel = (text) => {
+  const value = String(text || '').trim().toLowerCase();
+  if (!value) return undefined;
+  if (DEGREE_LEVELS.includes(value)) return value;
+  if (/ph\.?\s?d|doctor/.test(value)) return 'doctoral';
+  if (/master|mathesis|\bm\.?\s?(s|a|sc|eng)\b/.test(value)) return 'master';
+  if (/bachelor|undergrad|\bb\.?\s?(s|a|sc)\b/.test(value)) return 'bachelor';
+  return value;
+};
+
+/**
+ * Degree level from a thesis type, or undefined unless it is recognized
+ */
+const knownDegreeLevel = (text) => {
+  const level = degreeLevel(text);
+  return DEGREE_LEVELS.includes(level) ? level : undefined;
+};
+
+/**
+ * Convert "Doe, Jane" to "Jane Doe" (BibTeX and RIS name order)
+ */
+const displayName = (name) => {
+  const parts = name.split(',').map((part) => part.trim()).filter(Boolean);
+  return parts.length === 2 ? `${parts[1]} ${parts[0]}` : name.trim();
+};
+
+/**
+ * Handle of a hdl.handle.net link, if it is one
+ */
+const handleFromUrl = (url) => {
+  const match = url && /hdl\.handle\.net\/(.+)$/i.exec(url);
+  return match ? match[1] : undefined;
+};
+
+/**
+ * Normalize the values of a record mapped onto Thesis fields
+ * List fields given as strings are split (authors/advisors on ";",
+ * keywords on ","), years are taken from dates, language names become
+ * ISO codes and DOI/handle URLs are reduced to the identifier.
+ * @param {object} fields - Mapped fields
+ * @returns {object} Normalized fields
+ */
+const normalizeRecord = (fields) => {
+  const record = parseFormFields(fields);
+
+  Object.keys(record).forEach((field) => {
+    if (typeof record[field] === 'string') {
+      record[field] = record[field].trim();
+    }
+  });
+
+  if (typeof record.degreeLevel === 'string') {
+    record.degreeLevel = degreeLevel(record.degreeLevel);
+  }
+  if (typeof record.defenseYear === 'string') {
+    const year = /\b(1[89]\d\d|2[01]\d\d)\b/.exec(record.defenseYear);
+    record.defenseYear = year ? Number(year[1]) : record.defenseYear;
+  }
+  if (typeof record.language === 'string') {
+    record.language = LANGUAGE_CODES[record.language.toLowerCase()] || record.language.toLowerCase();
+  }
+  if (typeof record.doi === 'string') {
+    record.doi = record.doi.replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/i, '');
+  }
+  if (typeof record.handle === 'string') {
+    record.handle = record.handle.replace(/^https?:\/\/hdl\.handle\.net\//i, '');
+  }
+
+  return record;
+};
+
+/**
+ * Map the keys of a CSV row or JSON object onto Thesis fields
+ * Unknown keys are ignored.
+ * @param {object} raw - Row or object keyed by column name
+ * @returns {object} Fields keyed by Thesis field name
+ */
+const mapFields = (raw) => {
+  const fields = {};
+  Object.entries(raw).forEach(([key, value]) => {
+    const field = FIELD_ALIASES[key.toLowerCase().replace(/[^a-z0-9]/g, '')];
+    if (field && value !== undefined && value !== null && value !== '' && fields[field] === undefined) {
+      fields[field] = value;
+    }
+  });
+  return fields;
+};
+
+/**
+ * Split CSV text into rows of fields (RFC 4180 quoting)
+ * @param {string} text - CSV text
+ * @param {string} delimiter - Field delimiter
+ * @returns {Array<{row: number, fields?: Array<string>, error?: string}>} Non-empty rows
+ */
+const splitCsv = (text, delimiter) => {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let start = 1;
+
+  const endRow = () => {
+    fields.push(field);
+    if (fields.some((value) => value.trim() !== '')) {
+      rows.push({ row: start, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      start = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    rows.push({ row: start, error: 'Unterminated quoted field' });
+  } else {
+    endRow();
+  }
+  return rows;
+};
+
+/**
+ * Parse CSV with a header row (comma, semicolon or tab separated)
+ * @param {string} text - CSV text
+ * @returns {Array<{row: number, fields?: object, error?: string}>} Records
+ */
+const parseCsv = (text) => {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  );
+
+  const [header, ...rows] = splitCsv(text, delimiter);
+  if (!header || header.error) {
+    return header ? [header] : [];
+  }
+
+  return rows.map(({ row, fields, error }) => {
+    if (error) return { row, error };
+    if (fields.length > header.fields.length) {
+      return { row, error: `Row has ${fields.length} columns but the header has ${header.fields.length}` };
+    }
+
+    const raw = {};
+    header.fields.forEach((column, index) => {
+      raw[column.trim()] = fields[index];
+    });
+    return { row, fields: mapFields(raw) };
+  });
+};
+
+/**
+ * Parse JSON Lines (one thesis object per line)
+ * @param {string} text - JSONL text
+ * @returns {Array<{row: number, fields?: object, error?: string}>} Records
+ */
+const parseJsonl = (text) => {
+  const records = [];
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') return;
+
+    const row = index + 1;
+    try {
+      const value = JSON.parse(line);
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        records.push({ row, error: 'Line must be a JSON object' });
+      } else {
+        records.push({ row, fields: mapFields(value) });
+      }
+    } catch (error) {
+      records.push({ row, error: `Invalid JSON: ${error.message}` });
+    }
+  });
+
+  return records;
+};
+
+/**
+ * Turn a LaTeX-formatted BibTeX value into plain text
+ * @param {string} value - Raw value (outer delimiters removed)
+ * @returns {string} Plain text
+ */
+const latexToText = (value) =>
+  value
+    .replace(/\\([cC"'`^~])\s*\{?([A-Za-z])\}?/g, (match, accent, letter) =>
+      LATEX_ACCENTS[accent.toLowerCase()] ? `${letter}${LATEX_ACCENTS[accent.toLowerCase()]}`.normalize('NFC') : match
+    )
+    .replace(/\\([&%$#_{}])/g, '$1')
+    .replace(/---/g, '—')
+    .replace(/--/g, '–')
+    .replace(/[{}]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Read a braced or quoted BibTeX value starting at `start`
+ * @returns {{value: string, end: number}|null} Raw value and the offset after it, or null if unterminated
+ */
+const readBibtexValue = (body, start) => {
+  const open = body[start];
+
+  if (open === '{' || open === '"') {
+    let depth = 0;
+    for (let i = start; i < body.length; i++) {
+      const char = body[i];
+      if (char === '\\') {
+        i++;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}') {
+        depth--;
+        if (open === '{' && depth === 0) return { value: body.slice(start + 1, i), end: i + 1 };
+      } else if (char === '"' && open === '"' && i > start && depth === 0) {
+        return { value: body.slice(start + 1, i), end: i + 1 };
+      }
+    }
+    return null;
+  }
+
+  // Bare number or @string macro name
+  const bare = /^[^\s,#}]+/.exec(body.slice(start));
+  return bare ? { value: bare[0], end: start + bare[0].length } : null;
+};
+
+/**
+ * Parse the `key, name = value, ...` body of a BibTeX entry
+ * @param {string} body - Text between the entry's outer delimiters
+ * @returns {object|null} Lowercase field names -> plain text values, or null if malformed
+ */
+const parseBibtexFields = (body) => {
+  const fields = {};
+  const keyEnd = body.indexOf(',');
+  let offset = keyEnd === -1 ? body.length : keyEnd + 1;
+
+  for (;;) {
+    const name = /^[\s,]*([A-Za-z][\w:.-]*)\s*=\s*/.exec(body.slice(offset));
+    if (!name) break;
+    offset += name[0].length;
+
+    // Values may be concatenated with #
+    let value = '';
+    for (;;) {
+      const part = readBibtexValue(body, offset);
+      if (!part) return null;
+      value += part.value;
+      offset = part.end;
+
+      const hash = /^\s*#\s*/.exec(body.slice(offset));
+      if (!hash) break;
+      offset += hash[0].length;
+    }
+    fields[name[1].toLowerCase()] = latexToText(value);
+  }
+
+  return body.slice(offset).trim().replace(/^,/, '').trim() === '' ? fields : null;
+};
+
+/**
+ * Map a BibTeX entry onto Thesis fields
+ * @param {string} type - Entry type (phdthesis, mastersthesis, thesis, ...)
+ * @param {object} entry - Entry fields
+ * @returns {object} Thesis fields
+ */
+const mapBibtexEntry = (type, entry) => {
+  const people = (value) => value && value.split(/\s+and\s+/i).map(displayName).filter(Boolean);
+  const degrees = { phdthesis: 'doctoral', mastersthesis: 'master' };
+
+  return {
+    title: entry.title,
+    abstract: entry.abstract,
+    authors: people(entry.author),
+    advisors: people(entry.advisor || entry.supervisor),
+    degreeLevel: knownDegreeLevel(entry.type) || degrees[type],
+    department: entry.department,
+    institution: entry.school || entry.institution,
+    defenseYear: entry.year || entry.date,
+    language: entry.language || entry.langid,
+    keywords: entry.keywords && entry.keywords.split(/[,;]/),
+    doi: entry.doi,
+    handle: entry.handle || entry.hdl || handleFromUrl(entry.url),
+    license: entry.license || entry.rights,
+  };
+};
+
+/**
+ * Parse BibTeX entries (@comment, @string and @preamble are skipped)
+ * @param {string} text - BibTeX text
+ * @returns {Array<{row: number, fields?: object, error?: string}>} Records
+ */
+const parseBibtex = (text) => {
+  const records = [];
+  const entryPattern = /@(\w+)\s*([{(])/g;
+  let match;
+
+  while ((match = entryPattern.exec(text))) {
+    const type = match[1].toLowerCase();
+    const row = lineAt(text, match.index);
+    const open = entryPattern.lastIndex - 1;
+    const close = match[2] === '{' ? '}' : ')';
+
+    // Find the delimiter closing the entry
+    let depth = 0;
+    let end = -1;
+    for (let i = open + 1; i < text.length && end === -1; i++) {
+      if (text[i] === '\\') i++;
+      else if (text[i] === '{') depth++;
+      else if (text[i] === '}' && depth > 0) depth--;
+      else if (text[i] === close && depth === 0) end = i;
+    }
+
+    if (end === -1) {
+      records.push({ row, error: 'Unterminated BibTeX entry' });
+      break;
+    }
+    entryPattern.lastIndex = end + 1;
+
+    if (['comment', 'string', 'preamble'].includes(type)) continue;
+
+    const entry = parseBibtexFields(text.slice(open + 1, end));
+    records.push(entry ? { row, fields: mapBibtexEntry(type, entry) } : { row, error: 'Malformed BibTeX entry' });
+  }
+
+  return records;
+};
+
+/**
+ * Map a RIS record onto Thesis fields
+ * @param {object} tags - Tag -> list of values
+ * @returns {object} Thesis fields
+ */
+const mapRisRecord = (tags) => {
+  const first = (...names) => names.map((name) => tags[name] && tags[name][0]).find(Boolean);
+  const all = (...names) => {
+    const values = names.flatMap((name) => tags[name] || []);
+    return values.length > 0 ? values : undefined;
+  };
+
+  return {
+    title: first('TI', 'T1'),
+    abstract: first('AB', 'N2'),
+    authors: (all('AU', 'A1') || []).map(displayName),
+    advisors: (all('A3') || []).map(displayName),
+    degreeLevel: knownDegreeLevel(first('M3')),
+    institution: first('PB'),
+    defenseYear: first('PY', 'Y1', 'DA'),
+    language: first('LA'),
+    keywords: all('KW'),
+    doi: first('DO'),
+    handle: handleFromUrl(first('UR')),
+  };
+};
+
+/**
+ * Parse RIS records (TY starts a record, ER ends it)
+ * Lines without a tag continue the previous value.
+ * @param {string} text - RIS text
+ * @returns {Array<{row: number, fields?: object, error?: string}>} Records
+ */
+const parseRis = (text) => {
+  const records = [];
+  let current = null;
+  let lastTag = null;
+
+  const finish = () => {
+    if (current) {
+      records.push({ row: current.row, fields: mapRisRecord(current.tags) });
+    }
+    current = null;
+    lastTag = null;
+  };
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const tagged = /^([A-Z][A-Z0-9])  -(?: (.*))?$/.exec(line);
+
+    if (!tagged) {
+      // Wrapped continuation of the previous value
+      if (current && lastTag && line.trim() !== '') {
+        const values = current.tags[lastTag];
+        values[values.length - 1] = `${values[values.length - 1]} ${line.trim()}`;
+      }
+      return;
+    }
+
+    const [, tag, value = ''] = tagged;
+    if (tag === 'TY') {
+      finish();
+      current = { row: index + 1, tags: {} };
+    } else if (tag === 'ER') {
+      finish();
+    } else if (current) {
+      current.tags[tag] = (current.tags[tag] || []).concat(value.trim());
+      lastTag = tag;
+    }
+  });
+
+  finish();
+  return records;
+};
+
+const PARSERS = {
+  csv: parseCsv,
+  jsonl: parseJsonl,
+  bibtex: parseBibtex,
+  ris: parseRis,
+};
+
+/**
+ * Parse an import file into normalized thesis records
+ * @param {string} text - File contents
+ * @param {string} format - One of IMPORT_FORMATS
+ * @returns {Array<{row: number, fields?: object, error?: string}>} Records in file order
+ */
+const parseRecords = (text, format) => {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw new Error(`Unsupported import format "${format}"`);
+  }
+
+  return parser(text.replace(/^\uFEFF/, '')).map((record) =>
+    record.error ? record : { row: record.row, fields: normalizeRecord(record.fields) }
+  );
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectFormat,
+  degreeLevel,
+  parseCsv,
+  parseJsonl,
+  parseBibtex,
+  parseRis,
+  parseRecords,
+};
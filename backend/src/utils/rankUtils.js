@@ -0,0 +1,124 @@
+const { dotProduct } = require('./vectorUtils');
+
+/**
+ * Rank utility functions for combining and diversifying result lists
+ */
+
+/**
+ * Default RRF smoothing constant (from Cormack et al., 2009)
+ */
+const DEFAULT_RRF_K = 60;
+
+/**
+ * Default MMR trade-off: 1 ranks by relevance only, 0 by novelty only
+ */
+const DEFAULT_MMR_LAMBDA = 0.7;
+
+/**
+ * Fuse several ranked result lists using Reciprocal Rank Fusion
+ * Each document receives sum(1 / (k + rank)) over the lists it appears in.
+ * @param {object} lists - Map of list name to ranked array of documents
+ * @param {object} options - Fusion options
+ * @param {number} options.k - RRF smoothing constant
+ * @param {Function} options.getId - Returns a stable key for a document
+ * @returns {Array<object>} Fused documents sorted by fused score, each with
+ *   `score` (fused) and `ranking` ({ [listName]: { rank, score } | null })
+ */
+const reciprocalRankFusion = (lists, options = {}) => {
+  const { k = DEFAULT_RRF_K, getId = (doc) => doc._id.toString() } = options;
+  const listNames = Object.keys(lists);
+  const fused = new Map();
+
+  listNames.forEach((listName) => {
+    lists[listName].forEach((doc, index) => {
+      const id = getId(doc);
+      const rank = index + 1;
+
+      if (!fused.has(id)) {
+        const ranking = {};
+        listNames.forEach((name) => {
+          ranking[name] = null;
+        });
+        fused.set(id, { doc, score: 0, ranking });
+      }
+
+      const entry = fused.get(id);
+      entry.score += 1 / (k + rank);
+      entry.ranking[listName] = { rank, score: doc.score };
+    });
+  });
+
+  return Array.from(fused.values())
+    .sort((a, b) => b.score - a.score)
+    .map(({ doc, score, ranking }) => ({
+      ...doc,
+      score,
+      ranking,
+    }));
+};
+
+/**
+ * Reorder ranked documents by Maximal Marginal Relevance (Carbonell & Goldstein, 1998)
+ * Greedily picks the document maximising
+ *   lambda * relevance - (1 - lambda) * max similarity to the documents already picked
+ * Relevance is min-max normalized over the candidates, so scores from any
+ * retriever can be used; similarity is the dot product of the (normalized)
+ * embeddings. Documents without an embedding are never penalized.
+ * @param {Array<object>} docs - Documents in relevance order
+ * @param {object} options - MMR options
+ * @param {number} options.lambda - Relevance/novelty trade-off between 0 and 1
+ * @param {number} options.limit - Number of documents to pick; the rest follow in relevance order
+ * @param {Function} options.getEmbedding - Returns a document's embedding (or undefined)
+ * @param {Function} options.getRelevance - Returns a document's relevance score
+ * @returns {Array<object>} Documents, the first `limit` in MMR order
+ */
+const maximalMarginalRelevance = (docs, options = {}) => {
+  const {
+    lambda = DEFAULT_MMR_LAMBDA,
+    limit = docs.length,
+    getEmbedding = (doc) => doc.embeddings,
+    getRelevance = (doc) => doc.score,
+  } = options;
+
+  const relevances = docs.map((doc) => getRelevance(doc) || 0);
+  const min = Math.min(...relevances);
+  const range = Math.max(...relevances) - min;
+
+  const remaining = docs.map((doc, index) => ({
+    doc,
+    index,
+    embedding: getEmbedding(doc),
+    relevance: range > 0 ? (relevances[index] - min) / range : 1,
+    redundancy: 0,
+  }));
+  const selected = [];
+  const marginalRelevance = (candidate) => lambda * candidate.relevance - (1 - lambda) * candidate.redundancy;
+
+  while (selected.length < limit && remaining.length > 0) {
+    // Ties go to the more relevant (earlier) document
+    let best = 0;
+    remaining.forEach((candidate, position) => {
+      if (marginalRelevance(candidate) > marginalRelevance(remaining[best])) best = position;
+    });
+
+    const [picked] = remaining.splice(best, 1);
+    selected.push(picked);
+
+    if (picked.embedding) {
+      remaining.forEach((candidate) => {
+        if (candidate.embedding) {
+          candidate.redundancy = Math.max(candidate.redundancy, dotProduct(candidate.embedding, picked.embedding));
+        }
+      });
+    }
+  }
+
+  return [...selected, ...remaining].map(({ doc }) => doc);
+};
+
+module.exports = {
+  DEFAULT_RRF_K,
+  DEFAULT_MMR_LAMBDA,
+  reciprocalRankFusion,
+  maximalMarginalRelevance,
+};
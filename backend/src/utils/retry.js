@@ -0,0 +1,129 @@
+/**
+ * Retry utility functions with exponential backoff and jitter
+ */
+
+// Network errors worth retrying (the connection may succeed next time)
+const RETRYABLE_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND']);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Get the HTTP status of a failed request (axios or groq-sdk errors)
+ * @param {Error} error - Request error
+ * @returns {number|null} HTTP status code
+ */
+const statusOf = (error) => {
+  if (error.response && error.response.status) return error.response.status;
+  if (typeof error.status === 'number') return error.status;
+  return null;
+};
+
+/**
+ * Whether an error comes from a cancelled request
+ * @param {Error} error - Request error
+ * @returns {boolean}
+ */
+const isAbortError = (error) =>
+  error.name === 'AbortError' || error.name === 'CanceledError' || error.code === 'ERR_CANCELED';
+
+/**
+ * Decide whether a failed request is worth retrying
+ * Retries rate limits (429), server errors (5xx) and connection failures.
+ * Aborted requests and request timeouts are not retried.
+ * @param {Error} error - Request error
+ * @returns {boolean}
+ */
+const isRetryableError = (error) => {
+  if (isAbortError(error)) {
+    return false;
+  }
+
+  const status = statusOf(error);
+  if (status !== null) {
+    return status === 429 || status >= 500;
+  }
+
+  return RETRYABLE_CODES.has(error.code);
+};
+
+/**
+ * Read a Retry-After header (seconds) from a rate-limited response
+ * @param {Error} error - Request error
+ * @returns {number|null} Delay in milliseconds
+ */
+const retryAfterMs = (error) => {
+  const headers = (error.response && error.response.headers) || error.headers;
+  if (!headers) return null;
+
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+};
+
+/**
+ * Compute the delay before a retry ("full jitter" exponential backoff)
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+const backoffDelay = (attempt, { baseDelayMs, maxDelayMs }) => {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Compute the delay before retrying a failed request, honouring Retry-After
+ * @param {Error} error - Request error
+ * @param {number} attempt - Retry number, starting at 1
+ * @param {object} options - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+const retryDelay = (error, attempt, { baseDelayMs, maxDelayMs }) =>
+  Math.min(maxDelayMs, retryAfterMs(error) ?? backoffDelay(attempt, { baseDelayMs, maxDelayMs }));
+
+/**
+ * Run an async function, retrying transient failures
+ * @param {Function} fn - Async function receiving the attempt number (0-based)
+ * @param {object} options - Retry options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.baseDelayMs - Backoff base delay
+ * @param {number} options.maxDelayMs - Backoff (and Retry-After) cap
+ * @param {Function} options.shouldRetry - Predicate on the error (default isRetryableError)
+ * @param {Function} options.onRetry - Called with (error, attempt, delayMs) before waiting
+ * @returns {Promise<*>} Result of fn
+ */
+const withRetry = async (fn, options = {}) => {
+  const {
+    retries = 2,
+    baseDelayMs = 500,
+    maxDelayMs = 8000,
+    shouldRetry = isRetryableError,
+    onRetry,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) {
+        throw error;
+      }
+
+      const delayMs = retryDelay(error, attempt + 1, { baseDelayMs, maxDelayMs });
+      if (onRetry) {
+        onRetry(error, attempt + 1, delayMs);
+      }
+      await sleep(delayMs);
+    }
+  }
+};
+
+module.exports = {
+  withRetry,
+  isRetryableError,
+  isAbortError,
+  sleep,
+  backoffDelay,
+  retryDelay,
+  statusOf,
+};
@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+/**
+ * Search Cursors - Opaque continuation tokens for paginated search results
+ * A cursor is base64url-encoded JSON holding the position reached in the
+ * result list and the key of the search it came from, so a cursor cannot
+ * be replayed against a different query or filter set.
+ */
+
+const MAX_CURSOR_LENGTH = 512;
+
+/**
+ * Key identifying a search (the parameters that decide its result order)
+ * @param {object} params - Query, mode, threshold, filters, ...
+ * @returns {string} Short stable hash
+ */
+const searchKey = (params) =>
+  crypto.createHash('sha256').update(JSON.stringify(params)).digest('base64url').slice(0, 16);
+
+/**
+ * Encode a position as a cursor
+ * @param {object} position - Position in the result list, including its search key
+ * @returns {string} Cursor
+ */
+const encodeCursor = (position) => Buffer.from(JSON.stringify(position)).toString('base64url');
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {object|null} Position, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  if (typeof cursor !== 'string' || cursor.length === 0 || cursor.length > MAX_CURSOR_LENGTH) {
+    return null;
+  }
+
+  try {
+    const position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return position && typeof position === 'object' && !Array.isArray(position) ? position : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Decode the cursor of a request for the given search
+ * @param {string} cursor - Cursor from the request (optional)
+ * @param {string} key - searchKey of the current search
+ * @param {Function} isValid - Checks the shape of the decoded position
+ * @returns {object|null} Position, or null for the first page
+ * @throws {Error} 400 when the cursor is malformed or belongs to another search
+ */
+const readCursor = (cursor, key, isValid = () => true) => {
+  if (cursor === undefined || cursor === null) {
+    return null;
+  }
+
+  const position = decodeCursor(cursor);
+  if (!position || position.key !== key || !isValid(position)) {
+    const error = new Error('Cursor is invalid or belongs to a different search');
+    error.statusCode = 400;
+    throw error;
+  }
+  return position;
+};
+
+module.exports = {
+  MAX_CURSOR_LENGTH,
+  searchKey,
+  encodeCursor,
+  decodeCursor,
+  readCursor,
+};
@@ -0,0 +1,59 @@
+/**
+ * Search filter helpers
+ * Filters narrow retrieval itself (Atlas $vectorSearch pre-filter, the
+ * in-process index and the manual scan), so limits apply to matching
+ * theses only. The query uses operators both MongoDB and Atlas Vector
+ * Search understand ($in, $and, $gte, $lte and equality).
+ */
+
+const TAG_OPERATORS = ['AND', 'OR'];
+
+// Keys accepted in a `filters` object
+const SEARCH_FILTER_FIELDS = ['tags', 'tagOperator', 'yearFrom', 'yearTo', 'department', 'degreeLevel', 'language'];
+
+/**
+ * Build a MongoDB query from search filters
+ * @param {object} filters - { tags, tagOperator, yearFrom, yearTo, department, degreeLevel, language }
+ * @returns {object} Query fragment (empty when there is nothing to filter)
+ */
+const buildFilterQuery = (filters = {}) => {
+  const { tags, tagOperator = 'OR', yearFrom, yearTo, department, degreeLevel, language } = filters;
+  const query = {};
+
+  if (Array.isArray(tags) && tags.length > 0) {
+    // Stored tags are normalized to lowercase
+    const normalized = [...new Set(tags.map((tag) => tag.trim().toLowerCase()))];
+    if (tagOperator === 'AND') {
+      // Equality on an array field matches an element; $all is not a vector search filter
+      query.$and = normalized.map((tag) => ({ tags: tag }));
+    } else {
+      query.tags = { $in: normalized };
+    }
+  }
+
+  if (yearFrom !== undefined || yearTo !== undefined) {
+    query.defenseYear = {};
+    if (yearFrom !== undefined) query.defenseYear.$gte = parseInt(yearFrom, 10);
+    if (yearTo !== undefined) query.defenseYear.$lte = parseInt(yearTo, 10);
+  }
+
+  if (department) query.department = department.trim();
+  if (degreeLevel) query.degreeLevel = degreeLevel;
+  if (language) query.language = language.trim().toLowerCase();
+
+  return query;
+};
+
+/**
+ * Whether a filter query restricts anything
+ * @param {object} query - Result of buildFilterQuery
+ * @returns {boolean}
+ */
+const isEmptyFilter = (query) => Object.keys(query).length === 0;
+
+module.exports = {
+  TAG_OPERATORS,
+  SEARCH_FILTER_FIELDS,
+  buildFilterQuery,
+  isEmptyFilter,
+};
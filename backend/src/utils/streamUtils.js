@@ -0,0 +1,51 @@
+/**
+ * Stream utility functions for parsing streamed HTTP responses
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * Read a byte stream line by line
+ * @param {AsyncIterable<Buffer|string>} stream - Readable stream
+ * @returns {AsyncGenerator<string>} Non-empty lines (without the newline)
+ */
+async function* readLines(stream) {
+  // Kept across chunks: a multi-byte character may be split between two of them
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.trim()) {
+        yield line.replace(/\r$/, '');
+      }
+    }
+  }
+
+  buffer += decoder.end();
+  if (buffer.trim()) {
+    yield buffer;
+  }
+}
+
+/**
+ * Read the `data:` payloads of a Server-Sent Events stream
+ * @param {AsyncIterable<Buffer|string>} stream - Readable stream
+ * @returns {AsyncGenerator<string>} Event data (multi-line data is not joined)
+ */
+async function* readEventData(stream) {
+  for await (const line of readLines(stream)) {
+    if (line.startsWith('data:')) {
+      yield line.slice(5).trim();
+    }
+  }
+}
+
+module.exports = {
+  readLines,
+  readEventData,
+};
@@ -0,0 +1,187 @@
+const { estimateTokens, splitSentences } = require('./textUtils');
+
+/**
+ * Section-aware text chunker for passage retrieval
+ * Splits a document into sections at heading lines, then packs sentences
+ * into overlapping chunks that never cross a section boundary.
+ */
+
+const DEFAULT_CHUNK_TOKENS = 250;
+const DEFAULT_OVERLAP_TOKENS = 50;
+
+const KNOWN_HEADINGS =
+  /^(abstract|introduction|background|review of (related )?literature|related work|literature review|methodology|methods?|materials and methods|results?( and discussion)?|discussion|conclusions?( and recommendations)?|recommendations|summary|acknowledge?ments?|references|bibliography|appendi(x|ces)|table of contents|list of (figures|tables))\b/i;
+const NUMBERED_HEADING = /^(chapter\s+([0-9]+|[ivxlc]+)\b|([0-9]+(\.[0-9]+)*|[IVXLC]+)\.?\s+[A-Z])/i;
+
+// Sections that add noise rather than content to retrieval
+const SKIPPED_SECTIONS = /^(references|bibliography|table of contents|list of (figures|tables))\b/i;
+
+/**
+ * Decide whether a line looks like a section heading
+ * @param {string} line - Trimmed line
+ * @returns {boolean}
+ */
+const isHeading = (line) => {
+  if (line.length < 3 || line.length > 80 || /[.:;,]$/.test(line)) {
+    return false;
+  }
+  if (KNOWN_HEADINGS.test(line) || NUMBERED_HEADING.test(line)) {
+    return true;
+  }
+  // Short ALL CAPS lines (e.g. "RESEARCH DESIGN")
+  const words = line.split(/\s+/);
+  return words.length <= 8 && /[A-Z]{3}/.test(line) && line === line.toUpperCase();
+};
+
+/**
+ * Split text into sections at heading lines
+ * @param {string} text - Document text
+ * @returns {Array<{title: string, start: number, end: number}>} Sections (offsets of the body)
+ */
+const splitSections = (text) => {
+  const sections = [];
+  let current = { title: null, start: 0 };
+  let offset = 0;
+
+  text.split('\n').forEach((line) => {
+    const trimmed = line.trim();
+    if (isHeading(trimmed)) {
+      sections.push({ ...current, end: offset });
+      current = { title: trimmed, start: offset + line.length + 1 };
+    }
+    offset += line.length + 1;
+  });
+  sections.push({ ...current, end: text.length });
+
+  return sections.filter((section) => section.end > section.start);
+};
+
+/**
+ * Find the page containing a character offset
+ * @param {Array<{number, start, end}>} pages - Page map
+ * @param {number} offset - Character offset
+ * @returns {number|null} Page number
+ */
+const pageAt = (pages, offset) => {
+  if (!pages || pages.length === 0) return null;
+
+  let low = 0;
+  let high = pages.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (pages[mid].start <= offset) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return pages[low].number;
+};
+
+/**
+ * Break sentences longer than the chunk size into word windows
+ */
+const splitLongUnits = (units, maxTokens) => {
+  const result = [];
+  units.forEach((unit) => {
+    if (estimateTokens(unit.text) <= maxTokens) {
+      result.push(unit);
+      return;
+    }
+    const maxChars = maxTokens * 4;
+    let start = 0;
+    while (start < unit.text.length) {
+      let end = Math.min(start + maxChars, unit.text.length);
+      if (end < unit.text.length) {
+        const space = unit.text.lastIndexOf(' ', end);
+        if (space > start) end = space;
+      }
+      const piece = unit.text.slice(start, end).trim();
+      if (piece) {
+        result.push({ text: piece, start: unit.start + start, end: unit.start + end });
+      }
+      start = end + 1;
+    }
+  });
+  return result;
+};
+
+/**
+ * Chunk a document into overlapping, section-aware passages
+ * @param {string} text - Document text
+ * @param {object} options - Chunking options
+ * @param {Array} options.pages - Optional page map ({ number, start, end } offsets into text)
+ * @param {string} options.defaultSection - Section name for text before the first heading
+ * @param {number} options.chunkTokens - Target chunk size in tokens
+ * @param {number} options.overlapTokens - Tokens repeated between consecutive chunks
+ * @returns {Array<object>} Chunks: { text, section, startOffset, endOffset, pageStart, pageEnd, tokenCount }
+ */
+const chunkText = (text, options = {}) => {
+  const {
+    pages = null,
+    defaultSection = null,
+    chunkTokens = DEFAULT_CHUNK_TOKENS,
+    overlapTokens = DEFAULT_OVERLAP_TOKENS,
+  } = options;
+  const chunks = [];
+
+  splitSections(text).forEach((section) => {
+    if (section.title && SKIPPED_SECTIONS.test(section.title)) {
+      return;
+    }
+
+    const units = splitLongUnits(
+      splitSentences(text.slice(section.start, section.end), section.start),
+      chunkTokens
+    );
+
+    let startIndex = 0;
+    while (startIndex < units.length) {
+      // Pack sentences until the chunk is full
+      let endIndex = startIndex;
+      let tokens = 0;
+      while (endIndex < units.length) {
+        const unitTokens = estimateTokens(units[endIndex].text);
+        if (endIndex > startIndex && tokens + unitTokens > chunkTokens) break;
+        tokens += unitTokens;
+        endIndex++;
+      }
+
+      const chunkUnits = units.slice(startIndex, endIndex);
+      const startOffset = chunkUnits[0].start;
+      const endOffset = chunkUnits[chunkUnits.length - 1].end;
+      const chunkTextValue = chunkUnits.map((unit) => unit.text).join(' ');
+
+      chunks.push({
+        text: chunkTextValue,
+        section: section.title || defaultSection,
+        startOffset,
+        endOffset,
+        pageStart: pageAt(pages, startOffset),
+        pageEnd: pageAt(pages, Math.max(startOffset, endOffset - 1)),
+        tokenCount: estimateTokens(chunkTextValue),
+      });
+
+      if (endIndex >= units.length) break;
+
+      // Step back over trailing sentences to create the overlap
+      let nextStart = endIndex;
+      let overlap = 0;
+      while (nextStart - 1 > startIndex && overlap < overlapTokens) {
+        overlap += estimateTokens(units[nextStart - 1].text);
+        nextStart--;
+      }
+      startIndex = nextStart;
+    }
+  });
+
+  return chunks;
+};
+
+module.exports = {
+  DEFAULT_CHUNK_TOKENS,
+  DEFAULT_OVERLAP_TOKENS,
+  chunkText,
+  splitSections,
+  isHeading,
+};
@@ -0,0 +1,48 @@
+/**
+ * Text utility functions
+ */
+
+/**
+ * Rough token estimate for LLM budgets (~4 characters per token for English)
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated token count
+ */
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+/**
+ * Split text into sentences, keeping character offsets
+ * Line breaks count as boundaries so headings and list items stay separate.
+ * @param {string} text - Text to split
+ * @param {number} baseOffset - Offset added to every returned position
+ * @returns {Array<{text: string, start: number, end: number}>} Sentences
+ */
+const splitSentences = (text, baseOffset = 0) => {
+  const sentences = [];
+  // Sentence end: terminal punctuation before a capitalized word, or a line break
+  const boundary = /[.!?]+(?=\s+["'(\[]?[A-Z]|\s*$)|\n/g;
+  let segmentStart = 0;
+
+  const pushSegment = (start, end) => {
+    const raw = text.slice(start, end);
+    const trimmed = raw.trim();
+    if (trimmed.length > 0) {
+      const offset = baseOffset + start + (raw.length - raw.trimStart().length);
+      sentences.push({ text: trimmed, start: offset, end: offset + trimmed.length });
+    }
+  };
+
+  let match;
+  while ((match = boundary.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    pushSegment(segmentStart, end);
+    segmentStart = end;
+  }
+  pushSegment(segmentStart, text.length);
+
+  return sentences;
+};
+
+module.exports = {
+  estimateTokens,
+  splitSentences,
+};
@@ -0,0 +1,148 @@
+const { METADATA_FIELDS } = require('../models/Thesis');
+
+/**
+ * Helpers for bibliographic thesis metadata
+ */
+
+// How each degree level's thesis is described in citations and exports
+const THESIS_TYPES = {
+  doctoral: 'PhD thesis',
+  master: "Master's thesis",
+  bachelor: "Bachelor's thesis",
+  other: 'Thesis',
+};
+
+/**
+ * Normalize authors/advisors given as names or { name, orcid } objects
+ * @param {Array<string|object>} people - Raw people list
+ * @returns {Array<{name: string, orcid?: string}>} Normalized people
+ */
+const normalizePeople = (people) => {
+  return people.map((person) => {
+    if (typeof person === 'string') {
+      return { name: person.trim() };
+    }
+    const normalized = { name: person.name.trim() };
+    if (person.orcid) {
+      normalized.orcid = person.orcid.trim();
+    }
+    return normalized;
+  });
+};
+
+/**
+ * Pick the metadata fields out of a request body / import record
+ * Empty values are dropped so schema defaults apply.
+ * @param {object} input - Raw thesis input
+ * @returns {object} Normalized metadata ready for the Thesis model
+ */
+const pickMetadata = (input = {}) => {
+  const metadata = {};
+
+  METADATA_FIELDS.forEach((field) => {
+    const value = input[field];
+    if (value !== undefined && value !== null && value !== '') {
+      metadata[field] = value;
+    }
+  });
+
+  if (metadata.authors) {
+    metadata.authors = normalizePeople(metadata.authors);
+  }
+  if (metadata.advisors) {
+    metadata.advisors = normalizePeople(metadata.advisors);
+  }
+  if (metadata.keywords) {
+    metadata.keywords = [...new Set(metadata.keywords.map((keyword) => keyword.trim()).filter(Boolean))];
+  }
+  if (metadata.defenseYear !== undefined) {
+    metadata.defenseYear = parseInt(metadata.defenseYear, 10);
+  }
+
+  return metadata;
+};
+
+/**
+ * Pick the metadata fields present in a partial update
+ * Unlike pickMetadata, fields sent as null or '' are reported for clearing.
+ * @param {object} input - Raw update body
+ * @returns {{set: object, unset: Array<string>}} Normalized values and fields to clear
+ */
+const pickMetadataUpdate = (input = {}) => {
+  const unset = METADATA_FIELDS.filter((field) => input[field] === null || input[field] === '');
+  return { set: pickMetadata(input), unset };
+};
+
+/**
+ * Decode metadata sent as multipart form fields (all values are strings)
+ * List fields accept a JSON array or a delimited string:
+ * authors/advisors split on ";", keywords on ",".
+ * @param {object} body - Raw form fields
+ * @returns {object} Decoded fields
+ */
+const parseFormFields = (body = {}) => {
+  const fields = { ...body };
+  const listDelimiters = { authors: ';', advisors: ';', keywords: ',' };
+
+  Object.entries(listDelimiters).forEach(([field, delimiter]) => {
+    const value = fields[field];
+    if (typeof value !== 'string') return;
+
+    const trimmed = value.trim();
+    if (trimmed.startsWith('[')) {
+      try {
+        fields[field] = JSON.parse(trimmed);
+        return;
+      } catch (error) {
+        // Leave the raw string for the validator to reject
+        return;
+      }
+    }
+    fields[field] = trimmed.split(delimiter).map((item) => item.trim()).filter(Boolean);
+  });
+
+  return fields;
+};
+
+/**
+ * Format a people list for display or embedding ("Jane Doe; John Roe")
+ * @param {Array<{name: string}>} people - People list
+ * @returns {string} Formatted names
+ */
+const formatPeople = (people = []) => people.map((person) => person.name).join('; ');
+
+/**
+ * Split a personal name into given and family names
+ * Lowercase particles stay with the family name ("Juan dela Cruz").
+ * @param {string} name - Name as stored ("Jane Doe")
+ * @returns {{given: string, family: string}} Name parts (given may be '')
+ */
+const splitName = (name = '') => {
+  const tokens = name.trim().split(/\s+/).filter(Boolean);
+  if (tokens.length <= 1) {
+    return { given: '', family: tokens[0] || '' };
+  }
+
+  let start = tokens.length - 1;
+  while (start > 1 && /^[a-z]/.test(tokens[start - 1])) {
+    start--;
+  }
+  return { given: tokens.slice(0, start).join(' '), family: tokens.slice(start).join(' ') };
+};
+
+/**
+ * Describe the type of a thesis ("Master's thesis")
+ * @param {string} degreeLevel - One of DEGREE_LEVELS, or undefined
+ * @returns {string} Thesis type
+ */
+const thesisType = (degreeLevel) => THESIS_TYPES[degreeLevel] || THESIS_TYPES.other;
+
+module.exports = {
+  normalizePeople,
+  pickMetadata,
+  pickMetadataUpdate,
+  parseFormFields,
+  formatPeople,
+  splitName,
+  thesisType,
+};
@@ -0,0 +1,51 @@
+/**
+ * XML utility functions for the OAI-PMH responses
+ */
+
+const XML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+// Characters XML 1.0 does not allow, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape text for element content or attribute values
+ * @param {*} value - Text
+ * @param {object} options - { attribute: also escape quotes }
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value, { attribute = false } = {}) =>
+  String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(attribute ? /[&<>"']/g : /[&<>]/g, (char) => XML_ESCAPES[char]);
+
+/**
+ * Write an element
+ * @param {string} name - Element name
+ * @param {object} attributes - Attribute values (undefined and null are left out)
+ * @param {string|Array<string>} content - Child markup (already XML)
+ * @returns {string} Element markup (self-closing when empty)
+ */
+const element = (name, attributes = {}, content = '') => {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value, { attribute: true })}"`)
+    .join('');
+  const body = Array.isArray(content) ? content.join('') : content;
+
+  return body === '' ? `<${name}${attrs}/>` : `<${name}${attrs}>${body}</${name}>`;
+};
+
+/**
+ * Write an element holding text
+ * @param {string} name - Element name
+ * @param {*} value - Text content
+ * @param {object} attributes - Attribute values
+ * @returns {string} Element markup
+ */
+const textElement = (name, value, attributes = {}) => element(name, attributes, escapeXml(value));
+
+module.exports = {
+  escapeXml,
+  element,
+  textElement,
+};
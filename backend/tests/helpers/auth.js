@@ -0,0 +1,37 @@
+const authService = require('../../src/services/authService');
+
+/**
+ * Accounts and credentials for tests that call protected routes
+ */
+
+const PASSWORD = 'correct horse battery';
+
+let counter = 0;
+
+/**
+ * Create a user and a session token for it
+ * @param {string} role - reader, submitter, curator or admin
+ * @returns {Promise<{user: object, token: string, password: string}>}
+ */
+const createUser = async (role = 'admin') => {
+  counter++;
+  const user = await authService.createUser({
+    email: `${role}${counter}@example.edu`,
+    name: `Test ${role} ${counter}`,
+    password: PASSWORD,
+    role,
+  });
+  return { user, token: authService.issueToken(user), password: PASSWORD };
+};
+
+/**
+ * Authorization header for a session token or API key
+ * @param {string} token - JWT or API key
+ * @returns {object} Headers for supertest's set()
+ */
+const authHeader = (token) => ({ Authorization: `Bearer ${token}` });
+
+module.exports = {
+  createUser,
+  authHeader,
+};
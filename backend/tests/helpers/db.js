@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+/**
+ * In-memory MongoDB for integration tests
+ * Each test file gets its own server; call connect() in beforeAll and
+ * disconnect() in afterAll.
+ */
+
+let server = null;
+
+/**
+ * Start an in-memory server and connect mongoose to it
+ * @returns {Promise<void>}
+ */
+const connect = async () => {
+  server = await MongoMemoryServer.create();
+  process.env.MONGODB_URI = server.getUri();
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Build indexes (e.g. the $text index used by keyword search) up front
+  await Promise.all(Object.values(mongoose.models).map((model) => model.init()));
+};
+
+/**
+ * Remove all documents, keeping indexes
+ * @returns {Promise<void>}
+ */
+const clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map((collection) => collection.deleteMany({})));
+};
+
+/**
+ * Disconnect and stop the server
+ * @returns {Promise<void>}
+ */
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (server) {
+    await server.stop();
+    server = null;
+  }
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect,
+};
@@ -0,0 +1,92 @@
+/**
+ * Deterministic stand-in for the all-MiniLM-L6-v2 embedding model
+ * Hashes words into a normalized 384-dimensional bag-of-words vector, so
+ * texts that share words are more similar than texts that don't.
+ * The rerank cross-encoder is replaced by query word overlap.
+ */
+
+const DIMENSIONS = 384;
+
+// Field labels added by embeddingService.buildEmbeddingText, plus filler words
+const IGNORED_WORDS = new Set([
+  'title', 'abstract', 'authors', 'advisors', 'keywords', 'degree', 'department', 'institution',
+  'the', 'and', 'for', 'with', 'from', 'this', 'that', 'are', 'was', 'into', 'using', 'study',
+]);
+
+const hashWord = (word) => {
+  // FNV-1a
+  let hash = 2166136261;
+  for (let i = 0; i < word.length; i++) {
+    hash ^= word.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return (hash >>> 0) % DIMENSIONS;
+};
+
+/**
+ * Embed text as a normalized hashed bag of words
+ * @param {string} text - Text to embed
+ * @returns {Float32Array} Unit-length vector
+ */
+const embedText = (text) => {
+  const vector = new Float32Array(DIMENSIONS);
+  const words = (text || '').toLowerCase().match(/[a-z0-9]{3,}/g) || [];
+
+  words
+    .filter((word) => !IGNORED_WORDS.has(word))
+    .forEach((word) => {
+      vector[hashWord(word)] += 1;
+    });
+
+  let norm = 0;
+  for (let i = 0; i < DIMENSIONS; i++) norm += vector[i] * vector[i];
+  if (norm === 0) {
+    vector[0] = 1;
+    return vector;
+  }
+
+  norm = Math.sqrt(norm);
+  for (let i = 0; i < DIMENSIONS; i++) vector[i] /= norm;
+  return vector;
+};
+
+const contentWords = (text) =>
+  new Set(((text || '').toLowerCase().match(/[a-z0-9]{3,}/g) || []).filter((word) => !IGNORED_WORDS.has(word)));
+
+/**
+ * Cross-encoder logit for a query-document pair
+ * @param {string} query - Query text
+ * @param {string} document - Document text
+ * @returns {number} Logit: positive when most query words appear in the document
+ */
+const crossEncoderLogit = (query, document) => {
+  const queryWords = contentWords(query);
+  const documentWords = contentWords(document);
+  if (queryWords.size === 0) return -4;
+
+  const shared = [...queryWords].filter((word) => documentWords.has(word)).length;
+  return (8 * shared) / queryWords.size - 4;
+};
+
+// Shape of the @xenova/transformers exports used by embeddingService and rerankService
+const transformersMock = {
+  pipeline: async () => async (text) => ({ data: embedText(text) }),
+  AutoTokenizer: {
+    from_pretrained: async () => (queries, { text_pair: documents }) => ({ queries, documents }),
+  },
+  AutoModelForSequenceClassification: {
+    from_pretrained: async () => async ({ queries, documents }) => ({
+      logits: {
+        dims: [documents.length, 1],
+        data: Float32Array.from(documents.map((document, index) => crossEncoderLogit(queries[index], document))),
+      },
+    }),
+  },
+};
+
+module.exports = {
+  DIMENSIONS,
+  embedText,
+  crossEncoderLogit,
+  transformersMock,
+};
@@ -0,0 +1,90 @@
+/**
+ * Test data: sample theses and a minimal PDF generator
+ */
+
+const sampleTheses = [
+  {
+    title: 'Rice Leaf Disease Detection Using Convolutional Neural Networks',
+    abstract:
+      'This thesis applies convolutional neural networks to detect rice leaf disease from smartphone photographs. The trained network classifies blast, blight and tungro with high accuracy on field images collected from farms.',
+    authors: [{ name: 'Maria Santos' }],
+    advisors: [{ name: 'Jose Reyes' }],
+    degreeLevel: 'bachelor',
+    department: 'Computer Science',
+    defenseYear: 2023,
+    keywords: ['rice', 'plant disease', 'deep learning'],
+    status: 'published',
+  },
+  {
+    title: 'Blockchain Ledger for Transparent Barangay Budget Tracking',
+    abstract:
+      'We design a permissioned blockchain ledger that records barangay budget allocations and disbursements. Smart contracts enforce approval workflows and citizens audit spending through a public dashboard.',
+    authors: [{ name: 'Carlo Dizon' }],
+    degreeLevel: 'master',
+    department: 'Information Technology',
+    defenseYear: 2022,
+    keywords: ['blockchain', 'governance'],
+    status: 'published',
+  },
+  {
+    title: 'Solar Powered Irrigation Scheduling for Small Farms',
+    abstract:
+      'A solar powered controller schedules irrigation for small farms using soil moisture sensors and weather forecasts. Field trials reduced water consumption while maintaining crop yield.',
+    authors: [{ name: 'Ana Cruz' }],
+    degreeLevel: 'bachelor',
+    department: 'Electrical Engineering',
+    defenseYear: 2021,
+    keywords: ['solar energy', 'irrigation'],
+    status: 'published',
+  },
+];
+
+const escapePdfText = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`);
+
+/**
+ * Build a small but valid PDF with one text line per array entry
+ * @param {Array<Array<string>>} pages - Lines of text for each page
+ * @returns {Buffer} PDF file contents
+ */
+const buildPdf = (pages) => {
+  const objects = [];
+  const pageIds = pages.map((_, index) => 4 + index * 2);
+
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>';
+
+  pages.forEach((lines, index) => {
+    const pageId = pageIds[index];
+    const content = [
+      'BT /F1 12 Tf 72 720 Td 16 TL',
+      ...lines.map((line) => `(${escapePdfText(line)}) '`),
+      'ET',
+    ].join('\n');
+
+    objects[pageId] =
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${pageId + 1} 0 R /Resources << /Font << /F1 3 0 R >> >> >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content)} >>\nstream\n${content}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf);
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf);
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf);
+};
+
+module.exports = {
+  sampleTheses,
+  buildPdf,
+};
@@ -0,0 +1,50 @@
+/**
+ * Minimal Express req/res doubles for testing middleware in isolation
+ */
+
+/**
+ * Create a response double that records status, headers and JSON body
+ * @returns {object} Response with `statusCode`, `headers` and `body`
+ */
+const mockResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.set = jest.fn((name, value) => {
+    res.headers[name.toLowerCase()] = value;
+    return res;
+  });
+  res.status = jest.fn((code) => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  return res;
+};
+
+/**
+ * Run a middleware and report how it finished
+ * @param {Function} middleware - Express middleware
+ * @param {object} req - Request fields ({ body, query, params, file, headers })
+ * @returns {{req: object, res: object, next: Function}}
+ */
+const runMiddleware = (middleware, req = {}) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  const headers = req.headers || {};
+  const request = {
+    body: {},
+    query: {},
+    params: {},
+    get: (name) => headers[name.toLowerCase()],
+    ...req,
+  };
+  middleware(request, res, next);
+  return { req: request, res, next };
+};
+
+module.exports = {
+  mockResponse,
+  runMiddleware,
+};
@@ -0,0 +1,129 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Thesis = require('../../src/models/Thesis');
+const chunkService = require('../../src/services/chunkService');
+const trashService = require('../../src/services/trashService');
+const db = require('../helpers/db');
+const { createUser, authHeader } = require('../helpers/auth');
+const { sampleTheses } = require('../helpers/fixtures');
+
+const [riceThesis] = sampleTheses;
+
+let admin;
+let auth;
+
+beforeAll(() => db.connect());
+
+beforeEach(async () => {
+  const account = await createUser('admin');
+  admin = account.user;
+  auth = authHeader(account.token);
+});
+
+afterEach(async () => {
+  await chunkService.idle();
+  await db.clear();
+});
+
+afterAll(() => db.disconnect());
+
+const createThesis = async () => {
+  const res = await request(app).post('/api/theses').set(auth).send(riceThesis).expect(201);
+  return res.body.data;
+};
+
+const history = async (thesisId, query = {}) => {
+  const res = await request(app)
+    .get('/api/audit')
+    .query({ thesis: thesisId, ...query })
+    .set(auth)
+    .expect(200);
+  return res.body.data;
+};
+
+describe('GET /api/audit', () => {
+  it('records every mutation of a thesis, most recent first', async () => {
+    const thesis = await createThesis();
+    await request(app).patch(`/api/theses/${thesis._id}`).set(auth).send({ defenseYear: 2024 }).expect(200);
+    await request(app).post(`/api/theses/${thesis._id}/retag`).set(auth).expect(200);
+    await request(app).delete(`/api/theses/${thesis._id}`).set(auth).expect(200);
+    await request(app).post(`/api/theses/${thesis._id}/restore`).set(auth).expect(200);
+
+    const events = await history(thesis._id);
+
+    expect(events.map((event) => event.action)).toEqual(['restore', 'delete', 'retag', 'update', 'create']);
+    expect(events[3].changes).toEqual([{ field: 'defenseYear', before: 2023, after: 2024 }]);
+    expect(events[4]).toMatchObject({
+      thesisTitle: riceThesis.title,
+      actorRole: 'admin',
+      actor: { _id: String(admin._id), email: admin.email },
+    });
+  });
+
+  it('does not record updates that change nothing', async () => {
+    const thesis = await createThesis();
+    await request(app).patch(`/api/theses/${thesis._id}`).set(auth).send({ title: riceThesis.title }).expect(200);
+
+    expect((await history(thesis._id)).map((event) => event.action)).toEqual(['create']);
+  });
+
+  it('links events to the request that caused them', async () => {
+    const thesis = await createThesis();
+    const res = await request(app)
+      .patch(`/api/theses/${thesis._id}`)
+      .set(auth)
+      .set('X-Request-Id', 'trace-42')
+      .send({ license: 'CC-BY-4.0' })
+      .expect(200);
+
+    expect(res.headers['x-request-id']).toBe('trace-42');
+    const events = await history(thesis._id, { requestId: 'trace-42' });
+    expect(events.map((event) => event.action)).toEqual(['update']);
+  });
+
+  it('records one create event per thesis in a batch', async () => {
+    await request(app).post('/api/theses/batch').set(auth).send({ theses: sampleTheses }).expect(201);
+
+    const res = await request(app).get('/api/audit').query({ action: 'create' }).set(auth).expect(200);
+    expect(res.body.pagination.total).toBe(sampleTheses.length);
+    res.body.data.forEach((event) => expect(event.details).toEqual({ batch: sampleTheses.length }));
+  });
+
+  it('records review decisions with their notes', async () => {
+    const { status, ...draft } = riceThesis;
+    const created = await request(app).post('/api/theses').set(auth).send(draft).expect(201);
+    const id = created.body.data._id;
+    await request(app).post(`/api/theses/${id}/submit`).set(auth).expect(200);
+    await request(app).post(`/api/theses/${id}/reject`).set(auth).send({ note: 'Missing advisor' }).expect(200);
+
+    const [reject] = await history(id);
+    expect(reject).toMatchObject({
+      action: 'reject',
+      changes: [{ field: 'status', before: 'pending', after: 'rejected' }],
+      details: { note: 'Missing advisor' },
+    });
+  });
+
+  it('records purges as system events', async () => {
+    const thesis = await createThesis();
+    await request(app).delete(`/api/theses/${thesis._id}`).set(auth).expect(200);
+    await Thesis.updateOne({ _id: thesis._id }, { deletedAt: new Date(0) });
+    await trashService.purgeExpired();
+
+    const [purge] = await history(thesis._id);
+    expect(purge.action).toBe('purge');
+    expect(purge.actor).toBeUndefined();
+  });
+
+  it('is only available to curators and admins', async () => {
+    const { token } = await createUser('submitter');
+
+    await request(app).get('/api/audit').expect(401);
+    await request(app).get('/api/audit').set(authHeader(token)).expect(403);
+  });
+
+  it('rejects invalid filters', async () => {
+    const res = await request(app).get('/api/audit').query({ action: 'rename', thesis: 'abc' }).set(auth).expect(400);
+    expect(res.body.errors).toHaveLength(2);
+  });
+});
@@ -0,0 +1,193 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const authService = require('../../src/services/authService');
+const chunkService = require('../../src/services/chunkService');
+const db = require('../helpers/db');
+const { createUser, authHeader } = require('../helpers/auth');
+const { sampleTheses } = require('../helpers/fixtures');
+
+const [riceThesis] = sampleTheses;
+
+beforeAll(() => db.connect());
+
+afterEach(async () => {
+  await chunkService.idle();
+  await db.clear();
+});
+
+afterAll(() => db.disconnect());
+
+describe('POST /api/auth/login', () => {
+  it('returns a session token that identifies the user', async () => {
+    const { user, password } = await createUser('submitter');
+
+    const login = await request(app).post('/api/auth/login').send({ email: user.email, password }).expect(200);
+    expect(login.body.data.user).toMatchObject({ email: user.email, role: 'submitter' });
+    expect(login.body.data.user.passwordHash).toBeUndefined();
+
+    const me = await request(app).get('/api/auth/me').set(authHeader(login.body.data.token)).expect(200);
+    expect(me.body.data.email).toBe(user.email);
+  });
+
+  it('rejects a wrong password', async () => {
+    const { user } = await createUser('reader');
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .send({ email: user.email, password: 'not the password' })
+      .expect(401);
+    expect(res.body.message).toBe('Invalid email or password');
+  });
+
+  it('rejects deactivated accounts', async () => {
+    const { user, password } = await createUser('reader');
+    await authService.updateUser(user._id, { active: false });
+
+    await request(app).post('/api/auth/login').send({ email: user.email, password }).expect(401);
+  });
+});
+
+describe('POST /api/auth/register', () => {
+  it('is closed unless open registration is enabled', async () => {
+    await request(app)
+      .post('/api/auth/register')
+      .send({ email: 'new@example.edu', name: 'New Reader', password: 'long enough password' })
+      .expect(403);
+  });
+
+  it('creates reader accounts when open', async () => {
+    authService.config.openRegistration = true;
+    try {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'new@example.edu', name: 'New Reader', password: 'long enough password', role: 'admin' })
+        .expect(201);
+
+      expect(res.body.data.user.role).toBe('reader');
+      await request(app)
+        .post('/api/auth/register')
+        .send({ email: 'NEW@example.edu', name: 'Again', password: 'long enough password' })
+        .expect(409);
+    } finally {
+      authService.config.openRegistration = false;
+    }
+  });
+});
+
+describe('route guards', () => {
+  it('keeps reads public', async () => {
+    await request(app).get('/api/theses').expect(200);
+    await request(app).post('/api/search/semantic').send({ query: 'rice' }).expect(200);
+  });
+
+  it('requires authentication to create theses', async () => {
+    const res = await request(app).post('/api/theses').send(riceThesis).expect(401);
+    expect(res.body.message).toBe('Authentication required');
+  });
+
+  it('rejects invalid tokens instead of treating them as anonymous', async () => {
+    await request(app).get('/api/theses').set(authHeader('not-a-jwt')).expect(401);
+  });
+
+  it.each([
+    ['reader', 'post', '/api/theses', 403],
+    ['submitter', 'post', '/api/theses', 201],
+    ['submitter', 'post', '/api/theses/batch', 403],
+    ['curator', 'post', '/api/theses/batch', 201],
+    ['curator', 'delete', '/api/theses/64b7f0c2a1b2c3d4e5f60718', 403],
+    ['admin', 'delete', '/api/theses/64b7f0c2a1b2c3d4e5f60718', 404],
+  ])('%s: %s %s → %i', async (role, method, url, status) => {
+    const { token } = await createUser(role);
+    const body = url.endsWith('/batch') ? { theses: [riceThesis] } : riceThesis;
+
+    await request(app)[method](url).set(authHeader(token)).send(body).expect(status);
+  });
+
+  it('records who submitted a thesis', async () => {
+    const { user, token } = await createUser('submitter');
+
+    const res = await request(app).post('/api/theses').set(authHeader(token)).send(riceThesis).expect(201);
+    expect(res.body.data.submittedBy).toBe(String(user._id));
+  });
+
+  it('applies role changes to existing sessions', async () => {
+    const { user, token } = await createUser('curator');
+    await authService.updateUser(user._id, { role: 'reader' });
+
+    await request(app).post('/api/theses').set(authHeader(token)).send(riceThesis).expect(403);
+  });
+});
+
+describe('API keys', () => {
+  it('authenticates with a key and stops working once revoked', async () => {
+    const { token } = await createUser('curator');
+
+    const created = await request(app)
+      .post('/api/auth/api-keys')
+      .set(authHeader(token))
+      .send({ name: 'importer', role: 'submitter' })
+      .expect(201);
+    const { key, _id: keyId } = created.body.data;
+    expect(key).toMatch(/^thr_/);
+    expect(created.body.data.keyHash).toBeUndefined();
+
+    // Keys act with their own (lower) role
+    await request(app).post('/api/theses').set('X-API-Key', key).send(riceThesis).expect(201);
+    await request(app).post('/api/theses/batch').set(authHeader(key)).send({ theses: [riceThesis] }).expect(403);
+
+    const list = await request(app).get('/api/auth/api-keys').set(authHeader(token)).expect(200);
+    expect(list.body.data).toHaveLength(1);
+    expect(list.body.data[0].prefix).toBe(key.slice(0, 12));
+
+    await request(app).delete(`/api/auth/api-keys/${keyId}`).set(authHeader(token)).expect(200);
+    await request(app).post('/api/theses').set('X-API-Key', key).send(riceThesis).expect(401);
+  });
+
+  it('cannot exceed the owner role', async () => {
+    const { token } = await createUser('submitter');
+
+    await request(app)
+      .post('/api/auth/api-keys')
+      .set(authHeader(token))
+      .send({ name: 'escalation', role: 'admin' })
+      .expect(403);
+  });
+});
+
+describe('account management', () => {
+  it('lets admins create accounts and change roles', async () => {
+    const { token } = await createUser('admin');
+
+    const created = await request(app)
+      .post('/api/auth/users')
+      .set(authHeader(token))
+      .send({ email: 'curator@example.edu', name: 'Curator', password: 'long enough password', role: 'curator' })
+      .expect(201);
+    expect(created.body.data.role).toBe('curator');
+
+    const updated = await request(app)
+      .patch(`/api/auth/users/${created.body.data._id}`)
+      .set(authHeader(token))
+      .send({ role: 'submitter' })
+      .expect(200);
+    expect(updated.body.data.role).toBe('submitter');
+
+    const list = await request(app).get('/api/auth/users').set(authHeader(token)).expect(200);
+    expect(list.body.count).toBe(2);
+  });
+
+  it('stops admins from demoting themselves', async () => {
+    const { user, token } = await createUser('admin');
+
+    await request(app)
+      .patch(`/api/auth/users/${user._id}`)
+      .set(authHeader(token))
+      .send({ role: 'reader' })
+      .expect(400);
+  });
+
+  it('is admin only', async () => {
+    const { token } = await createUser('curator');
+    await request(app).get('/api/auth/users').set(authHeader(token)).expect(403);
+  });
+});
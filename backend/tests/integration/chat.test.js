@@ -0,0 +1,172 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Thesis = require('../../src/models/Thesis');
+const aiService = require('../../src/services/aiService');
+const chunkService = require('../../src/services/chunkService');
+const db = require('../helpers/db');
+const { createUser, authHeader } = require('../helpers/auth');
+const { sampleTheses } = require('../helpers/fixtures');
+
+const mock = aiService.getProvider('mock');
+
+/**
+ * Parse a Server-Sent Events body into { event, data } pairs
+ */
+const parseEvents = (body) =>
+  body
+    .split('\n\n')
+    .filter((block) => block.startsWith('event:'))
+    .map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return {
+        event: eventLine.slice('event: '.length),
+        data: JSON.parse(dataLine.slice('data: '.length)),
+      };
+    });
+
+beforeAll(async () => {
+  await db.connect();
+  const { token } = await createUser('curator');
+  await request(app).post('/api/theses/batch').set(authHeader(token)).send({ theses: sampleTheses }).expect(201);
+  await chunkService.idle();
+});
+
+afterEach(() => mock.reset());
+
+afterAll(() => db.disconnect());
+
+describe('POST /api/chat', () => {
+  it('answers from retrieved theses and cites them', async () => {
+    const res = await request(app)
+      .post('/api/chat')
+      .send({ message: 'Which theses study rice leaf disease?' })
+      .expect(200);
+
+    expect(res.body.data.answer).toContain(sampleTheses[0].title);
+    expect(res.body.data.sources[0]).toMatchObject({ title: sampleTheses[0].title });
+    expect(res.body.data.conversationHistory).toHaveLength(2);
+
+    expect(mock.getCalls('queryRewrite')).toHaveLength(1);
+    expect(mock.getCalls('answer')).toHaveLength(1);
+  });
+
+  it('uses a fixture response for the answer', async () => {
+    mock.addFixture({ task: 'answer', response: 'Fixture answer.' });
+
+    const res = await request(app).post('/api/chat').send({ message: 'solar irrigation for farms' }).expect(200);
+    expect(res.body.data.answer).toBe('Fixture answer.');
+  });
+
+  it('rejects a missing message', async () => {
+    const res = await request(app).post('/api/chat').send({}).expect(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('diversifies the retrieved theses with MMR', async () => {
+    const res = await request(app)
+      .post('/api/chat')
+      .send({ message: 'Which theses study rice leaf disease?', topK: 2, mmr: true, mmrLambda: 0.5 })
+      .expect(200);
+
+    expect(res.body.data.sources[0]).toMatchObject({ title: sampleTheses[0].title });
+    expect(new Set(res.body.data.sources.map((source) => source.title)).size).toBe(res.body.data.sources.length);
+  });
+
+  it('falls back to the abstract of a thesis without chunks while others have them', async () => {
+    const solar = await Thesis.findOne({ title: sampleTheses[2].title });
+    await chunkService.removeThesis(solar._id);
+
+    try {
+      const res = await request(app)
+        .post('/api/chat')
+        .send({ message: 'Which theses schedule irrigation with solar power?' })
+        .expect(200);
+
+      expect(res.body.data.sources.map((source) => source.title)).toContain(sampleTheses[2].title);
+    } finally {
+      await chunkService.indexThesis(solar._id);
+    }
+  });
+
+  it('reports provider failures through the error handler', async () => {
+    mock.failNext({ status: 400, message: 'model unavailable' }, 2);
+
+    const res = await request(app).post('/api/chat').send({ message: 'blockchain budget' }).expect(500);
+    expect(res.body.success).toBe(false);
+  });
+});
+
+describe('POST /api/chat/stream', () => {
+  it('streams query, sources, tokens and done events', async () => {
+    const res = await request(app)
+      .post('/api/chat/stream')
+      .send({ message: 'Which theses study rice leaf disease?' })
+      .buffer(true)
+      .parse((response, callback) => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', (chunk) => {
+          body += chunk;
+        });
+        response.on('end', () => callback(null, body));
+      })
+      .expect(200);
+
+    expect(res.headers['content-type']).toMatch(/text\/event-stream/);
+
+    const events = parseEvents(res.body);
+    const names = events.map(({ event }) => event);
+    expect(names[0]).toBe('query');
+    expect(names[1]).toBe('sources');
+    expect(names[names.length - 1]).toBe('done');
+    expect(names.filter((name) => name === 'token').length).toBeGreaterThan(1);
+
+    const streamed = events
+      .filter(({ event }) => event === 'token')
+      .map(({ data }) => data.text)
+      .join('');
+    expect(streamed).toBe(events[events.length - 1].data.answer);
+  });
+
+  it('rejects an invalid request before streaming', async () => {
+    await request(app).post('/api/chat/stream').send({ message: '' }).expect(400);
+  });
+});
+
+describe('GET /api/chat/suggestions', () => {
+  it('suggests questions about repository topics', async () => {
+    const res = await request(app).get('/api/chat/suggestions').expect(200);
+    expect(res.body.data.length).toBeGreaterThan(0);
+  });
+});
+
+describe('GET /api/chat/models', () => {
+  it('lists the models of the configured provider', async () => {
+    const res = await request(app).get('/api/chat/models').expect(200);
+
+    expect(res.body.data.provider).toBe('mock');
+    expect(res.body.data.models).toEqual(['mock']);
+    expect(res.body.data.routing.tasks.answer.provider).toBe('mock');
+  });
+
+  it('rejects an unknown provider', async () => {
+    await request(app).get('/api/chat/models').query({ provider: 'nope' }).expect(400);
+  });
+});
+
+describe('GET /api/chat/summarize/:id', () => {
+  it('summarizes a thesis', async () => {
+    const list = await request(app).get('/api/theses').expect(200);
+    const thesis = list.body.data.find((item) => item.title === sampleTheses[2].title);
+
+    const res = await request(app).get(`/api/chat/summarize/${thesis._id}`).expect(200);
+
+    expect(res.body.data.thesisId).toBe(thesis._id);
+    expect(res.body.data.summary).toMatch(/^Solar Powered Irrigation/);
+  });
+
+  it('fails for a missing thesis', async () => {
+    const res = await request(app).get('/api/chat/summarize/64b7f0c2a1b2c3d4e5f60718').expect(500);
+    expect(res.body.message).toMatch(/Thesis not found/);
+  });
+});
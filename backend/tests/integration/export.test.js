@@ -0,0 +1,82 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Thesis = require('../../src/models/Thesis');
+const chunkService = require('../../src/services/chunkService');
+const db = require('../helpers/db');
+const { createUser, authHeader } = require('../helpers/auth');
+const { sampleTheses } = require('../helpers/fixtures');
+
+const [riceThesis, blockchainThesis] = sampleTheses;
+
+beforeAll(async () => {
+  await db.connect();
+  const { token } = await createUser('curator');
+  await request(app).post('/api/theses/batch').set(authHeader(token)).send({ theses: sampleTheses }).expect(201);
+  await chunkService.idle();
+});
+
+afterAll(() => db.disconnect());
+
+const idOf = async (title) => (await Thesis.findOne({ title }))._id;
+
+describe('GET /api/theses/:id/export', () => {
+  it('downloads a BibTeX entry named after its citation key', async () => {
+    const res = await request(app).get(`/api/theses/${await idOf(riceThesis.title)}/export?format=bibtex`).expect(200);
+
+    expect(res.headers['content-type']).toBe('application/x-bibtex; charset=utf-8');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="santos2023rice.bib"');
+    expect(res.text).toMatch(/^@mastersthesis\{santos2023rice,/);
+    expect(res.text).toContain('  author = {Santos, Maria}');
+  });
+
+  it('includes the embeddings in data formats only when asked', async () => {
+    const id = await idOf(riceThesis.title);
+
+    const plain = await request(app).get(`/api/theses/${id}/export?format=jsonl`).expect(200);
+    expect(JSON.parse(plain.text).embeddings).toBeUndefined();
+
+    const full = await request(app).get(`/api/theses/${id}/export?format=jsonl&embeddings=true`).expect(200);
+    expect(JSON.parse(full.text).embeddings).toHaveLength(384);
+
+    await request(app).get(`/api/theses/${id}/export?format=ris&embeddings=true`).expect(400);
+  });
+
+  it('hides unpublished theses', async () => {
+    const id = await idOf(blockchainThesis.title);
+    await Thesis.updateOne({ _id: id }, { status: 'draft' });
+
+    await request(app).get(`/api/theses/${id}/export?format=ris`).expect(404);
+
+    await Thesis.updateOne({ _id: id }, { status: 'published' });
+  });
+});
+
+describe('POST /api/search/export', () => {
+  it('exports the ranked results of a search', async () => {
+    const res = await request(app)
+      .post('/api/search/export')
+      .send({ format: 'csl-json', query: 'convolutional neural networks for rice disease' })
+      .expect(200);
+
+    expect(res.headers['content-disposition']).toBe('attachment; filename="theses.json"');
+    const items = JSON.parse(res.text);
+    expect(items[0]).toMatchObject({ type: 'thesis', title: riceThesis.title, issued: { 'date-parts': [[2023]] } });
+  });
+
+  it('exports every thesis matching the filters without a query', async () => {
+    const res = await request(app)
+      .post('/api/search/export')
+      .send({ format: 'csv', filters: { yearFrom: 2022 } })
+      .expect(200);
+
+    const lines = res.text.trim().split('\r\n');
+    expect(lines[0]).toMatch(/^id,title,abstract,/);
+    expect(lines).toHaveLength(3);
+    expect(res.text).not.toContain(sampleTheses[2].title);
+  });
+
+  it('rejects unknown formats', async () => {
+    const res = await request(app).post('/api/search/export').send({ format: 'docx' }).expect(400);
+    expect(res.body.errors).toEqual(['Format must be one of: bibtex, ris, csl-json, csv, jsonl']);
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Thesis = require('../../src/models/Thesis');
+const AuditEvent = require('../../src/models/AuditEvent');
+const chunkService = require('../../src/services/chunkService');
+const jobService = require('../../src/services/jobService');
+const importService = require('../../src/services/importService');
+const db = require('../helpers/db');
+const { createUser, authHeader } = require('../helpers/auth');
+const { sampleTheses } = require('../helpers/fixtures');
+
+const [riceThesis, blockchainThesis] = sampleTheses;
+
+let auth;
+
+beforeAll(() => db.connect());
+
+beforeEach(async () => {
+  const account = await createUser('curator');
+  auth = authHeader(account.token);
+});
+
+afterEach(async () => {
+  importService.config.recordsPerJob = 50;
+  jobService.config.workerAvailable = true;
+  await chunkService.idle();
+  await db.clear();
+});
+
+afterAll(() => db.disconnect());
+
+const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+const catalog = [
+  'title,abstract,authors,year,degree,department',
+  [riceThesis.title, riceThesis.abstract, 'Jane Doe; John Roe', 2023, 'Bachelor of Science', 'Computer Science']
+    .map(quote)
+    .join(','),
+  [blockchainThesis.title, blockchainThesis.abstract, 'Maria Cruz', 2022, 'MSc', 'Information Technology']
+    .map(quote)
+    .join(','),
+  'Missing abstract,,,2020,,',
+  [riceThesis.title, 'Same thesis again', '', 2023, '', ''].map(quote).join(','),
+].join('\n');
+
+const importFile = (text, filename = 'catalog.csv', fields = {}) => {
+  const req = request(app).post('/api/theses/import').set(auth).attach('file', Buffer.from(text), filename);
+  Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+  return req;
+};
+
+describe('POST /api/theses/import', () => {
+  it('reports bad rows and imports the rest in the background', async () => {
+    const res = await importFile(catalog, 'catalog.csv', { status: 'published' }).expect(202);
+
+    expect(res.body.data).toMatchObject({
+      format: 'csv',
+      rows: 4,
+      valid: 2,
+      invalid: [{ row: 4, errors: ['Abstract is required and must be a non-empty string'] }],
+      duplicates: [{ row: 5, duplicateOfRow: 2 }],
+    });
+    expect(res.body.data.jobs).toHaveLength(1);
+    expect(res.headers.location).toBe(res.body.data.jobs[0].statusUrl);
+
+    await jobService.drain();
+
+    const job = await request(app).get(res.body.data.jobs[0].statusUrl).set(auth).expect(200);
+    expect(job.body.data).toMatchObject({ status: 'succeeded', type: 'importTheses', progress: { done: 2, total: 2 } });
+    expect(job.body.data.result.theses.map((entry) => entry.row).sort()).toEqual([2, 3]);
+
+    const rice = await Thesis.findOne({ title: riceThesis.title });
+    expect(rice).toMatchObject({ status: 'published', defenseYear: 2023, degreeLevel: 'bachelor' });
+    expect(rice.authors.map((author) => author.name)).toEqual(['Jane Doe', 'John Roe']);
+
+    const event = await AuditEvent.findOne({ thesis: rice._id });
+    expect(event.details).toMatchObject({ import: 'catalog.csv' });
+  });
+
+  it('skips theses already in the repository, so a re-import resumes', async () => {
+    await importFile(catalog).expect(202);
+    await jobService.drain();
+
+    const res = await importFile(catalog).expect(202);
+    await jobService.drain();
+
+    const job = await request(app).get(res.body.data.jobs[0].statusUrl).set(auth).expect(200);
+    expect(job.body.data.result.theses || []).toEqual([]);
+    expect(job.body.data.result.skipped).toHaveLength(2);
+    expect(await Thesis.countDocuments()).toBe(2);
+  });
+
+  it('matches stored theses by DOI and title regardless of case and spacing', async () => {
+    await request(app)
+      .post('/api/theses')
+      .set(auth)
+      .send({ ...riceThesis, doi: '10.1234/rice.2023' })
+      .expect(201);
+    await request(app).post('/api/theses').set(auth).send(blockchainThesis).expect(201);
+
+    const file = [
+      'title,abstract,year,doi',
+      ['Another title', riceThesis.abstract, 2023, '10.1234/RICE.2023'].map(quote).join(','),
+      [`  ${blockchainThesis.title.toUpperCase()} `, blockchainThesis.abstract, 2022, ''].map(quote).join(','),
+    ].join('\n');
+    const res = await importFile(file).expect(202);
+    await jobService.drain();
+
+    const job = await request(app).get(res.body.data.jobs[0].statusUrl).set(auth).expect(200);
+    expect(job.body.data.result.skipped.map((entry) => entry.row).sort()).toEqual([2, 3]);
+    expect(await Thesis.countDocuments()).toBe(2);
+  });
+
+  it('splits large imports into several jobs', async () => {
+    importService.config.recordsPerJob = 1;
+
+    const res = await importFile(catalog).expect(202);
+    expect(res.body.data.jobs).toHaveLength(2);
+
+    await jobService.drain();
+    expect(await Thesis.countDocuments()).toBe(2);
+  });
+
+  it('refuses imports but still checks files when no worker runs jobs (serverless)', async () => {
+    jobService.config.workerAvailable = false;
+
+    const res = await importFile(catalog).expect(503);
+    expect(res.body.data).toMatchObject({ valid: 2 });
+    expect(await Thesis.countDocuments()).toBe(0);
+
+    await importFile(catalog, 'catalog.csv', { dryRun: 'true' }).expect(200);
+  });
+
+  it('only reports with dryRun=true', async () => {
+    const res = await importFile(catalog, 'catalog.csv', { dryRun: 'true' }).expect(200);
+
+    expect(res.body.data).toMatchObject({ valid: 2 });
+    expect(res.body.data.jobs).toBeUndefined();
+    expect(await Thesis.countDocuments()).toBe(0);
+  });
+
+  it('imports BibTeX and RIS files', async () => {
+    const bibtex = `@phdthesis{cruz2021,
+  title = {${sampleTheses[2].title}},
+  author = {Cruz, Maria},
+  abstract = {${sampleTheses[2].abstract}},
+  year = {2021},
+  language = {english}
+}`;
+    await importFile(bibtex, 'legacy.bib').expect(202);
+
+    const ris = ['TY  - THES', `TI  - ${riceThesis.title}`, `AB  - ${riceThesis.abstract}`, 'PY  - 2023', 'ER  - '].join('\n');
+    await importFile(ris, 'export.txt', { format: 'ris' }).expect(202);
+
+    await jobService.drain();
+
+    const solar = await Thesis.findOne({ title: sampleTheses[2].title });
+    expect(solar).toMatchObject({ degreeLevel: 'doctoral', language: 'en', defenseYear: 2021 });
+    expect(await Thesis.countDocuments({ title: riceThesis.title })).toBe(1);
+  });
+
+  it('requires a curator', async () => {
+    const submitter = await createUser('submitter');
+    await request(app)
+      .post('/api/theses/import')
+      .set(authHeader(submitter.token))
+      .attach('file', Buffer.from(catalog), 'catalog.csv')
+      .expect(403);
+  });
+});
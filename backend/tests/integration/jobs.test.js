@@ -0,0 +1,204 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Thesis = require('../../src/models/Thesis');
+const Job = require('../../src/models/Job');
+const AuditEvent = require('../../src/models/AuditEvent');
+const embeddingService = require('../../src/services/embeddingService');
+const chunkService = require('../../src/services/chunkService');
+const jobService = require('../../src/services/jobService');
+const { JobService } = require('../../src/services/jobService');
+const db = require('../helpers/db');
+const { createUser, authHeader } = require('../helpers/auth');
+const { sampleTheses } = require('../helpers/fixtures');
+
+const [riceThesis] = sampleTheses;
+
+let submitter;
+let auth;
+
+beforeAll(() => db.connect());
+
+beforeEach(async () => {
+  const account = await createUser('submitter');
+  submitter = account.user;
+  auth = authHeader(account.token);
+});
+
+afterEach(async () => {
+  jobService.config.retryBaseDelayMs = 5000;
+  jobService.config.lockTimeoutMs = 10 * 60 * 1000;
+  jobService.config.itemConcurrency = 4;
+  jobService.config.workerAvailable = true;
+  await chunkService.idle();
+  await db.clear();
+});
+
+afterAll(() => db.disconnect());
+
+const getJob = async (jobId, headers = auth) => {
+  const res = await request(app).get(`/api/jobs/${jobId}`).set(headers).expect(200);
+  return res.body.data;
+};
+
+describe('POST /api/theses?async=true', () => {
+  it('queues the thesis and creates it in the background', async () => {
+    const res = await request(app).post('/api/theses?async=true').set(auth).send(riceThesis).expect(202);
+
+    const { jobId, status, statusUrl } = res.body.data;
+    expect(status).toBe('queued');
+    expect(statusUrl).toBe(`/api/jobs/${jobId}`);
+    expect(res.headers.location).toBe(statusUrl);
+    expect(await Thesis.countDocuments()).toBe(0);
+
+    expect(await getJob(jobId)).toMatchObject({ status: 'queued', progress: { done: 0, total: 1 } });
+
+    await jobService.drain();
+
+    const job = await getJob(jobId);
+    expect(job).toMatchObject({ status: 'succeeded', attempts: 1, progress: { done: 1, total: 1 }, error: null });
+    expect(job.result.theses).toHaveLength(1);
+    expect(job).not.toHaveProperty('payload');
+
+    const thesis = await Thesis.findById(job.result.theses[0].thesis);
+    expect(thesis).toMatchObject({ title: riceThesis.title, status: 'draft' });
+    expect(thesis.submittedBy).toEqual(submitter._id);
+    expect(thesis.embeddings).toHaveLength(384);
+    expect(thesis.tags.length).toBeGreaterThanOrEqual(3);
+
+    // Audited as the user who made the request
+    const [event] = await AuditEvent.find({ thesis: thesis._id });
+    expect(event).toMatchObject({ action: 'create', actorRole: 'submitter', requestId: res.headers['x-request-id'] });
+    expect(event.actor).toEqual(submitter._id);
+  });
+
+  it('still refuses a direct publish before queueing', async () => {
+    await request(app)
+      .post('/api/theses?async=true')
+      .set(auth)
+      .send({ ...riceThesis, status: 'published' })
+      .expect(403);
+    expect(await Job.countDocuments()).toBe(0);
+  });
+
+  it('rejects an invalid async flag', async () => {
+    await request(app).post('/api/theses?async=yes').set(auth).send(riceThesis).expect(400);
+  });
+
+  it('refuses to queue when no worker runs jobs (serverless)', async () => {
+    jobService.config.workerAvailable = false;
+
+    const res = await request(app).post('/api/theses?async=true').set(auth).send(riceThesis).expect(503);
+    expect(res.body.message).toMatch(/without async=true/);
+    expect(await Job.countDocuments()).toBe(0);
+
+    await request(app).post('/api/theses').set(auth).send(riceThesis).expect(201);
+  });
+});
+
+describe('POST /api/theses/batch?async=true', () => {
+  it('reports progress per thesis', async () => {
+    const curator = await createUser('curator');
+    const res = await request(app)
+      .post('/api/theses/batch?async=true')
+      .set(authHeader(curator.token))
+      .send({ theses: sampleTheses })
+      .expect(202);
+
+    await jobService.drain();
+
+    const job = await getJob(res.body.data.jobId, authHeader(curator.token));
+    expect(job).toMatchObject({ status: 'succeeded', progress: { done: 3, total: 3 } });
+    expect(job.result.theses.map((entry) => entry.index).sort()).toEqual([0, 1, 2]);
+    expect(await Thesis.countDocuments()).toBe(3);
+  });
+});
+
+describe('job retries', () => {
+  it('retries a failed attempt, keeping the theses already created', async () => {
+    jobService.config.retryBaseDelayMs = 0;
+    const curator = await createUser('curator');
+    jest
+      .spyOn(embeddingService, 'generateEmbedding')
+      .mockRejectedValueOnce(new Error('Failed to generate embeddings: model unavailable'));
+
+    const res = await request(app)
+      .post('/api/theses/batch?async=true')
+      .set(authHeader(curator.token))
+      .send({ theses: sampleTheses.slice(0, 2) })
+      .expect(202);
+
+    await jobService.drain();
+
+    const job = await getJob(res.body.data.jobId, authHeader(curator.token));
+    expect(job).toMatchObject({ status: 'succeeded', attempts: 2, progress: { done: 2, total: 2 } });
+    expect(job.result.errors).toEqual([]);
+    expect(await Thesis.countDocuments()).toBe(2);
+    embeddingService.generateEmbedding.mockRestore();
+  });
+
+  it('fails the job after the last attempt', async () => {
+    jobService.config.retryBaseDelayMs = 0;
+    const embed = jest
+      .spyOn(embeddingService, 'generateEmbedding')
+      .mockRejectedValue(new Error('Failed to generate embeddings: model unavailable'));
+
+    const res = await request(app).post('/api/theses?async=true').set(auth).send(riceThesis).expect(202);
+    await jobService.drain();
+    embed.mockRestore();
+
+    const job = await getJob(res.body.data.jobId);
+    expect(job).toMatchObject({ status: 'failed', attempts: 3, progress: { done: 0, total: 1 } });
+    expect(job.error).toMatch(/model unavailable/);
+    expect(job.result.errors).toEqual([{ index: 0, message: expect.stringMatching(/model unavailable/) }]);
+    expect(await Thesis.countDocuments()).toBe(0);
+  });
+});
+
+describe('job locks', () => {
+  it('keeps a job that runs past the lock timeout from being run twice', async () => {
+    jobService.config.lockTimeoutMs = 1000;
+    jobService.config.itemConcurrency = 1;
+    const curator = await createUser('curator');
+    const generate = embeddingService.generateEmbedding.bind(embeddingService);
+    const embed = jest.spyOn(embeddingService, 'generateEmbedding').mockImplementation(async (...args) => {
+      await new Promise((resolve) => setTimeout(resolve, 400));
+      return generate(...args);
+    });
+
+    const res = await request(app)
+      .post('/api/theses/batch?async=true')
+      .set(authHeader(curator.token))
+      .send({ theses: sampleTheses })
+      .expect(202);
+
+    const draining = jobService.drain();
+    // Another worker looks for abandoned jobs once the first lock has expired
+    await new Promise((resolve) => setTimeout(resolve, 1100));
+    const other = new JobService(jobService.config);
+    expect(await other.claim()).toBeNull();
+    await draining;
+    embed.mockRestore();
+
+    const job = await getJob(res.body.data.jobId, authHeader(curator.token));
+    expect(job).toMatchObject({ status: 'succeeded', attempts: 1, progress: { done: 3, total: 3 } });
+    expect(await Thesis.countDocuments()).toBe(3);
+  });
+});
+
+describe('GET /api/jobs/:id', () => {
+  it('hides jobs from other users but not from curators', async () => {
+    const res = await request(app).post('/api/theses?async=true').set(auth).send(riceThesis).expect(202);
+    const { jobId } = res.body.data;
+
+    const other = await createUser('submitter');
+    await request(app).get(`/api/jobs/${jobId}`).set(authHeader(other.token)).expect(404);
+
+    const curator = await createUser('curator');
+    await request(app).get(`/api/jobs/${jobId}`).set(authHeader(curator.token)).expect(200);
+  });
+
+  it('requires authentication', async () => {
+    const res = await request(app).post('/api/theses?async=true').set(auth).send(riceThesis).expect(202);
+    await request(app).get(`/api/jobs/${res.body.data.jobId}`).expect(401);
+  });
+});
@@ -0,0 +1,99 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Thesis = require('../../src/models/Thesis');
+const chunkService = require('../../src/services/chunkService');
+const oaiService = require('../../src/services/oaiService');
+const db = require('../helpers/db');
+const { createUser, authHeader } = require('../helpers/auth');
+const { sampleTheses } = require('../helpers/fixtures');
+
+const [riceThesis, blockchainThesis, solarThesis] = sampleTheses;
+
+beforeAll(async () => {
+  await db.connect();
+  const { token } = await createUser('curator');
+  await request(app).post('/api/theses/batch').set(authHeader(token)).send({ theses: sampleTheses }).expect(201);
+  await chunkService.idle();
+});
+
+afterEach(() => {
+  oaiService.config.pageSize = 100;
+});
+
+afterAll(() => db.disconnect());
+
+const oai = (params) => request(app).get('/oai').query(params).expect(200).expect('Content-Type', /text\/xml/);
+
+const identifierOf = async (title) => oaiService.identifier((await Thesis.findOne({ title }))._id);
+
+describe('GET /oai', () => {
+  it('identifies the repository', async () => {
+    const res = await oai({ verb: 'Identify' });
+
+    expect(res.text).toContain('<protocolVersion>2.0</protocolVersion>');
+    expect(res.text).toMatch(/<baseURL>http:\/\/127\.0\.0\.1:\d+\/oai<\/baseURL>/);
+    expect(res.text).toContain('<granularity>YYYY-MM-DDThh:mm:ssZ</granularity>');
+  });
+
+  it('returns a record in oai_dc', async () => {
+    const identifier = await identifierOf(riceThesis.title);
+
+    const res = await oai({ verb: 'GetRecord', identifier, metadataPrefix: 'oai_dc' });
+
+    expect(res.text).toContain(`<identifier>${identifier}</identifier>`);
+    expect(res.text).toContain(`<dc:title>${riceThesis.title}</dc:title>`);
+    expect(res.text).toContain('<dc:creator>Santos, Maria</dc:creator>');
+    expect(res.text).toContain('<dc:date>2023</dc:date>');
+  });
+
+  it('lists the tag sets', async () => {
+    const res = await oai({ verb: 'ListSets' });
+    const tags = await Thesis.distinct('tags');
+
+    expect(res.text.match(/<set>/g).length).toBeGreaterThan(0);
+    expect(res.text).toContain(`<setName>${tags[0]}</setName>`);
+  });
+
+  it('harvests every record across resumption tokens', async () => {
+    oaiService.config.pageSize = 2;
+
+    const first = await oai({ verb: 'ListRecords', metadataPrefix: 'oai_dc' });
+    expect(first.text.match(/<record>/g)).toHaveLength(2);
+    const [, token] = first.text.match(/<resumptionToken completeListSize="3" cursor="0">([^<]+)</);
+
+    const second = await oai({ verb: 'ListRecords', resumptionToken: token });
+    expect(second.text.match(/<record>/g)).toHaveLength(1);
+    expect(second.text).toContain('<resumptionToken completeListSize="3" cursor="2"/>');
+
+    const titles = [...first.text.matchAll(/<dc:title>([^<]+)</g), ...second.text.matchAll(/<dc:title>([^<]+)</g)].map(
+      (match) => match[1]
+    );
+    expect(titles.sort()).toEqual(sampleTheses.map((thesis) => thesis.title).sort());
+  });
+
+  it('harvests selectively by updatedAt and reports trashed theses as deleted', async () => {
+    // Backdate every thesis (the driver bypasses Mongoose timestamps), then change two
+    await Thesis.collection.updateMany({}, { $set: { updatedAt: new Date('2020-06-01T00:00:00Z') } });
+    await Thesis.updateOne({ title: solarThesis.title }, { deletedAt: new Date() });
+    await Thesis.updateOne({ title: blockchainThesis.title }, { status: 'draft' });
+
+    const old = await oai({ verb: 'ListIdentifiers', metadataPrefix: 'oai_dc', until: '2020-06-01' });
+    expect(old.text.match(/<header/g)).toHaveLength(1);
+    expect(old.text).toContain(`<identifier>${await identifierOf(riceThesis.title)}</identifier>`);
+
+    const res = await oai({ verb: 'ListIdentifiers', metadataPrefix: 'oai_dc', from: '2021-01-01' });
+
+    expect(res.text.match(/<header/g)).toHaveLength(1);
+    expect(res.text).toContain(`<header status="deleted"><identifier>${await identifierOf(solarThesis.title)}`);
+  });
+
+  it('answers protocol errors with status 200', async () => {
+    const res = await oai({ verb: 'GetRecord', metadataPrefix: 'oai_dc' });
+    expect(res.text).toContain('<error code="badArgument">');
+  });
+
+  it('accepts POST form requests', async () => {
+    const res = await request(app).post('/oai').type('form').send({ verb: 'ListMetadataFormats' }).expect(200);
+    expect(res.text).toContain('<metadataPrefix>oai_dc</metadataPrefix>');
+  });
+});
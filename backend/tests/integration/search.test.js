@@ -0,0 +1,389 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../../src/app');
+const chunkService = require('../../src/services/chunkService');
+const vectorIndexService = require('../../src/services/vectorIndexService');
+const rerankService = require('../../src/services/rerankService');
+const db = require('../helpers/db');
+const { createUser, authHeader } = require('../helpers/auth');
+const { sampleTheses } = require('../helpers/fixtures');
+
+const RICE_QUERY = 'convolutional neural networks for rice disease';
+
+beforeAll(async () => {
+  await db.connect();
+  const { token } = await createUser('curator');
+  await request(app).post('/api/theses/batch').set(authHeader(token)).send({ theses: sampleTheses }).expect(201);
+  await chunkService.idle();
+});
+
+afterAll(() => db.disconnect());
+
+describe('POST /api/search/semantic', () => {
+  it('ranks the relevant thesis first using the manual vector search fallback', async () => {
+    expect(vectorIndexService.isReady()).toBe(false);
+
+    const res = await request(app).post('/api/search/semantic').send({ query: RICE_QUERY }).expect(200);
+
+    expect(res.body).toMatchObject({ success: true, query: RICE_QUERY, mode: 'semantic' });
+    expect(res.body.count).toBe(1);
+    expect(res.body.data[0].title).toBe(sampleTheses[0].title);
+    expect(res.body.data[0].score).toBeGreaterThanOrEqual(0.5);
+    expect(res.body.data[0].embeddings).toBeUndefined();
+  });
+
+  it('applies the similarity threshold and limit', async () => {
+    const res = await request(app)
+      .post('/api/search/semantic')
+      .send({ query: RICE_QUERY, threshold: 0, limit: 2 })
+      .expect(200);
+
+    expect(res.body.count).toBe(2);
+    expect(res.body.data[0].score).toBeGreaterThan(res.body.data[1].score);
+  });
+
+  it('matches exact terms in keyword mode', async () => {
+    const res = await request(app)
+      .post('/api/search/semantic')
+      .send({ query: 'barangay', mode: 'keyword' })
+      .expect(200);
+
+    expect(res.body.data.map((thesis) => thesis.title)).toEqual([sampleTheses[1].title]);
+  });
+
+  it('fuses both rankings in hybrid mode', async () => {
+    const res = await request(app)
+      .post('/api/search/semantic')
+      .send({ query: 'solar irrigation for farms', mode: 'hybrid' })
+      .expect(200);
+
+    expect(res.body.data[0].title).toBe(sampleTheses[2].title);
+    expect(res.body.data[0].ranking.semantic.rank).toBe(1);
+    expect(res.body.data[0].ranking.keyword.rank).toBe(1);
+  });
+
+  it('rejects a missing query', async () => {
+    const res = await request(app).post('/api/search/semantic').send({}).expect(400);
+    expect(res.body.success).toBe(false);
+  });
+
+  it('rejects an unknown mode', async () => {
+    await request(app).post('/api/search/semantic').send({ query: 'rice', mode: 'fuzzy' }).expect(400);
+  });
+
+  describe('with the HNSW index', () => {
+    const originalConfig = vectorIndexService.config;
+    let snapshotDir;
+
+    beforeAll(async () => {
+      snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vector-index-'));
+      vectorIndexService.config = { ...originalConfig, enabled: true, snapshotDir };
+      await vectorIndexService.initialize();
+    });
+
+    afterAll(() => {
+      vectorIndexService.config = originalConfig;
+      vectorIndexService.index = null;
+      vectorIndexService.initPromise = null;
+      fs.rmSync(snapshotDir, { recursive: true, force: true });
+    });
+
+    it('returns the same top result as the exhaustive search', async () => {
+      expect(vectorIndexService.isReady()).toBe(true);
+
+      const res = await request(app)
+        .post('/api/search/semantic')
+        .send({ query: RICE_QUERY, efSearch: 50 })
+        .expect(200);
+
+      expect(res.body.data[0].title).toBe(sampleTheses[0].title);
+    });
+
+    it('pre-filters the index with the search filters', async () => {
+      const res = await request(app)
+        .post('/api/search/semantic')
+        .send({ query: RICE_QUERY, threshold: 0, filters: { department: 'Electrical Engineering' } })
+        .expect(200);
+
+      expect(res.body.data.map((thesis) => thesis.title)).toEqual([sampleTheses[2].title]);
+    });
+  });
+});
+
+describe('search filters and facets', () => {
+  it('only retrieves theses matching the filters', async () => {
+    const res = await request(app)
+      .post('/api/search/semantic')
+      .send({ query: RICE_QUERY, threshold: 0, limit: 1, filters: { yearTo: 2022 } })
+      .expect(200);
+
+    // The best match (2023) is filtered out before ranking, not after
+    expect(res.body.count).toBe(1);
+    expect(res.body.data[0].defenseYear).toBeLessThanOrEqual(2022);
+    expect(res.body.filters).toEqual({ yearTo: 2022 });
+  });
+
+  it('applies filters in keyword mode', async () => {
+    const res = await request(app)
+      .post('/api/search/semantic')
+      .send({ query: 'rice', mode: 'keyword', filters: { degreeLevel: 'master' } })
+      .expect(200);
+
+    expect(res.body.count).toBe(0);
+  });
+
+  it('counts facets over the matching theses', async () => {
+    const res = await request(app).post('/api/search/semantic').send({ query: RICE_QUERY, threshold: 0 }).expect(200);
+
+    expect(res.body.facets.years).toEqual([
+      { value: 2023, count: 1 },
+      { value: 2022, count: 1 },
+      { value: 2021, count: 1 },
+    ]);
+    expect(res.body.facets.departments).toHaveLength(3);
+    expect(res.body.facets.tags.length).toBeGreaterThan(0);
+  });
+
+  it('counts facets for tag searches', async () => {
+    const tags = await request(app).get('/api/theses/tags/all').expect(200);
+
+    const res = await request(app).post('/api/search/tags').send({ tags: tags.body.data }).expect(200);
+
+    expect(res.body.count).toBe(sampleTheses.length);
+    expect(res.body.facets.departments.map((bucket) => bucket.count)).toEqual([1, 1, 1]);
+  });
+
+  it('rejects invalid filters', async () => {
+    await request(app)
+      .post('/api/search/semantic')
+      .send({ query: RICE_QUERY, filters: { yearFrom: 2023, yearTo: 2020 } })
+      .expect(400);
+    await request(app).post('/api/search/combined').send({ query: RICE_QUERY, filters: { color: 'red' } }).expect(400);
+  });
+});
+
+describe('search pagination', () => {
+  const pageThrough = async (url, body) => {
+    const pages = [];
+    let cursor;
+    do {
+      const res = await request(app).post(url).send({ ...body, cursor }).expect(200);
+      pages.push(res.body);
+      cursor = res.body.pagination.nextCursor;
+    } while (cursor && pages.length < 10);
+    return pages;
+  };
+
+  it('pages through semantic results without gaps or repeats', async () => {
+    const pages = await pageThrough('/api/search/semantic', { query: RICE_QUERY, threshold: 0, limit: 1 });
+    const titles = pages.flatMap((page) => page.data.map((thesis) => thesis.title));
+
+    expect(pages).toHaveLength(sampleTheses.length);
+    expect(titles[0]).toBe(sampleTheses[0].title);
+    expect(new Set(titles).size).toBe(sampleTheses.length);
+    expect(pages.map((page) => page.pagination.offset)).toEqual([0, 1, 2]);
+    pages.forEach((page) => expect(page.pagination).toMatchObject({ limit: 1, total: 3, estimated: false }));
+  });
+
+  it('pages through tag results newest first', async () => {
+    const tags = await request(app).get('/api/theses/tags/all').expect(200);
+
+    const pages = await pageThrough('/api/search/tags', { tags: tags.body.data, limit: 2 });
+    const results = pages.flatMap((page) => page.data);
+
+    expect(pages.map((page) => page.count)).toEqual([2, 1]);
+    expect(pages[0].pagination).toMatchObject({ total: 3, estimated: false });
+    expect(new Set(results.map((thesis) => thesis._id)).size).toBe(3);
+    const times = results.map((thesis) => new Date(thesis.createdAt).getTime());
+    expect(times).toEqual([...times].sort((a, b) => b - a));
+  });
+
+  it('rejects a cursor from a different search', async () => {
+    const first = await request(app)
+      .post('/api/search/semantic')
+      .send({ query: RICE_QUERY, threshold: 0, limit: 1 })
+      .expect(200);
+
+    const res = await request(app)
+      .post('/api/search/semantic')
+      .send({ query: 'blockchain budget', threshold: 0, limit: 1, cursor: first.body.pagination.nextCursor })
+      .expect(400);
+    expect(res.body.message).toMatch(/different search/);
+
+    await request(app)
+      .post('/api/search/combined')
+      .send({ tags: ['rice'], cursor: first.body.pagination.nextCursor })
+      .expect(400);
+  });
+});
+
+describe('cross-encoder reranking', () => {
+  it('reranks the top results and returns both scores', async () => {
+    const res = await request(app)
+      .post('/api/search/semantic')
+      .send({ query: 'blockchain ledger for barangay budget', threshold: 0, rerank: true, rerankTopN: 3 })
+      .expect(200);
+
+    expect(res.body.rerank).toEqual({ applied: true, topN: 3 });
+    expect(res.body.data[0].title).toBe(sampleTheses[1].title);
+    res.body.data.forEach((thesis) => {
+      expect(typeof thesis.score).toBe('number');
+      expect(typeof thesis.rerankScore).toBe('number');
+    });
+    const rerankScores = res.body.data.map((thesis) => thesis.rerankScore);
+    expect(rerankScores).toEqual([...rerankScores].sort((a, b) => b - a));
+  });
+
+  it('keeps the retrieval order when the cross-encoder fails', async () => {
+    const score = jest.spyOn(rerankService, 'scorePairs').mockRejectedValueOnce(new Error('model unavailable'));
+
+    const res = await request(app)
+      .post('/api/search/semantic')
+      .send({ query: RICE_QUERY, threshold: 0, rerank: true })
+      .expect(200);
+
+    expect(res.body.rerank).toMatchObject({ applied: false });
+    expect(res.body.data[0].title).toBe(sampleTheses[0].title);
+    expect(res.body.data[0].rerankScore).toBeUndefined();
+    score.mockRestore();
+  });
+
+  it('does not rerank unless asked', async () => {
+    const res = await request(app).post('/api/search/semantic').send({ query: RICE_QUERY }).expect(200);
+    expect(res.body.rerank).toBeNull();
+  });
+});
+
+describe('search highlights', () => {
+  it('explains semantic hits with the closest sentence and matched terms', async () => {
+    const res = await request(app).post('/api/search/semantic').send({ query: RICE_QUERY }).expect(200);
+
+    const { text, sentence, matches } = res.body.data[0].highlight;
+    expect(sentence).toMatchObject({ start: expect.any(Number), end: expect.any(Number) });
+    expect(text.slice(sentence.start, sentence.end)).toMatch(/convolutional neural networks/);
+    expect(matches.map((match) => text.slice(match.start, match.end).toLowerCase())).toEqual(
+      expect.arrayContaining(['convolutional', 'neural', 'networks', 'rice', 'disease'])
+    );
+  });
+
+  it('only marks terms for keyword hits', async () => {
+    const res = await request(app).post('/api/search/semantic').send({ query: 'blockchain', mode: 'keyword' }).expect(200);
+
+    const { text, sentence, matches } = res.body.data[0].highlight;
+    expect(sentence).toBeNull();
+    expect(text.slice(matches[0].start, matches[0].end)).toBe('blockchain');
+  });
+});
+
+describe('POST /api/search/tags', () => {
+  it('finds theses with any of the tags', async () => {
+    const tags = await request(app).get('/api/theses/tags/all').expect(200);
+    const [first, second] = tags.body.data;
+
+    const res = await request(app).post('/api/search/tags').send({ tags: [first, second] }).expect(200);
+
+    expect(res.body.searchParams).toEqual({ tags: [first, second], operator: 'OR' });
+    res.body.data.forEach((thesis) => expect(thesis.tags.some((tag) => [first, second].includes(tag))).toBe(true));
+  });
+
+  it('requires every tag with the AND operator', async () => {
+    const res = await request(app)
+      .post('/api/search/tags')
+      .send({ tags: ['no-such-tag', 'another-missing-tag'], operator: 'AND' })
+      .expect(200);
+
+    expect(res.body.count).toBe(0);
+  });
+
+  it('rejects an empty tag list', async () => {
+    await request(app).post('/api/search/tags').send({ tags: [] }).expect(400);
+  });
+});
+
+describe('POST /api/search/combined', () => {
+  it('filters semantic results by tag', async () => {
+    const thesis = await request(app).get('/api/theses').query({ limit: 100 }).expect(200);
+    const rice = thesis.body.data.find((item) => item.title === sampleTheses[0].title);
+
+    const res = await request(app)
+      .post('/api/search/combined')
+      .send({ query: RICE_QUERY, tags: [rice.tags[0]] })
+      .expect(200);
+
+    expect(res.body.data.map((item) => item.title)).toEqual([sampleTheses[0].title]);
+  });
+
+  it('searches by query alone', async () => {
+    const res = await request(app).post('/api/search/combined').send({ query: 'blockchain budget' }).expect(200);
+    expect(res.body.data[0].title).toBe(sampleTheses[1].title);
+  });
+
+  it('rejects a request with neither query nor tags', async () => {
+    await request(app).post('/api/search/combined').send({}).expect(400);
+  });
+});
+
+describe('unpublished theses', () => {
+  const { status, ...draft } = sampleTheses[0];
+  const draftTitle = 'Rice Blast Detection With Convolutional Neural Networks (Draft)';
+
+  beforeAll(async () => {
+    const { token } = await createUser('submitter');
+    await request(app)
+      .post('/api/theses')
+      .set(authHeader(token))
+      .send({ ...draft, title: draftTitle })
+      .expect(201);
+    await chunkService.idle();
+  });
+
+  it('are excluded from semantic and keyword search', async () => {
+    for (const mode of ['semantic', 'keyword', 'hybrid']) {
+      const res = await request(app).post('/api/search/semantic').send({ query: RICE_QUERY, mode }).expect(200);
+      expect(res.body.data.map((item) => item.title)).not.toContain(draftTitle);
+    }
+  });
+
+  it('are excluded from tag search', async () => {
+    const res = await request(app).post('/api/search/tags').send({ tags: ['rice'] }).expect(200);
+    expect(res.body.data.map((item) => item.title)).not.toContain(draftTitle);
+  });
+});
+
+describe('MMR diversification', () => {
+  const duplicateTitle = 'Rice Leaf Disease Detection Using Convolutional Neural Networks (Replication)';
+
+  beforeAll(async () => {
+    const { token } = await createUser('curator');
+    await request(app)
+      .post('/api/theses')
+      .set(authHeader(token))
+      .send({ ...sampleTheses[0], title: duplicateTitle })
+      .expect(201);
+    await chunkService.idle();
+  });
+
+  it('fills the top results with near-duplicates by relevance alone', async () => {
+    const res = await request(app)
+      .post('/api/search/semantic')
+      .send({ query: RICE_QUERY, threshold: 0, limit: 2 })
+      .expect(200);
+
+    expect(res.body.data.map((item) => item.title).sort()).toEqual([sampleTheses[0].title, duplicateTitle].sort());
+    expect(res.body.mmr).toBeNull();
+  });
+
+  it('trades relevance for variety with MMR', async () => {
+    const res = await request(app)
+      .post('/api/search/semantic')
+      .send({ query: RICE_QUERY, threshold: 0, limit: 2, mmr: true, mmrLambda: 0.3 })
+      .expect(200);
+
+    const titles = res.body.data.map((item) => item.title);
+    expect([sampleTheses[0].title, duplicateTitle]).toContain(titles[0]);
+    expect([sampleTheses[0].title, duplicateTitle]).not.toContain(titles[1]);
+    expect(res.body.mmr).toEqual({ lambda: 0.3 });
+  });
+});
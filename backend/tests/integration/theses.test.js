@@ -0,0 +1,545 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const Thesis = require('../../src/models/Thesis');
+const ThesisChunk = require('../../src/models/ThesisChunk');
+const chunkService = require('../../src/services/chunkService');
+const trashService = require('../../src/services/trashService');
+const db = require('../helpers/db');
+const { createUser, authHeader } = require('../helpers/auth');
+const { sampleTheses, buildPdf } = require('../helpers/fixtures');
+
+const [riceThesis] = sampleTheses;
+
+let auth;
+
+beforeAll(() => db.connect());
+
+beforeEach(async () => {
+  const { token } = await createUser('admin');
+  auth = authHeader(token);
+});
+
+afterEach(async () => {
+  await chunkService.idle();
+  await db.clear();
+});
+
+afterAll(() => db.disconnect());
+
+const createThesis = async (thesis = riceThesis) => {
+  const res = await request(app).post('/api/theses').set(auth).send(thesis).expect(201);
+  return res.body.data;
+};
+
+describe('POST /api/theses', () => {
+  it('creates a thesis with tags and no embeddings in the response', async () => {
+    const res = await request(app).post('/api/theses').set(auth).send(riceThesis).expect(201);
+
+    expect(res.body.success).toBe(true);
+    expect(res.body.data).toMatchObject({
+      title: riceThesis.title,
+      department: 'Computer Science',
+      defenseYear: 2023,
+    });
+    expect(res.body.data.tags.length).toBeGreaterThanOrEqual(3);
+    expect(res.body.data.embeddings).toBeUndefined();
+  });
+
+  it('rejects a thesis without an abstract', async () => {
+    const res = await request(app).post('/api/theses').set(auth).send({ title: 'Only a title here' }).expect(400);
+
+    expect(res.body.success).toBe(false);
+    expect(res.body.message).toBe('Validation failed');
+  });
+});
+
+describe('POST /api/theses/batch', () => {
+  it('creates every thesis in the batch', async () => {
+    const res = await request(app).post('/api/theses/batch').set(auth).send({ theses: sampleTheses }).expect(201);
+
+    expect(res.body.count).toBe(sampleTheses.length);
+    expect(res.body.data.map((thesis) => thesis.title)).toEqual(sampleTheses.map((thesis) => thesis.title));
+  });
+
+  it('rejects an empty batch', async () => {
+    await request(app).post('/api/theses/batch').set(auth).send({ theses: [] }).expect(400);
+  });
+});
+
+describe('POST /api/theses/upload', () => {
+  it('creates a thesis from the title and abstract in a PDF', async () => {
+    const pdf = buildPdf([
+      ['Solar Powered Irrigation Scheduling', 'A Thesis Presented to the Faculty', 'Ana Cruz'],
+      ['Abstract', 'A solar powered controller schedules irrigation for small farms using soil moisture sensors.'],
+    ]);
+
+    const res = await request(app)
+      .post('/api/theses/upload')
+      .set(auth)
+      .attach('file', pdf, { filename: 'irrigation.pdf', contentType: 'application/pdf' })
+      .expect(201);
+
+    expect(res.body.data.title).toBe('Solar Powered Irrigation Scheduling');
+    expect(res.body.data.abstract).toMatch(/soil moisture sensors/);
+    expect(res.body.data.file).toMatchObject({ filename: 'irrigation.pdf', pageCount: 2 });
+
+    const download = await request(app).get(`/api/theses/${res.body.data._id}/file`).set(auth).expect(200);
+    expect(download.headers['content-type']).toBe('application/pdf');
+    expect(Buffer.compare(download.body, pdf)).toBe(0);
+  });
+
+  it('keeps a non-ASCII file name and serves it in RFC 5987 form with an ASCII fallback', async () => {
+    const pdf = buildPdf([
+      ['Solar Irrigation on Small Farms', 'A Thesis Presented to the Faculty'],
+      ['Abstract', 'A solar powered controller schedules irrigation for small farms using soil moisture sensors.'],
+    ]);
+
+    const res = await request(app)
+      .post('/api/theses/upload')
+      .set(auth)
+      .attach('file', pdf, { filename: 'irrigação solar.pdf', contentType: 'application/pdf' })
+      .expect(201);
+
+    expect(res.body.data.file.filename).toBe('irrigação solar.pdf');
+
+    const download = await request(app).get(`/api/theses/${res.body.data._id}/file`).set(auth).expect(200);
+    expect(download.headers['content-disposition']).toBe(
+      `inline; filename="irriga__o solar.pdf"; filename*=UTF-8''irriga%C3%A7%C3%A3o%20solar.pdf`
+    );
+  });
+
+  it('rejects files that are not PDFs', async () => {
+    const res = await request(app)
+      .post('/api/theses/upload')
+      .set(auth)
+      .attach('file', Buffer.from('plain text'), { filename: 'notes.txt', contentType: 'text/plain' })
+      .expect(400);
+
+    expect(res.body.success).toBe(false);
+  });
+
+  it('rejects a PDF that cannot be read with 422', async () => {
+    const res = await request(app)
+      .post('/api/theses/upload')
+      .set(auth)
+      .attach('file', Buffer.from('%PDF-1.4\nnot really a pdf'), {
+        filename: 'broken.pdf',
+        contentType: 'application/pdf',
+      })
+      .expect(422);
+
+    expect(res.body.success).toBe(false);
+    expect(res.body.message).toMatch(/Failed to extract PDF text/);
+    expect(await Thesis.countDocuments()).toBe(0);
+  });
+
+  it('requires a file', async () => {
+    await request(app).post('/api/theses/upload').set(auth).field('title', 'No file attached').expect(400);
+  });
+});
+
+describe('GET /api/theses', () => {
+  it('paginates theses', async () => {
+    await request(app).post('/api/theses/batch').set(auth).send({ theses: sampleTheses }).expect(201);
+
+    const res = await request(app).get('/api/theses').query({ page: 2, limit: 2 }).expect(200);
+
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.pagination).toEqual({ current: 2, pages: 2, total: 3, limit: 2 });
+  });
+
+  it('rejects an invalid page size', async () => {
+    await request(app).get('/api/theses').query({ limit: 1000 }).expect(400);
+  });
+});
+
+describe('GET /api/theses/:id', () => {
+  it('returns a thesis', async () => {
+    const thesis = await createThesis();
+
+    const res = await request(app).get(`/api/theses/${thesis._id}`).expect(200);
+    expect(res.body.data.title).toBe(riceThesis.title);
+    expect(res.body.data.embeddings).toBeUndefined();
+  });
+
+  it('returns 404 for a missing thesis', async () => {
+    const res = await request(app).get('/api/theses/64b7f0c2a1b2c3d4e5f60718').expect(404);
+    expect(res.body.message).toBe('Thesis not found');
+  });
+
+  it('returns 404 for a malformed id (CastError)', async () => {
+    const res = await request(app).get('/api/theses/not-an-id').expect(404);
+    expect(res.body).toMatchObject({ success: false, message: 'Resource not found' });
+  });
+
+  it('returns 404 when a thesis has no file', async () => {
+    const thesis = await createThesis();
+    await request(app).get(`/api/theses/${thesis._id}/file`).expect(404);
+  });
+});
+
+describe('tags and statistics', () => {
+  beforeEach(async () => {
+    await request(app).post('/api/theses/batch').set(auth).send({ theses: sampleTheses }).expect(201);
+  });
+
+  it('GET /api/theses/stats counts theses and tags', async () => {
+    const res = await request(app).get('/api/theses/stats').expect(200);
+
+    expect(res.body.data.totalTheses).toBe(3);
+    expect(res.body.data.totalUniqueTags).toBeGreaterThan(0);
+    expect(res.body.data.topTags.length).toBeLessThanOrEqual(10);
+  });
+
+  it('GET /api/theses/tags/all lists unique tags in order', async () => {
+    const res = await request(app).get('/api/theses/tags/all').expect(200);
+
+    expect(res.body.count).toBe(res.body.data.length);
+    expect(res.body.data).toEqual([...new Set(res.body.data)].sort());
+  });
+
+  it('GET /api/theses/tag/:tag returns theses with that tag', async () => {
+    const tags = await request(app).get('/api/theses/tags/all').expect(200);
+    const [tag] = tags.body.data;
+
+    const res = await request(app).get(`/api/theses/tag/${encodeURIComponent(tag)}`).expect(200);
+    expect(res.body.count).toBeGreaterThan(0);
+    res.body.data.forEach((thesis) => expect(thesis.tags).toContain(tag));
+  });
+});
+
+describe('GET /api/theses/:id/similar', () => {
+  it('returns other theses, excluding the reference thesis', async () => {
+    const batch = await request(app).post('/api/theses/batch').set(auth).send({ theses: sampleTheses }).expect(201);
+    const [reference] = batch.body.data;
+
+    const res = await request(app).get(`/api/theses/${reference._id}/similar`).query({ limit: 5 }).expect(200);
+
+    expect(res.body.data.length).toBeGreaterThan(0);
+    res.body.data.forEach((thesis) => expect(String(thesis._id)).not.toBe(String(reference._id)));
+  });
+});
+
+describe('GET /api/theses/:id/cite', () => {
+  it('formats a citation in the requested style', async () => {
+    const thesis = await createThesis();
+
+    const res = await request(app).get(`/api/theses/${thesis._id}/cite`).query({ style: 'apa' }).expect(200);
+    expect(res.body.data).toEqual({
+      style: 'apa',
+      label: 'APA (7th edition)',
+      text: `Santos, M. (2023). ${riceThesis.title} [Bachelor's thesis].`,
+      html: `Santos, M. (2023). <i>${riceThesis.title}</i> [Bachelor&#39;s thesis].`,
+    });
+  });
+
+  it('returns every style without ?style= and rejects unknown styles', async () => {
+    const thesis = await createThesis();
+
+    const res = await request(app).get(`/api/theses/${thesis._id}/cite`).expect(200);
+    expect(res.body.data.map((citation) => citation.style)).toEqual(['apa', 'mla', 'ieee', 'chicago', 'harvard']);
+
+    await request(app).get(`/api/theses/${thesis._id}/cite`).query({ style: 'vancouver' }).expect(400);
+  });
+
+  it('hides unpublished theses', async () => {
+    const thesis = await createThesis({ ...riceThesis, status: 'draft' });
+    await request(app).get(`/api/theses/${thesis._id}/cite`).expect(404);
+  });
+});
+
+describe('PATCH /api/theses/:id', () => {
+  it('re-embeds when the abstract changes and keeps the ID and tags', async () => {
+    const thesis = await createThesis();
+    const before = await Thesis.findById(thesis._id);
+
+    const res = await request(app)
+      .patch(`/api/theses/${thesis._id}`)
+      .set(auth)
+      .send({ abstract: 'Convolutional neural networks detect bacterial leaf blight on rice.' })
+      .expect(200);
+
+    expect(res.body.changes).toEqual({ fields: ['abstract'], reembedded: true, tagMode: 'keep' });
+    expect(res.body.data._id).toBe(thesis._id);
+    expect(res.body.data.tags).toEqual(thesis.tags);
+
+    const after = await Thesis.findById(thesis._id);
+    expect(after.embeddings).not.toEqual(before.embeddings);
+    expect(after.updatedAt.getTime()).toBeGreaterThan(before.updatedAt.getTime());
+  });
+
+  it('rechunks a thesis updated twice in a row from its latest version', async () => {
+    const thesis = await createThesis();
+    const latest = 'Transfer learning classifies rice tungro from drone imagery across three provinces.';
+
+    // The second update lands while the chunks of the first are still being built
+    await request(app)
+      .patch(`/api/theses/${thesis._id}`)
+      .set(auth)
+      .send({ abstract: 'Convolutional neural networks detect bacterial leaf blight on rice.' })
+      .expect(200);
+    await request(app).patch(`/api/theses/${thesis._id}`).set(auth).send({ abstract: latest }).expect(200);
+    await chunkService.idle();
+
+    const chunks = await ThesisChunk.find({ thesis: thesis._id }).sort({ index: 1 }).lean();
+    expect(chunks.map((chunk) => chunk.index)).toEqual(chunks.map((_, index) => index));
+    expect(chunks.map((chunk) => chunk.text).join(' ')).toContain(latest);
+  });
+
+  it('does not re-embed for metadata outside the embedding text', async () => {
+    const thesis = await createThesis();
+    const before = await Thesis.findById(thesis._id);
+
+    const res = await request(app)
+      .patch(`/api/theses/${thesis._id}`)
+      .set(auth)
+      .send({ defenseYear: 2024, license: 'CC-BY-4.0' })
+      .expect(200);
+
+    expect(res.body.changes.reembedded).toBe(false);
+    expect((await Thesis.findById(thesis._id)).embeddings).toEqual(before.embeddings);
+  });
+
+  it('leaves updatedAt alone when nothing changes', async () => {
+    const thesis = await createThesis();
+
+    const res = await request(app)
+      .patch(`/api/theses/${thesis._id}`)
+      .set(auth)
+      .send({ title: riceThesis.title })
+      .expect(200);
+
+    expect(res.body.message).toBe('No changes');
+    expect(res.body.data.updatedAt).toBe(thesis.updatedAt);
+  });
+
+  it('replaces tags with normalized ones', async () => {
+    const thesis = await createThesis();
+
+    const res = await request(app)
+      .patch(`/api/theses/${thesis._id}`)
+      .set(auth)
+      .send({ tags: ['Rice', 'plant disease ', 'CNN'] })
+      .expect(200);
+
+    expect(res.body.data.tags).toEqual(['rice', 'plant disease', 'cnn']);
+    expect(res.body.changes).toMatchObject({ fields: ['tags'], reembedded: false, tagMode: 'replace' });
+  });
+
+  it('regenerates tags from the new title', async () => {
+    const thesis = await createThesis();
+
+    const res = await request(app)
+      .patch(`/api/theses/${thesis._id}`)
+      .set(auth)
+      .send({ title: 'Tungro Virus Detection in Rice Paddies', tagMode: 'regenerate' })
+      .expect(200);
+
+    expect(res.body.data.tags).toContain('tungro');
+  });
+
+  it('clears metadata sent as null', async () => {
+    const thesis = await createThesis({ ...riceThesis, doi: '10.1234/rice.2023' });
+
+    const res = await request(app).patch(`/api/theses/${thesis._id}`).set(auth).send({ doi: null }).expect(200);
+    expect(res.body.data.doi).toBeUndefined();
+  });
+
+  it('only lets submitters edit their own theses', async () => {
+    const thesis = await createThesis();
+    const { token } = await createUser('submitter');
+
+    await request(app)
+      .patch(`/api/theses/${thesis._id}`)
+      .set(authHeader(token))
+      .send({ title: 'Not mine' })
+      .expect(403);
+  });
+
+  it('rejects invalid updates', async () => {
+    const thesis = await createThesis();
+
+    await request(app).patch(`/api/theses/${thesis._id}`).set(auth).send({ embeddings: [] }).expect(400);
+    await request(app).patch('/api/theses/64b7f0c2a1b2c3d4e5f60718').set(auth).send({ title: 'Missing' }).expect(404);
+  });
+});
+
+describe('POST /api/theses/:id/retag', () => {
+  it('regenerates the tags and reports the previous ones', async () => {
+    const thesis = await createThesis();
+
+    const res = await request(app).post(`/api/theses/${thesis._id}/retag`).set(auth).expect(200);
+
+    expect(res.body.data.previousTags).toEqual(thesis.tags);
+    expect(res.body.data.tags.length).toBeGreaterThanOrEqual(3);
+  });
+
+  it('returns 404 for a missing thesis', async () => {
+    await request(app).post('/api/theses/64b7f0c2a1b2c3d4e5f60718/retag').set(auth).expect(404);
+  });
+});
+
+describe('review workflow', () => {
+  const { status, ...draftThesis } = riceThesis;
+  let submitter;
+
+  beforeEach(async () => {
+    const { token } = await createUser('submitter');
+    submitter = authHeader(token);
+  });
+
+  const createDraft = async () => {
+    const res = await request(app).post('/api/theses').set(submitter).send(draftThesis).expect(201);
+    return res.body.data;
+  };
+
+  it('starts submissions as drafts visible only to their submitter and curators', async () => {
+    const thesis = await createDraft();
+    expect(thesis.status).toBe('draft');
+
+    await request(app).get(`/api/theses/${thesis._id}`).expect(404);
+    await request(app).get(`/api/theses/${thesis._id}`).set(submitter).expect(200);
+    await request(app).get(`/api/theses/${thesis._id}`).set(auth).expect(200);
+
+    const publicList = await request(app).get('/api/theses').expect(200);
+    expect(publicList.body.pagination.total).toBe(0);
+
+    const mine = await request(app).get('/api/theses').query({ mine: 'true' }).set(submitter).expect(200);
+    expect(mine.body.data.map((item) => item._id)).toEqual([thesis._id]);
+  });
+
+  it('lets only curators publish on creation', async () => {
+    const res = await request(app).post('/api/theses').set(submitter).send(riceThesis).expect(403);
+    expect(res.body.message).toBe('Only curators can publish theses directly');
+  });
+
+  it('moves a thesis from submission to publication with review notes', async () => {
+    const thesis = await createDraft();
+
+    await request(app).post(`/api/theses/${thesis._id}/submit`).set(submitter).expect(200);
+
+    const queue = await request(app).get('/api/theses').query({ status: 'pending' }).set(auth).expect(200);
+    expect(queue.body.data.map((item) => item._id)).toEqual([thesis._id]);
+
+    await request(app).post(`/api/theses/${thesis._id}/publish`).set(submitter).expect(403);
+    const published = await request(app)
+      .post(`/api/theses/${thesis._id}/publish`)
+      .set(auth)
+      .send({ note: 'Approved by the library' })
+      .expect(200);
+
+    expect(published.body.data.status).toBe('published');
+    expect(published.body.data.publishedAt).toBeDefined();
+    expect(published.body.data.reviewNotes.map((note) => note.action)).toEqual(['submit', 'publish']);
+
+    const publicView = await request(app).get(`/api/theses/${thesis._id}`).expect(200);
+    expect(publicView.body.data.reviewNotes).toBeUndefined();
+
+    const ownerView = await request(app).get(`/api/theses/${thesis._id}`).set(submitter).expect(200);
+    expect(ownerView.body.data.reviewNotes[1]).toMatchObject({ from: 'pending', to: 'published', note: 'Approved by the library' });
+  });
+
+  it('requires a note to reject and lets the submitter revise and resubmit', async () => {
+    const thesis = await createDraft();
+    await request(app).post(`/api/theses/${thesis._id}/submit`).set(submitter).expect(200);
+
+    await request(app).patch(`/api/theses/${thesis._id}`).set(submitter).send({ defenseYear: 2024 }).expect(409);
+    await request(app).post(`/api/theses/${thesis._id}/reject`).set(auth).expect(400);
+    await request(app)
+      .post(`/api/theses/${thesis._id}/reject`)
+      .set(auth)
+      .send({ note: 'Add the advisor' })
+      .expect(200);
+
+    await request(app)
+      .patch(`/api/theses/${thesis._id}`)
+      .set(submitter)
+      .send({ advisors: ['Jose Reyes'] })
+      .expect(200);
+    const res = await request(app).post(`/api/theses/${thesis._id}/submit`).set(submitter).expect(200);
+    expect(res.body.data.status).toBe('pending');
+  });
+
+  it('rejects transitions from the wrong state', async () => {
+    const thesis = await createDraft();
+
+    const res = await request(app).post(`/api/theses/${thesis._id}/publish`).set(auth).expect(409);
+    expect(res.body.message).toBe('Cannot publish a draft thesis');
+  });
+
+  it('hides unpublished theses from other submitters', async () => {
+    const thesis = await createDraft();
+    const { token } = await createUser('submitter');
+
+    await request(app).post(`/api/theses/${thesis._id}/submit`).set(authHeader(token)).expect(404);
+  });
+
+  it('publishes theses stored before the review workflow', async () => {
+    const thesis = await createThesis();
+    await Thesis.collection.updateOne({ _id: thesis._id }, { $unset: { status: 1, publishedAt: 1 } });
+
+    expect(await Thesis.publishLegacy()).toBe(1);
+    expect(await Thesis.publishLegacy()).toBe(0);
+
+    const res = await request(app).get(`/api/theses/${thesis._id}`).expect(200);
+    expect(res.body.data).toMatchObject({ status: 'published', publishedAt: thesis.createdAt });
+  });
+});
+
+describe('DELETE /api/theses/:id', () => {
+  it('moves a thesis to the trash', async () => {
+    const thesis = await createThesis();
+
+    const res = await request(app).delete(`/api/theses/${thesis._id}`).set(auth).expect(200);
+    expect(res.body.message).toBe('Thesis moved to trash');
+    expect(new Date(res.body.data.purgeAfter).getTime()).toBeGreaterThan(Date.now());
+
+    await request(app).get(`/api/theses/${thesis._id}`).set(auth).expect(404);
+    const list = await request(app).get('/api/theses').expect(200);
+    expect(list.body.pagination.total).toBe(0);
+    expect(await Thesis.exists({ _id: thesis._id })).toBeTruthy();
+  });
+
+  it('returns 404 for a missing or already trashed thesis', async () => {
+    const thesis = await createThesis();
+    await request(app).delete(`/api/theses/${thesis._id}`).set(auth).expect(200);
+
+    await request(app).delete(`/api/theses/${thesis._id}`).set(auth).expect(404);
+    await request(app).delete('/api/theses/64b7f0c2a1b2c3d4e5f60718').set(auth).expect(404);
+  });
+});
+
+describe('trash', () => {
+  it('lists trashed theses and restores them', async () => {
+    const thesis = await createThesis();
+    await request(app).delete(`/api/theses/${thesis._id}`).set(auth).expect(200);
+
+    const trash = await request(app).get('/api/theses/trash').set(auth).expect(200);
+    expect(trash.body.data.map((item) => item._id)).toEqual([thesis._id]);
+    expect(trash.body.data[0].purgeAfter).toBeDefined();
+
+    const res = await request(app).post(`/api/theses/${thesis._id}/restore`).set(auth).expect(200);
+    expect(res.body.data.status).toBe('published');
+
+    await request(app).get(`/api/theses/${thesis._id}`).expect(200);
+    await request(app).post(`/api/theses/${thesis._id}/restore`).set(auth).expect(404);
+  });
+
+  it('is only available to admins', async () => {
+    const { token } = await createUser('curator');
+    await request(app).get('/api/theses/trash').set(authHeader(token)).expect(403);
+  });
+
+  it('purges theses past the retention period', async () => {
+    const [kept, expired] = await Promise.all([createThesis(), createThesis(sampleTheses[1])]);
+    await request(app).delete(`/api/theses/${expired._id}`).set(auth).expect(200);
+    await request(app).delete(`/api/theses/${kept._id}`).set(auth).expect(200);
+
+    const retentionMs = trashService.config.retentionDays * 24 * 60 * 60 * 1000;
+    await Thesis.updateOne({ _id: expired._id }, { deletedAt: new Date(Date.now() - retentionMs - 1000) });
+
+    expect(await trashService.purgeExpired()).toBe(1);
+    expect(await Thesis.exists({ _id: expired._id })).toBeNull();
+    expect(await Thesis.exists({ _id: kept._id })).toBeTruthy();
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Test environment setup (runs before each test file)
+ * Uses the mock AI provider, disables the on-disk vector index and replaces
+ * the transformer model with deterministic bag-of-words embeddings.
+ */
+
+const os = require('os');
+const path = require('path');
+
+process.env.NODE_ENV = 'test';
+process.env.AI_PROVIDER = 'mock';
+process.env.AI_FALLBACK_PROVIDERS = '';
+process.env.AI_RETRIES = '0';
+process.env.VECTOR_INDEX_ENABLED = 'false';
+process.env.FILE_STORAGE = 'local';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.BCRYPT_ROUNDS = '4';
+process.env.UPLOAD_DIR = path.join(os.tmpdir(), `thesis-test-uploads-${process.pid}`);
+
+jest.mock('@xenova/transformers', () => require('./helpers/fakeEmbeddings').transformersMock);
+
+// Keep test output readable; set TEST_VERBOSE=1 to see service logs
+if (!process.env.TEST_VERBOSE) {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+}
@@ -0,0 +1,109 @@
+const { AIService } = require('../../src/services/aiService');
+const { registerProvider } = require('../../src/services/providers');
+const MockProvider = require('../../src/services/providers/mockProvider');
+
+// A second mock registered under another name, to act as a fallback provider
+class BackupProvider extends MockProvider {}
+registerProvider('backup', BackupProvider);
+
+const createService = (overrides = {}) =>
+  new AIService({
+    provider: 'mock',
+    providers: { mock: {}, backup: {} },
+    fallbackProviders: [],
+    retry: { retries: 1, baseDelayMs: 1, maxDelayMs: 5 },
+    circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 60000 },
+    offlineTagger: true,
+    tasks: {
+      tagging: { provider: 'mock', model: 'tagger' },
+      queryRewrite: { provider: 'mock', model: null },
+      answer: { provider: 'mock', model: null },
+      summarize: { provider: 'mock', model: null },
+    },
+    ...overrides,
+  });
+
+describe('AIService', () => {
+  it('routes tasks to their configured model', async () => {
+    const service = createService();
+    await service.generateText('Title: Solar Irrigation\n\nAbstract: Pumps.', { task: 'tagging' });
+
+    const [call] = service.getProvider('mock').getCalls('tagging');
+    expect(call.options.model).toBe('tagger');
+  });
+
+  it('retries transient errors on the same provider', async () => {
+    const service = createService();
+    const mock = service.getProvider('mock');
+    mock.addFixture({ match: 'hello', response: 'hi there' });
+    mock.failNext({ status: 503, message: 'overloaded' });
+
+    await expect(service.generateText('hello')).resolves.toBe('hi there');
+    expect(mock.calls).toHaveLength(2);
+  });
+
+  it('falls back to the next provider and opens the circuit', async () => {
+    const service = createService({ fallbackProviders: ['backup'] });
+    const mock = service.getProvider('mock');
+    service.getProvider('backup').addFixture({ match: 'hello', response: 'from backup' });
+    mock.failNext({ status: 400, message: 'bad model' }, 2);
+
+    await expect(service.generateText('hello')).resolves.toBe('from backup');
+    await expect(service.generateText('hello')).resolves.toBe('from backup');
+
+    expect(service.getStatus().circuits.mock.state).toBe('open');
+    await service.generateText('hello');
+    expect(mock.calls).toHaveLength(2); // skipped while open
+  });
+
+  it('reports every provider failure when the chain is exhausted', async () => {
+    const service = createService({ fallbackProviders: ['backup'] });
+    service.getProvider('mock').failNext({ status: 400, message: 'primary down' });
+    service.getProvider('backup').failNext({ status: 400, message: 'backup down' });
+
+    await expect(service.generateText('hello')).rejects.toThrow(
+      'AI text generation failed: mock: primary down; backup: backup down'
+    );
+  });
+
+  it('streams deltas and falls back before the first token', async () => {
+    const service = createService({ fallbackProviders: ['backup'] });
+    service.getProvider('mock').failNext({ status: 400, message: 'no stream' });
+    service.getProvider('backup').addFixture({ match: 'story', response: 'once upon a time' });
+
+    const deltas = [];
+    for await (const delta of service.streamText('tell a story')) {
+      deltas.push(delta);
+    }
+    expect(deltas.join('')).toBe('once upon a time');
+    expect(deltas.length).toBeGreaterThan(1);
+  });
+
+  it('checks the health of every provider in use', async () => {
+    const service = createService({ fallbackProviders: ['backup'] });
+    service.getProvider('backup').healthy = false;
+
+    const health = await service.checkHealth();
+    expect(health.healthy).toBe(true);
+    expect(health.providers.backup).toMatchObject({ healthy: false, circuit: { state: 'closed' } });
+  });
+});
+
+describe('MockProvider', () => {
+  it('matches fixtures by prompt hash prefix', async () => {
+    const mock = new MockProvider();
+    mock.addFixture({ hash: MockProvider.hashPrompt('exact prompt').slice(0, 12), response: 'hashed' });
+
+    await expect(mock.generate('exact prompt')).resolves.toBe('hashed');
+    await expect(mock.generate('other prompt')).resolves.toMatch(/^Mock response to/);
+  });
+
+  it('answers the repository prompts with built-in rules', () => {
+    const mock = new MockProvider();
+
+    expect(mock.ruleResponse('User question: solar pumps\n\nOptimized search query:')).toBe('solar pumps');
+    expect(mock.ruleResponse('Title: Solar Pumps\nAbstract: Pumps run on sun. More.\n\nSummary:')).toBe(
+      'Solar Pumps: Pumps run on sun.'
+    );
+  });
+});
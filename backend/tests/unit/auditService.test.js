@@ -0,0 +1,55 @@
+const Thesis = require('../../src/models/Thesis');
+const { AuditService } = require('../../src/services/auditService');
+
+const service = new AuditService();
+
+const thesis = () =>
+  Thesis.hydrate({
+    _id: '64b7f0c2a1b2c3d4e5f60718',
+    title: 'Solar Irrigation',
+    abstract: 'A controller for irrigation.',
+    tags: ['solar', 'irrigation', 'farms'],
+    status: 'draft',
+    embeddings: [0.1, 0.2],
+    createdAt: new Date('2024-01-01'),
+  });
+
+describe('AuditService', () => {
+  it('snapshots audited fields only, detached from the document', () => {
+    const doc = thesis();
+    const snapshot = service.snapshot(doc);
+
+    expect(snapshot).toMatchObject({ title: 'Solar Irrigation', status: 'draft', deletedAt: null });
+    expect(snapshot.embeddings).toBeUndefined();
+    expect(snapshot.createdAt).toBeUndefined();
+
+    doc.tags.push('energy');
+    expect(snapshot.tags).toEqual(['solar', 'irrigation', 'farms']);
+  });
+
+  it('diffs changed fields with their before and after values', () => {
+    const doc = thesis();
+    const before = service.snapshot(doc);
+
+    doc.title = 'Solar Powered Irrigation';
+    doc.defenseYear = 2024;
+    doc.tags = ['solar', 'irrigation', 'farms'];
+
+    expect(service.diff(before, service.snapshot(doc))).toEqual([
+      { field: 'title', before: 'Solar Irrigation', after: 'Solar Powered Irrigation' },
+      { field: 'defenseYear', before: undefined, after: 2024 },
+    ]);
+  });
+
+  it('treats every set field of a new thesis as a change, ignoring empty lists', () => {
+    const fields = service.diff({}, service.snapshot(thesis())).map((change) => change.field);
+    expect(fields).toEqual(['title', 'abstract', 'tags', 'status', 'language']);
+  });
+
+  it('takes the actor and request ID from the request', () => {
+    const req = { id: 'req-1', user: { _id: 'user-1', role: 'curator', apiKey: 'key-1' } };
+
+    expect(service.context(req)).toEqual({ actor: 'user-1', actorRole: 'curator', apiKey: 'key-1', requestId: 'req-1' });
+    expect(service.context(null)).toEqual({});
+  });
+});
@@ -0,0 +1,84 @@
+const { authenticate, requireRole } = require('../../src/middleware/auth');
+const authService = require('../../src/services/authService');
+const User = require('../../src/models/User');
+const { runMiddleware } = require('../helpers/http');
+
+const userWithRole = (role) => new User({ email: `${role}@example.edu`, name: role, passwordHash: 'x', role });
+
+describe('requireRole', () => {
+  it('rejects anonymous requests with 401', () => {
+    const { res, next } = runMiddleware(requireRole('reader'));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(401);
+  });
+
+  it('rejects lower roles with 403', () => {
+    const { res, next } = runMiddleware(requireRole('curator'), { user: userWithRole('submitter') });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+    expect(res.body.message).toBe('This action requires the curator role');
+  });
+
+  it('allows the role and every role above it', () => {
+    ['curator', 'admin'].forEach((role) => {
+      const { next } = runMiddleware(requireRole('curator'), { user: userWithRole(role) });
+      expect(next).toHaveBeenCalledWith();
+    });
+  });
+});
+
+describe('authenticate', () => {
+  const run = (headers) => {
+    const req = { method: 'GET', path: '/', get: (name) => headers[name] };
+    return new Promise((resolve) => {
+      const res = {
+        status: (code) => ({ json: (body) => resolve({ req, status: code, body }) }),
+      };
+      authenticate(req, res, (error) => resolve({ req, error }));
+    });
+  };
+
+  const spies = [];
+  const spyOn = (object, method) => {
+    const spy = jest.spyOn(object, method);
+    spies.push(spy);
+    return spy;
+  };
+
+  // Not restoreAllMocks: that would also restore the console spies from setup.js
+  afterEach(() => {
+    spies.splice(0).forEach((spy) => spy.mockRestore());
+  });
+
+  it('passes anonymous requests through', async () => {
+    const { req, error } = await run({});
+    expect(error).toBeUndefined();
+    expect(req.user).toBeUndefined();
+  });
+
+  it('sends API keys in the Authorization header to the key check', async () => {
+    const user = userWithRole('curator');
+    const verifyApiKey = spyOn(authService, 'verifyApiKey').mockResolvedValue(user);
+
+    const { req } = await run({ Authorization: 'Bearer thr_abc123' });
+    expect(verifyApiKey).toHaveBeenCalledWith('thr_abc123');
+    expect(req.user).toBe(user);
+  });
+
+  it('rejects an invalid session token with 401', async () => {
+    const { status, body } = await run({ Authorization: 'Bearer not-a-jwt' });
+    expect(status).toBe(401);
+    expect(body.message).toBe('Invalid token');
+  });
+
+  it('reports expired sessions', async () => {
+    const token = authService.issueToken(userWithRole('reader'));
+    spyOn(Date, 'now').mockReturnValue(Date.now() + 8 * 24 * 60 * 60 * 1000);
+
+    const { status, body } = await run({ Authorization: `Bearer ${token}` });
+    expect(status).toBe(401);
+    expect(body.message).toBe('Session expired');
+  });
+});
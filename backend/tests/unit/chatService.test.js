@@ -0,0 +1,43 @@
+const chatService = require('../../src/services/chatService');
+const searchService = require('../../src/services/searchService');
+
+const thesis = (id, score) => ({ _id: id, title: `Thesis ${id}`, abstract: `Abstract of ${id}`, score });
+const passage = (id, thesisId, score) => ({ _id: id, thesis: { _id: thesisId }, text: `Passage ${id}`, score });
+
+describe('ChatService.retrievePassages', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('adds abstracts of theses without matching passages, merged by score', async () => {
+    jest.spyOn(searchService, 'searchPassages').mockResolvedValue([passage('p1', 'a', 0.9), passage('p2', 'a', 0.6)]);
+    jest.spyOn(searchService, 'semanticSearch').mockResolvedValue([thesis('a', 0.8), thesis('b', 0.7)]);
+
+    const passages = await chatService.retrievePassages('query', 3);
+
+    expect(passages.map((entry) => [entry._id, entry.source || 'passage'])).toEqual([
+      ['p1', 'passage'],
+      ['b', 'abstract'],
+      ['p2', 'passage'],
+    ]);
+    expect(passages[1]).toMatchObject({ text: 'Abstract of b', section: 'Abstract', endOffset: 13 });
+  });
+
+  it('uses abstracts alone when no passage matches', async () => {
+    jest.spyOn(searchService, 'searchPassages').mockResolvedValue([]);
+    jest.spyOn(searchService, 'semanticSearch').mockResolvedValue([thesis('a', 0.8), thesis('b', 0.7)]);
+
+    const passages = await chatService.retrievePassages('query', 3);
+
+    expect(passages.map((entry) => entry._id)).toEqual(['a', 'b']);
+  });
+
+  it('keeps the MMR order within each list', async () => {
+    jest.spyOn(searchService, 'searchPassages').mockResolvedValue([passage('p1', 'a', 0.9), passage('p2', 'c', 0.95)]);
+    jest.spyOn(searchService, 'semanticSearch').mockResolvedValue([thesis('b', 0.5)]);
+
+    const passages = await chatService.retrievePassages('query', 3, { mmr: true });
+
+    expect(passages.map((entry) => entry._id)).toEqual(['p1', 'p2', 'b']);
+  });
+});
@@ -0,0 +1,55 @@
+const chunkService = require('../../src/services/chunkService');
+
+describe('ChunkService.scheduleIndexing', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs one indexing at a time per thesis when it is updated back to back', async () => {
+    let running = 0;
+    let overlapped = false;
+    const runs = [];
+    const index = jest.spyOn(chunkService, 'indexThesis').mockImplementation(async (thesisId) => {
+      running++;
+      overlapped = overlapped || running > 1;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      runs.push(thesisId);
+      running--;
+      return 1;
+    });
+
+    chunkService.scheduleIndexing('thesis-1');
+    chunkService.scheduleIndexing({ _id: 'thesis-1' });
+    chunkService.scheduleIndexing('thesis-1');
+    await chunkService.idle();
+
+    // The first run was under way; the two later updates share one rerun
+    expect(index).toHaveBeenCalledTimes(2);
+    expect(runs).toEqual(['thesis-1', 'thesis-1']);
+    expect(overlapped).toBe(false);
+    expect(chunkService.scheduled.size).toBe(0);
+  });
+
+  it('indexes different theses independently', async () => {
+    const index = jest.spyOn(chunkService, 'indexThesis').mockResolvedValue(1);
+
+    chunkService.scheduleIndexing('thesis-1');
+    chunkService.scheduleIndexing('thesis-2');
+    await chunkService.idle();
+
+    expect(index.mock.calls.map(([thesisId]) => thesisId)).toEqual(['thesis-1', 'thesis-2']);
+  });
+
+  it('keeps going after a failed run', async () => {
+    const index = jest
+      .spyOn(chunkService, 'indexThesis')
+      .mockRejectedValueOnce(new Error('Failed to chunk thesis: model unavailable'))
+      .mockResolvedValue(1);
+
+    chunkService.scheduleIndexing('thesis-1');
+    chunkService.scheduleIndexing('thesis-1');
+    await chunkService.idle();
+
+    expect(index).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,96 @@
+const CircuitBreaker = require('../../src/utils/circuitBreaker');
+const { withRetry, isRetryableError, backoffDelay } = require('../../src/utils/retry');
+
+const { CircuitOpenError, STATES } = CircuitBreaker;
+
+describe('CircuitBreaker', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('opens after the failure threshold and rejects calls', async () => {
+    const breaker = new CircuitBreaker({ name: 'groq', failureThreshold: 2, resetTimeoutMs: 1000 });
+    const fail = () => Promise.reject(new Error('rate limited'));
+
+    await expect(breaker.exec(fail)).rejects.toThrow('rate limited');
+    expect(breaker.getState()).toBe(STATES.CLOSED);
+    await expect(breaker.exec(fail)).rejects.toThrow('rate limited');
+    expect(breaker.getState()).toBe(STATES.OPEN);
+
+    await expect(breaker.exec(() => Promise.resolve('ok'))).rejects.toBeInstanceOf(CircuitOpenError);
+    expect(breaker.getStatus()).toMatchObject({ state: 'open', failures: 2, lastError: 'rate limited' });
+  });
+
+  it('allows a single trial call after the reset timeout', async () => {
+    jest.useFakeTimers();
+    const breaker = new CircuitBreaker({ name: 'ollama', failureThreshold: 1, resetTimeoutMs: 1000 });
+    await expect(breaker.exec(() => Promise.reject(new Error('down')))).rejects.toThrow();
+
+    jest.advanceTimersByTime(1000);
+    expect(breaker.getState()).toBe(STATES.HALF_OPEN);
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.tryAcquire()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.getState()).toBe(STATES.CLOSED);
+  });
+
+  it('re-opens when the trial call fails', async () => {
+    jest.useFakeTimers();
+    const breaker = new CircuitBreaker({ name: 'ollama', failureThreshold: 3, resetTimeoutMs: 1000 });
+    for (let i = 0; i < 3; i++) {
+      await expect(breaker.exec(() => Promise.reject(new Error('down')))).rejects.toThrow();
+    }
+
+    jest.advanceTimersByTime(1000);
+    await expect(breaker.exec(() => Promise.reject(new Error('still down')))).rejects.toThrow('still down');
+    expect(breaker.getState()).toBe(STATES.OPEN);
+  });
+
+  it('does not count errors excluded by isFailure', async () => {
+    const breaker = new CircuitBreaker({ name: 'groq', failureThreshold: 1 });
+    const aborted = Object.assign(new Error('aborted'), { name: 'AbortError' });
+
+    await expect(
+      breaker.exec(() => Promise.reject(aborted), { isFailure: (error) => error.name !== 'AbortError' })
+    ).rejects.toThrow('aborted');
+    expect(breaker.getState()).toBe(STATES.CLOSED);
+  });
+});
+
+describe('retry', () => {
+  it('classifies retryable errors', () => {
+    expect(isRetryableError({ response: { status: 429 } })).toBe(true);
+    expect(isRetryableError({ status: 503 })).toBe(true);
+    expect(isRetryableError({ code: 'ECONNREFUSED' })).toBe(true);
+    expect(isRetryableError({ response: { status: 400 } })).toBe(false);
+    expect(isRetryableError({ name: 'AbortError' })).toBe(false);
+  });
+
+  it('caps the exponential backoff', () => {
+    for (let attempt = 1; attempt <= 10; attempt++) {
+      const delay = backoffDelay(attempt, { baseDelayMs: 100, maxDelayMs: 1000 });
+      expect(delay).toBeGreaterThanOrEqual(0);
+      expect(delay).toBeLessThanOrEqual(Math.min(1000, 100 * 2 ** (attempt - 1)));
+    }
+  });
+
+  it('retries transient failures then succeeds', async () => {
+    const fn = jest
+      .fn()
+      .mockRejectedValueOnce(Object.assign(new Error('busy'), { status: 503 }))
+      .mockResolvedValueOnce('done');
+    const onRetry = jest.fn();
+
+    await expect(withRetry(fn, { retries: 2, baseDelayMs: 1, onRetry })).resolves.toBe('done');
+    expect(fn).toHaveBeenCalledTimes(2);
+    expect(onRetry).toHaveBeenCalledWith(expect.any(Error), 1, expect.any(Number));
+  });
+
+  it('gives up on permanent failures immediately', async () => {
+    const fn = jest.fn().mockRejectedValue(Object.assign(new Error('bad request'), { status: 400 }));
+
+    await expect(withRetry(fn, { retries: 3, baseDelayMs: 1 })).rejects.toThrow('bad request');
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
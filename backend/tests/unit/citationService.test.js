@@ -0,0 +1,80 @@
+const citationService = require('../../src/services/citationService');
+
+const thesis = {
+  title: 'Rice Leaf Disease Detection Using CNNs',
+  authors: [{ name: 'Maria Santos' }, { name: 'John Roe' }],
+  degreeLevel: 'bachelor',
+  department: 'Computer Science',
+  institution: 'University of the Philippines',
+  defenseYear: 2023,
+  doi: '10.1234/rice',
+};
+
+const cite = (style, changes = {}) => citationService.format({ ...thesis, ...changes }, style).text;
+
+describe('CitationService.format', () => {
+  it('formats APA with initials, an ampersand and the DOI link', () => {
+    expect(cite('apa')).toBe(
+      "Santos, M., & Roe, J. (2023). Rice Leaf Disease Detection Using CNNs [Bachelor's thesis, University of the Philippines]. https://doi.org/10.1234/rice"
+    );
+
+    const undated = { defenseYear: undefined, degreeLevel: 'doctoral', doi: undefined, authors: [{ name: 'Jean-Paul Sartre' }] };
+    expect(cite('apa', undated)).toBe(
+      'Sartre, J.-P. (n.d.). Rice Leaf Disease Detection Using CNNs [Doctoral dissertation, University of the Philippines].'
+    );
+  });
+
+  it('formats MLA with et al. for three or more authors', () => {
+    expect(cite('mla')).toBe(
+      "Santos, Maria, and John Roe. Rice Leaf Disease Detection Using CNNs. 2023. University of the Philippines, Bachelor's thesis. https://doi.org/10.1234/rice."
+    );
+    expect(cite('mla', { authors: [...thesis.authors, { name: 'Ana Cruz' }] })).toMatch(/^Santos, Maria, et al\. Rice/);
+  });
+
+  it('formats IEEE with the degree abbreviation and DOI', () => {
+    expect(cite('ieee')).toBe(
+      'M. Santos and J. Roe, "Rice Leaf Disease Detection Using CNNs," B.S. thesis, Computer Science, University of the Philippines, 2023, doi: 10.1234/rice.'
+    );
+    expect(cite('ieee', { doi: undefined, handle: '11111/42', degreeLevel: 'doctoral' })).toContain(
+      'Ph.D. dissertation, Computer Science, University of the Philippines, 2023. [Online]. Available: https://hdl.handle.net/11111/42'
+    );
+  });
+
+  it('formats Chicago and Harvard', () => {
+    expect(cite('chicago')).toBe(
+      'Santos, Maria, and John Roe. "Rice Leaf Disease Detection Using CNNs." Bachelor\'s thesis, University of the Philippines, 2023. https://doi.org/10.1234/rice.'
+    );
+    expect(cite('harvard')).toBe(
+      "Santos, M. and Roe, J. (2023) Rice Leaf Disease Detection Using CNNs. Bachelor's thesis. University of the Philippines. Available at: https://doi.org/10.1234/rice"
+    );
+  });
+
+  it('does not double the punctuation of titles ending in a question mark', () => {
+    expect(cite('chicago', { title: 'Can Rice Grow?' })).toContain('"Can Rice Grow?" Bachelor');
+    expect(cite('mla', { title: 'Can Rice Grow?' })).toContain('Can Rice Grow? 2023.');
+  });
+
+  it('renders italics and links as escaped HTML', () => {
+    const { html } = citationService.format({ ...thesis, title: 'Rice & <Wheat>' }, 'apa');
+
+    expect(html).toContain('<i>Rice &amp; &lt;Wheat&gt;</i>');
+    expect(html).toContain('<a href="https://doi.org/10.1234/rice">https://doi.org/10.1234/rice</a>');
+  });
+
+  it('rejects unknown styles', () => {
+    expect(() => citationService.format(thesis, 'vancouver')).toThrow('Unsupported citation style "vancouver"');
+  });
+});
+
+describe('CitationService.formatAll', () => {
+  it('returns one citation per style', () => {
+    const citations = citationService.formatAll(thesis);
+
+    expect(citations.map(({ style }) => style)).toEqual(['apa', 'mla', 'ieee', 'chicago', 'harvard']);
+    citations.forEach(({ label, text, html }) => {
+      expect(label).toBeTruthy();
+      expect(text.length).toBeGreaterThan(0);
+      expect(html.length).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const { mapWithConcurrency } = require('../../src/utils/concurrency');
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+};
+
+describe('mapWithConcurrency', () => {
+  it('keeps the item order in the results', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 2, async (ms, index) => {
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      return index;
+    });
+    expect(results).toEqual([0, 1, 2]);
+  });
+
+  it('never runs more than the limit at once', async () => {
+    let active = 0;
+    let peak = 0;
+
+    await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await new Promise((resolve) => setImmediate(resolve));
+      active--;
+    });
+
+    expect(peak).toBe(3);
+  });
+
+  it('rejects with the first error and starts no new items after it', async () => {
+    const gate = deferred();
+    const started = [];
+
+    const run = mapWithConcurrency([0, 1, 2, 3], 2, async (item) => {
+      started.push(item);
+      if (item === 0) throw new Error('boom');
+      await gate.promise;
+      return item;
+    });
+    gate.resolve();
+
+    await expect(run).rejects.toThrow('boom');
+    expect(started).toEqual([0, 1]);
+  });
+
+  it('handles an empty list', async () => {
+    await expect(mapWithConcurrency([], 4, jest.fn())).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const multer = require('multer');
+const errorHandler = require('../../src/middleware/errorHandler');
+const Thesis = require('../../src/models/Thesis');
+const { mockResponse } = require('../helpers/http');
+
+const handle = (error) => {
+  const res = mockResponse();
+  errorHandler(error, {}, res, jest.fn());
+  return res;
+};
+
+describe('errorHandler', () => {
+  it('maps CastError to 404', () => {
+    const error = new mongoose.Error.CastError('ObjectId', 'not-an-id', '_id');
+    const res = handle(error);
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body).toEqual({ success: false, message: 'Resource not found' });
+  });
+
+  it('maps ValidationError to 400 with the field messages', () => {
+    const error = new Thesis({ title: 'No abstract', defenseYear: 1700 }).validateSync();
+    const res = handle(error);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toMatch(/abstract/i);
+    expect(res.body.message).toMatch(/1800/);
+  });
+
+  it('maps duplicate keys to 400', () => {
+    const res = handle(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Duplicate field value entered');
+  });
+
+  it('maps oversized uploads to 413', () => {
+    const res = handle(new multer.MulterError('LIMIT_FILE_SIZE'));
+    expect(res.statusCode).toBe(413);
+  });
+
+  it('uses statusCode on other errors, defaulting to 500', () => {
+    expect(handle(Object.assign(new Error('Only PDF files are allowed'), { statusCode: 400 })).statusCode).toBe(400);
+
+    const res = handle(new Error('boom'));
+    expect(res.statusCode).toBe(500);
+    expect(res.body).toEqual({ success: false, message: 'boom' });
+  });
+});
@@ -0,0 +1,128 @@
+const {
+  citationKey,
+  escapeBibtex,
+  toBibtex,
+  toRis,
+  toCslItem,
+  toCsv,
+  toJsonl,
+  formatExport,
+} = require('../../src/utils/exportFormats');
+const { parseRecords } = require('../../src/utils/importFormats');
+const { splitName } = require('../../src/utils/thesisMetadata');
+
+const thesis = {
+  _id: '64b7f0c2a1b2c3d4e5f60718',
+  title: 'Rice Leaf Disease Detection Using CNNs',
+  abstract: 'We detect rice leaf disease with 95% accuracy, using "field" images.',
+  authors: [{ name: 'Maria Santos' }, { name: 'Ludwig van Beethoven' }],
+  advisors: [{ name: 'Jose Reyes' }],
+  degreeLevel: 'bachelor',
+  department: 'Computer Science',
+  institution: 'University of the Philippines',
+  defenseYear: 2023,
+  language: 'en',
+  keywords: ['rice', 'Deep learning'],
+  tags: ['deep learning', 'agriculture'],
+  doi: '10.1234/rice_2023',
+  handle: '11111/42',
+  embeddings: [0.1, 0.2],
+};
+
+describe('splitName', () => {
+  it('splits given names from family names, keeping particles with the family name', () => {
+    expect(splitName('Maria Santos')).toEqual({ given: 'Maria', family: 'Santos' });
+    expect(splitName('Ludwig van Beethoven')).toEqual({ given: 'Ludwig', family: 'van Beethoven' });
+    expect(splitName('Plato')).toEqual({ given: '', family: 'Plato' });
+  });
+});
+
+describe('citationKey', () => {
+  it('joins the first family name, the year and the first long title word', () => {
+    expect(citationKey(thesis)).toBe('santos2023rice');
+    expect(citationKey({ title: 'On AI', authors: [] })).toBe('thesis');
+  });
+});
+
+describe('toBibtex', () => {
+  it('writes a thesis entry with escaped fields', () => {
+    const bibtex = toBibtex([thesis]);
+
+    expect(bibtex).toMatch(/^@mastersthesis\{santos2023rice,\n/);
+    expect(bibtex).toContain('  author = {Santos, Maria and van Beethoven, Ludwig}');
+    expect(bibtex).toContain("  type = {Bachelor's thesis}");
+    expect(bibtex).toContain('  doi = {10.1234/rice\\_2023}');
+    expect(bibtex).toContain('95\\% accuracy');
+    expect(bibtex).toContain('  keywords = {rice, Deep learning, agriculture}');
+    expect(escapeBibtex('{a}~')).toBe('\\{a\\}\\textasciitilde{}');
+  });
+
+  it('uses @phdthesis for doctoral theses and disambiguates repeated keys', () => {
+    const bibtex = toBibtex([{ ...thesis, degreeLevel: 'doctoral' }, thesis]);
+
+    expect(bibtex).toMatch(/^@phdthesis\{santos2023rice,/);
+    expect(bibtex).toContain('@mastersthesis{santos2023ricea,');
+  });
+});
+
+describe('toRis', () => {
+  it('writes a THES record with one tag per author and keyword', () => {
+    const lines = toRis([thesis]).split('\r\n');
+
+    expect(lines[0]).toBe('TY  - THES');
+    expect(lines).toContain('AU  - Santos, Maria');
+    expect(lines).toContain('A3  - Reyes, Jose');
+    expect(lines).toContain('UR  - https://hdl.handle.net/11111/42');
+    expect(lines.filter((line) => line.startsWith('KW'))).toHaveLength(3);
+    expect(lines.slice(-2)).toEqual(['ER  -', '']);
+  });
+});
+
+describe('toCslItem', () => {
+  it('converts a thesis to a CSL-JSON thesis item', () => {
+    expect(toCslItem({ ...thesis, authors: [{ name: 'Plato' }] })).toMatchObject({
+      id: thesis._id,
+      type: 'thesis',
+      author: [{ literal: 'Plato' }],
+      genre: "Bachelor's thesis",
+      publisher: 'University of the Philippines',
+      issued: { 'date-parts': [[2023]] },
+      DOI: '10.1234/rice_2023',
+    });
+  });
+});
+
+describe('toCsv and toJsonl', () => {
+  it('leave out the embeddings unless asked for them', () => {
+    expect(toCsv([thesis]).split('\r\n')[0]).not.toContain('embeddings');
+    expect(toCsv([thesis], { embeddings: true }).split('\r\n')[1]).toContain('"[0.1,0.2]"');
+    expect(JSON.parse(toJsonl([thesis])).embeddings).toBeUndefined();
+    expect(JSON.parse(toJsonl([thesis], { embeddings: true })).embeddings).toEqual([0.1, 0.2]);
+  });
+
+  it('write files the importer reads back', () => {
+    ['csv', 'jsonl', 'bibtex', 'ris'].forEach((format) => {
+      const records = parseRecords(formatExport([thesis], format).body, format);
+
+      expect(records).toHaveLength(1);
+      expect(records[0].fields).toMatchObject({
+        title: thesis.title,
+        abstract: thesis.abstract,
+        defenseYear: 2023,
+        doi: thesis.doi,
+      });
+      expect(JSON.stringify(records[0].fields.authors)).toContain('Ludwig van Beethoven');
+    });
+  });
+});
+
+describe('formatExport', () => {
+  it('returns the body with its content type and file extension', () => {
+    const file = formatExport([thesis], 'csl-json');
+
+    expect(file.contentType).toBe('application/vnd.citationstyles.csl+json; charset=utf-8');
+    expect(file.extension).toBe('json');
+    expect(JSON.parse(file.body)).toHaveLength(1);
+    expect(() => formatExport([thesis], 'docx')).toThrow('Unsupported export format "docx"');
+  });
+});
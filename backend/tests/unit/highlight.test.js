@@ -0,0 +1,57 @@
+const { queryTerms, findMatches, buildSnippet } = require('../../src/utils/highlight');
+
+const abstract =
+  'This thesis applies convolutional neural networks to detect rice leaf disease from smartphone photographs. ' +
+  'The trained network classifies blast, blight and tungro with high accuracy on field images collected from farms. ' +
+  'A mobile application returns the diagnosis to farmers within seconds, even without a data connection.';
+
+const slice = (text, range) => text.slice(range.start, range.end);
+
+describe('queryTerms', () => {
+  it('keeps distinct content words', () => {
+    expect(queryTerms('Which theses use the Neural Network? neural')).toEqual(['theses', 'use', 'neural', 'network']);
+    expect(queryTerms('of a an')).toEqual([]);
+  });
+});
+
+describe('findMatches', () => {
+  it('matches words starting with a term, case-insensitively', () => {
+    const matches = findMatches(abstract, ['network', 'rice']);
+    expect(matches.map((match) => slice(abstract, match))).toEqual(['networks', 'rice', 'network']);
+  });
+
+  it('does not match inside words', () => {
+    expect(findMatches('price of rice', ['rice'])).toEqual([{ start: 9, end: 13 }]);
+  });
+
+  it('escapes regular expression characters', () => {
+    expect(findMatches('c++ and c#', ['c++'])).toEqual([{ start: 0, end: 3 }]);
+  });
+});
+
+describe('buildSnippet', () => {
+  it('returns short texts whole', () => {
+    const text = 'Rice disease detection.';
+    const snippet = buildSnippet(text, { matches: findMatches(text, ['rice']) });
+    expect(snippet).toEqual({ text, matches: [{ start: 0, end: 4 }], sentence: null });
+  });
+
+  it('centers on the focus sentence and keeps offsets relative to the snippet', () => {
+    const focus = { start: abstract.indexOf('A mobile'), end: abstract.length };
+    const snippet = buildSnippet(abstract, { matches: findMatches(abstract, ['farmers']), focus, maxLength: 120 });
+
+    expect(snippet.text.startsWith('…')).toBe(true);
+    expect(slice(snippet.text, snippet.sentence)).toBe(abstract.slice(focus.start));
+    expect(snippet.matches.map((match) => slice(snippet.text, match))).toEqual(['farmers']);
+  });
+
+  it('falls back to the densest run of matches, cut at word boundaries', () => {
+    const matches = findMatches(abstract, ['blast', 'blight', 'tungro']);
+    const snippet = buildSnippet(abstract, { matches, maxLength: 80 });
+
+    expect(snippet.text).toMatch(/^… ?\S/);
+    expect(snippet.text.endsWith('…')).toBe(true);
+    expect(snippet.matches.map((match) => slice(snippet.text, match))).toEqual(['blast', 'blight', 'tungro']);
+    expect(snippet.text.length).toBeLessThanOrEqual(82);
+  });
+});
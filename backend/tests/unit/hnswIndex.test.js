@@ -0,0 +1,92 @@
+const HNSWIndex = require('../../src/utils/hnswIndex');
+
+const DIMENSIONS = 16;
+
+// Small deterministic PRNG so the tests don't depend on Math.random
+const seededRandom = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const randomUnitVector = (random) => {
+  const vector = Array.from({ length: DIMENSIONS }, () => random() - 0.5);
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return vector.map((value) => value / norm);
+};
+
+const bruteForce = (vectors, query, k) =>
+  Array.from(vectors.entries())
+    .map(([label, vector]) => ({
+      label,
+      score: vector.reduce((sum, value, i) => sum + value * query[i], 0),
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map((hit) => hit.label);
+
+describe('HNSWIndex', () => {
+  let index;
+  let vectors;
+  let random;
+
+  beforeEach(() => {
+    random = seededRandom(42);
+    index = new HNSWIndex({ dimensions: DIMENSIONS, m: 8, efConstruction: 64, efSearch: 64 });
+    vectors = new Map();
+    for (let i = 0; i < 300; i++) {
+      const vector = randomUnitVector(random);
+      vectors.set(`doc-${i}`, vector);
+      index.add(`doc-${i}`, vector);
+    }
+  });
+
+  it('finds the exact neighbours of an indexed vector', () => {
+    const hits = index.search(vectors.get('doc-7'), 1);
+    expect(hits[0].label).toBe('doc-7');
+    expect(hits[0].score).toBeCloseTo(1);
+  });
+
+  it('has high recall against brute force search', () => {
+    let found = 0;
+    for (let q = 0; q < 20; q++) {
+      const query = randomUnitVector(random);
+      const expected = new Set(bruteForce(vectors, query, 10));
+      index.search(query, 10).forEach((hit) => {
+        if (expected.has(hit.label)) found++;
+      });
+    }
+    expect(found / 200).toBeGreaterThan(0.9);
+  });
+
+  it('excludes removed and filtered labels', () => {
+    index.remove('doc-7');
+    const hits = index.search(vectors.get('doc-7'), 5, { filter: (label) => label !== 'doc-8' });
+    const labels = hits.map((hit) => hit.label);
+
+    expect(labels).not.toContain('doc-7');
+    expect(labels).not.toContain('doc-8');
+    expect(index.size).toBe(299);
+  });
+
+  it('replaces the vector when a label is re-added', () => {
+    const replacement = vectors.get('doc-1');
+    index.add('doc-2', replacement);
+
+    const labels = index.search(replacement, 2).map((hit) => hit.label);
+    expect(labels.sort()).toEqual(['doc-1', 'doc-2']);
+  });
+
+  it('round-trips through JSON and compaction', () => {
+    index.remove('doc-3');
+    const restored = HNSWIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())));
+    const compacted = restored.compact();
+
+    expect(compacted.size).toBe(299);
+    expect(compacted.deletedCount).toBe(0);
+    expect(compacted.search(vectors.get('doc-5'), 1)[0].label).toBe('doc-5');
+  });
+
+  it('rejects vectors with the wrong dimensions', () => {
+    expect(() => index.add('bad', [1, 2, 3])).toThrow();
+  });
+});
@@ -0,0 +1,176 @@
+const {
+  detectFormat,
+  degreeLevel,
+  parseCsv,
+  parseBibtex,
+  parseRis,
+  parseRecords,
+} = require('../../src/utils/importFormats');
+
+describe('detectFormat', () => {
+  it('maps file extensions to formats', () => {
+    expect(detectFormat('catalog.CSV')).toBe('csv');
+    expect(detectFormat('export.ndjson')).toBe('jsonl');
+    expect(detectFormat('refs.bib')).toBe('bibtex');
+    expect(detectFormat('refs.ris')).toBe('ris');
+    expect(detectFormat('notes.txt')).toBeUndefined();
+  });
+});
+
+describe('degreeLevel', () => {
+  it('recognizes common degree descriptions', () => {
+    expect(degreeLevel('PhD dissertation')).toBe('doctoral');
+    expect(degreeLevel('M.Sc. thesis')).toBe('master');
+    expect(degreeLevel("Master's thesis")).toBe('master');
+    expect(degreeLevel('BS Computer Science')).toBe('bachelor');
+    expect(degreeLevel('Other')).toBe('other');
+  });
+
+  it('keeps unrecognized text for the validator to report', () => {
+    expect(degreeLevel('Diploma')).toBe('diploma');
+    expect(degreeLevel('')).toBeUndefined();
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quoted fields, escaped quotes and line breaks', () => {
+    const csv = 'Title,Abstract\n"Rice, yields","Line one\nsaid ""two"""\nPlain,Text\n';
+
+    expect(parseCsv(csv)).toEqual([
+      { row: 2, fields: { title: 'Rice, yields', abstract: 'Line one\nsaid "two"' } },
+      { row: 4, fields: { title: 'Plain', abstract: 'Text' } },
+    ]);
+  });
+
+  it('detects semicolon and tab delimiters and skips blank lines', () => {
+    expect(parseCsv('title;abstract\r\n\r\nA;B\r\n')).toEqual([{ row: 3, fields: { title: 'A', abstract: 'B' } }]);
+    expect(parseCsv('title\tabstract\nA\tB')).toEqual([{ row: 2, fields: { title: 'A', abstract: 'B' } }]);
+  });
+
+  it('reports rows with too many columns and unterminated quotes', () => {
+    expect(parseCsv('title,abstract\nA,B,C\n"open,B\n')).toEqual([
+      { row: 2, error: 'Row has 3 columns but the header has 2' },
+      { row: 3, error: 'Unterminated quoted field' },
+    ]);
+  });
+});
+
+describe('parseBibtex', () => {
+  it('maps thesis entries onto thesis fields', () => {
+    const bibtex = `@comment{exported from the legacy catalog}
+@mastersthesis{doe2022,
+  title     = {Blockchain for {S}upply Chains},
+  author    = {Doe, Jane and M{\\"u}ller, Hans},
+  school    = "University " # "of the Philippines",
+  year      = 2022,
+  abstract  = {Traceability \\& trust -- a study},
+  keywords  = {blockchain, supply chain},
+  doi       = {https://doi.org/10.1234/bc.2022}
+}`;
+
+    expect(parseBibtex(bibtex)).toEqual([
+      {
+        row: 2,
+        fields: expect.objectContaining({
+          title: 'Blockchain for Supply Chains',
+          abstract: 'Traceability & trust – a study',
+          authors: ['Jane Doe', 'Hans Müller'],
+          degreeLevel: 'master',
+          institution: 'University of the Philippines',
+          defenseYear: '2022',
+          keywords: ['blockchain', ' supply chain'],
+          doi: 'https://doi.org/10.1234/bc.2022',
+        }),
+      },
+    ]);
+  });
+
+  it('reads the degree from the type of a generic thesis entry', () => {
+    const [record] = parseBibtex('@thesis{x, title={T}, type={PhD thesis}}');
+    expect(record.fields.degreeLevel).toBe('doctoral');
+  });
+
+  it('reports malformed and unterminated entries', () => {
+    expect(parseBibtex('@misc{a, title={T}, = broken}\n@misc{b, title={T}')).toEqual([
+      { row: 1, error: 'Malformed BibTeX entry' },
+      { row: 2, error: 'Unterminated BibTeX entry' },
+    ]);
+  });
+});
+
+describe('parseRis', () => {
+  it('collects repeated tags and wrapped lines', () => {
+    const ris = [
+      'TY  - THES',
+      'TI  - Solar Microgrids',
+      'AU  - Doe, Jane',
+      'AU  - Roe, John',
+      'A3  - Cruz, Maria',
+      'AB  - First part',
+      '  continued here',
+      'PY  - 2021///',
+      'KW  - solar',
+      'KW  - energy',
+      "M3  - Master's thesis",
+      'PB  - Mapua University',
+      'UR  - https://hdl.handle.net/20.500/123',
+      'ER  - ',
+      '',
+    ].join('\n');
+
+    expect(parseRis(ris)).toEqual([
+      {
+        row: 1,
+        fields: expect.objectContaining({
+          title: 'Solar Microgrids',
+          abstract: 'First part continued here',
+          authors: ['Jane Doe', 'John Roe'],
+          advisors: ['Maria Cruz'],
+          degreeLevel: 'master',
+          institution: 'Mapua University',
+          defenseYear: '2021///',
+          keywords: ['solar', 'energy'],
+          handle: '20.500/123',
+        }),
+      },
+    ]);
+  });
+});
+
+describe('parseRecords', () => {
+  it('normalizes lists, years, languages and identifiers', () => {
+    const csv =
+      'title,abstract,authors,keywords,year,language,doi,degree,status\n' +
+      'T,A,Jane Doe; John Roe,"rice, yield",2023-05-01,English,doi:10.1234/x,Doctor of Philosophy,published\n';
+
+    expect(parseRecords(csv, 'csv')).toEqual([
+      {
+        row: 2,
+        fields: {
+          title: 'T',
+          abstract: 'A',
+          authors: ['Jane Doe', 'John Roe'],
+          keywords: ['rice', 'yield'],
+          defenseYear: 2023,
+          language: 'en',
+          doi: '10.1234/x',
+          degreeLevel: 'doctoral',
+        },
+      },
+    ]);
+  });
+
+  it('parses JSON Lines, reporting bad lines', () => {
+    const jsonl = '\uFEFF{"title":"T","summary":"A","authors":["Jane Doe"]}\n\nnot json\n[1]\n';
+
+    expect(parseRecords(jsonl, 'jsonl')).toEqual([
+      { row: 1, fields: { title: 'T', abstract: 'A', authors: ['Jane Doe'] } },
+      { row: 3, error: expect.stringMatching(/^Invalid JSON/) },
+      { row: 4, error: 'Line must be a JSON object' },
+    ]);
+  });
+
+  it('rejects unknown formats', () => {
+    expect(() => parseRecords('', 'xml')).toThrow('Unsupported import format "xml"');
+  });
+});
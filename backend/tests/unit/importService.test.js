@@ -0,0 +1,74 @@
+const Thesis = require('../../src/models/Thesis');
+const { ImportService } = require('../../src/services/importService');
+
+const csv = (rows) => ['title,abstract,year,doi', ...rows].join('\n');
+
+describe('ImportService.parse', () => {
+  const service = new ImportService({ recordsPerJob: 2 });
+
+  it('returns valid records as thesis documents', () => {
+    const { records, invalid, duplicates } = service.parse(csv(['Rice Yields,An abstract,2023,10.1234/rice']), 'csv');
+
+    expect(records).toEqual([
+      { row: 2, document: { title: 'Rice Yields', abstract: 'An abstract', defenseYear: 2023, doi: '10.1234/rice' } },
+    ]);
+    expect(invalid).toEqual([]);
+    expect(duplicates).toEqual([]);
+  });
+
+  it('reports rows that fail the thesis validation rules', () => {
+    const { records, invalid } = service.parse(csv([',No title,2023,', 'Bad DOI,Abstract,2023,doi-123']), 'csv');
+
+    expect(records).toEqual([]);
+    expect(invalid).toEqual([
+      { row: 2, errors: ['Title is required and must be a non-empty string'] },
+      { row: 3, errors: ['DOI must look like 10.1234/abc'] },
+    ]);
+  });
+
+  it('skips rows repeating an earlier row by title and year or DOI', () => {
+    const { records, duplicates } = service.parse(
+      csv([
+        'Rice Yields,First,2023,10.1234/rice',
+        'rice  yields,Same title and year,2023,',
+        'Rice Yields,Same title but another year,2021,',
+        'Another Title,Same DOI,2020,10.1234/RICE',
+      ]),
+      'csv'
+    );
+
+    expect(records.map((record) => record.row)).toEqual([2, 4]);
+    expect(duplicates).toEqual([
+      { row: 3, duplicateOfRow: 2 },
+      { row: 5, duplicateOfRow: 2 },
+    ]);
+  });
+
+  it('skips rows repeating an earlier handle in another case', () => {
+    const { records, duplicates } = service.parse(
+      ['title,abstract,handle', 'Rice Yields,First,11529/ABC', 'Other Title,Second,11529/abc'].join('\n'),
+      'csv'
+    );
+
+    expect(records.map((record) => record.row)).toEqual([2]);
+    expect(duplicates).toEqual([{ row: 3, duplicateOfRow: 2 }]);
+  });
+});
+
+describe('Thesis dedupe keys', () => {
+  it('stores normalized DOI, handle and title+year keys on validation', async () => {
+    const thesis = new Thesis({
+      title: ' Rice  Yields ',
+      abstract: 'An abstract',
+      embeddings: [0.1],
+      tags: ['rice', 'yield', 'farming'],
+      defenseYear: 2023,
+      doi: '10.1234/RICE',
+      handle: '11529/ABC',
+    });
+
+    await thesis.validate();
+
+    expect(thesis.dedupeKeys).toEqual(['title:rice yields:2023', 'doi:10.1234/rice', 'handle:11529/abc']);
+  });
+});
@@ -0,0 +1,128 @@
+const Job = require('../../src/models/Job');
+const { JobService } = require('../../src/services/jobService');
+
+const config = {
+  pollIntervalMs: 1000,
+  concurrency: 2,
+  itemConcurrency: 4,
+  maxAttempts: 3,
+  retryBaseDelayMs: 5000,
+  lockTimeoutMs: 60000,
+  workerAvailable: true,
+  retentionDays: 7,
+};
+
+describe('JobService', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const claimedJob = () => ({
+    _id: 'job',
+    type: 'createTheses',
+    attempts: 1,
+    maxAttempts: 3,
+    lockedAt: new Date('2025-01-01T00:00:00Z'),
+  });
+
+  it('doubles the retry delay after every failed attempt', () => {
+    const service = new JobService(config);
+
+    expect(service.retryDelay(1)).toBe(5000);
+    expect(service.retryDelay(2)).toBe(10000);
+    expect(service.retryDelay(3)).toBe(20000);
+  });
+
+  it('refuses to queue a job type without a handler', async () => {
+    const service = new JobService(config);
+
+    await expect(service.enqueue('createTheses', {})).rejects.toThrow(
+      'No handler registered for job type "createTheses"'
+    );
+  });
+
+  it('polls on start and then on every interval', () => {
+    jest.useFakeTimers();
+    const service = new JobService(config);
+    const poll = jest.spyOn(service, 'poll').mockResolvedValue();
+
+    service.start();
+    service.start(); // already running
+    expect(poll).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(2000);
+    expect(poll).toHaveBeenCalledTimes(3);
+
+    service.stop();
+    jest.advanceTimersByTime(2000);
+    expect(poll).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not poll when the interval is 0', () => {
+    const service = new JobService({ ...config, pollIntervalMs: 0 });
+    const poll = jest.spyOn(service, 'poll').mockResolvedValue();
+
+    service.start();
+    expect(poll).not.toHaveBeenCalled();
+    expect(service.pollTimer).toBeNull();
+  });
+
+  it('claims no more jobs than the concurrency limit', async () => {
+    const service = new JobService(config);
+    const claim = jest.spyOn(service, 'claim').mockImplementation(async () => ({ _id: 'job' }));
+    const run = jest.spyOn(service, 'run').mockReturnValue(new Promise(() => {}));
+
+    await service.poll();
+
+    expect(claim).toHaveBeenCalledTimes(2);
+    expect(run).toHaveBeenCalledTimes(2);
+    expect(service.running.size).toBe(2);
+  });
+
+  it('drains until no job is due', async () => {
+    const service = new JobService(config);
+    const jobs = [{ _id: 'a' }, { _id: 'b' }, { _id: 'c' }];
+    jest.spyOn(service, 'claim').mockImplementation(async () => jobs.shift() || null);
+    const run = jest.spyOn(service, 'run').mockResolvedValue();
+
+    await service.drain();
+
+    expect(run).toHaveBeenCalledTimes(3);
+    expect(service.running.size).toBe(0);
+  });
+
+  it('renews the lock with every progress update and finishes under the renewed lock', async () => {
+    const service = new JobService(config);
+    const job = claimedJob();
+    const update = jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    service.register('createTheses', async (running) => {
+      await service.progress(running, { $inc: { 'progress.done': 1 } });
+      await service.progress(running, { $inc: { 'progress.done': 1 } });
+    });
+
+    await service.run(job);
+
+    const [first, second, final] = update.mock.calls;
+    expect(first[0]).toEqual({ _id: 'job', lockedAt: new Date('2025-01-01T00:00:00Z') });
+    expect(first[1]).toEqual({ $inc: { 'progress.done': 1 }, $set: { lockedAt: expect.any(Date) } });
+    expect(second[0].lockedAt).toBe(first[1].$set.lockedAt);
+    expect(final[0].lockedAt).toBe(second[1].$set.lockedAt);
+    expect(final[1].$set.status).toBe('succeeded');
+  });
+
+  it('stops a run whose lock was taken over without recording an outcome', async () => {
+    const service = new JobService(config);
+    const update = jest.spyOn(Job, 'updateOne').mockResolvedValue({ matchedCount: 0 });
+    let continued = false;
+    service.register('createTheses', async (running) => {
+      await service.progress(running, { $inc: { 'progress.done': 1 } });
+      continued = true;
+    });
+
+    await service.run(claimedJob());
+
+    expect(continued).toBe(false);
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,209 @@
+const Thesis = require('../../src/models/Thesis');
+const { OaiService, setSpec, parseDate } = require('../../src/services/oaiService');
+
+const BASE_URL = 'http://localhost:5000/oai';
+
+const createService = (config = {}) =>
+  new OaiService({
+    repositoryName: 'Test Repository',
+    repositoryIdentifier: 'repo.example.edu',
+    adminEmail: 'admin@example.edu',
+    pageSize: 2,
+    ...config,
+  });
+
+// Query chain resolving to the given documents
+const query = (result) => {
+  const chain = {};
+  ['select', 'sort', 'limit'].forEach((method) => {
+    chain[method] = jest.fn(() => chain);
+  });
+  chain.lean = jest.fn().mockResolvedValue(result);
+  return chain;
+};
+
+const thesis = (index, changes = {}) => ({
+  _id: `64b7f0c2a1b2c3d4e5f6071${index}`,
+  title: `Thesis ${index}`,
+  abstract: 'Rice & wheat <yields>',
+  authors: [{ name: 'Maria Santos' }],
+  advisors: [{ name: 'Jose Reyes' }],
+  degreeLevel: 'master',
+  institution: 'University of the Philippines',
+  defenseYear: 2023,
+  keywords: ['rice'],
+  tags: ['Deep Learning', 'rice'],
+  doi: `10.1234/t${index}`,
+  status: 'published',
+  updatedAt: new Date(`2024-01-0${index}T10:00:00.123Z`),
+  ...changes,
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('setSpec and parseDate', () => {
+  it('turns tags into set specs', () => {
+    expect(setSpec('Deep Learning')).toBe('deep-learning');
+    expect(setSpec('Café / Résumé')).toBe('cafe-resume');
+  });
+
+  it('parses dates at day and second granularity', () => {
+    expect(parseDate('2024-01-02')).toEqual({ date: new Date('2024-01-02T00:00:00Z'), granularity: 'day' });
+    expect(parseDate('2024-01-02T10:00:00Z').granularity).toBe('seconds');
+    expect(parseDate('2024-02-30')).toBeNull();
+    expect(parseDate('2024-01-02T10:00Z')).toBeNull();
+  });
+});
+
+describe('OaiService.handle', () => {
+  it('reports a missing or unknown verb without echoing the arguments', async () => {
+    const service = createService();
+
+    const missing = await service.handle({}, { baseUrl: BASE_URL });
+    expect(missing).toContain(`<request>${BASE_URL}</request>`);
+    expect(missing).toContain('<error code="badVerb">Missing verb argument</error>');
+
+    const unknown = await service.handle({ verb: 'ListEverything' }, { baseUrl: BASE_URL });
+    expect(unknown).toContain('<error code="badVerb">Illegal OAI verb</error>');
+  });
+
+  it('checks the arguments of each verb', async () => {
+    const service = createService();
+    const error = async (params) => {
+      const xml = await service.handle(params, { baseUrl: BASE_URL });
+      return xml.match(/<error code="(\w+)">([^<]*)<\/error>/).slice(1);
+    };
+
+    expect(await error({ verb: 'Identify', set: 'x' })).toEqual(['badArgument', 'Illegal argument "set" for Identify']);
+    expect(await error({ verb: 'ListRecords' })).toEqual([
+      'badArgument',
+      'Missing required argument "metadataPrefix" for ListRecords',
+    ]);
+    expect(await error({ verb: 'ListRecords', resumptionToken: 'abc', metadataPrefix: 'oai_dc' })).toEqual([
+      'badArgument',
+      'resumptionToken is an exclusive argument',
+    ]);
+    expect(await error({ verb: 'GetRecord', identifier: ['a', 'b'], metadataPrefix: 'oai_dc' })).toEqual([
+      'badArgument',
+      'Argument "identifier" is repeated or malformed',
+    ]);
+    expect(await error({ verb: 'ListRecords', metadataPrefix: 'marc21' })).toEqual([
+      'cannotDisseminateFormat',
+      'Metadata format "marc21" is not supported',
+    ]);
+    const mixed = { verb: 'ListIdentifiers', metadataPrefix: 'oai_dc', from: '2024-01-01', until: '2024-01-02T00:00:00Z' };
+    expect(await error(mixed)).toEqual([
+      'badArgument',
+      'from and until must have the same granularity',
+    ]);
+    expect(await error({ verb: 'ListRecords', resumptionToken: 'not-a-token' })).toEqual([
+      'badResumptionToken',
+      'The resumption token is invalid or has expired',
+    ]);
+    expect(await error({ verb: 'GetRecord', identifier: 'oai:other.edu:1', metadataPrefix: 'oai_dc' })).toEqual([
+      'idDoesNotExist',
+      'No record with identifier "oai:other.edu:1"',
+    ]);
+  });
+
+  it('echoes the arguments of a valid request', async () => {
+    jest.spyOn(Thesis, 'findOne').mockReturnValue(query(null));
+
+    const xml = await createService().handle({ verb: 'Identify' }, { baseUrl: BASE_URL });
+
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>\n<OAI-PMH xmlns="http:\/\/www.openarchives.org\/OAI\/2.0\/"/);
+    expect(xml).toContain(`<request verb="Identify">${BASE_URL}</request>`);
+    expect(xml).toContain('<repositoryName>Test Repository</repositoryName>');
+    expect(xml).toContain('<earliestDatestamp>1970-01-01T00:00:00Z</earliestDatestamp>');
+    expect(xml).toContain('<deletedRecord>transient</deletedRecord>');
+    expect(xml).toContain('<sampleIdentifier>oai:repo.example.edu:64b7f0c2a1b2c3d4e5f60718</sampleIdentifier>');
+  });
+
+  it('rethrows errors that are not protocol errors', async () => {
+    jest.spyOn(Thesis, 'findOne').mockImplementation(() => {
+      throw new Error('connection lost');
+    });
+
+    await expect(createService().handle({ verb: 'Identify' }, { baseUrl: BASE_URL })).rejects.toThrow('connection lost');
+  });
+});
+
+describe('OaiService records', () => {
+  it('writes escaped oai_dc metadata and tag sets', async () => {
+    jest.spyOn(Thesis, 'findOne').mockReturnValue(query(thesis(1)));
+
+    const xml = await createService().handle(
+      { verb: 'GetRecord', identifier: 'oai:repo.example.edu:64b7f0c2a1b2c3d4e5f60711', metadataPrefix: 'oai_dc' },
+      { baseUrl: BASE_URL }
+    );
+
+    expect(xml).toContain('<identifier>oai:repo.example.edu:64b7f0c2a1b2c3d4e5f60711</identifier>');
+    expect(xml).toContain('<datestamp>2024-01-01T10:00:00Z</datestamp>');
+    expect(xml).toContain('<setSpec>deep-learning</setSpec><setSpec>rice</setSpec>');
+    expect(xml).toContain('<dc:creator>Santos, Maria</dc:creator>');
+    expect(xml).toContain('<dc:contributor>Reyes, Jose</dc:contributor>');
+    expect(xml).toContain('<dc:description>Rice &amp; wheat &lt;yields&gt;</dc:description>');
+    expect(xml).toContain("<dc:type>Master's thesis</dc:type><dc:type>info:eu-repo/semantics/masterThesis</dc:type>");
+    expect(xml).toContain('<dc:title>Thesis 1</dc:title>');
+    expect(xml).toContain('<dc:identifier>https://doi.org/10.1234/t1</dc:identifier>');
+  });
+
+  it('reports theses in the trash as deleted headers', () => {
+    const record = createService().record(thesis(1, { deletedAt: new Date() }));
+
+    expect(record).toMatch(/^<record><header status="deleted">/);
+    expect(record).not.toContain('<metadata>');
+  });
+});
+
+describe('OaiService list paging', () => {
+  const list = async (service, params) => service.handle({ verb: 'ListIdentifiers', ...params }, { baseUrl: BASE_URL });
+
+  it('pages with resumption tokens and ends with an empty token', async () => {
+    const service = createService();
+    const find = jest
+      .spyOn(Thesis, 'find')
+      .mockReturnValueOnce(query([thesis(1), thesis(2), thesis(3)]))
+      .mockReturnValueOnce(query([thesis(3)]));
+    jest.spyOn(Thesis, 'countDocuments').mockResolvedValue(3);
+
+    const first = await list(service, { metadataPrefix: 'oai_dc', from: '2024-01-01', until: '2024-01-03' });
+    expect(first.match(/<header>/g)).toHaveLength(2);
+    expect(find.mock.calls[0][0]).toEqual({
+      status: 'published',
+      updatedAt: { $gte: new Date('2024-01-01T00:00:00Z'), $lt: new Date('2024-01-04T00:00:00Z') },
+    });
+
+    const [, token] = first.match(/<resumptionToken completeListSize="3" cursor="0">([^<]+)<\/resumptionToken>/);
+    const second = await list(service, { resumptionToken: token });
+
+    expect(second.match(/<header>/g)).toHaveLength(1);
+    expect(second).toContain('<resumptionToken completeListSize="3" cursor="2"/>');
+    expect(find.mock.calls[1][0].$and[1].$or[1]).toMatchObject({ updatedAt: thesis(2).updatedAt });
+  });
+
+  it('filters sets by the tags they stand for', async () => {
+    jest.spyOn(Thesis, 'distinct').mockResolvedValue(['Deep Learning', 'rice']);
+    const find = jest.spyOn(Thesis, 'find').mockReturnValue(query([thesis(1)]));
+    jest.spyOn(Thesis, 'countDocuments').mockResolvedValue(1);
+
+    const xml = await list(createService(), { metadataPrefix: 'oai_dc', set: 'deep-learning' });
+
+    expect(xml).not.toContain('resumptionToken');
+    expect(find.mock.calls[0][0].tags).toEqual({ $in: ['Deep Learning'] });
+    expect(await list(createService(), { metadataPrefix: 'oai_dc', set: 'physics' })).toContain(
+      '<error code="noRecordsMatch">'
+    );
+  });
+
+  it('reports noRecordsMatch for an empty list', async () => {
+    jest.spyOn(Thesis, 'find').mockReturnValue(query([]));
+    jest.spyOn(Thesis, 'countDocuments').mockResolvedValue(0);
+
+    const xml = await list(createService(), { metadataPrefix: 'oai_dc', from: '2030-01-01' });
+    expect(xml).toContain('<request verb="ListIdentifiers" metadataPrefix="oai_dc" from="2030-01-01">');
+    expect(xml).toContain('<error code="noRecordsMatch">No records match the request</error>');
+  });
+});
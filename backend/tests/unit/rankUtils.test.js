@@ -0,0 +1,68 @@
+const { reciprocalRankFusion, maximalMarginalRelevance, DEFAULT_RRF_K } = require('../../src/utils/rankUtils');
+
+describe('reciprocalRankFusion', () => {
+  const doc = (id, score) => ({ _id: id, score });
+
+  it('rewards documents that rank well in several lists', () => {
+    const fused = reciprocalRankFusion({
+      semantic: [doc('a', 0.9), doc('b', 0.8), doc('c', 0.7)],
+      keyword: [doc('b', 12), doc('c', 9)],
+    });
+
+    expect(fused.map((result) => result._id)).toEqual(['b', 'c', 'a']);
+    expect(fused[0].score).toBeCloseTo(1 / (DEFAULT_RRF_K + 2) + 1 / (DEFAULT_RRF_K + 1));
+  });
+
+  it('records the rank and original score from each list', () => {
+    const [first, , last] = reciprocalRankFusion({
+      semantic: [doc('a', 0.9), doc('b', 0.8)],
+      keyword: [doc('b', 12), doc('c', 3)],
+    });
+
+    expect(first.ranking).toEqual({
+      semantic: { rank: 2, score: 0.8 },
+      keyword: { rank: 1, score: 12 },
+    });
+    expect(last.ranking.semantic).toBeNull();
+  });
+
+  it('honours a custom k and id function', () => {
+    const fused = reciprocalRankFusion(
+      { only: [{ key: 'x' }, { key: 'y' }] },
+      { k: 0, getId: (item) => item.key }
+    );
+
+    expect(fused.map((result) => result.score)).toEqual([1, 0.5]);
+  });
+});
+
+describe('maximalMarginalRelevance', () => {
+  // Two near-duplicates (a, b) and one different document (c)
+  const docs = [
+    { _id: 'a', score: 0.9, embeddings: [1, 0] },
+    { _id: 'b', score: 0.88, embeddings: [0.99, 0.141] },
+    { _id: 'c', score: 0.6, embeddings: [0, 1] },
+  ];
+
+  it('ranks by relevance alone with lambda 1', () => {
+    expect(maximalMarginalRelevance(docs, { lambda: 1 }).map((doc) => doc._id)).toEqual(['a', 'b', 'c']);
+  });
+
+  it('skips near-duplicates of documents already picked', () => {
+    expect(maximalMarginalRelevance(docs, { lambda: 0.5 }).map((doc) => doc._id)).toEqual(['a', 'c', 'b']);
+  });
+
+  it('only reorders the first `limit` documents', () => {
+    const more = [...docs, { _id: 'd', score: 0.1, embeddings: [0.7, 0.7] }];
+    const result = maximalMarginalRelevance(more, { lambda: 0.5, limit: 1 });
+    expect(result.map((doc) => doc._id)).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  it('does not penalize documents without embeddings', () => {
+    const result = maximalMarginalRelevance(
+      [docs[0], { _id: 'x', score: 0.89 }, docs[2]],
+      { lambda: 0.5, getEmbedding: (doc) => doc.embeddings }
+    );
+    expect(result.map((doc) => doc._id)).toEqual(['a', 'x', 'c']);
+  });
+});
@@ -0,0 +1,22 @@
+const requestId = require('../../src/middleware/requestId');
+const { runMiddleware } = require('../helpers/http');
+
+describe('requestId', () => {
+  it('generates an ID and echoes it in the response', () => {
+    const { req, res, next } = runMiddleware(requestId);
+
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.headers['x-request-id']).toBe(req.id);
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('keeps a well-formed incoming ID', () => {
+    const { req } = runMiddleware(requestId, { headers: { 'x-request-id': 'edge-1234.abc' } });
+    expect(req.id).toBe('edge-1234.abc');
+  });
+
+  it('replaces an incoming ID that could pollute logs', () => {
+    const { req } = runMiddleware(requestId, { headers: { 'x-request-id': 'bad id\nInjected: yes' } });
+    expect(req.id).not.toContain('Injected');
+  });
+});
@@ -0,0 +1,54 @@
+const { RerankService } = require('../../src/services/rerankService');
+const { RERANK_CONFIG } = require('../../src/config/rerank.config');
+
+const results = [
+  { _id: 'a', title: 'Solar irrigation scheduling', abstract: 'Controllers for small farms.', score: 0.9 },
+  { _id: 'b', title: 'Budget ledgers', abstract: 'A blockchain for barangay spending.', score: 0.8 },
+  { _id: 'c', title: 'Rice leaf disease', abstract: 'Convolutional networks detect blast in rice leaves.', score: 0.7 },
+];
+
+describe('RerankService', () => {
+  it('scores query-document pairs between 0 and 1 in batches', async () => {
+    const service = new RerankService({ ...RERANK_CONFIG, batchSize: 2 });
+
+    const scores = await service.scorePairs('rice disease', ['rice leaf disease', 'solar farms', 'rice yields']);
+
+    expect(scores).toHaveLength(3);
+    expect(scores[0]).toBeGreaterThan(scores[2]);
+    expect(scores[2]).toBeGreaterThan(scores[1]);
+    scores.forEach((score) => {
+      expect(score).toBeGreaterThan(0);
+      expect(score).toBeLessThan(1);
+    });
+  });
+
+  it('reorders the top results and keeps the retrieval scores', async () => {
+    const service = new RerankService(RERANK_CONFIG);
+
+    const reranked = await service.rerank('rice leaf disease', results);
+
+    expect(reranked.map((thesis) => thesis._id)).toEqual(['c', 'a', 'b']);
+    expect(reranked[0]).toMatchObject({ score: 0.7, retrievalRank: 3 });
+    expect(reranked[0].rerankScore).toBeGreaterThan(reranked[1].rerankScore);
+  });
+
+  it('only reranks the top N', async () => {
+    const service = new RerankService(RERANK_CONFIG);
+
+    const reranked = await service.rerank('blockchain budget', results, { topN: 2 });
+
+    expect(reranked.map((thesis) => thesis._id)).toEqual(['b', 'a', 'c']);
+    expect(reranked[2].rerankScore).toBeUndefined();
+  });
+
+  it('loads the model once for concurrent requests', async () => {
+    const service = new RerankService(RERANK_CONFIG);
+    const { AutoModelForSequenceClassification } = require('@xenova/transformers');
+    const load = jest.spyOn(AutoModelForSequenceClassification, 'from_pretrained');
+
+    await Promise.all([service.initializeModel(), service.initializeModel()]);
+
+    expect(load).toHaveBeenCalledTimes(1);
+    load.mockRestore();
+  });
+});
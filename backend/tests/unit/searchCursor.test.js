@@ -0,0 +1,37 @@
+const { searchKey, encodeCursor, decodeCursor, readCursor } = require('../../src/utils/searchCursor');
+
+describe('search cursors', () => {
+  const key = searchKey({ query: 'rice', mode: 'semantic', filters: {} });
+
+  it('round-trips a position', () => {
+    const cursor = encodeCursor({ key, offset: 20 });
+    expect(cursor).toMatch(/^[\w-]+$/);
+    expect(decodeCursor(cursor)).toEqual({ key, offset: 20 });
+  });
+
+  it('keys searches by their parameters', () => {
+    expect(searchKey({ query: 'rice', mode: 'semantic', filters: {} })).toBe(key);
+    expect(searchKey({ query: 'rice', mode: 'keyword', filters: {} })).not.toBe(key);
+  });
+
+  it.each([['not base64 json'], [''], [encodeCursor([1, 2])], [42], ['x'.repeat(600)]])(
+    'rejects the malformed cursor %j',
+    (cursor) => {
+      expect(decodeCursor(cursor)).toBeNull();
+    }
+  );
+
+  it('treats a missing cursor as the first page', () => {
+    expect(readCursor(undefined, key)).toBeNull();
+    expect(readCursor(null, key)).toBeNull();
+  });
+
+  it('rejects cursors of another search or with an invalid position', () => {
+    const other = encodeCursor({ key: searchKey({ query: 'solar' }), offset: 10 });
+    expect(() => readCursor(other, key)).toThrow(expect.objectContaining({ statusCode: 400 }));
+
+    const negative = encodeCursor({ key, offset: -1 });
+    expect(() => readCursor(negative, key, ({ offset }) => offset > 0)).toThrow('Cursor is invalid');
+    expect(readCursor(encodeCursor({ key, offset: 10 }), key, ({ offset }) => offset > 0)).toEqual({ key, offset: 10 });
+  });
+});
@@ -0,0 +1,28 @@
+const { buildFilterQuery, isEmptyFilter } = require('../../src/utils/searchFilters');
+
+describe('buildFilterQuery', () => {
+  it('returns an empty query without filters', () => {
+    expect(buildFilterQuery()).toEqual({});
+    expect(isEmptyFilter(buildFilterQuery({ tags: [] }))).toBe(true);
+  });
+
+  it('matches any tag with OR and every tag with AND', () => {
+    expect(buildFilterQuery({ tags: ['Rice', 'rice', 'CNN'] })).toEqual({ tags: { $in: ['rice', 'cnn'] } });
+    expect(buildFilterQuery({ tags: ['rice', 'cnn'], tagOperator: 'AND' })).toEqual({
+      $and: [{ tags: 'rice' }, { tags: 'cnn' }],
+    });
+  });
+
+  it('builds open and closed year ranges', () => {
+    expect(buildFilterQuery({ yearFrom: '2020' })).toEqual({ defenseYear: { $gte: 2020 } });
+    expect(buildFilterQuery({ yearFrom: 2020, yearTo: 2022 })).toEqual({ defenseYear: { $gte: 2020, $lte: 2022 } });
+  });
+
+  it('matches department, degree and language exactly', () => {
+    expect(buildFilterQuery({ department: ' Computer Science ', degreeLevel: 'master', language: 'FIL' })).toEqual({
+      department: 'Computer Science',
+      degreeLevel: 'master',
+      language: 'fil',
+    });
+  });
+});
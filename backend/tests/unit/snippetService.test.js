@@ -0,0 +1,67 @@
+const { SnippetService } = require('../../src/services/snippetService');
+const embeddingService = require('../../src/services/embeddingService');
+
+const thesis = {
+  _id: 'a',
+  updatedAt: new Date('2025-01-01'),
+  abstract:
+    'We survey farm irrigation practices in the region. ' +
+    'A solar powered controller schedules irrigation using soil moisture sensors. ' +
+    'Field trials reduced water consumption.',
+};
+
+describe('SnippetService', () => {
+  let embed;
+
+  beforeEach(() => {
+    embed = jest.spyOn(embeddingService, 'generateEmbeddingFromText');
+  });
+
+  afterEach(() => embed.mockRestore());
+
+  it('marks the most query-similar sentence and the matched terms', async () => {
+    const service = new SnippetService();
+
+    const [result] = await service.highlight('solar controller for soil moisture', [thesis]);
+
+    const { text, sentence, matches } = result.highlight;
+    expect(text.slice(sentence.start, sentence.end)).toBe(
+      'A solar powered controller schedules irrigation using soil moisture sensors.'
+    );
+    expect(sentence.score).toBeGreaterThan(0);
+    expect(matches.map((match) => text.slice(match.start, match.end))).toEqual(['solar', 'controller', 'soil', 'moisture']);
+    expect(result.abstract).toBe(thesis.abstract);
+  });
+
+  it('only highlights terms for keyword hits', async () => {
+    const service = new SnippetService();
+
+    const [result] = await service.highlight('irrigation', [thesis], { semantic: false });
+
+    expect(result.highlight.sentence).toBeNull();
+    expect(result.highlight.matches).toHaveLength(2);
+    expect(embed).not.toHaveBeenCalled();
+  });
+
+  it('caches sentence embeddings per thesis version', async () => {
+    const service = new SnippetService({ cacheSize: 1 });
+
+    await service.sentenceEmbeddings(thesis);
+    await service.sentenceEmbeddings(thesis);
+    expect(embed).toHaveBeenCalledTimes(3);
+
+    await service.sentenceEmbeddings({ ...thesis, updatedAt: new Date('2025-02-01') });
+    expect(embed).toHaveBeenCalledTimes(6);
+    expect(service.sentenceCache.size).toBe(1);
+  });
+
+  it('keeps the results when sentences cannot be embedded', async () => {
+    embed.mockRejectedValue(new Error('model unavailable'));
+    const service = new SnippetService();
+
+    const [result] = await service.highlight('solar', [thesis]);
+
+    expect(result.highlight.sentence).toBeNull();
+    expect(result.highlight.matches).toHaveLength(1);
+  });
+});
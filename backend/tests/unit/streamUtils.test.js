@@ -0,0 +1,42 @@
+const { readLines, readEventData } = require('../../src/utils/streamUtils');
+
+const collect = async (generator) => {
+  const items = [];
+  for await (const item of generator) items.push(item);
+  return items;
+};
+
+// Split a UTF-8 string into byte chunks at the given offsets
+const chunked = (text, ...offsets) => {
+  const bytes = Buffer.from(text, 'utf8');
+  return [0, ...offsets].map((start, index) => bytes.subarray(start, [...offsets, bytes.length][index]));
+};
+
+describe('readLines', () => {
+  it('joins lines split across chunks and skips blank ones', async () => {
+    const lines = await collect(readLines(['{"a":1}\n\n{"b"', ':2}\r\n{"c":3}']));
+
+    expect(lines).toEqual(['{"a":1}', '{"b":2}', '{"c":3}']);
+  });
+
+  it('decodes a multi-byte character split across chunks', async () => {
+    // "é" is two bytes; the first chunk ends between them
+    const lines = await collect(readLines(chunked('café\nnaïve', 4)));
+
+    expect(lines).toEqual(['café', 'naïve']);
+  });
+
+  it('decodes characters split across chunks of an unterminated last line', async () => {
+    const lines = await collect(readLines(chunked('日本', 2, 4)));
+
+    expect(lines).toEqual(['日本']);
+  });
+});
+
+describe('readEventData', () => {
+  it('yields the data payloads of a split event stream', async () => {
+    const stream = chunked('event: delta\ndata: {"text":"ü"}\n\ndata: [DONE]\n', 29);
+
+    expect(await collect(readEventData(stream))).toEqual(['{"text":"ü"}', '[DONE]']);
+  });
+});
@@ -0,0 +1,71 @@
+const { chunkText, splitSections, isHeading } = require('../../src/utils/textChunker');
+const { estimateTokens, splitSentences } = require('../../src/utils/textUtils');
+
+const sentence = (i) => `Sentence number ${i} describes the experiment in some detail for testing.`;
+
+describe('splitSentences', () => {
+  it('keeps abbreviations inside a sentence and tracks offsets', () => {
+    const text = 'We used e.g. sensors. Then we measured yield!';
+    const sentences = splitSentences(text, 10);
+
+    expect(sentences.map((s) => s.text)).toEqual(['We used e.g. sensors.', 'Then we measured yield!']);
+    expect(text.slice(sentences[1].start - 10, sentences[1].end - 10)).toBe('Then we measured yield!');
+  });
+});
+
+describe('isHeading', () => {
+  it('recognises common thesis headings', () => {
+    expect(isHeading('CHAPTER 1')).toBe(true);
+    expect(isHeading('Review of Related Literature')).toBe(true);
+    expect(isHeading('2.1 Data Collection')).toBe(true);
+    expect(isHeading('This is an ordinary sentence.')).toBe(false);
+  });
+});
+
+describe('chunkText', () => {
+  it('splits sections at headings and skips references', () => {
+    const text = [
+      'INTRODUCTION',
+      'Rice is a staple crop. Disease reduces yield.',
+      'METHODOLOGY',
+      'We trained a network on leaf images.',
+      'REFERENCES',
+      'Smith, J. (2020). Some paper.',
+    ].join('\n');
+
+    expect(splitSections(text).map((section) => section.title)).toEqual([
+      'INTRODUCTION',
+      'METHODOLOGY',
+      'REFERENCES',
+    ]);
+
+    const chunks = chunkText(text);
+    expect(chunks.map((chunk) => chunk.section)).toEqual(['INTRODUCTION', 'METHODOLOGY']);
+    expect(chunks.some((chunk) => chunk.text.includes('Smith'))).toBe(false);
+  });
+
+  it('respects the chunk size and overlaps consecutive chunks', () => {
+    const text = Array.from({ length: 40 }, (_, i) => sentence(i)).join(' ');
+    const chunks = chunkText(text, { chunkTokens: 60, overlapTokens: 20 });
+
+    expect(chunks.length).toBeGreaterThan(3);
+    chunks.forEach((chunk) => expect(chunk.tokenCount).toBeLessThanOrEqual(60));
+    for (let i = 1; i < chunks.length; i++) {
+      expect(chunks[i].startOffset).toBeLessThan(chunks[i - 1].endOffset);
+    }
+    expect(estimateTokens(chunks[0].text)).toBe(chunks[0].tokenCount);
+  });
+
+  it('maps offsets to page numbers', () => {
+    const page1 = 'First page text here.';
+    const page2 = 'Second page text here.';
+    const text = `${page1}\n\n${page2}`;
+    const pages = [
+      { number: 1, start: 0, end: page1.length },
+      { number: 2, start: page1.length + 2, end: text.length },
+    ];
+
+    const [chunk] = chunkText(text, { pages, defaultSection: 'Body' });
+    expect(chunk).toMatchObject({ section: 'Body', pageStart: 1, pageEnd: 2 });
+  });
+});
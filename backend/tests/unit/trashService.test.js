@@ -0,0 +1,40 @@
+const { TrashService } = require('../../src/services/trashService');
+
+describe('TrashService', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('purges a thesis after the retention period', () => {
+    const service = new TrashService({ retentionDays: 30, purgeIntervalMs: 0 });
+    const deletedAt = new Date('2025-01-01T00:00:00Z');
+
+    expect(service.purgeDate(deletedAt)).toEqual(new Date('2025-01-31T00:00:00Z'));
+  });
+
+  it('purges on start and then on every interval', async () => {
+    jest.useFakeTimers();
+    const service = new TrashService({ retentionDays: 30, purgeIntervalMs: 1000 });
+    const purge = jest.spyOn(service, 'purgeExpired').mockResolvedValue(0);
+
+    service.start();
+    service.start(); // already running
+    expect(purge).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(2000);
+    expect(purge).toHaveBeenCalledTimes(3);
+
+    service.stop();
+    jest.advanceTimersByTime(2000);
+    expect(purge).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not schedule purges when the interval is 0', () => {
+    const service = new TrashService({ retentionDays: 30, purgeIntervalMs: 0 });
+    const purge = jest.spyOn(service, 'purgeExpired').mockResolvedValue(0);
+
+    service.start();
+    expect(purge).not.toHaveBeenCalled();
+    expect(service.purgeTimer).toBeNull();
+  });
+});
@@ -0,0 +1,340 @@
+const {
+  validateThesisCreation,
+  validateBatchThesisCreation,
+  validateThesisUpload,
+  validateThesisUpdate,
+  validateSearchRequest,
+  validateChatRequest,
+  validatePagination,
+  validateReviewNote,
+  validateSearchFilters,
+  validateImportRequest,
+  validateExportQuery,
+  validateExportRequest,
+  validateCiteQuery,
+} = require('../../src/middleware/validator');
+const { runMiddleware } = require('../helpers/http');
+
+const validThesis = {
+  title: 'Solar Irrigation',
+  abstract: 'A controller for irrigation.',
+};
+
+describe('validateThesisCreation', () => {
+  it('accepts a thesis with valid metadata', () => {
+    const { next } = runMiddleware(validateThesisCreation, {
+      body: {
+        ...validThesis,
+        authors: ['Ana Cruz', { name: 'Ben Lim', orcid: '0000-0002-1825-0097' }],
+        degreeLevel: 'master',
+        defenseYear: 2021,
+        doi: '10.1234/solar.2021',
+      },
+    });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('collects every error at once', () => {
+    const { res, next } = runMiddleware(validateThesisCreation, {
+      body: {
+        title: '',
+        abstract: 'x'.repeat(5001),
+        degreeLevel: 'phd',
+        defenseYear: 1500,
+        doi: 'not-a-doi',
+        authors: [{ name: 'A', orcid: '1234' }],
+      },
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe('Validation failed');
+    expect(res.body.errors).toEqual(
+      expect.arrayContaining([
+        'Title is required and must be a non-empty string',
+        'Abstract cannot exceed 5000 characters',
+        'Year of defense must be a valid year',
+        'DOI must look like 10.1234/abc',
+        'Authors[0] ORCID must look like 0000-0002-1825-0097',
+      ])
+    );
+  });
+
+  it('only accepts draft, pending or published as the initial status', () => {
+    expect(runMiddleware(validateThesisCreation, { body: { ...validThesis, status: 'pending' } }).next).toHaveBeenCalled();
+
+    const { res } = runMiddleware(validateThesisCreation, { body: { ...validThesis, status: 'rejected' } });
+    expect(res.body.errors).toEqual(['Status must be one of: draft, pending, published']);
+  });
+
+  it('accepts async=true or false only', () => {
+    expect(runMiddleware(validateThesisCreation, { body: validThesis, query: { async: 'true' } }).next).toHaveBeenCalled();
+
+    const { res } = runMiddleware(validateThesisCreation, { body: validThesis, query: { async: 'yes' } });
+    expect(res.body.errors).toEqual(['async must be true or false']);
+  });
+});
+
+describe('validateBatchThesisCreation', () => {
+  it('rejects empty and oversized batches', () => {
+    expect(runMiddleware(validateBatchThesisCreation, { body: { theses: [] } }).res.statusCode).toBe(400);
+    expect(
+      runMiddleware(validateBatchThesisCreation, {
+        body: { theses: Array.from({ length: 51 }, () => validThesis) },
+      }).res.body.message
+    ).toBe('Cannot create more than 50 theses at once');
+  });
+
+  it('prefixes errors with the thesis index', () => {
+    const { res } = runMiddleware(validateBatchThesisCreation, {
+      body: { theses: [validThesis, { title: 'No abstract' }] },
+    });
+    expect(res.body.errors).toEqual(['Thesis at index 1: Abstract is required and must be a non-empty string']);
+  });
+
+  it('checks the async flag', () => {
+    const { res } = runMiddleware(validateBatchThesisCreation, {
+      body: { theses: [validThesis] },
+      query: { async: '1' },
+    });
+    expect(res.body.errors).toEqual(['async must be true or false']);
+  });
+});
+
+describe('validateImportRequest', () => {
+  const file = { originalname: 'catalog.csv', buffer: Buffer.from('title,abstract\n') };
+
+  it('requires a file', () => {
+    expect(runMiddleware(validateImportRequest, {}).res.statusCode).toBe(400);
+  });
+
+  it('takes the format from the file extension unless given', () => {
+    expect(runMiddleware(validateImportRequest, { file }).next).toHaveBeenCalled();
+    expect(
+      runMiddleware(validateImportRequest, { file: { ...file, originalname: 'export.txt' }, body: { format: 'ris' } }).next
+    ).toHaveBeenCalled();
+
+    const { res } = runMiddleware(validateImportRequest, { file: { ...file, originalname: 'export.txt' } });
+    expect(res.body.errors).toEqual([
+      'Format must be one of: csv, jsonl, bibtex, ris (or use a .csv, .jsonl, .bib or .ris file)',
+    ]);
+  });
+
+  it('checks the status and dryRun fields', () => {
+    const { res } = runMiddleware(validateImportRequest, { file, body: { status: 'rejected', dryRun: 'yes' } });
+    expect(res.body.errors).toEqual([
+      'Status must be one of: draft, pending, published',
+      'dryRun must be true or false',
+    ]);
+  });
+});
+
+describe('validateExportQuery', () => {
+  it('requires a known format', () => {
+    expect(runMiddleware(validateExportQuery, { query: { format: 'bibtex' } }).next).toHaveBeenCalled();
+
+    const { res } = runMiddleware(validateExportQuery, { query: {} });
+    expect(res.body.errors).toEqual(['Format must be one of: bibtex, ris, csl-json, csv, jsonl']);
+  });
+
+  it('only exports embeddings in data formats', () => {
+    expect(runMiddleware(validateExportQuery, { query: { format: 'jsonl', embeddings: 'true' } }).next).toHaveBeenCalled();
+
+    const { res } = runMiddleware(validateExportQuery, { query: { format: 'ris', embeddings: 'true' } });
+    expect(res.body.errors).toEqual(['Embeddings can only be exported as csv or jsonl']);
+  });
+});
+
+describe('validateCiteQuery', () => {
+  it('accepts a known style or none', () => {
+    expect(runMiddleware(validateCiteQuery, { query: { style: 'ieee' } }).next).toHaveBeenCalled();
+    expect(runMiddleware(validateCiteQuery, {}).next).toHaveBeenCalled();
+
+    const { res } = runMiddleware(validateCiteQuery, { query: { style: 'vancouver' } });
+    expect(res.body.errors).toEqual(['Style must be one of: apa, mla, ieee, chicago, harvard']);
+  });
+});
+
+describe('validateExportRequest', () => {
+  it('accepts a query with tags and filters', () => {
+    const body = { format: 'csv', query: 'rice', tags: ['ai'], operator: 'AND', filters: { yearFrom: 2020 }, limit: 500 };
+    expect(runMiddleware(validateExportRequest, { body }).next).toHaveBeenCalled();
+  });
+
+  it('checks the limit, mode and filters', () => {
+    const { res } = runMiddleware(validateExportRequest, {
+      body: { format: 'bibtex', mode: 'fuzzy', limit: 501, filters: { colour: 'red' }, embeddings: 'maybe' },
+    });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toEqual([
+      'embeddings must be true or false',
+      'Unknown filters: colour',
+      'Mode must be one of: semantic, keyword, hybrid',
+      'Limit must be between 1 and 500',
+    ]);
+  });
+});
+
+describe('validateThesisUpload', () => {
+  it('requires a file', () => {
+    const { res } = runMiddleware(validateThesisUpload, { body: {} });
+    expect(res.statusCode).toBe(400);
+  });
+
+  it('parses multipart list fields before validating', () => {
+    const req = {
+      body: { authors: 'Ana Cruz; Ben Lim', keywords: 'solar, irrigation', defenseYear: '2021' },
+      file: { buffer: Buffer.from('%PDF') },
+    };
+    const { next } = runMiddleware(validateThesisUpload, req);
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('validateThesisUpdate', () => {
+  it('accepts a partial update and cleared metadata', () => {
+    const { next } = runMiddleware(validateThesisUpdate, {
+      body: { abstract: 'Fixed a typo.', doi: null, department: '' },
+    });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('rejects server-managed fields', () => {
+    const { res } = runMiddleware(validateThesisUpdate, { body: { embeddings: [1, 2, 3] } });
+    expect(res.body.errors).toEqual(['Fields cannot be updated: embeddings']);
+  });
+
+  it('requires at least one change', () => {
+    expect(runMiddleware(validateThesisUpdate, { body: {} }).res.statusCode).toBe(400);
+    expect(runMiddleware(validateThesisUpdate, { body: { tagMode: 'keep' } }).res.statusCode).toBe(400);
+    expect(runMiddleware(validateThesisUpdate, { body: { tagMode: 'regenerate' } }).next).toHaveBeenCalled();
+  });
+
+  it('checks tags against the tag mode', () => {
+    const errorsFor = (body) => runMiddleware(validateThesisUpdate, { body }).res.body.errors;
+
+    expect(errorsFor({ tagMode: 'replace' })).toEqual(['Tags are required with tagMode "replace"']);
+    expect(errorsFor({ tags: ['a', 'b', 'c'], tagMode: 'regenerate' })).toEqual([
+      'Tags can only be sent with tagMode "replace"',
+    ]);
+    expect(errorsFor({ tags: ['a', 'b'] })).toEqual(['Must have between 3 and 5 tags']);
+    expect(errorsFor({ title: '   ', tagMode: 'rewrite' })).toEqual([
+      'Title must be a non-empty string',
+      'Tag mode must be one of: keep, replace, regenerate',
+    ]);
+  });
+});
+
+describe('validateSearchRequest', () => {
+  it.each([
+    [{ query: '' }, 'Query is required and must be a non-empty string'],
+    [{ query: 'x'.repeat(501) }, 'Query cannot exceed 500 characters'],
+    [{ query: 'solar', mode: 'fuzzy' }, 'Mode must be one of: semantic, keyword, hybrid'],
+    [{ query: 'solar', efSearch: 5000 }, 'efSearch must be between 1 and 1000'],
+  ])('rejects %j', (body, message) => {
+    const { res } = runMiddleware(validateSearchRequest, { body });
+    expect(res.statusCode).toBe(400);
+    expect(res.body.message).toBe(message);
+  });
+
+  it('accepts hybrid queries', () => {
+    expect(runMiddleware(validateSearchRequest, { body: { query: 'solar', mode: 'hybrid' } }).next).toHaveBeenCalled();
+  });
+
+  it('checks the page size and cursor', () => {
+    const { res } = runMiddleware(validateSearchRequest, { body: { query: 'solar', limit: 500, cursor: '%%%' } });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toEqual([
+      'Limit must be between 1 and 100',
+      'Cursor must be the nextCursor of a previous response',
+    ]);
+  });
+
+  it('checks the rerank options', () => {
+    const { res } = runMiddleware(validateSearchRequest, { body: { query: 'solar', rerank: 'yes', rerankTopN: 500 } });
+    expect(res.body.errors).toEqual(['Rerank must be a boolean', 'rerankTopN must be between 2 and 100']);
+
+    const { next } = runMiddleware(validateSearchRequest, { body: { query: 'solar', rerank: true, rerankTopN: 30 } });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('checks the MMR options', () => {
+    const { res } = runMiddleware(validateSearchRequest, { body: { query: 'solar', mmr: 1, mmrLambda: 1.5 } });
+    expect(res.body.errors).toEqual(['MMR must be a boolean', 'mmrLambda must be a number between 0 and 1']);
+
+    const { next } = runMiddleware(validateSearchRequest, { body: { query: 'solar', mmr: true, mmrLambda: 0 } });
+    expect(next).toHaveBeenCalled();
+  });
+});
+
+describe('validateSearchFilters', () => {
+  it('accepts valid filters', () => {
+    const { next } = runMiddleware(validateSearchFilters, {
+      body: {
+        tags: ['rice'],
+        operator: 'AND',
+        filters: { yearFrom: 2020, yearTo: 2023, department: 'Computer Science', degreeLevel: 'bachelor', language: 'en' },
+      },
+    });
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('collects filter errors', () => {
+    const { res } = runMiddleware(validateSearchFilters, {
+      body: { operator: 'XOR', tags: ['rice'], filters: { yearFrom: 2024, yearTo: 2020, degreeLevel: 'phd', sort: 'year' } },
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toEqual([
+      'Unknown filters: sort',
+      'yearFrom cannot be after yearTo',
+      'Degree level must be one of: bachelor, master, doctoral, other',
+      'Tag operator must be one of: AND, OR',
+    ]);
+  });
+});
+
+describe('validateChatRequest', () => {
+  it('rejects long messages and non-array history', () => {
+    const { res } = runMiddleware(validateChatRequest, {
+      body: { message: 'x'.repeat(1001), conversationHistory: 'nope' },
+    });
+    expect(res.body.errors).toEqual([
+      'Message cannot exceed 1000 characters',
+      'Conversation history must be an array',
+    ]);
+  });
+
+  it('checks the MMR lambda', () => {
+    const { res } = runMiddleware(validateChatRequest, { body: { message: 'solar', mmr: true, mmrLambda: -1 } });
+    expect(res.body.errors).toEqual(['mmrLambda must be a number between 0 and 1']);
+  });
+});
+
+describe('validatePagination', () => {
+  it('bounds page and limit', () => {
+    expect(runMiddleware(validatePagination, { query: { page: '0' } }).res.statusCode).toBe(400);
+    expect(runMiddleware(validatePagination, { query: { limit: '101' } }).res.statusCode).toBe(400);
+    expect(runMiddleware(validatePagination, { query: { page: '2', limit: '20' } }).next).toHaveBeenCalled();
+  });
+
+  it('checks the status filter', () => {
+    expect(runMiddleware(validatePagination, { query: { status: 'pending' } }).next).toHaveBeenCalled();
+    expect(runMiddleware(validatePagination, { query: { status: 'archived' } }).res.statusCode).toBe(400);
+  });
+});
+
+describe('validateReviewNote', () => {
+  it('requires a note only when asked to', () => {
+    expect(runMiddleware(validateReviewNote(false), { body: {} }).next).toHaveBeenCalled();
+
+    const { res } = runMiddleware(validateReviewNote(true), { body: { note: '  ' } });
+    expect(res.body.errors).toEqual(['A note explaining the decision is required']);
+  });
+
+  it('bounds the note length', () => {
+    const { res } = runMiddleware(validateReviewNote(false), { body: { note: 'x'.repeat(2001) } });
+    expect(res.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,40 @@
+import { createContext, useContext, useEffect, useState } from 'react';
+import { authAPI, getToken } from '../services/api';
+
+// Backend role order (User.ROLES): each role can do what the ones before it can
+const ROLES = ['reader', 'submitter', 'curator', 'admin'];
+
+const AuthContext = createContext(null);
+
+// Logged-in user, restored from the saved session token on load
+export const AuthProvider = ({ children }) => {
+  const [user, setUser] = useState(null);
+
+  useEffect(() => {
+    if (!getToken()) return;
+    authAPI
+      .me()
+      .then((result) => setUser(result.data))
+      .catch((err) => {
+        // An invalid token is already dropped by the API client
+        console.error('Error restoring session:', err);
+      });
+  }, []);
+
+  const login = async (email, password) => {
+    const result = await authAPI.login(email, password);
+    setUser(result.data.user);
+    return result.data.user;
+  };
+
+  const logout = () => {
+    authAPI.logout();
+    setUser(null);
+  };
+
+  const hasRole = (role) => Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+
+  return <AuthContext.Provider value={{ user, login, logout, hasRole }}>{children}</AuthContext.Provider>;
+};
+
+export const useAuth = () => useContext(AuthContext);
@@ -53,17 +53,28 @@ const ChatBot = () => {
         content: msg.content,
       }));
 
-      // Send to API
-      const response = await chatAPI.sendMessage(userMessage, conversationHistory, 3);
-
-      // Add assistant response
-      const assistantMessage = {
+      // Add a placeholder assistant message that fills in as tokens arrive
+      const streamingMessage = {
         role: 'assistant',
-        content: response.data.answer,
-        sources: response.data.sources,
+        content: '',
+        sources: [],
+        streaming: true,
         timestamp: new Date(),
       };
-      setMessages((prev) => [...prev, assistantMessage]);
+      setMessages((prev) => [...prev, streamingMessage]);
+
+      const updateStreamingMessage = (update) => {
+        setMessages((prev) =>
+          prev.map((msg) => (msg.streaming ? { ...msg, ...update(msg) } : msg))
+        );
+      };
+
+      // Stream from API
+      await chatAPI.streamMessage(userMessage, conversationHistory, 3, {
+        onSources: (sources) => updateStreamingMessage(() => ({ sources })),
+        onToken: ({ text }) => updateStreamingMessage((msg) => ({ content: msg.content + text })),
+        onDone: ({ answer }) => updateStreamingMessage(() => ({ content: answer, streaming: false })),
+      });
     } catch (error) {
       console.error('Chat error:', error);
       const errorMessage = {
@@ -71,12 +82,17 @@ const ChatBot = () => {
         content: "I'm sorry, I encountered an error. Please try again.",
         timestamp: new Date(),
       };
-      setMessages((prev) => [...prev, errorMessage]);
+      // Replace the partial answer, if any, with the error
+      setMessages((prev) => [...prev.filter((msg) => !msg.streaming), errorMessage]);
     } finally {
       setLoading(false);
     }
   };
 
+  // Hide the streaming placeholder and show the typing indicator until the first token arrives
+  const visibleMessages = messages.filter((msg) => !(msg.streaming && !msg.content));
+  const awaitingFirstToken = loading && !messages.some((msg) => msg.streaming && msg.content);
+
   const handleClearChat = () => {
     setMessages([
       {
@@ -162,7 +178,7 @@ const ChatBot = () => {
 
           {/* Messages Area */}
           <div className="flex-1 overflow-y-auto p-4 space-y-4 bg-gray-50">
-            {messages.map((message, index) => (
+            {visibleMessages.map((message, index) => (
               <div
                 key={index}
                 className={`flex ${
@@ -201,7 +217,7 @@ const ChatBot = () => {
             ))}
 
             {/* Loading Indicator */}
-            {loading && (
+            {awaitingFirstToken && (
               <div className="flex justify-start">
                 <div className="bg-white border border-gray-200 rounded-lg px-4 py-2">
                   <div className="flex space-x-2">
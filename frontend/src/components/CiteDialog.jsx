@@ -0,0 +1,111 @@
+import { useState, useEffect } from 'react';
+import { thesisAPI } from '../services/api';
+
+// Citation of a thesis in every supported style, with copy to clipboard
+const CiteDialog = ({ thesisId, onClose }) => {
+  const [citations, setCitations] = useState([]);
+  const [style, setStyle] = useState('apa');
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    thesisAPI
+      .cite(thesisId)
+      .then((result) => setCitations(result.data || []))
+      .catch((err) => {
+        console.error('Error loading citations:', err);
+        setError('Failed to load citations. Please try again.');
+      });
+  }, [thesisId]);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const citation = citations.find((item) => item.style === style);
+
+  // Copy as rich text where the browser allows it (keeps the italics), otherwise as plain text
+  const handleCopy = async () => {
+    try {
+      if (window.ClipboardItem) {
+        await navigator.clipboard.write([
+          new ClipboardItem({
+            'text/plain': new Blob([citation.text], { type: 'text/plain' }),
+            'text/html': new Blob([citation.html], { type: 'text/html' }),
+          }),
+        ]);
+      } else {
+        await navigator.clipboard.writeText(citation.text);
+      }
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying citation:', err);
+      setError('Could not copy to the clipboard. Select the citation and copy it instead.');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="cite-dialog-title"
+        className="bg-white rounded-lg shadow-2xl w-full max-w-2xl p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 id="cite-dialog-title" className="text-2xl font-bold text-gray-900">
+            Cite
+          </h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-900" aria-label="Close">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Styles */}
+        <div className="flex flex-wrap gap-2 mb-4">
+          {citations.map((item) => (
+            <button
+              key={item.style}
+              onClick={() => {
+                setStyle(item.style);
+                setCopied(false);
+              }}
+              className={`px-3 py-1 rounded-full text-sm transition-colors ${
+                item.style === style ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {item.label}
+            </button>
+          ))}
+        </div>
+
+        {/* Citation (HTML escaped by the server) */}
+        {citation && (
+          <div
+            className="bg-gray-50 border border-gray-200 rounded-lg p-4 text-gray-800 leading-relaxed break-words mb-4"
+            dangerouslySetInnerHTML={{ __html: citation.html }}
+          />
+        )}
+        {!citation && !error && <p className="text-gray-600 mb-4">Loading citations...</p>}
+        {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+        <div className="flex justify-end">
+          <button onClick={handleCopy} disabled={!citation} className="btn-primary">
+            {copied ? 'Copied!' : 'Copy to clipboard'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CiteDialog;
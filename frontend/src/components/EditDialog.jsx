@@ -0,0 +1,171 @@
+import { useState, useEffect } from 'react';
+import { thesisAPI } from '../services/api';
+
+// Fields offered for editing; list fields are edited as delimited text
+const TEXT_FIELDS = [
+  { field: 'department', label: 'Department' },
+  { field: 'institution', label: 'Institution' },
+  { field: 'defenseYear', label: 'Year of Defense', type: 'number' },
+  { field: 'doi', label: 'DOI' },
+  { field: 'handle', label: 'Handle' },
+  { field: 'license', label: 'License' },
+];
+
+const TAG_MODES = [
+  { mode: 'keep', label: 'Keep the current tags' },
+  { mode: 'regenerate', label: 'Generate new tags from the title and abstract' },
+];
+
+const toForm = (thesis) => ({
+  title: thesis.title,
+  abstract: thesis.abstract,
+  keywords: (thesis.keywords || []).join(', '),
+  ...Object.fromEntries(TEXT_FIELDS.map(({ field }) => [field, thesis[field] ?? ''])),
+});
+
+// Edit a thesis, sending only the fields that changed (PATCH /api/theses/:id)
+const EditDialog = ({ thesis, onClose, onSaved }) => {
+  const [form, setForm] = useState(() => toForm(thesis));
+  const [tagMode, setTagMode] = useState('keep');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [onClose]);
+
+  const setField = (field) => (e) => setForm({ ...form, [field]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const original = toForm(thesis);
+    const changes = {};
+    Object.keys(form).forEach((field) => {
+      if (form[field] === original[field]) return;
+      if (field === 'keywords') {
+        changes.keywords = form.keywords.split(',').map((keyword) => keyword.trim()).filter(Boolean);
+      } else if (field === 'defenseYear') {
+        changes.defenseYear = form.defenseYear === '' ? null : Number(form.defenseYear);
+      } else {
+        // An emptied field is cleared
+        changes[field] = form[field].trim() === '' ? null : form[field].trim();
+      }
+    });
+    if (tagMode !== 'keep') changes.tagMode = tagMode;
+
+    if (Object.keys(changes).length === 0) {
+      onClose();
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await thesisAPI.update(thesis._id, changes);
+      onSaved(result.data);
+    } catch (err) {
+      console.error('Error updating thesis:', err);
+      const body = err.response?.data;
+      setError(body?.errors?.join(' ') || body?.message || 'Saving failed. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 px-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="edit-dialog-title"
+        className="bg-white rounded-lg shadow-2xl w-full max-w-2xl p-6 max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 id="edit-dialog-title" className="text-2xl font-bold text-gray-900">
+            Edit thesis
+          </h2>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-900" aria-label="Close">
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div>
+            <label htmlFor="edit-title" className="block text-sm font-semibold text-gray-700 mb-1">
+              Title
+            </label>
+            <input id="edit-title" value={form.title} onChange={setField('title')} className="input" required />
+          </div>
+          <div>
+            <label htmlFor="edit-abstract" className="block text-sm font-semibold text-gray-700 mb-1">
+              Abstract
+            </label>
+            <textarea
+              id="edit-abstract"
+              value={form.abstract}
+              onChange={setField('abstract')}
+              rows={8}
+              className="input"
+              required
+            />
+          </div>
+          <div>
+            <label htmlFor="edit-keywords" className="block text-sm font-semibold text-gray-700 mb-1">
+              Keywords (comma separated)
+            </label>
+            <input id="edit-keywords" value={form.keywords} onChange={setField('keywords')} className="input" />
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            {TEXT_FIELDS.map(({ field, label, type }) => (
+              <div key={field}>
+                <label htmlFor={`edit-${field}`} className="block text-sm font-semibold text-gray-700 mb-1">
+                  {label}
+                </label>
+                <input
+                  id={`edit-${field}`}
+                  type={type || 'text'}
+                  value={form[field]}
+                  onChange={setField(field)}
+                  className="input"
+                />
+              </div>
+            ))}
+          </div>
+          <div>
+            <label htmlFor="edit-tag-mode" className="block text-sm font-semibold text-gray-700 mb-1">
+              Tags
+            </label>
+            <select id="edit-tag-mode" value={tagMode} onChange={(e) => setTagMode(e.target.value)} className="input">
+              {TAG_MODES.map(({ mode, label }) => (
+                <option key={mode} value={mode}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <div className="flex justify-end gap-2">
+            <button type="button" onClick={onClose} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn-primary disabled:opacity-50">
+              {saving ? 'Saving...' : 'Save changes'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default EditDialog;
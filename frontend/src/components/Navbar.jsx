@@ -1,12 +1,43 @@
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
 import { useState } from 'react';
+import { useAuth } from './AuthProvider';
 
 const Navbar = () => {
   const location = useLocation();
+  const navigate = useNavigate();
+  const { user, logout } = useAuth();
   const [isMenuOpen, setIsMenuOpen] = useState(false);
 
   const isActive = (path) => location.pathname === path;
 
+  const handleLogout = () => {
+    logout();
+    setIsMenuOpen(false);
+    navigate('/');
+  };
+
+  // Logged-in user with a log out button, or a link to the login page
+  const renderSession = (className) =>
+    user ? (
+      <div className={`flex items-center gap-3 ${className}`}>
+        <span className="text-sm text-gray-600">
+          {user.name} <span className="text-gray-400 capitalize">({user.role})</span>
+        </span>
+        <button onClick={handleLogout} className="btn-secondary text-sm py-1 px-4">
+          Log out
+        </button>
+      </div>
+    ) : (
+      <Link
+        to="/login"
+        state={{ from: location.pathname }}
+        onClick={() => setIsMenuOpen(false)}
+        className={`btn-primary text-sm py-1 px-4 ${className}`}
+      >
+        Log in
+      </Link>
+    );
+
   const navLinks = [
     { path: '/', label: 'Home' },
     { path: '/search', label: 'Search' },
@@ -45,6 +76,8 @@ const Navbar = () => {
             ))}
           </div>
 
+          {renderSession('hidden md:flex')}
+
           {/* Mobile Menu Button */}
           <button
             onClick={() => setIsMenuOpen(!isMenuOpen)}
@@ -92,6 +125,7 @@ const Navbar = () => {
                 {link.label}
               </Link>
             ))}
+            <div className="px-4 pt-3">{renderSession('inline-flex')}</div>
           </div>
         )}
       </div>
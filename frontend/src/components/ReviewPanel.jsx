@@ -0,0 +1,113 @@
+import { useState } from 'react';
+import { thesisAPI } from '../services/api';
+import { useAuth } from './AuthProvider';
+
+// Review workflow actions of the backend (Thesis.STATUS_ACTIONS); submitter
+// actions are offered on the user's own theses, curator actions on any
+const REVIEW_ACTIONS = [
+  { action: 'submit', label: 'Submit for review', from: ['draft', 'rejected'], role: 'submitter' },
+  { action: 'withdraw', label: 'Withdraw', from: ['pending'], role: 'submitter' },
+  { action: 'publish', label: 'Publish', from: ['pending'], role: 'curator' },
+  { action: 'reject', label: 'Reject', from: ['pending'], role: 'curator', noteRequired: true },
+  { action: 'unpublish', label: 'Unpublish', from: ['published'], role: 'curator' },
+];
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-700',
+  pending: 'bg-yellow-100 text-yellow-800',
+  published: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-700',
+};
+
+// Status, review notes and the review actions open to the logged-in user
+const ReviewPanel = ({ thesis, onChanged }) => {
+  const { user, hasRole } = useAuth();
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isOwner = Boolean(user) && String(thesis.submittedBy) === String(user._id);
+  const actions = REVIEW_ACTIONS.filter(
+    ({ from, role }) =>
+      from.includes(thesis.status) && (hasRole('curator') || (role === 'submitter' && isOwner && hasRole(role)))
+  );
+
+  // Readers only see published theses; nothing to review
+  if (actions.length === 0 && !thesis.reviewNotes?.length) return null;
+
+  const handleAction = async ({ action, noteRequired }) => {
+    if (noteRequired && !note.trim()) {
+      setError('Add a note explaining what needs to change.');
+      return;
+    }
+
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await thesisAPI.changeStatus(thesis._id, action, note.trim());
+      setNote('');
+      onChanged(result.data);
+    } catch (err) {
+      console.error(`Error changing thesis status (${action}):`, err);
+      const body = err.response?.data;
+      setError(body?.errors?.join(' ') || body?.message || 'The status could not be changed. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="card mb-8">
+      <div className="flex items-center gap-3 mb-4">
+        <h2 className="text-2xl font-bold text-gray-900">Review</h2>
+        <span className={`px-3 py-1 rounded-full text-sm font-medium capitalize ${STATUS_STYLES[thesis.status]}`}>
+          {thesis.status}
+        </span>
+      </div>
+
+      {thesis.reviewNotes?.length > 0 && (
+        <ol className="space-y-2 text-sm mb-4">
+          {thesis.reviewNotes.map((entry, index) => (
+            <li key={index} className="border-l-2 border-primary-200 pl-3">
+              <span className="font-semibold text-gray-900 capitalize">{entry.action}</span>
+              <span className="text-gray-500"> {new Date(entry.at).toLocaleString()}</span>
+              {entry.note && <p className="text-gray-600 italic">“{entry.note}”</p>}
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {actions.length > 0 && (
+        <>
+          <label htmlFor="review-note" className="block text-sm font-semibold text-gray-700 mb-1">
+            Note (optional, required to reject)
+          </label>
+          <textarea
+            id="review-note"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={2}
+            maxLength={2000}
+            className="input mb-3"
+          />
+          <div className="flex flex-wrap gap-2">
+            {actions.map((item) => (
+              <button
+                key={item.action}
+                onClick={() => handleAction(item)}
+                disabled={busy}
+                className={`${item.action === 'publish' || item.action === 'submit' ? 'btn-primary' : 'btn-secondary'} text-sm disabled:opacity-50`}
+              >
+                {item.label}
+              </button>
+            ))}
+          </div>
+        </>
+      )}
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default ReviewPanel;
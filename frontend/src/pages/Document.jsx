@@ -1,20 +1,43 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
-import { thesisAPI } from '../services/api';
+import { thesisAPI, auditAPI } from '../services/api';
+import CiteDialog from '../components/CiteDialog';
+import EditDialog from '../components/EditDialog';
+import ReviewPanel from '../components/ReviewPanel';
+import { useAuth } from '../components/AuthProvider';
+
+// Download formats offered under the abstract
+const EXPORT_FORMATS = [
+  { format: 'bibtex', label: 'BibTeX' },
+  { format: 'ris', label: 'RIS' },
+  { format: 'csl-json', label: 'CSL-JSON' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'jsonl', label: 'JSON Lines' },
+];
 
 const Document = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { user, hasRole } = useAuth();
   const [thesis, setThesis] = useState(null);
   const [similarTheses, setSimilarTheses] = useState([]);
+  const [history, setHistory] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const [citing, setCiting] = useState(false);
+  const [editing, setEditing] = useState(false);
 
   useEffect(() => {
-    loadThesis();
     loadSimilarTheses();
   }, [id]);
 
+  // Reloaded on login and logout: drafts and history depend on who is looking
+  useEffect(() => {
+    loadThesis();
+    loadHistory();
+  }, [id, user]);
+
   const loadThesis = async () => {
     setLoading(true);
     setError(null);
@@ -38,6 +61,41 @@ const Document = () => {
     }
   };
 
+  // Only curators and admins can read the audit log; everyone else sees no history
+  const loadHistory = async () => {
+    setHistory([]);
+    if (!hasRole('curator')) return;
+    try {
+      const result = await auditAPI.list({ thesis: id, limit: 50 });
+      setHistory(result.data || []);
+    } catch (err) {
+      if (![401, 403].includes(err.response?.status)) {
+        console.error('Error loading thesis history:', err);
+      }
+    }
+  };
+
+  const handleExport = async (format) => {
+    setExportError(null);
+    try {
+      await thesisAPI.download(id, format);
+    } catch (err) {
+      console.error('Error exporting thesis:', err);
+      setExportError('Export failed. Please try again.');
+    }
+  };
+
+  const handleSaved = (updated) => {
+    setThesis(updated);
+    setEditing(false);
+    loadHistory();
+  };
+
+  const handleStatusChanged = (updated) => {
+    setThesis(updated);
+    loadHistory();
+  };
+
   const handleTagClick = (tag) => {
     navigate(`/search?q=${encodeURIComponent(tag)}`);
   };
@@ -80,6 +138,40 @@ const Document = () => {
     );
   }
 
+  // Same rule as PATCH /api/theses/:id: curators edit anything, submitters their own drafts and rejected theses
+  const isOwner = Boolean(user) && String(thesis.submittedBy) === String(user._id);
+  const canEdit = hasRole('curator') || (isOwner && ['draft', 'rejected'].includes(thesis.status));
+
+  const formatPeople = (people) => people?.map((person) => person.name).join('; ');
+
+  const bibliographicDetails = [
+    { label: 'Authors', value: formatPeople(thesis.authors) },
+    { label: 'Advisors', value: formatPeople(thesis.advisors) },
+    { label: 'Degree', value: thesis.degreeLevel && thesis.degreeLevel.charAt(0).toUpperCase() + thesis.degreeLevel.slice(1) },
+    { label: 'Department', value: thesis.department },
+    { label: 'Institution', value: thesis.institution },
+    { label: 'Year of Defense', value: thesis.defenseYear },
+    { label: 'Language', value: thesis.language },
+    { label: 'Keywords', value: thesis.keywords?.join(', ') },
+    {
+      label: 'DOI',
+      value: thesis.doi && (
+        <a href={`https://doi.org/${thesis.doi}`} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:underline">
+          {thesis.doi}
+        </a>
+      ),
+    },
+    {
+      label: 'Handle',
+      value: thesis.handle && (
+        <a href={`https://hdl.handle.net/${thesis.handle}`} target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:underline">
+          {thesis.handle}
+        </a>
+      ),
+    },
+    { label: 'License', value: thesis.license },
+  ].filter(({ value }) => value);
+
   return (
     <div className="min-h-screen py-8 px-4">
       <div className="container mx-auto max-w-4xl">
@@ -107,9 +199,16 @@ const Document = () => {
         {/* Thesis Card */}
         <div className="card mb-8">
           {/* Title */}
-          <h1 className="text-3xl md:text-4xl font-bold text-gray-900 mb-4">
-            {thesis.title}
-          </h1>
+          <div className="flex items-start justify-between gap-4 mb-4">
+            <h1 className="text-3xl md:text-4xl font-bold text-gray-900">
+              {thesis.title}
+            </h1>
+            {canEdit && (
+              <button onClick={() => setEditing(true)} className="btn-secondary text-sm shrink-0">
+                Edit
+              </button>
+            )}
+          </div>
 
           {/* Metadata */}
           <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 mb-6 pb-6 border-b border-gray-200">
@@ -135,6 +234,18 @@ const Document = () => {
             </span>
           </div>
 
+          {/* Bibliographic Details */}
+          {bibliographicDetails.length > 0 && (
+            <dl className="grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-3 mb-6 pb-6 border-b border-gray-200 text-sm">
+              {bibliographicDetails.map(({ label, value }) => (
+                <div key={label}>
+                  <dt className="font-semibold text-gray-700">{label}</dt>
+                  <dd className="text-gray-600 break-words">{value}</dd>
+                </div>
+              ))}
+            </dl>
+          )}
+
           {/* Tags */}
           <div className="mb-6">
             <h3 className="text-sm font-semibold text-gray-700 mb-2">Tags:</h3>
@@ -158,8 +269,55 @@ const Document = () => {
               {thesis.abstract}
             </p>
           </div>
+
+          {/* Cite & Export */}
+          <div className="mt-6 pt-6 border-t border-gray-200">
+            <h3 className="text-sm font-semibold text-gray-700 mb-2">Cite or export:</h3>
+            <div className="flex flex-wrap gap-2">
+              <button onClick={() => setCiting(true)} className="btn-primary text-sm">
+                Cite
+              </button>
+              {EXPORT_FORMATS.map(({ format, label }) => (
+                <button key={format} onClick={() => handleExport(format)} className="btn-secondary text-sm">
+                  {label}
+                </button>
+              ))}
+            </div>
+            {exportError && <p className="mt-2 text-sm text-red-600">{exportError}</p>}
+          </div>
         </div>
 
+        {citing && <CiteDialog thesisId={id} onClose={() => setCiting(false)} />}
+        {editing && <EditDialog thesis={thesis} onClose={() => setEditing(false)} onSaved={handleSaved} />}
+
+        <ReviewPanel thesis={thesis} onChanged={handleStatusChanged} />
+
+        {/* History */}
+        {history.length > 0 && (
+          <div className="card mb-8">
+            <h2 className="text-2xl font-bold text-gray-900 mb-4">History</h2>
+            <ol className="space-y-3 text-sm">
+              {history.map((event) => (
+                <li key={event._id} className="border-l-2 border-primary-200 pl-3">
+                  <div className="flex flex-wrap items-baseline gap-x-2">
+                    <span className="font-semibold text-gray-900 capitalize">{event.action}</span>
+                    <span className="text-gray-600">
+                      by {event.actor?.name || (event.actorRole ? 'a deleted account' : 'the system')}
+                    </span>
+                    <span className="text-gray-500">{new Date(event.createdAt).toLocaleString()}</span>
+                  </div>
+                  {event.action !== 'create' && event.changes?.length > 0 && (
+                    <p className="text-gray-600">
+                      Changed {event.changes.map((change) => change.field).join(', ')}
+                    </p>
+                  )}
+                  {event.details?.note && <p className="text-gray-600 italic">“{event.details.note}”</p>}
+                </li>
+              ))}
+            </ol>
+          </div>
+        )}
+
         {/* Similar Theses */}
         {similarTheses.length > 0 && (
           <div>
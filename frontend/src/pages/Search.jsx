@@ -1,51 +1,168 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef, useCallback } from 'react';
 import { useNavigate, useSearchParams, Link } from 'react-router-dom';
 import { searchAPI, thesisAPI } from '../services/api';
 
+const PAGE_SIZE = 20;
+const THRESHOLD = 0.1;
+
+// Download formats for the result list
+const EXPORT_FORMATS = [
+  { format: 'bibtex', label: 'BibTeX' },
+  { format: 'ris', label: 'RIS' },
+  { format: 'csl-json', label: 'CSL-JSON' },
+  { format: 'csv', label: 'CSV' },
+  { format: 'jsonl', label: 'JSON Lines' },
+];
+
+// Search snippet: the sentence closest to the query is shaded, matched terms are marked
+const Snippet = ({ highlight }) => {
+  const { text, matches = [], sentence } = highlight;
+
+  // Split the text wherever a match or the sentence starts or ends
+  const cuts = new Set([0, text.length]);
+  [...matches, ...(sentence ? [sentence] : [])].forEach(({ start, end }) => {
+    cuts.add(start);
+    cuts.add(end);
+  });
+  const points = [...cuts].sort((a, b) => a - b);
+
+  return (
+    <p className="text-gray-600 mb-4">
+      {points.slice(0, -1).map((start, index) => {
+        const end = points[index + 1];
+        const part = text.slice(start, end);
+        const inSentence = sentence && start >= sentence.start && end <= sentence.end;
+        const isMatch = matches.some((match) => start >= match.start && end <= match.end);
+
+        return (
+          <span key={start} className={inSentence ? 'bg-primary-50' : undefined}>
+            {isMatch ? <mark className="bg-yellow-100 text-gray-900 rounded px-0.5">{part}</mark> : part}
+          </span>
+        );
+      })}
+    </p>
+  );
+};
+
 const Search = () => {
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   const [searchQuery, setSearchQuery] = useState(searchParams.get('q') || '');
   const [theses, setTheses] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [estimated, setEstimated] = useState(false);
+  // Cursor (search) or page number (listing) of the next page, null when done
+  const [next, setNext] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
+  const [exportFormat, setExportFormat] = useState('bibtex');
+  const [exporting, setExporting] = useState(false);
+  const sentinelRef = useRef(null);
+  // Ignore responses for a query the user has already moved away from
+  const requestRef = useRef(0);
+
+  const query = searchParams.get('q');
+
+  // Fetch one page: semantic results by cursor, or all theses by page number
+  const fetchPage = useCallback(
+    async (position) => {
+      if (query) {
+        const result = await searchAPI.semantic(query, PAGE_SIZE, THRESHOLD, 'semantic', {}, position);
+        return {
+          data: result.data || [],
+          total: result.pagination?.total ?? 0,
+          estimated: Boolean(result.pagination?.estimated),
+          next: result.pagination?.nextCursor || null,
+        };
+      }
+
+      const page = position || 1;
+      const result = await thesisAPI.getAll(page, PAGE_SIZE);
+      return {
+        data: result.data || [],
+        total: result.pagination?.total ?? 0,
+        estimated: false,
+        next: page < (result.pagination?.pages || 0) ? page + 1 : null,
+      };
+    },
+    [query]
+  );
 
   useEffect(() => {
-    const query = searchParams.get('q');
     if (query) {
       setSearchQuery(query);
-      performSearch(query);
-    } else {
-      // Load all theses if no query
-      loadAllTheses();
     }
-  }, [searchParams]);
 
-  const performSearch = async (query) => {
+    const requestId = ++requestRef.current;
     setLoading(true);
     setError(null);
+    setTheses([]);
+    setNext(null);
+
+    fetchPage(null)
+      .then((page) => {
+        if (requestId !== requestRef.current) return;
+        setTheses(page.data);
+        setTotal(page.total);
+        setEstimated(page.estimated);
+        setNext(page.next);
+      })
+      .catch((err) => {
+        if (requestId !== requestRef.current) return;
+        console.error('Search error:', err);
+        setError(query ? 'Failed to search theses. Please try again.' : 'Failed to load theses. Please try again.');
+      })
+      .finally(() => {
+        if (requestId === requestRef.current) setLoading(false);
+      });
+  }, [query, fetchPage]);
+
+  const loadMore = useCallback(async () => {
+    if (!next || loading || loadingMore) return;
+
+    const requestId = requestRef.current;
+    setLoadingMore(true);
     try {
-      const result = await searchAPI.semantic(query, 20, 0.1);
-      setTheses(result.data || []);
+      const page = await fetchPage(next);
+      if (requestId !== requestRef.current) return;
+      setTheses((current) => [...current, ...page.data]);
+      setTotal(page.total);
+      setEstimated(page.estimated);
+      setNext(page.next);
     } catch (err) {
-      console.error('Search error:', err);
-      setError('Failed to search theses. Please try again.');
+      console.error('Load more error:', err);
+      setNext(null);
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
-  };
+  }, [next, loading, loadingMore, fetchPage]);
 
-  const loadAllTheses = async () => {
-    setLoading(true);
-    setError(null);
+  // Infinite scroll: load the next page when the end of the list comes into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !next) return undefined;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) loadMore();
+      },
+      { rootMargin: '400px' }
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [next, loadMore]);
+
+  // Download every result of the current search (or all theses), not just the loaded pages
+  const handleExport = async () => {
+    setExporting(true);
     try {
-      const result = await thesisAPI.getAll(1, 20);
-      setTheses(result.data || []);
+      await searchAPI.download(exportFormat, query ? { query, mode: 'semantic', threshold: THRESHOLD } : {});
     } catch (err) {
-      console.error('Load error:', err);
-      setError('Failed to load theses. Please try again.');
+      console.error('Export error:', err);
+      setError('Export failed. Please try again.');
     } finally {
-      setLoading(false);
+      setExporting(false);
     }
   };
 
@@ -93,15 +210,40 @@ const Search = () => {
         </div>
 
         {/* Results Header */}
-        <div className="mb-6">
-          <h2 className="text-2xl font-bold text-gray-900">
-            {searchParams.get('q')
-              ? `Search Results for "${searchParams.get('q')}"`
-              : 'All Theses'}
-          </h2>
-          <p className="text-gray-600 mt-1">
-            {loading ? 'Searching...' : `Found ${theses.length} ${theses.length === 1 ? 'thesis' : 'theses'}`}
-          </p>
+        <div className="mb-6 flex flex-wrap items-end justify-between gap-4">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">
+              {searchParams.get('q')
+                ? `Search Results for "${searchParams.get('q')}"`
+                : 'All Theses'}
+            </h2>
+            <p className="text-gray-600 mt-1">
+              {loading
+                ? 'Searching...'
+                : `Found ${total}${estimated ? '+' : ''} ${total === 1 ? 'thesis' : 'theses'}`}
+            </p>
+          </div>
+
+          {/* Export */}
+          {!loading && theses.length > 0 && (
+            <div className="flex items-center gap-2">
+              <select
+                value={exportFormat}
+                onChange={(e) => setExportFormat(e.target.value)}
+                className="input py-2 w-auto"
+                aria-label="Export format"
+              >
+                {EXPORT_FORMATS.map(({ format, label }) => (
+                  <option key={format} value={format}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+              <button onClick={handleExport} disabled={exporting} className="btn-secondary text-sm">
+                {exporting ? 'Exporting...' : 'Export'}
+              </button>
+            </div>
+          )}
         </div>
 
         {/* Loading State */}
@@ -151,10 +293,23 @@ const Search = () => {
                     {thesis.title}
                   </h3>
 
-                  {/* Abstract Preview */}
-                  <p className="text-gray-600 mb-4 line-clamp-2">
-                    {thesis.abstract}
-                  </p>
+                  {/* Authors & Year */}
+                  {(thesis.authors?.length > 0 || thesis.defenseYear) && (
+                    <p className="text-sm text-gray-500 mb-2">
+                      {[thesis.authors?.map((author) => author.name).join('; '), thesis.defenseYear]
+                        .filter(Boolean)
+                        .join(' · ')}
+                    </p>
+                  )}
+
+                  {/* Snippet (search results) or Abstract Preview */}
+                  {thesis.highlight ? (
+                    <Snippet highlight={thesis.highlight} />
+                  ) : (
+                    <p className="text-gray-600 mb-4 line-clamp-2">
+                      {thesis.abstract}
+                    </p>
+                  )}
 
                   {/* Tags */}
                   <div className="flex flex-wrap gap-2 mb-3">
@@ -183,6 +338,14 @@ const Search = () => {
                 </Link>
               ))
             )}
+
+            {/* Infinite scroll */}
+            {next && <div ref={sentinelRef} className="h-1" />}
+            {loadingMore && (
+              <div className="text-center py-6">
+                <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600"></div>
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -9,6 +9,69 @@ const api = axios.create({
   },
 });
 
+// Session token from POST /api/auth/login
+const TOKEN_KEY = 'authToken';
+
+export const getToken = () => localStorage.getItem(TOKEN_KEY);
+
+const authHeaders = () => {
+  const token = getToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
+
+// Attach the session token to every request
+api.interceptors.request.use((config) => {
+  Object.assign(config.headers, authHeaders());
+  return config;
+});
+
+// An expired or revoked session is dropped so reads keep working anonymously
+api.interceptors.response.use(
+  (response) => response,
+  (error) => {
+    if (error.response?.status === 401 && getToken()) {
+      localStorage.removeItem(TOKEN_KEY);
+    }
+    return Promise.reject(error);
+  }
+);
+
+// Save a file response (responseType 'blob') under the name the server suggests
+const saveDownload = (response, fallbackName) => {
+  const disposition = response.headers['content-disposition'] || '';
+  const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Auth API
+export const authAPI = {
+  // Log in and keep the session token
+  login: async (email, password) => {
+    const response = await api.post('/api/auth/login', { email, password });
+    localStorage.setItem(TOKEN_KEY, response.data.data.token);
+    return response.data;
+  },
+
+  // Forget the session token
+  logout: () => {
+    localStorage.removeItem(TOKEN_KEY);
+  },
+
+  // Get the logged-in user
+  me: async () => {
+    const response = await api.get('/api/auth/me');
+    return response.data;
+  },
+};
+
 // Thesis API
 export const thesisAPI = {
   // Get all theses with pagination
@@ -46,39 +109,80 @@ export const thesisAPI = {
     const response = await api.get(`/api/theses/${id}/similar?limit=${limit}`);
     return response.data;
   },
+
+  // Update part of a thesis (tagMode: 'keep' | 'replace' | 'regenerate')
+  update: async (id, changes) => {
+    const response = await api.patch(`/api/theses/${id}`, changes);
+    return response.data;
+  },
+
+  // Move a thesis through review (action: 'submit' | 'withdraw' | 'publish' | 'reject' | 'unpublish')
+  changeStatus: async (id, action, note) => {
+    const response = await api.post(`/api/theses/${id}/${action}`, note ? { note } : {});
+    return response.data;
+  },
+
+  // Format citations (style: 'apa' | 'mla' | 'ieee' | 'chicago' | 'harvard'; all styles when omitted)
+  cite: async (id, style) => {
+    const response = await api.get(`/api/theses/${id}/cite`, { params: style ? { style } : {} });
+    return response.data;
+  },
+
+  // Download a thesis export (format: 'bibtex' | 'ris' | 'csl-json' | 'csv' | 'jsonl')
+  download: async (id, format, embeddings = false) => {
+    const response = await api.get(`/api/theses/${id}/export`, {
+      params: { format, ...(embeddings ? { embeddings: true } : {}) },
+      responseType: 'blob',
+    });
+    saveDownload(response, `thesis-${id}`);
+  },
 };
 
 // Search API
 export const searchAPI = {
-  // Semantic search
-  semantic: async (query, limit = 10, threshold = 0.1) => {
+  // Semantic search (mode: 'semantic' | 'keyword' | 'hybrid')
+  // filters: { tags, tagOperator, yearFrom, yearTo, department, degreeLevel, language }
+  // cursor: pagination.nextCursor of the previous page (same query and filters)
+  semantic: async (query, limit = 10, threshold = 0.1, mode = 'semantic', filters = {}, cursor = null) => {
     const response = await api.post('/api/search/semantic', {
       query,
       limit,
       threshold,
+      mode,
+      filters,
+      cursor,
     });
     return response.data;
   },
 
   // Search by tags
-  byTags: async (tags, operator = 'OR', limit = 10) => {
+  byTags: async (tags, operator = 'OR', limit = 10, cursor = null) => {
     const response = await api.post('/api/search/tags', {
       tags,
       operator,
       limit,
+      cursor,
     });
     return response.data;
   },
 
   // Combined search
-  combined: async (query, tags, limit = 10) => {
+  combined: async (query, tags, limit = 10, cursor = null) => {
     const response = await api.post('/api/search/combined', {
       query,
       tags,
       limit,
+      cursor,
     });
     return response.data;
   },
+
+  // Download the results of a search or tag query (up to 500 theses)
+  // criteria: { query, mode, threshold, tags, operator, filters, limit, embeddings }
+  download: async (format, criteria = {}) => {
+    const response = await api.post('/api/search/export', { format, ...criteria }, { responseType: 'blob' });
+    saveDownload(response, 'theses');
+  },
 };
 
 // Chat API
@@ -93,6 +197,72 @@ export const chatAPI = {
     return response.data;
   },
 
+  // Send chat message and stream the answer (Server-Sent Events)
+  // handlers: { onQuery, onSources, onToken, onDone, signal }
+  streamMessage: async (message, conversationHistory = [], topK = 3, handlers = {}) => {
+    const response = await fetch(`${API_BASE_URL}/api/chat/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        ...authHeaders(),
+      },
+      body: JSON.stringify({ message, conversationHistory, topK }),
+      signal: handlers.signal,
+    });
+
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new Error(body.message || `Chat request failed (${response.status})`);
+    }
+
+    const listeners = {
+      query: handlers.onQuery,
+      sources: handlers.onSources,
+      token: handlers.onToken,
+      done: handlers.onDone,
+    };
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let result = null;
+
+    const dispatch = (block) => {
+      let event = 'message';
+      const dataLines = [];
+      block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trimStart());
+      });
+      if (dataLines.length === 0) return; // heartbeat comment
+
+      const data = JSON.parse(dataLines.join('\n'));
+      if (event === 'error') {
+        throw new Error(data.message || 'Chat stream failed');
+      }
+      if (event === 'done') result = data;
+      listeners[event]?.(data);
+    };
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        dispatch(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    }
+
+    if (!result) {
+      throw new Error('Chat stream ended unexpectedly');
+    }
+    return result;
+  },
+
   // Get suggested questions
   getSuggestions: async () => {
     const response = await api.get('/api/chat/suggestions');
@@ -106,5 +276,14 @@ export const chatAPI = {
   },
 };
 
+// Audit API (curators and admins)
+export const auditAPI = {
+  // List audit events (filters: action, thesis, actor, requestId, from, to, page, limit)
+  list: async (filters = {}) => {
+    const response = await api.get('/api/audit', { params: filters });
+    return response.data;
+  },
+};
+
 export default api;
 